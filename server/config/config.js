@@ -146,6 +146,63 @@ logger.info(`   Cleanup interval: ${config.session.cleanupIntervalHours} hour(s)
 // Users with these emails will automatically get admin privileges when verified
 config.admin = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',').map(email => email.trim()) : [];
 
+// OpenID Connect single sign-on - Optional (enabled when OIDC_ISSUER is set)
+// Role mapping: comma-separated "claimValue=Server Role Name" pairs, e.g. "peerwave-admins=Administrator"
+config.oidc = process.env.OIDC_ISSUER ? {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,     // Empty for public clients (PKCE only)
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${config.app.url}/oauth2/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',  // Login button label
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+    roleMapping: Object.fromEntries((process.env.OIDC_ROLE_MAPPING || '')
+        .split(',')
+        .map(pair => pair.split('=').map(part => part.trim()))
+        .filter(([claimValue, roleName]) => claimValue && roleName)),
+    // Remove mapped roles the claim no longer grants on every login
+    syncRoles: process.env.OIDC_SYNC_ROLES !== 'false'
+} : null;
+
+// Parse "groupDN=value;groupDN=value" (group DNs contain '=' and ',', so pairs are split on ';' and the last '=')
+function parseGroupMapping(value) {
+    return (value || '')
+        .split(';')
+        .map(pair => [pair.substring(0, pair.lastIndexOf('=')).trim(), pair.substring(pair.lastIndexOf('=') + 1).trim()])
+        .filter(([group, target]) => group && target)
+        .map(([group, target]) => ({ group, target }));
+}
+
+// LDAP / Active Directory - Optional (enabled when LDAP_URL is set)
+config.ldap = process.env.LDAP_URL ? {
+    url: process.env.LDAP_URL,                                         // ldap://ldap.example.com:389 or ldaps://...
+    startTLS: process.env.LDAP_STARTTLS === 'true',
+    tlsRejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    // Service account used to search the directory
+    bindDN: process.env.LDAP_BIND_DN || '',
+    bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+    baseDN: process.env.LDAP_BASE_DN,
+    userFilter: process.env.LDAP_USER_FILTER || '(objectClass=inetOrgPerson)',
+    loginAttribute: process.env.LDAP_LOGIN_ATTRIBUTE || 'mail',       // 'uid', 'sAMAccountName', ...
+    idAttribute: process.env.LDAP_ID_ATTRIBUTE || 'entryUUID',        // Stable ID ('objectGUID' for AD)
+    emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+    displayNameAttribute: process.env.LDAP_DISPLAY_NAME_ATTRIBUTE || 'displayName',
+    groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf',
+    groupRoles: parseGroupMapping(process.env.LDAP_GROUP_ROLES),       // groupDN=Server Role Name
+    groupChannels: parseGroupMapping(process.env.LDAP_GROUP_CHANNELS), // groupDN=Channel UUID
+    // Deactivate users that disappeared from the directory (re-activated when they return)
+    deactivateMissing: process.env.LDAP_DEACTIVATE_MISSING !== 'false',
+    
+    // Sync schedule (every 30 minutes, node-cron syntax)
+    syncCronSchedule: process.env.LDAP_SYNC_CRON_SCHEDULE || '*/30 * * * *'
+} : null;
+
+// SCIM 2.0 provisioning API - Optional (enabled when SCIM_TOKEN is set)
+config.scim = process.env.SCIM_TOKEN ? {
+    token: process.env.SCIM_TOKEN,                                     // Bearer token configured at the identity provider
+    groupChannels: parseGroupMapping(process.env.SCIM_GROUP_CHANNELS)  // Group (server role) name=Channel UUID
+} : null;
+
 // Cleanup configuration
 config.cleanup = {
     // Inactive users: Mark users as inactive after X days without client update
@@ -155,11 +212,48 @@ config.cleanup = {
     deleteSystemMessagesDays: parseInt(process.env.CLEANUP_SYSTEM_MESSAGES_DAYS || '1'),     // read_receipt, senderKeyRequest, fileKeyRequest, etc.
     deleteRegularMessagesDays: parseInt(process.env.CLEANUP_REGULAR_MESSAGES_DAYS || '7'),    // message, file (buffer for offline devices - 7 days)
     deleteGroupMessagesDays: parseInt(process.env.CLEANUP_GROUP_MESSAGES_DAYS || '7'),      // Group messages (7 days buffer)
+    deleteMessageOriginsDays: parseInt(process.env.CLEANUP_MESSAGE_ORIGINS_DAYS || '90'),   // Original senders for edit checks (older messages cannot be edited)
     
     // Cronjob schedule (runs every day at 2:00 AM)
     cronSchedule: process.env.CLEANUP_CRON_SCHEDULE || '0 2 * * *'
 };
 
+// Disappearing messages (per-channel / per-1:1 timers)
+config.disappearing = {
+    minSeconds: parseInt(process.env.DISAPPEARING_MIN_SECONDS || '300'),          // 5 minutes
+    maxSeconds: parseInt(process.env.DISAPPEARING_MAX_SECONDS || '2419200'),      // 4 weeks
+    
+    // Sweeper schedule (runs every minute, node-cron syntax)
+    sweepCronSchedule: process.env.DISAPPEARING_SWEEP_CRON_SCHEDULE || '* * * * *'
+};
+
+// Scheduled (send-later) messages
+config.scheduledMessages = {
+    maxDelaySeconds: parseInt(process.env.SCHEDULED_MAX_DELAY_SECONDS || '31536000'),  // 1 year
+    maxPendingPerUser: parseInt(process.env.SCHEDULED_MAX_PENDING_PER_USER || '100'),
+    
+    // Release schedule (runs every minute, node-cron syntax)
+    releaseCronSchedule: process.env.SCHEDULED_RELEASE_CRON_SCHEDULE || '* * * * *'
+};
+
+// Sealed-sender 1:1 delivery (sender identity only inside the encrypted payload)
+// Sealed sends are anonymous, so the per-user message limit cannot count them.
+// A user sends at most maxLiveCertificatesPerUser * maxItemsPerCertificate
+// sealed envelopes per certificate lifetime instead.
+config.sealedSender = {
+    // Seed of the Ed25519 key that signs sender and delivery certificates
+    signingSecret: getOrGenerateSecret('SEALED_SENDER_SECRET', 'SEALED_SENDER_SECRET', 32),
+    certificateTtlSeconds: parseInt(process.env.SEALED_SENDER_CERT_TTL_SECONDS || '3600'),      // 1 hour
+    maxLiveCertificatesPerUser: parseInt(process.env.SEALED_SENDER_MAX_LIVE_CERTS_PER_USER || '3'),
+    maxItemsPerCertificate: parseInt(process.env.SEALED_SENDER_MAX_ITEMS_PER_CERT || '30')     // Same as the message limit
+};
+
+// Per-user limit for message sends over the socket (all devices of a user together)
+config.messageRateLimit = {
+    windowSeconds: parseInt(process.env.MESSAGE_RATE_LIMIT_WINDOW_SECONDS || '10'),
+    maxMessages: parseInt(process.env.MESSAGE_RATE_LIMIT_MAX_MESSAGES || '30')       // Per window; 0 = unlimited
+};
+
 // LiveKit Server configuration (for meetings/calls)
 config.livekit = {
     url: process.env.LIVEKIT_URL || 'ws://localhost:7880',
@@ -186,6 +280,12 @@ config.refreshToken = {
     cleanupIntervalHours: parseInt(process.env.REFRESH_TOKEN_CLEANUP_HOURS || '24')  // Run cleanup daily
 };
 
+// Magic Link Configuration (device login links from GET /magic/generate)
+config.magicLink = {
+    expiresMinutes: parseInt(process.env.MAGIC_LINK_MINUTES || '5'),          // Link lifetime
+    maxPerUser: parseInt(process.env.MAGIC_LINK_MAX_PER_USER || '3')          // Outstanding links per user, oldest is replaced
+};
+
 // Server Operator Information (displayed on login page)
 config.serverOperator = {
     owner: process.env.SERVER_OWNER || null,
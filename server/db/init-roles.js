@@ -64,7 +64,7 @@ async function initializeStandardRoles(Role) {
                 name: 'Channel Moderator',
                 description: 'Signal channel moderator',
                 scope: 'channelSignal',
-                permissions: ['user.add', 'message.delete', 'user.kick', 'user.mute', 'role.assign', 'member.view'],
+                permissions: ['user.add', 'message.post', 'message.delete', 'message.pin', 'user.kick', 'user.mute', 'role.assign', 'member.view'],
                 standard: false
             },
             {
@@ -144,6 +144,41 @@ const User = sequelize.define('User', {
         type: DataTypes.BOOLEAN,
         allowNull: false,
         defaultValue: false
+    },
+    // Push/in-app notifications: global snooze and daily do-not-disturb window
+    notifications_snoozed_until: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    dnd_enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    dnd_start: {
+        type: DataTypes.STRING,
+        allowNull: true  // "HH:MM" local time
+    },
+    dnd_end: {
+        type: DataTypes.STRING,
+        allowNull: true  // "HH:MM" local time, may wrap past midnight
+    },
+    dnd_timezone: {
+        type: DataTypes.STRING,
+        allowNull: true  // IANA time zone, UTC if unset
+    },
+    // Authenticator app (TOTP) second factor
+    totp_secret: {
+        type: DataTypes.STRING,
+        allowNull: true  // Base32, set on setup, active once totp_enabled_at is set
+    },
+    totp_enabled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    totp_last_step: {
+        type: DataTypes.INTEGER,
+        allowNull: true  // Last accepted time step (replay protection)
     }
 });
 
@@ -326,6 +361,35 @@ const GroupItem = sequelize.define('GroupItem', {
         type: DataTypes.DATE,
         allowNull: false,
         defaultValue: Sequelize.NOW
+    },
+    editOf: {
+        type: DataTypes.STRING,
+        allowNull: true  // Set on type 'edit' items: itemId of the edited original
+    },
+    revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0  // 0 = original, bumped on the original when it is edited
+    },
+    parentItemId: {
+        type: DataTypes.STRING,
+        allowNull: true  // Thread replies: itemId of the thread root (null = main timeline)
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true  // Disappearing messages: deleted by the sweeper after this time
+    },
+    pinnedAt: {
+        type: DataTypes.DATE,
+        allowNull: true  // Pinned messages are kept by the retention cleanup
+    },
+    pinnedBy: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    seq: {
+        type: DataTypes.INTEGER,
+        allowNull: true  // Server-assigned, strictly increasing per channel (gap detection)
     }
 }, {
     timestamps: true,  // createdAt, updatedAt
@@ -339,50 +403,66 @@ const GroupItem = sequelize.define('GroupItem', {
         {
             fields: ['sender', 'channel']  // Fast queries for user's messages in channel
         }
+        // Indexes on channel+parentItemId, expiresAt, channel+pinnedAt and
+        // channel+seq are created by the add_group_item_parent /
+        // add_disappearing_messages / add_group_item_pins / add_group_item_seq
+        // migrations: model sync runs alongside migrations and would index
+        // columns not added yet
     ]
 });
 
-// Group Item Read Receipts - tracks who has read which items
-const GroupItemRead = sequelize.define('GroupItemRead', {
+// Channel read positions - per-device read watermark per channel (and per
+// thread). Everything up to lastReadSeq (GroupItem.seq) counts as read by the
+// device; per-item read counts are derived from these rows.
+const ChannelReadPosition = sequelize.define('ChannelReadPosition', {
     id: {
         type: DataTypes.INTEGER,
         primaryKey: true,
         autoIncrement: true
     },
-    itemId: {
+    userId: {
         type: DataTypes.UUID,
         allowNull: false,
         references: {
-            model: 'GroupItems',
+            model: 'Users',
             key: 'uuid'
         }
     },
-    userId: {
+    deviceId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    channelId: {
         type: DataTypes.UUID,
         allowNull: false,
         references: {
-            model: 'Users',
+            model: 'Channels',
             key: 'uuid'
         }
     },
-    deviceId: {
+    threadRootItemId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: ''  // '' = channel timeline, otherwise itemId of a thread root
+    },
+    lastReadSeq: {
         type: DataTypes.INTEGER,
-        allowNull: false
+        allowNull: false,
+        defaultValue: 0
     },
-    readAt: {
+    lastReadAt: {
         type: DataTypes.DATE,
-        allowNull: false,
-        defaultValue: Sequelize.NOW
+        allowNull: true  // Timestamp of the item at the watermark
     }
 }, {
-    timestamps: false,
+    timestamps: true,  // updatedAt = when the watermark last moved
     indexes: [
         {
             unique: true,
-            fields: ['itemId', 'userId', 'deviceId']  // One read receipt per device
+            fields: ['userId', 'deviceId', 'channelId', 'threadRootItemId']  // One watermark per device and channel/thread
         },
         {
-            fields: ['itemId']  // Fast count of reads per item
+            fields: ['channelId', 'lastReadSeq']  // Read counts per item
         }
     ]
 });
@@ -521,6 +601,32 @@ const Channel = sequelize.define('Channel', {
             model: 'Roles',
             key: 'uuid'
         }
+    },
+    disappearingSeconds: {
+        type: DataTypes.INTEGER,
+        allowNull: true  // Disappearing messages timer (null = off)
+    },
+    lastSeq: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0  // Last GroupItem sequence number assigned in this channel
+    },
+    announcement: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false  // Announcement channel: posting requires message.post
+    },
+    archivedAt: {
+        type: DataTypes.DATE,
+        allowNull: true  // Archived (read-only) since; null = active
+    },
+    archivedBy: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    slowModeSeconds: {
+        type: DataTypes.INTEGER,
+        allowNull: true  // Slow mode: one post per member every N seconds (null = off)
     }
 });
 
@@ -600,7 +706,7 @@ const Item = sequelize.define('Item', {
     },
     sender: {
         type: DataTypes.UUID,
-        allowNull: false,
+        allowNull: true,  // null for sealed-sender items
         references: {
             model: 'Users',
             key: 'uuid'
@@ -608,9 +714,15 @@ const Item = sequelize.define('Item', {
     },
     deviceSender: {
         type: DataTypes.INTEGER,
-        allowNull: false
+        allowNull: true  // null for sealed-sender items
         // keine Foreign-Key-Referenzierung mehr
     },
+    sealed: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Sealed sender: sender identity is only inside the encrypted payload'
+    },
     readed: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
@@ -644,10 +756,26 @@ const Item = sequelize.define('Item', {
             key: 'uuid'
         },
         comment: 'For multi-device sync: when sender device syncs to other sender devices, this preserves the original recipient'
+    },
+    editOf: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'For edits (type "edit"): itemId of the edited original message'
+    },
+    revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Disappearing messages: deleted by the sweeper after this time'
     }
     // NOTE: Item table is ONLY for 1:1 messages (no channel field needed)
     // Group messages use the separate GroupItem table which has a channel field
 }, { timestamps: true }); // Enable timestamps for createdAt tracking
+// Index on expiresAt is created by the add_disappearing_messages migration
 
 
 // Define OTP model
@@ -783,6 +911,175 @@ const MeetingInvitation = sequelize.define('MeetingInvitation', {
     ]
 });
 
+// Channel invite links - shareable tokens to join a (private) channel
+// Modeled after MeetingInvitation; joining assigns the channel's defaultRoleId
+const ChannelInvite = sequelize.define('ChannelInvite', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    channel_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Channels',
+            key: 'uuid'
+        }
+    },
+    token: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    label: {
+        type: DataTypes.STRING,
+        allowNull: true
+        // Optional label like "Onboarding Q3"
+    },
+    created_by: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+        // null = never expires
+    },
+    max_uses: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+        // null = unlimited uses
+    },
+    use_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    tableName: 'channel_invites',
+    indexes: [
+        { fields: ['channel_id'] },
+        { fields: ['token'], unique: true }
+    ]
+});
+
+// Requests to join a private channel, decided by members holding user.add
+const ChannelJoinRequest = sequelize.define('ChannelJoinRequest', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    channel_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Channels',
+            key: 'uuid'
+        }
+    },
+    user_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,  // Requesting user
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    message: {
+        type: DataTypes.STRING(500),
+        allowNull: true  // Optional note from the requester
+    },
+    status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'pending'  // 'pending', 'approved', 'denied', 'cancelled'
+    },
+    reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true  // Reason given when denied
+    },
+    decided_by: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    decided_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    tableName: 'channel_join_requests',
+    indexes: [
+        { fields: ['channel_id', 'status'] },
+        { fields: ['user_uuid', 'status'] }
+    ]
+});
+
+// External identity linked to a user (OpenID Connect, LDAP directory)
+const UserIdentity = sequelize.define('UserIdentity', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    user_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    provider: {
+        type: DataTypes.STRING,
+        allowNull: false  // 'oidc', 'ldap'
+    },
+    issuer: {
+        type: DataTypes.STRING,
+        allowNull: false  // Identity provider (OIDC issuer URL, LDAP base DN)
+    },
+    subject: {
+        type: DataTypes.STRING,
+        allowNull: false  // Stable user ID at the provider (OIDC sub, LDAP entryUUID)
+    },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: true  // Email claim at last login
+    },
+    last_login_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    deprovisioned_at: {
+        type: DataTypes.DATE,
+        allowNull: true  // User deactivated because the entry left the directory
+    }
+}, {
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    tableName: 'user_identities',
+    indexes: [
+        { unique: true, fields: ['provider', 'issuer', 'subject'] },
+        { fields: ['user_uuid'] }
+    ]
+});
+
 // Meeting RSVP status - persistent per-invitee status for scheduled meetings
 const MeetingRsvp = sequelize.define('MeetingRsvp', {
     id: {
@@ -989,11 +1286,11 @@ GroupItem.belongsTo(Channel, { foreignKey: 'channel' });
 User.hasMany(GroupItem, { foreignKey: 'sender', as: 'SentGroupItems' });
 GroupItem.belongsTo(User, { foreignKey: 'sender', as: 'Sender' });
 
-// Group Item Read Receipt associations
-GroupItem.hasMany(GroupItemRead, { foreignKey: 'itemId', as: 'ReadReceipts' });
-GroupItemRead.belongsTo(GroupItem, { foreignKey: 'itemId', as: 'Item' });
-User.hasMany(GroupItemRead, { foreignKey: 'userId', as: 'ReadItems' });
-GroupItemRead.belongsTo(User, { foreignKey: 'userId', as: 'User' });
+// Channel read position associations
+Channel.hasMany(ChannelReadPosition, { foreignKey: 'channelId', as: 'ReadPositions' });
+ChannelReadPosition.belongsTo(Channel, { foreignKey: 'channelId' });
+User.hasMany(ChannelReadPosition, { foreignKey: 'userId', as: 'ReadPositions' });
+ChannelReadPosition.belongsTo(User, { foreignKey: 'userId', as: 'User' });
 
 // Channel Members associations
 User.hasMany(ChannelMembers, { foreignKey: 'userId', as: 'ChannelMemberships' });
@@ -1094,6 +1391,11 @@ const ServerSettings = sequelize.define('ServerSettings', {
         type: DataTypes.TEXT, // JSON array stored as text
         allowNull: true,
         defaultValue: '[]'
+    },
+    totp_policy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'off' // 'off', 'admins', 'everyone'
     }
 }, {
     timestamps: true,
@@ -1345,6 +1647,48 @@ const RefreshToken = sequelize.define('RefreshToken', {
     ]
 });
 
+// MagicLink - Pending device login links (GET /magic/generate), single use
+// Only the SHA-256 hash of the link token is stored
+const MagicLink = sequelize.define('MagicLink', {
+    token_hash: {
+        type: DataTypes.STRING(64),
+        primaryKey: true,
+        allowNull: false
+    },
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+    }
+}, {
+    tableName: 'magic_links',
+    timestamps: false,
+    indexes: [
+        {
+            fields: ['user_id']
+        },
+        {
+            fields: ['expires_at']
+        }
+    ]
+});
+
 // Define PushToken model (Firebase Cloud Messaging)
 const PushToken = sequelize.define('PushToken', {
     id: {
@@ -1408,6 +1752,406 @@ const PushToken = sequelize.define('PushToken', {
     ]
 });
 
+// Message Revision Model - version chain for edited 1:1 and group messages
+// Group edits store one row per revision (channel_id set), 1:1 edits store one
+// row per recipient device (receiver_uuid/receiver_device_id set)
+const MessageRevision = sequelize.define('MessageRevision', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    item_id: {
+        type: DataTypes.STRING,
+        allowNull: false  // itemId of the original message
+    },
+    edit_id: {
+        type: DataTypes.STRING,
+        allowNull: false  // Client-generated ID of the edit (shared by all device copies)
+    },
+    revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    channel_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'Channels',
+            key: 'uuid'
+        }
+    },
+    sender_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    sender_device_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    receiver_uuid: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    receiver_device_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    payload: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    cipher_type: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+    }
+}, {
+    tableName: 'message_revisions',
+    timestamps: false,
+    indexes: [
+        {
+            fields: ['item_id', 'revision']
+        },
+        {
+            fields: ['edit_id']
+        },
+        {
+            fields: ['receiver_uuid', 'receiver_device_id']
+        }
+    ]
+});
+
+// Message Origin Model - original sender of every 1:1 and group content message
+// Edits are checked against it: 1:1 items are deleted once acknowledged and old
+// group items by the cleanup job, the origin outlives both
+const MessageOrigin = sequelize.define('MessageOrigin', {
+    item_id: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+        allowNull: false
+    },
+    sender_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        },
+        onDelete: 'CASCADE'
+    },
+    channel_id: {
+        type: DataTypes.UUID,
+        allowNull: true  // null for 1:1 messages
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+    }
+}, {
+    tableName: 'message_origins',
+    timestamps: false,
+    indexes: [
+        {
+            fields: ['created_at']
+        }
+    ]
+});
+
+// Record origins whenever content is stored (all send paths: socket, REST,
+// scheduled release); edits, system messages and sealed items (no sender) are skipped
+const ORIGIN_TYPES = ['message', 'file', 'image', 'voice']; // = unreadService.UNREAD_TYPES
+function recordMessageOrigins(rows, options, channelField) {
+    const origins = rows
+        .filter(row => row.sender && !row.editOf && ORIGIN_TYPES.includes(row.type || 'message'))
+        .map(row => ({
+            item_id: row.itemId,
+            sender_uuid: row.sender,
+            channel_id: channelField ? row[channelField] : null
+        }));
+    if (origins.length === 0) {
+        return;
+    }
+    return MessageOrigin.bulkCreate(origins, { ignoreDuplicates: true, transaction: options.transaction });
+}
+Item.afterCreate((item, options) => recordMessageOrigins([item], options, null));
+Item.afterBulkCreate((items, options) => recordMessageOrigins(items, options, null));
+GroupItem.afterCreate((item, options) => recordMessageOrigins([item], options, 'channel'));
+
+// Direct Conversation Settings - settings shared by both sides of a 1:1 conversation
+// The user pair is stored sorted (user_a_uuid < user_b_uuid) so each conversation has one row
+const DirectConversationSetting = sequelize.define('DirectConversationSetting', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    user_a_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    user_b_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    disappearing_seconds: {
+        type: DataTypes.INTEGER,
+        allowNull: true  // null = disappearing messages off
+    },
+    updated_by: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+    }
+}, {
+    tableName: 'direct_conversation_settings',
+    timestamps: false,
+    indexes: [
+        {
+            unique: true,
+            fields: ['user_a_uuid', 'user_b_uuid']
+        }
+    ]
+});
+
+// Scheduled (send-later) messages: already-encrypted payloads held until send_at,
+// then released into normal delivery by jobs/scheduledMessages.js
+const ScheduledMessage = sequelize.define('ScheduledMessage', {
+    id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+    },
+    sender_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    sender_device_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    item_id: {
+        type: DataTypes.STRING,
+        allowNull: false  // Client-generated itemId used once released
+    },
+    kind: {
+        type: DataTypes.STRING,
+        allowNull: false  // 'direct' (Item) or 'group' (GroupItem)
+    },
+    recipient_uuid: {
+        type: DataTypes.UUID,
+        allowNull: true  // direct only
+    },
+    channel_id: {
+        type: DataTypes.UUID,
+        allowNull: true  // group only
+    },
+    type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'message'
+    },
+    payload: {
+        type: DataTypes.TEXT,
+        allowNull: true  // group only: SenderKey ciphertext
+    },
+    cipher_type: {
+        type: DataTypes.INTEGER,
+        allowNull: true  // group only
+    },
+    envelopes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        // direct only: one { recipient, recipientDeviceId, payload, cipherType, originalRecipient } per device
+        get() {
+            const raw = this.getDataValue('envelopes');
+            return raw ? JSON.parse(raw) : [];
+        },
+        set(value) {
+            this.setDataValue('envelopes', JSON.stringify(value));
+        }
+    },
+    parent_item_id: {
+        type: DataTypes.STRING,
+        allowNull: true  // group only: thread root
+    },
+    mentions: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        // group only: mentioned user UUIDs, resolved again on release
+        get() {
+            const raw = this.getDataValue('mentions');
+            return raw ? JSON.parse(raw) : [];
+        },
+        set(value) {
+            this.setDataValue('mentions', value && value.length > 0 ? JSON.stringify(value) : null);
+        }
+    },
+    send_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'scheduled_messages',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['send_at']
+        },
+        {
+            unique: true,
+            fields: ['sender_uuid', 'item_id']
+        }
+    ]
+});
+
+// Mentions: cleartext list of mentioned members sent alongside an encrypted
+// GroupItem (the server cannot read @mentions in the payload). Rows go away
+// together with the item.
+const GroupItemMention = sequelize.define('GroupItemMention', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    group_item_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'GroupItems',
+            key: 'uuid'
+        }
+    },
+    item_id: {
+        type: DataTypes.STRING,
+        allowNull: false  // Client itemId of the mentioning message
+    },
+    channel_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Channels',
+            key: 'uuid'
+        }
+    },
+    user_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,  // Mentioned member
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    sender_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+    }
+}, {
+    tableName: 'group_item_mentions',
+    timestamps: false,
+    indexes: [
+        {
+            unique: true,
+            fields: ['group_item_uuid', 'user_uuid']
+        },
+        {
+            fields: ['user_uuid', 'created_at']  // Mentions inbox
+        },
+        {
+            fields: ['user_uuid', 'channel_id']  // Unread mention counts
+        }
+    ]
+});
+
+// Notification preference of a user for one channel or direct conversation.
+// No row means level "all"; global do-not-disturb lives on the User.
+const NotificationPreference = sequelize.define('NotificationPreference', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    user_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'Users',
+            key: 'uuid'
+        }
+    },
+    scope: {
+        type: DataTypes.STRING,
+        allowNull: false  // 'channel' or 'direct'
+    },
+    target_uuid: {
+        type: DataTypes.UUID,
+        allowNull: false  // Channel UUID or conversation peer UUID
+    },
+    level: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'all'  // 'all', 'mentions' or 'none'
+    },
+    snoozed_until: {
+        type: DataTypes.DATE,
+        allowNull: true  // Muted until then (mentions still notify)
+    },
+    updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+    }
+}, {
+    tableName: 'notification_preferences',
+    timestamps: false,
+    indexes: [
+        {
+            unique: true,
+            fields: ['user_uuid', 'scope', 'target_uuid']
+        }
+    ]
+});
+
 // Define associations for blocked users
 User.hasMany(BlockedUser, { foreignKey: 'blocker_uuid', as: 'blockedByUser' });
 User.hasMany(BlockedUser, { foreignKey: 'blocked_uuid', as: 'blockedUsers' });
@@ -1428,6 +2172,31 @@ RefreshToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 ClientSession.hasMany(RefreshToken, { foreignKey: 'client_id', as: 'refreshTokens' });
 RefreshToken.belongsTo(ClientSession, { foreignKey: 'client_id', as: 'session' });
 
+// Define associations for mentions
+GroupItem.hasMany(GroupItemMention, { foreignKey: 'group_item_uuid', as: 'Mentions', onDelete: 'CASCADE' });
+GroupItemMention.belongsTo(GroupItem, { foreignKey: 'group_item_uuid', as: 'Item' });
+Channel.hasMany(GroupItemMention, { foreignKey: 'channel_id', onDelete: 'CASCADE' });
+User.hasMany(GroupItemMention, { foreignKey: 'user_uuid', as: 'mentions', onDelete: 'CASCADE' });
+GroupItemMention.belongsTo(User, { foreignKey: 'sender_uuid', as: 'sender', onDelete: 'CASCADE' });
+
+// Define associations for notification preferences
+User.hasMany(NotificationPreference, { foreignKey: 'user_uuid', as: 'notificationPreferences', onDelete: 'CASCADE' });
+NotificationPreference.belongsTo(User, { foreignKey: 'user_uuid', as: 'user' });
+
+// Define associations for channel invite links
+Channel.hasMany(ChannelInvite, { foreignKey: 'channel_id', as: 'invites', onDelete: 'CASCADE' });
+ChannelInvite.belongsTo(Channel, { foreignKey: 'channel_id', as: 'channel' });
+
+// Define associations for channel join requests
+Channel.hasMany(ChannelJoinRequest, { foreignKey: 'channel_id', as: 'joinRequests', onDelete: 'CASCADE' });
+ChannelJoinRequest.belongsTo(Channel, { foreignKey: 'channel_id', as: 'channel' });
+User.hasMany(ChannelJoinRequest, { foreignKey: 'user_uuid', as: 'channelJoinRequests', onDelete: 'CASCADE' });
+ChannelJoinRequest.belongsTo(User, { foreignKey: 'user_uuid', as: 'user' });
+
+// Define associations for external identities
+User.hasMany(UserIdentity, { foreignKey: 'user_uuid', as: 'identities', onDelete: 'CASCADE' });
+UserIdentity.belongsTo(User, { foreignKey: 'user_uuid', as: 'user' });
+
 // Define associations for push tokens
 User.hasMany(PushToken, { foreignKey: 'user_id', as: 'pushTokens' });
 PushToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
@@ -1445,7 +2214,7 @@ module.exports = {
     SignalPreKey,
     SignalSenderKey,
     GroupItem,
-    GroupItemRead,
+    ChannelReadPosition,
     Channel,
     ChannelMembers,
     Role,
@@ -1453,15 +2222,25 @@ module.exports = {
     UserRoleChannel,
     ClientSession,
     RefreshToken,
+    MagicLink,
     NonceCache,
     ServerSettings,
     Invitation,
     Meeting,
     MeetingInvitation,
+    ChannelInvite,
+    ChannelJoinRequest,
+    UserIdentity,
     MeetingRsvp,
     BlockedUser,
     AbuseReport,
     PushToken,
+    MessageRevision,
+    MessageOrigin,
+    DirectConversationSetting,
+    ScheduledMessage,
+    GroupItemMention,
+    NotificationPreference,
     sequelize,
     temporaryStorage,
     dbReady
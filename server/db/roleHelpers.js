@@ -280,6 +280,44 @@ async function getUsersWithPermission(permission) {
     return Array.from(uniqueUsers.values());
 }
 
+/**
+ * Align the server roles of a user with an external source (SSO claims,
+ * directory groups): roles in grantedRoleNames are assigned, the other
+ * managedRoleNames are removed. Roles outside managedRoleNames are kept.
+ * @param {string} userId - User UUID
+ * @param {string[]} managedRoleNames - Server role names controlled by the source
+ * @param {string[]} grantedRoleNames - Server role names the user should have
+ * @param {boolean} [removeMissing=true] - Remove managed roles that are not granted
+ * @returns {Promise<Object>} { assigned, removed, unknown } role names
+ */
+async function syncServerRoles(userId, managedRoleNames, grantedRoleNames, removeMissing = true) {
+    const managed = [...new Set(managedRoleNames)];
+    const granted = new Set(grantedRoleNames);
+    const result = { assigned: [], removed: [], unknown: [] };
+    if (managed.length === 0) {
+        return result;
+    }
+
+    const roles = await Role.findAll({ where: { name: managed, scope: 'server' } });
+    result.unknown = managed.filter(name => !roles.some(role => role.name === name));
+
+    for (const role of roles) {
+        if (granted.has(role.name)) {
+            const [, created] = await assignServerRole(userId, role.uuid);
+            if (created) {
+                result.assigned.push(role.name);
+            }
+        } else if (removeMissing) {
+            const removed = await removeServerRole(userId, role.uuid);
+            if (removed > 0) {
+                result.removed.push(role.name);
+            }
+        }
+    }
+
+    return result;
+}
+
 module.exports = {
     assignServerRole,
     removeServerRole,
@@ -293,5 +331,6 @@ module.exports = {
     updateRole,
     deleteRole,
     getRolesByScope,
-    getUsersWithPermission
+    getUsersWithPermission,
+    syncServerRoles
 };
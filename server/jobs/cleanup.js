@@ -1,8 +1,10 @@
 const cron = require('node-cron');
 const { Op } = require('sequelize');
 const config = require('../config/config');
-const { User, Client, Item, GroupItem, RefreshToken } = require('../db/model');
+const { User, Client, Item, GroupItem, RefreshToken, MessageOrigin } = require('../db/model');
 const writeQueue = require('../db/writeQueue');
+const { getPinnedItemIds } = require('../services/pinService');
+const { getArchivedChannelIds } = require('../services/channelArchiveService');
 const logger = require('../utils/logger');
 
 /**
@@ -97,7 +99,7 @@ async function deleteOldItems() {
         logger.info('[CLEANUP] Deleted old system messages', { count: systemDeleted, days: config.cleanup.deleteSystemMessagesDays });
         totalDeleted += systemDeleted;
         
-        // 2. Delete regular messages (message, file) after 7 days
+        // 2. Delete regular messages (message, file, edit, sealed) after 7 days
         const regularDaysAgo = new Date(now);
         regularDaysAgo.setDate(regularDaysAgo.getDate() - config.cleanup.deleteRegularMessagesDays);
         
@@ -106,7 +108,7 @@ async function deleteOldItems() {
         const regularDeleted = await writeQueue.enqueue(
             () => Item.destroy({
                 where: {
-                    type: { [Op.in]: ['message', 'file'] },
+                    type: { [Op.in]: ['message', 'file', 'edit', 'sealed'] },
                     createdAt: { [Op.lt]: regularDaysAgo }
                 }
             }),
@@ -121,17 +123,42 @@ async function deleteOldItems() {
         
         logger.info('[CLEANUP] Deleting group messages', { olderThan: groupDaysAgo.toISOString() });
         
+        // Pinned messages and their edits are kept until unpinned,
+        // archived channels keep their whole history
+        const pinnedItemIds = await getPinnedItemIds();
+        const archivedChannelIds = await getArchivedChannelIds();
+        
+        const groupWhere = {
+            createdAt: { [Op.lt]: groupDaysAgo },
+            pinnedAt: null
+        };
+        if (archivedChannelIds.length > 0) {
+            groupWhere.channel = { [Op.notIn]: archivedChannelIds };
+        }
+        if (pinnedItemIds.length > 0) {
+            groupWhere[Op.or] = [
+                { editOf: null },
+                { editOf: { [Op.notIn]: pinnedItemIds } }
+            ];
+        }
+        
         const groupDeleted = await writeQueue.enqueue(
-            () => GroupItem.destroy({
-                where: {
-                    createdAt: { [Op.lt]: groupDaysAgo }
-                }
-            }),
+            () => GroupItem.destroy({ where: groupWhere }),
             'deleteOldGroupMessages'
         );
         logger.info('[CLEANUP] Deleted old group messages', { count: groupDeleted, days: config.cleanup.deleteGroupMessagesDays });
         totalDeleted += groupDeleted;
         
+        // 4. Delete old message origins (edits of these messages are refused)
+        const originDaysAgo = new Date(now);
+        originDaysAgo.setDate(originDaysAgo.getDate() - config.cleanup.deleteMessageOriginsDays);
+        
+        const originsDeleted = await writeQueue.enqueue(
+            () => MessageOrigin.destroy({ where: { created_at: { [Op.lt]: originDaysAgo } } }),
+            'deleteOldMessageOrigins'
+        );
+        logger.info('[CLEANUP] Deleted old message origins', { count: originsDeleted, days: config.cleanup.deleteMessageOriginsDays });
+        
         logger.info('[CLEANUP] Total items deleted', { count: totalDeleted });
         return { systemDeleted, regularDeleted, groupDeleted, totalDeleted };
     } catch (error) {
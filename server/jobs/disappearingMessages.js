@@ -0,0 +1,42 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { sweepExpiredItems } = require('../services/disappearingMessagesService');
+
+// Skip a run while the previous sweep is still in progress
+let sweepRunning = false;
+
+/**
+ * Delete expired disappearing messages and notify connected devices
+ */
+async function runDisappearingSweep() {
+    if (sweepRunning) {
+        logger.debug('[DISAPPEARING] Previous sweep still running, skipping');
+        return;
+    }
+
+    sweepRunning = true;
+    try {
+        await sweepExpiredItems();
+    } catch (error) {
+        logger.error('[DISAPPEARING] Sweep failed', error);
+    } finally {
+        sweepRunning = false;
+    }
+}
+
+/**
+ * Initialize disappearing messages sweeper (runs every minute by default)
+ */
+function initDisappearingMessagesJob() {
+    cron.schedule(config.disappearing.sweepCronSchedule, async () => {
+        await runDisappearingSweep();
+    });
+
+    logger.info('[DISAPPEARING] Sweeper job initialized', { schedule: config.disappearing.sweepCronSchedule });
+}
+
+module.exports = {
+    initDisappearingMessagesJob,
+    runDisappearingSweep
+};
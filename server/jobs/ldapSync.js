@@ -0,0 +1,54 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const ldapService = require('../services/ldapService');
+
+// Skip a run while the previous sync is still in progress
+let syncRunning = false;
+
+/**
+ * Sync users, roles and channel memberships from the LDAP directory
+ * @returns {Promise<Object|null>} Sync counts, null if skipped or failed
+ */
+async function runLdapSync() {
+    if (!ldapService.isEnabled()) {
+        return null;
+    }
+    if (syncRunning) {
+        logger.debug('[LDAP] Previous sync still running, skipping');
+        return null;
+    }
+
+    syncRunning = true;
+    try {
+        logger.info('[LDAP] Starting directory sync');
+        const stats = await ldapService.syncDirectory();
+        logger.info('[LDAP] Directory sync completed', stats);
+        return stats;
+    } catch (error) {
+        logger.error('[LDAP] Directory sync failed', error);
+        return null;
+    } finally {
+        syncRunning = false;
+    }
+}
+
+/**
+ * Initialize LDAP directory sync job (runs every 30 minutes by default)
+ */
+function initLdapSyncJob() {
+    if (!ldapService.isEnabled()) {
+        return;
+    }
+
+    cron.schedule(config.ldap.syncCronSchedule, async () => {
+        await runLdapSync();
+    });
+
+    logger.info('[LDAP] Sync job initialized', { schedule: config.ldap.syncCronSchedule });
+}
+
+module.exports = {
+    initLdapSyncJob,
+    runLdapSync
+};
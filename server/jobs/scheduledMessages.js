@@ -0,0 +1,42 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { releaseDueMessages } = require('../services/scheduledMessagesService');
+
+// Skip a run while the previous release is still in progress
+let releaseRunning = false;
+
+/**
+ * Release scheduled messages whose delivery time has passed
+ */
+async function runScheduledRelease() {
+    if (releaseRunning) {
+        logger.debug('[SCHEDULED] Previous release still running, skipping');
+        return;
+    }
+
+    releaseRunning = true;
+    try {
+        await releaseDueMessages();
+    } catch (error) {
+        logger.error('[SCHEDULED] Release failed', error);
+    } finally {
+        releaseRunning = false;
+    }
+}
+
+/**
+ * Initialize scheduled message release job (runs every minute by default)
+ */
+function initScheduledMessagesJob() {
+    cron.schedule(config.scheduledMessages.releaseCronSchedule, async () => {
+        await runScheduledRelease();
+    });
+
+    logger.info('[SCHEDULED] Release job initialized', { schedule: config.scheduledMessages.releaseCronSchedule });
+}
+
+module.exports = {
+    initScheduledMessagesJob,
+    runScheduledRelease
+};
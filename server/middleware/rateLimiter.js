@@ -1,4 +1,5 @@
 const rateLimit = require('express-rate-limit');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
 /**
@@ -146,6 +147,103 @@ const signalKeyLimiter = rateLimit({
   }
 });
 
+// Limiter for SCIM provisioning (/scim/v2): identity providers sync in bursts
+const scimLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 300, // Max 300 SCIM requests per minute per IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false },
+  handler: (req, res) => {
+    logger.warn('[RATE_LIMIT] SCIM limit exceeded', { ip: req.ip, path: req.path });
+    res.status(429).type('application/scim+json').json({
+      schemas: ['urn:ietf:params:scim:api:messages:2.0:Error'],
+      status: '429',
+      detail: 'Too many requests, please try again later'
+    });
+  }
+});
+
+/**
+ * Per-user message send limit (Socket.IO)
+ *
+ * The limiters above count HTTP requests per IP. Message sends arrive as
+ * socket events, so they are counted per user across all devices in a fixed
+ * window (config.messageRateLimit). A 1:1 message is sent once per recipient
+ * device with the same itemId; those envelopes count as one message, up to
+ * envelopeLimit envelopes per itemId (the devices of recipient and sender).
+ * Further envelopes with that itemId count as another message.
+ */
+const MESSAGE_SEND_EVENTS = ['sendItem', 'sendGroupItem', 'editItem', 'editGroupItem', 'scheduleItem', 'scheduleGroupItem'];
+const messageCounters = new Map();
+let nextMessageCounterPrune = 0;
+
+/**
+ * Count a message send of a user
+ * @param {string} userId - Sender UUID
+ * @param {string} [itemId] - Item ID (envelopes of one message count once)
+ * @param {number} [envelopeLimit] - Envelopes per itemId counted as one message (default 1)
+ * @returns {Object} { allowed: true } or { allowed: false, error, retryAfter }
+ */
+function consumeMessageQuota(userId, itemId, envelopeLimit = 1) {
+  const { windowSeconds, maxMessages } = config.messageRateLimit;
+  if (!maxMessages) {
+    return { allowed: true };
+  }
+
+  const now = Date.now();
+  if (now > nextMessageCounterPrune) {
+    for (const [key, counter] of messageCounters) {
+      if (now > counter.resetAt) {
+        messageCounters.delete(key);
+      }
+    }
+    nextMessageCounterPrune = now + windowSeconds * 1000;
+  }
+
+  let counter = messageCounters.get(userId);
+  if (!counter || now > counter.resetAt) {
+    // itemId -> { envelopes, limit }
+    counter = { count: 0, resetAt: now + windowSeconds * 1000, items: new Map() };
+    messageCounters.set(userId, counter);
+  }
+
+  const item = itemId ? counter.items.get(itemId) : null;
+  if (item && item.envelopes < item.limit) {
+    item.envelopes++;
+    return { allowed: true };
+  }
+
+  if (counter.count >= maxMessages) {
+    logger.warn('[RATE_LIMIT] Message send limit exceeded', { userId });
+    return {
+      allowed: false,
+      error: 'Too many messages, please slow down',
+      retryAfter: Math.ceil((counter.resetAt - now) / 1000)
+    };
+  }
+
+  counter.count++;
+  if (item) {
+    item.envelopes = 1;
+  } else if (itemId) {
+    counter.items.set(itemId, { envelopes: 1, limit: Math.max(1, envelopeLimit) });
+  }
+  return { allowed: true };
+}
+
+/**
+ * Whether an itemId is already counted for a user in the current window
+ * (its further envelopes reuse the envelope limit of the first one)
+ * @param {string} userId - Sender UUID
+ * @param {string} [itemId] - Item ID
+ * @returns {boolean}
+ */
+function isTrackedMessageItem(userId, itemId) {
+  const counter = messageCounters.get(userId);
+  return Boolean(itemId && counter && Date.now() <= counter.resetAt && counter.items.has(itemId));
+}
+
 module.exports = {
   apiLimiter,
   authLimiter,
@@ -154,5 +252,9 @@ module.exports = {
   queryLimiter,
   passwordResetLimiter,
   sessionLimiter,
-  signalKeyLimiter
+  signalKeyLimiter,
+  scimLimiter,
+  MESSAGE_SEND_EVENTS,
+  consumeMessageQuota,
+  isTrackedMessageItem
 };
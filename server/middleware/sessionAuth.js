@@ -1,8 +1,10 @@
 const crypto = require('crypto');
-const { sequelize } = require('../db/model');
+const { sequelize, Client } = require('../db/model');
 const { sanitizeForLog } = require('../utils/logSanitizer');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const magicLinks = require('../store/magicLinksStore');
+const { SETUP_PATHS } = require('../services/twoFactorService');
 
 /**
  * HMAC-based session authentication middleware for native clients
@@ -202,6 +204,16 @@ async function verifyAuthEither(req, res, next) {
   // Session is cryptographically signed by Express session middleware
   if (req.session && req.session.uuid) {
     logger.debug(`[AuthEither] Web client detected, using cookie auth`);
+
+    // Restricted session: the required authenticator app is not set up yet
+    if (req.session.totpSetupPending && !SETUP_PATHS.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({
+        error: 'totp_setup_required',
+        message: 'Set up an authenticator app to continue',
+        totpSetupRequired: true
+      });
+    }
+
     req.userId = req.session.uuid;
     req.clientId = req.session.clientId; // Add clientId for web clients
     req.deviceId = req.session.deviceId; // Add deviceId for web clients
@@ -230,6 +242,26 @@ async function verifyAuthEither(req, res, next) {
   });
 }
 
+/**
+ * Resolve the calling device of a request authenticated by verifyAuthEither
+ * (web sessions may carry only the clientId)
+ * @param {Object} req - Express request
+ * @returns {Promise<number|null>} Device ID
+ */
+async function getDeviceId(req) {
+  if (req.deviceId) {
+    return req.deviceId;
+  }
+  if (!req.clientId) {
+    return null;
+  }
+  const client = await Client.findOne({
+    where: { clientid: req.clientId },
+    attributes: ['device_id']
+  });
+  return client?.device_id || null;
+}
+
 /**
  * Cleanup old nonces (should be called periodically)
  */
@@ -245,7 +277,7 @@ async function cleanupNonces() {
 }
 
 /**
- * Cleanup expired sessions
+ * Cleanup expired sessions and used or expired magic links
  */
 async function cleanupSessions() {
   try {
@@ -256,11 +288,18 @@ async function cleanupSessions() {
   } catch (err) {
     logger.error('[SessionAuth] Error cleaning up sessions:', err);
   }
+  try {
+    const removed = await magicLinks.cleanup();
+    logger.debug(`[SessionAuth] Cleaned up ${removed} used or expired magic links`);
+  } catch (err) {
+    logger.error('[SessionAuth] Error cleaning up magic links:', err);
+  }
 }
 
 module.exports = { 
   verifySessionAuth, 
   verifyAuthEither,
+  getDeviceId,
   cleanupNonces,
   cleanupSessions
 };
@@ -0,0 +1,77 @@
+/**
+ * Migration: Channel archiving
+ *
+ * Adds archivedAt / archivedBy to Channels. An archived channel is
+ * read-only and its history is kept by the retention cleanup.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    // Fresh installs: table is created with the columns by model sync
+    if (!(await tableExists('Channels'))) {
+      logger.info('[MIGRATION] Channels table does not exist yet - skipping');
+      return;
+    }
+
+    if (!(await columnExists('Channels', 'archivedAt'))) {
+      logger.info('[MIGRATION] Adding archivedAt column to Channels table...');
+      await queryInterface.addColumn('Channels', 'archivedAt', {
+        type: DataTypes.DATE,
+        allowNull: true
+      });
+    }
+
+    if (!(await columnExists('Channels', 'archivedBy'))) {
+      logger.info('[MIGRATION] Adding archivedBy column to Channels table...');
+      await queryInterface.addColumn('Channels', 'archivedBy', {
+        type: DataTypes.UUID,
+        allowNull: true
+      });
+    }
+
+    logger.info('[MIGRATION] ✅ Channel archiving ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add channel archive columns:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeColumn('Channels', 'archivedBy').catch(() => {});
+    await queryInterface.removeColumn('Channels', 'archivedAt').catch(() => {});
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Channel archive columns removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove channel archive columns:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
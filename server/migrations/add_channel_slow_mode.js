@@ -0,0 +1,68 @@
+/**
+ * Migration: Channel slow mode
+ *
+ * Adds slowModeSeconds to Channels (one post per member every N seconds,
+ * null = off).
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    // Fresh installs: table is created with the column by model sync
+    if (!(await tableExists('Channels'))) {
+      logger.info('[MIGRATION] Channels table does not exist yet - skipping');
+      return;
+    }
+
+    if (!(await columnExists('Channels', 'slowModeSeconds'))) {
+      logger.info('[MIGRATION] Adding slowModeSeconds column to Channels table...');
+      await queryInterface.addColumn('Channels', 'slowModeSeconds', {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      });
+    }
+
+    logger.info('[MIGRATION] ✅ Channel slow mode ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add channel slow mode column:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeColumn('Channels', 'slowModeSeconds').catch(() => {});
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Channel slow mode column removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove channel slow mode column:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
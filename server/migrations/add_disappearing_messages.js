@@ -0,0 +1,101 @@
+/**
+ * Migration: Disappearing messages
+ *
+ * Adds the per-channel timer (Channels.disappearingSeconds) and the per-item
+ * expiry stamp (Items.expiresAt, GroupItems.expiresAt) used by the sweeper.
+ *
+ * The direct_conversation_settings table (1:1 timers) is created by model sync.
+ */
+
+const { sequelize, dbReady } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+const COLUMNS = [
+  { table: 'Channels', column: 'disappearingSeconds', type: DataTypes.INTEGER },
+  { table: 'Items', column: 'expiresAt', type: DataTypes.DATE, index: 'items_expires_at' },
+  { table: 'GroupItems', column: 'expiresAt', type: DataTypes.DATE, index: 'group_items_expires_at' }
+];
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Helper: Check if index exists
+  const indexExists = async (indexName) => {
+    const [rows] = await sequelize.query(
+      `SELECT name FROM sqlite_master WHERE type='index' AND name=?`,
+      { replacements: [indexName] }
+    );
+    return rows.length > 0;
+  };
+
+  try {
+    for (const { table, column, type, index } of COLUMNS) {
+      // Fresh installs: model sync creates the table with the column,
+      // wait for it so the index below can still be created
+      if (!(await tableExists(table))) {
+        await dbReady;
+        if (!(await tableExists(table))) {
+          logger.info(`[MIGRATION] ${table} table does not exist yet - skipping`);
+          continue;
+        }
+      }
+
+      if (!(await columnExists(table, column))) {
+        logger.info(`[MIGRATION] Adding ${column} column to ${table} table...`);
+        await queryInterface.addColumn(table, column, {
+          type,
+          allowNull: true
+        });
+      }
+
+      // Not declared on the model: sync may run before the column exists
+      if (index && !(await indexExists(index))) {
+        await queryInterface.addIndex(table, [column], { name: index });
+      }
+    }
+
+    logger.info('[MIGRATION] ✅ Disappearing messages columns ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add disappearing messages columns:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    for (const { table, column, index } of COLUMNS) {
+      if (index) {
+        await queryInterface.removeIndex(table, index).catch(() => {});
+      }
+      await queryInterface.removeColumn(table, column).catch(() => {});
+    }
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Disappearing messages columns removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove disappearing messages columns:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,85 @@
+/**
+ * Migration: Add parentItemId to GroupItems table
+ *
+ * Purpose: Threaded replies in signal channels. A reply references the
+ * itemId of its thread root; items without parent form the main timeline.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Helper: Check if index exists
+  const indexExists = async (indexName) => {
+    const [rows] = await sequelize.query(
+      `SELECT name FROM sqlite_master WHERE type='index' AND name=?`,
+      { replacements: [indexName] }
+    );
+    return rows.length > 0;
+  };
+
+  try {
+    // Fresh installs: table is created with the column by model sync
+    if (!(await tableExists('GroupItems'))) {
+      logger.info('[MIGRATION] GroupItems table does not exist yet - skipping');
+      return;
+    }
+
+    if (!(await columnExists('GroupItems', 'parentItemId'))) {
+      logger.info('[MIGRATION] Adding parentItemId column to GroupItems table...');
+      await queryInterface.addColumn('GroupItems', 'parentItemId', {
+        type: DataTypes.STRING,
+        allowNull: true
+      });
+    }
+
+    // Index name must match the model definition
+    if (!(await indexExists('group_items_channel_parent_item_id'))) {
+      await queryInterface.addIndex('GroupItems', ['channel', 'parentItemId'], {
+        name: 'group_items_channel_parent_item_id'
+      });
+    }
+
+    logger.info('[MIGRATION] ✅ parentItemId column ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add parentItemId column:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeIndex('GroupItems', 'group_items_channel_parent_item_id').catch(() => {});
+    await queryInterface.removeColumn('GroupItems', 'parentItemId');
+
+    logger.info('[MIGRATION ROLLBACK] ✅ parentItemId column removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove parentItemId column:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
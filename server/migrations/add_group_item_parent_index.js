@@ -0,0 +1,74 @@
+/**
+ * Migration: Index GroupItems by channel and parentItemId
+ *
+ * Purpose: Thread reply lookups. add_group_item_parent skips fresh installs
+ * (model sync creates the table after it ran), and the index is not declared
+ * on the model, so it is (re)checked here once the schema is synced.
+ */
+
+const { sequelize, dbReady } = require('../db/model');
+const logger = require('../utils/logger');
+
+const INDEX_NAME = 'group_items_channel_parent_item_id';
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Helper: Check if index exists
+  const indexExists = async (indexName) => {
+    const [rows] = await sequelize.query(
+      `SELECT name FROM sqlite_master WHERE type='index' AND name=?`,
+      { replacements: [indexName] }
+    );
+    return rows.length > 0;
+  };
+
+  try {
+    // Fresh installs: wait for model sync to create the table
+    await dbReady;
+
+    if (!(await columnExists('GroupItems', 'parentItemId'))) {
+      logger.info('[MIGRATION] GroupItems.parentItemId does not exist yet - skipping');
+      return;
+    }
+
+    if (!(await indexExists(INDEX_NAME))) {
+      logger.info('[MIGRATION] Adding channel/parentItemId index to GroupItems table...');
+      await queryInterface.addIndex('GroupItems', ['channel', 'parentItemId'], {
+        name: INDEX_NAME
+      });
+    }
+
+    logger.info('[MIGRATION] ✅ GroupItems thread index ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add GroupItems thread index:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeIndex('GroupItems', INDEX_NAME).catch(() => {});
+
+    logger.info('[MIGRATION ROLLBACK] ✅ GroupItems thread index removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove GroupItems thread index:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
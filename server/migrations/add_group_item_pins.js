@@ -0,0 +1,123 @@
+/**
+ * Migration: Pinned messages
+ *
+ * Adds pinnedAt / pinnedBy to GroupItems (pinned items are exempt from the
+ * group message retention cleanup) and grants the new message.pin
+ * permission to the seeded Signal "Channel Moderator" role.
+ *
+ * The role is only updated while it still has the previous default
+ * permissions, so roles customized by an admin are left alone.
+ */
+
+const { sequelize, dbReady } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+const PREVIOUS_MODERATOR_PERMISSIONS = ['user.add', 'message.delete', 'user.kick', 'user.mute', 'role.assign', 'member.view'];
+const MODERATOR_PERMISSIONS = ['user.add', 'message.delete', 'message.pin', 'user.kick', 'user.mute', 'role.assign', 'member.view'];
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Helper: Check if index exists
+  const indexExists = async (indexName) => {
+    const [rows] = await sequelize.query(
+      `SELECT name FROM sqlite_master WHERE type='index' AND name=?`,
+      { replacements: [indexName] }
+    );
+    return rows.length > 0;
+  };
+
+  try {
+    // Fresh installs: model sync creates the table with the columns,
+    // wait for it so the index below can still be created
+    if (!(await tableExists('GroupItems'))) {
+      await dbReady;
+    }
+
+    if (await tableExists('GroupItems')) {
+      for (const column of ['pinnedAt', 'pinnedBy']) {
+        if (!(await columnExists('GroupItems', column))) {
+          logger.info(`[MIGRATION] Adding ${column} column to GroupItems table...`);
+          await queryInterface.addColumn('GroupItems', column, {
+            type: column === 'pinnedAt' ? DataTypes.DATE : DataTypes.UUID,
+            allowNull: true
+          });
+        }
+      }
+
+      // Not declared on the model: sync may run before the column exists
+      if (!(await indexExists('group_items_channel_pinned_at'))) {
+        await queryInterface.addIndex('GroupItems', ['channel', 'pinnedAt'], {
+          name: 'group_items_channel_pinned_at'
+        });
+      }
+    }
+
+    // Existing installs: seeded roles are not updated by findOrCreate
+    if (await tableExists('Roles')) {
+      const [roles] = await sequelize.query(
+        `SELECT uuid, permissions FROM Roles WHERE name = 'Channel Moderator' AND scope = 'channelSignal'`
+      );
+      for (const role of roles) {
+        const permissions = role.permissions ? JSON.parse(role.permissions) : [];
+        const isPreviousDefault = permissions.length === PREVIOUS_MODERATOR_PERMISSIONS.length &&
+          PREVIOUS_MODERATOR_PERMISSIONS.every(permission => permissions.includes(permission));
+
+        if (isPreviousDefault) {
+          logger.info('[MIGRATION] Granting message.pin to Signal Channel Moderator role...');
+          await sequelize.query(
+            `UPDATE Roles SET permissions = ? WHERE uuid = ?`,
+            { replacements: [JSON.stringify(MODERATOR_PERMISSIONS), role.uuid] }
+          );
+        }
+      }
+    }
+
+    logger.info('[MIGRATION] ✅ Pinned messages ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add pinned messages:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeIndex('GroupItems', 'group_items_channel_pinned_at').catch(() => {});
+    for (const column of ['pinnedAt', 'pinnedBy']) {
+      await queryInterface.removeColumn('GroupItems', column).catch(() => {});
+    }
+
+    await sequelize.query(
+      `UPDATE Roles SET permissions = ? WHERE name = 'Channel Moderator' AND scope = 'channelSignal' AND permissions = ?`,
+      { replacements: [JSON.stringify(PREVIOUS_MODERATOR_PERMISSIONS), JSON.stringify(MODERATOR_PERMISSIONS)] }
+    );
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Pinned messages removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove pinned messages:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,146 @@
+/**
+ * Migration: Per-channel sequence numbers for GroupItems
+ *
+ * Adds Channels.lastSeq (counter) and GroupItems.seq, then numbers existing
+ * group items per channel in creation order so sync by sequence works for
+ * history stored before the upgrade as well.
+ */
+
+const { sequelize, dbReady } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Helper: Check if index exists
+  const indexExists = async (indexName) => {
+    const [rows] = await sequelize.query(
+      `SELECT name FROM sqlite_master WHERE type='index' AND name=?`,
+      { replacements: [indexName] }
+    );
+    return rows.length > 0;
+  };
+
+  try {
+    // Fresh installs: model sync creates the tables with the columns,
+    // wait for it so the index below can still be created
+    if (!(await tableExists('GroupItems')) || !(await tableExists('Channels'))) {
+      await dbReady;
+    }
+
+    if (!(await tableExists('GroupItems')) || !(await tableExists('Channels'))) {
+      logger.info('[MIGRATION] GroupItems / Channels table does not exist yet - skipping');
+      return;
+    }
+
+    if (!(await columnExists('Channels', 'lastSeq'))) {
+      logger.info('[MIGRATION] Adding lastSeq column to Channels table...');
+      await queryInterface.addColumn('Channels', 'lastSeq', {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    if (!(await columnExists('GroupItems', 'seq'))) {
+      logger.info('[MIGRATION] Adding seq column to GroupItems table...');
+      await queryInterface.addColumn('GroupItems', 'seq', {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      });
+    }
+
+    // Number items stored before the upgrade, continuing after lastSeq
+    const [unnumbered] = await sequelize.query(
+      `SELECT uuid, channel FROM GroupItems WHERE seq IS NULL ORDER BY channel, createdAt, uuid`
+    );
+
+    if (unnumbered.length > 0) {
+      logger.info(`[MIGRATION] Assigning sequence numbers to ${unnumbered.length} group items...`);
+
+      const byChannel = new Map();
+      for (const row of unnumbered) {
+        if (!byChannel.has(row.channel)) {
+          byChannel.set(row.channel, []);
+        }
+        byChannel.get(row.channel).push(row.uuid);
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        for (const [channelId, uuids] of byChannel) {
+          const [[channel]] = await sequelize.query(
+            `SELECT lastSeq FROM Channels WHERE uuid = ?`,
+            { replacements: [channelId], transaction }
+          );
+          const [[maxRow]] = await sequelize.query(
+            `SELECT MAX(seq) AS maxSeq FROM GroupItems WHERE channel = ?`,
+            { replacements: [channelId], transaction }
+          );
+          let seq = Math.max(channel?.lastSeq || 0, maxRow?.maxSeq || 0);
+
+          for (const uuid of uuids) {
+            seq++;
+            await sequelize.query(
+              `UPDATE GroupItems SET seq = ? WHERE uuid = ?`,
+              { replacements: [seq, uuid], transaction }
+            );
+          }
+
+          await sequelize.query(
+            `UPDATE Channels SET lastSeq = ? WHERE uuid = ?`,
+            { replacements: [seq, channelId], transaction }
+          );
+        }
+      });
+    }
+
+    // Not declared on the model: sync may run before the column exists
+    if (!(await indexExists('group_items_channel_seq'))) {
+      await queryInterface.addIndex('GroupItems', ['channel', 'seq'], {
+        name: 'group_items_channel_seq',
+        unique: true
+      });
+    }
+
+    logger.info('[MIGRATION] ✅ Group item sequence numbers ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add group item sequence numbers:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeIndex('GroupItems', 'group_items_channel_seq').catch(() => {});
+    await queryInterface.removeColumn('GroupItems', 'seq').catch(() => {});
+    await queryInterface.removeColumn('Channels', 'lastSeq').catch(() => {});
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Group item sequence numbers removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove group item sequence numbers:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,103 @@
+/**
+ * Migration: Sealed-sender support for Items table
+ *
+ * Purpose: Sealed-sender 1:1 items store only the recipient. sender and
+ * deviceSender become nullable and a sealed flag is added.
+ *
+ * SQLite cannot drop NOT NULL from a column, so the table is rebuilt:
+ * the stored CREATE statement is copied with the two constraints removed
+ * and the sealed column added, rows are copied over and the indexes are
+ * recreated. Rows pointing at users that no longer exist cannot be copied
+ * under foreign key enforcement and are dropped (they were undeliverable
+ * anyway).
+ */
+
+const { sequelize, dbReady } = require('../db/model');
+const logger = require('../utils/logger');
+
+const REBUILD_TABLE = 'Items_sealed_rebuild';
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    // Fresh installs: table is created with the new schema by model sync
+    if (!(await tableExists('Items'))) {
+      logger.info('[MIGRATION] Items table does not exist yet - skipping');
+      return;
+    }
+
+    // Do not rebuild while model sync may still touch the table
+    await dbReady;
+
+    if (await columnExists('Items', 'sealed')) {
+      logger.info('[MIGRATION] Items table already supports sealed sender - skipping');
+      return;
+    }
+
+    logger.info('[MIGRATION] Rebuilding Items table for sealed sender...');
+
+    const [[table]] = await sequelize.query(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'Items'"
+    );
+    const [indexes] = await sequelize.query(
+      "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'Items' AND sql IS NOT NULL"
+    );
+    const columns = Object.keys(await queryInterface.describeTable('Items'))
+      .map(column => `\`${column}\``)
+      .join(', ');
+
+    const createSql = table.sql
+      .replace(/^CREATE TABLE [`"]?Items[`"]?/, `CREATE TABLE \`${REBUILD_TABLE}\``)
+      .replace(/([`"]sender[`"] UUID) NOT NULL/, '$1')
+      .replace(/([`"]deviceSender[`"] INTEGER) NOT NULL/, '$1')
+      .replace(/\)\s*$/, ', `sealed` TINYINT(1) NOT NULL DEFAULT 0)');
+
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query(`DROP TABLE IF EXISTS \`${REBUILD_TABLE}\``, { transaction });
+      await sequelize.query(createSql, { transaction });
+      await sequelize.query(
+        `INSERT INTO \`${REBUILD_TABLE}\` (${columns})
+         SELECT ${columns} FROM Items
+         WHERE receiver IN (SELECT uuid FROM Users)
+           AND sender IN (SELECT uuid FROM Users)
+           AND (originalRecipient IS NULL OR originalRecipient IN (SELECT uuid FROM Users))`,
+        { transaction }
+      );
+      await sequelize.query('DROP TABLE Items', { transaction });
+      await sequelize.query(`ALTER TABLE \`${REBUILD_TABLE}\` RENAME TO Items`, { transaction });
+      for (const index of indexes) {
+        await sequelize.query(index.sql, { transaction });
+      }
+    });
+
+    logger.info('[MIGRATION] ✅ Items table ready for sealed sender');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add sealed sender support to Items:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  // No rollback - sealed items have no sender to restore the NOT NULL constraint with
+  logger.warn('[MIGRATION] Rollback not implemented - sealed items cannot get a sender back');
+}
+
+module.exports = { up, down };
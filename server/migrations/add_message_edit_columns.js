@@ -0,0 +1,102 @@
+/**
+ * Migration: Add editOf and revision to Items and GroupItems tables
+ *
+ * Purpose: Message editing. An edit is delivered like a normal message
+ * (type "edit") that points at the original via editOf and carries the
+ * server-assigned revision number. Originals in GroupItems get their
+ * revision bumped so channel listings show the latest version.
+ *
+ * The message_revisions table (version history) is created by model sync.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+const TABLES = ['Items', 'GroupItems'];
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    for (const table of TABLES) {
+      // Fresh installs: table is created with the columns by model sync
+      if (!(await tableExists(table))) {
+        logger.info(`[MIGRATION] ${table} table does not exist yet - skipping`);
+        continue;
+      }
+
+      if (!(await columnExists(table, 'editOf'))) {
+        logger.info(`[MIGRATION] Adding editOf column to ${table} table...`);
+        await queryInterface.addColumn(table, 'editOf', {
+          type: DataTypes.STRING,
+          allowNull: true
+        });
+      }
+
+      if (!(await columnExists(table, 'revision'))) {
+        logger.info(`[MIGRATION] Adding revision column to ${table} table...`);
+        await queryInterface.addColumn(table, 'revision', {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        });
+      }
+    }
+
+    logger.info('[MIGRATION] ✅ Message edit columns ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add message edit columns:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    for (const table of TABLES) {
+      for (const column of ['editOf', 'revision']) {
+        if (await columnExists(table, column)) {
+          logger.info(`[MIGRATION ROLLBACK] Removing ${column} column from ${table} table...`);
+          await queryInterface.removeColumn(table, column);
+        }
+      }
+    }
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Message edit columns removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove message edit columns:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,68 @@
+/**
+ * Migration: Add mentions to scheduled_messages table
+ *
+ * Purpose: Scheduled group messages keep their @mentions so the release
+ * stores them and sends mention pushes like a live send.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    // Fresh installs: table is created with the column by model sync
+    if (!(await tableExists('scheduled_messages'))) {
+      logger.info('[MIGRATION] scheduled_messages table does not exist yet - skipping');
+      return;
+    }
+
+    if (!(await columnExists('scheduled_messages', 'mentions'))) {
+      logger.info('[MIGRATION] Adding mentions column to scheduled_messages table...');
+      await queryInterface.addColumn('scheduled_messages', 'mentions', {
+        type: DataTypes.TEXT,
+        allowNull: true
+      });
+    }
+
+    logger.info('[MIGRATION] ✅ scheduled_messages mentions column ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add scheduled_messages mentions column:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeColumn('scheduled_messages', 'mentions');
+
+    logger.info('[MIGRATION ROLLBACK] ✅ scheduled_messages mentions column removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove scheduled_messages mentions column:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
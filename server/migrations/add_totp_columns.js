@@ -0,0 +1,98 @@
+/**
+ * Migration: Authenticator app (TOTP) second factor
+ *
+ * Adds the per-user TOTP secret, activation time and last accepted time step
+ * to Users, and the totp_policy setting ('off', 'admins', 'everyone') to
+ * ServerSettings.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+const COLUMNS = {
+  Users: {
+    totp_secret: { type: DataTypes.STRING, allowNull: true },
+    totp_enabled_at: { type: DataTypes.DATE, allowNull: true },
+    totp_last_step: { type: DataTypes.INTEGER, allowNull: true }
+  },
+  ServerSettings: {
+    totp_policy: { type: DataTypes.STRING, allowNull: false, defaultValue: 'off' }
+  }
+};
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+      // Fresh installs: table is created with the columns by model sync
+      if (!(await tableExists(table))) {
+        logger.info(`[MIGRATION] ${table} table does not exist yet - skipping`);
+        continue;
+      }
+
+      for (const [column, definition] of Object.entries(columns)) {
+        if (!(await columnExists(table, column))) {
+          logger.info(`[MIGRATION] Adding ${column} column to ${table} table...`);
+          await queryInterface.addColumn(table, column, definition);
+        }
+      }
+    }
+
+    logger.info('[MIGRATION] ✅ Authenticator app (TOTP) columns ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add TOTP columns:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+      for (const column of Object.keys(columns)) {
+        if (await columnExists(table, column)) {
+          logger.info(`[MIGRATION ROLLBACK] Removing ${column} column from ${table} table...`);
+          await queryInterface.removeColumn(table, column);
+        }
+      }
+    }
+
+    logger.info('[MIGRATION ROLLBACK] ✅ TOTP columns removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove TOTP columns:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,95 @@
+/**
+ * Migration: Add notification snooze and do-not-disturb columns to Users table
+ *
+ * Purpose: Server-side notification preferences. Push notifications and the
+ * notify flag of realtime message events are suppressed while the user is
+ * snoozed (notifications_snoozed_until) or inside the daily do-not-disturb
+ * window (dnd_start - dnd_end in dnd_timezone).
+ *
+ * Per-channel and per-conversation levels (notification_preferences table)
+ * are created by model sync.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+const COLUMNS = {
+  notifications_snoozed_until: { type: DataTypes.DATE, allowNull: true },
+  dnd_enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  dnd_start: { type: DataTypes.STRING, allowNull: true },
+  dnd_end: { type: DataTypes.STRING, allowNull: true },
+  dnd_timezone: { type: DataTypes.STRING, allowNull: true }
+};
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    // Fresh installs: table is created with the columns by model sync
+    if (!(await tableExists('Users'))) {
+      logger.info('[MIGRATION] Users table does not exist yet - skipping');
+      return;
+    }
+
+    for (const [column, definition] of Object.entries(COLUMNS)) {
+      if (!(await columnExists('Users', column))) {
+        logger.info(`[MIGRATION] Adding ${column} column to Users table...`);
+        await queryInterface.addColumn('Users', column, definition);
+      }
+    }
+
+    logger.info('[MIGRATION] ✅ Notification snooze / do-not-disturb columns ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add do-not-disturb columns:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    for (const column of Object.keys(COLUMNS)) {
+      if (await columnExists('Users', column)) {
+        logger.info(`[MIGRATION ROLLBACK] Removing ${column} column from Users table...`);
+        await queryInterface.removeColumn('Users', column);
+      }
+    }
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Do-not-disturb columns removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove do-not-disturb columns:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,68 @@
+/**
+ * Migration: Directory deprovisioning
+ *
+ * Adds deprovisioned_at to user_identities: set when the LDAP sync deactivates
+ * a user whose entry left the directory, cleared when it returns.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    // Fresh installs: table is created with the column by model sync
+    if (!(await tableExists('user_identities'))) {
+      logger.info('[MIGRATION] user_identities table does not exist yet - skipping');
+      return;
+    }
+
+    if (!(await columnExists('user_identities', 'deprovisioned_at'))) {
+      logger.info('[MIGRATION] Adding deprovisioned_at column to user_identities table...');
+      await queryInterface.addColumn('user_identities', 'deprovisioned_at', {
+        type: DataTypes.DATE,
+        allowNull: true
+      });
+    }
+
+    logger.info('[MIGRATION] ✅ Directory deprovisioning ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add deprovisioned_at column:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeColumn('user_identities', 'deprovisioned_at').catch(() => {});
+
+    logger.info('[MIGRATION ROLLBACK] ✅ deprovisioned_at column removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove deprovisioned_at column:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,96 @@
+/**
+ * Migration: Announcement channels
+ *
+ * Adds the announcement flag to Channels and grants the new message.post
+ * permission to the seeded Signal "Channel Moderator" role.
+ *
+ * The role is only updated while it still has the previous default
+ * permissions (including message.pin from add_group_item_pins, which runs
+ * before this migration), so roles customized by an admin are left alone.
+ */
+
+const { sequelize } = require('../db/model');
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+const PREVIOUS_MODERATOR_PERMISSIONS = ['user.add', 'message.delete', 'message.pin', 'user.kick', 'user.mute', 'role.assign', 'member.view'];
+const MODERATOR_PERMISSIONS = ['user.add', 'message.post', 'message.delete', 'message.pin', 'user.kick', 'user.mute', 'role.assign', 'member.view'];
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  // Helper: Check if column exists
+  const columnExists = async (tableName, columnName) => {
+    try {
+      const tableInfo = await queryInterface.describeTable(tableName);
+      return columnName in tableInfo;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  try {
+    // Fresh installs: table is created with the column by model sync
+    if (await tableExists('Channels') && !(await columnExists('Channels', 'announcement'))) {
+      logger.info('[MIGRATION] Adding announcement column to Channels table...');
+      await queryInterface.addColumn('Channels', 'announcement', {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      });
+    }
+
+    // Existing installs: seeded roles are not updated by findOrCreate
+    if (await tableExists('Roles')) {
+      const [roles] = await sequelize.query(
+        `SELECT uuid, permissions FROM Roles WHERE name = 'Channel Moderator' AND scope = 'channelSignal'`
+      );
+      for (const role of roles) {
+        const permissions = role.permissions ? JSON.parse(role.permissions) : [];
+        const isPreviousDefault = permissions.length === PREVIOUS_MODERATOR_PERMISSIONS.length &&
+          PREVIOUS_MODERATOR_PERMISSIONS.every(permission => permissions.includes(permission));
+
+        if (isPreviousDefault) {
+          logger.info('[MIGRATION] Granting message.post to Signal Channel Moderator role...');
+          await sequelize.query(
+            `UPDATE Roles SET permissions = ? WHERE uuid = ?`,
+            { replacements: [JSON.stringify(MODERATOR_PERMISSIONS), role.uuid] }
+          );
+        }
+      }
+    }
+
+    logger.info('[MIGRATION] ✅ Announcement channels ready');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to add announcement channels:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await queryInterface.removeColumn('Channels', 'announcement').catch(() => {});
+
+    await sequelize.query(
+      `UPDATE Roles SET permissions = ? WHERE name = 'Channel Moderator' AND scope = 'channelSignal' AND permissions = ?`,
+      { replacements: [JSON.stringify(PREVIOUS_MODERATOR_PERMISSIONS), JSON.stringify(MODERATOR_PERMISSIONS)] }
+    );
+
+    logger.info('[MIGRATION ROLLBACK] ✅ Announcement channels removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION ROLLBACK] Failed to remove announcement channels:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
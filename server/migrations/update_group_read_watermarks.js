@@ -0,0 +1,67 @@
+/**
+ * Migration: Read watermarks instead of per-item read receipts
+ *
+ * Replaces GroupItemReads (one row per item and device) with
+ * ChannelReadPositions (one watermark per device and channel/thread).
+ *
+ * Existing receipts are converted to the highest seq a device has read:
+ * - Main timeline items → channel watermark (threadRootItemId '')
+ * - Thread replies → watermark of their thread
+ * Afterwards the GroupItemReads table is dropped.
+ *
+ * Runs after add_group_item_seq (alphabetical order), so every item has a seq.
+ */
+
+const { sequelize, dbReady } = require('../db/model');
+const logger = require('../utils/logger');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  // Helper: Check if table exists
+  const tableExists = async (tableName) => {
+    const tables = await queryInterface.showAllTables();
+    return tables.includes(tableName);
+  };
+
+  try {
+    if (!(await tableExists('GroupItemReads'))) {
+      logger.info('[MIGRATION] GroupItemReads table does not exist - nothing to convert');
+      return;
+    }
+
+    // ChannelReadPositions is created by model sync
+    await dbReady;
+
+    logger.info('[MIGRATION] Converting GroupItemReads to read watermarks...');
+
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query(
+        `INSERT OR IGNORE INTO ChannelReadPositions
+           (userId, deviceId, channelId, threadRootItemId, lastReadSeq, lastReadAt, createdAt, updatedAt)
+         SELECT r.userId, r.deviceId, g.channel, COALESCE(g.parentItemId, ''), MAX(g.seq), MAX(g.timestamp),
+                MIN(r.readAt), MAX(r.readAt)
+         FROM GroupItemReads r
+         JOIN GroupItems g ON g.uuid = r.itemId
+         WHERE g.seq IS NOT NULL
+         GROUP BY r.userId, r.deviceId, g.channel, COALESCE(g.parentItemId, '')`,
+        { transaction }
+      );
+
+      await sequelize.query('DROP TABLE GroupItemReads', { transaction });
+    });
+
+    logger.info('[MIGRATION] ✅ GroupItemReads converted and removed');
+
+  } catch (error) {
+    logger.error('[MIGRATION] Failed to convert GroupItemReads:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  // No rollback - per-item receipts cannot be rebuilt from watermarks
+  logger.warn('[MIGRATION] Rollback not implemented - GroupItemReads cannot be restored from watermarks');
+}
+
+module.exports = { up, down };
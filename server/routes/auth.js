@@ -12,12 +12,16 @@ const rateLimit = require('express-rate-limit');
 const { sessionLimiter, authLimiter } = require('../middleware/rateLimiter');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const magicLinks = require('../store/magicLinksStore');
-const { User, OTP, Client, ClientSession, RefreshToken, SignalPreKey, SignalSignedPreKey, Item, GroupItem, GroupItemRead, sequelize } = require('../db/model');
+const { User, OTP, Client, ClientSession, RefreshToken, SignalPreKey, SignalSignedPreKey, Item, GroupItem, ChannelReadPosition, sequelize } = require('../db/model');
 const bcrypt = require("bcrypt");
 const writeQueue = require('../db/writeQueue');
 const { autoAssignRoles } = require('../db/autoAssignRoles');
 const { generateAuthToken, verifyAuthToken, revokeToken } = require('../utils/jwtHelper');
 const { verifySessionAuth, verifyAuthEither } = require('../middleware/sessionAuth');
+const ldapService = require('../services/ldapService');
+const userAccount = require('../services/userAccountService');
+const twoFactor = require('../services/twoFactorService');
+const { verifyBackupCode } = twoFactor;
 
 /**
  * Generate a refresh token for native client session renewal
@@ -95,8 +99,8 @@ async function findOrCreateClient(clientId, userUuid, req, deviceInfo) {
         });
         logger.warn('[CLIENT] Deleting all server-side data', { deviceId: oldDeviceId, oldOwner: sanitizeForLog(oldOwner) });
         
-        // Delete all messages and read receipts for this device by the old owner
-        const [itemsDeleted, groupItemsDeleted, readReceiptsDeleted] = await Promise.all([
+        // Delete all messages and read positions for this device by the old owner
+        const [itemsDeleted, groupItemsDeleted, readPositionsDeleted] = await Promise.all([
             Item.destroy({ 
                 where: { 
                     [Op.or]: [
@@ -111,7 +115,7 @@ async function findOrCreateClient(clientId, userUuid, req, deviceInfo) {
                     senderDevice: oldDeviceId 
                 } 
             }),
-            GroupItemRead.destroy({
+            ChannelReadPosition.destroy({
                 where: {
                     userId: oldOwner,
                     deviceId: oldDeviceId
@@ -119,7 +123,7 @@ async function findOrCreateClient(clientId, userUuid, req, deviceInfo) {
             })
         ]);
         
-        logger.warn('[CLIENT] Deleted messages', { itemsDeleted, groupItemsDeleted, readReceiptsDeleted });
+        logger.warn('[CLIENT] Deleted messages', { itemsDeleted, groupItemsDeleted, readPositionsDeleted });
         
         // Delete all Signal protocol keys (prevents decryption of old messages)
         // Note: SenderKeys removed - not stored on server per Signal Protocol
@@ -250,33 +254,6 @@ async function saveBackupCodes(email, codes) {
     return codes; // Nur einmalig dem User zeigen!
 }
 
-async function verifyBackupCode(email, enteredCode) {
-    const user = await User.findOne({ where: { email: email } });
-
-    if (!user || !user.backupCodes) return false;
-
-    let codes = JSON.parse(user.backupCodes);
-
-    for (let codeObj of codes) {
-        if (!codeObj.used && await bcrypt.compare(enteredCode, codeObj.codeHash)) {
-            // Code gültig → markieren als verbraucht
-            codeObj.used = true;
-
-            await writeQueue.enqueue(
-                () => User.update(
-                    { backupCodes: JSON.stringify(codes) },
-                    { where: { email: email } }
-                ),
-                'verifyBackupCode'
-            );
-
-            return true; // Erfolg
-        }
-    }
-
-    return false; // Kein Treffer
-}
-
 // Rate limiters for security-sensitive endpoints
 const tokenExchangeLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -822,6 +799,15 @@ authRoutes.post("/otp", (req, res) => {
         } else if (otp.expiration < Date.now()) {
             return res.status(400).json({ error: "OTP expired. Please request a new one." });
         } else {
+            // Authenticator app as second factor: the email OTP stays valid until both codes match
+            const account = await User.findOne({ where: { email } });
+            if (!account) {
+                return res.status(400).json({ error: "Invalid OTP" });
+            }
+            const secondFactor = await twoFactor.checkLogin(account, req.body);
+            if (!secondFactor.allowed) {
+                return res.status(secondFactor.status).json({ error: secondFactor.error, totpRequired: true });
+            }
             await writeQueue.enqueue(
                 () => OTP.destroy({ where: { email: email } }),
                 'destroyOTP'
@@ -831,6 +817,9 @@ authRoutes.post("/otp", (req, res) => {
                 'verifyUser'
             );
             const updatedUser = await User.findOne({ where: { email } });
+            if (await userAccount.isDeprovisioned(updatedUser.uuid)) {
+                return res.status(403).json({ error: userAccount.ACCOUNT_DEACTIVATED });
+            }
             
             // Auto-assign roles based on email and configuration
             await autoAssignRoles(email, updatedUser.uuid);
@@ -850,8 +839,13 @@ authRoutes.post("/otp", (req, res) => {
                 logger.debug('[INVITATION] Invitation used', { email: sanitizeForLog(email) });
             }
             
-            req.session.otp = true;
-            req.session.authenticated = true;
+            if (secondFactor.setupRequired) {
+                // Only the authenticator setup until it is enabled
+                twoFactor.restrictSession(req.session, { otp: true });
+            } else {
+                req.session.otp = true;
+                req.session.authenticated = true;
+            }
             req.session.uuid = updatedUser.uuid; // ensure uuid present
             req.session.email = updatedUser.email; // Store email for backup codes
             // Update registration step based on user status
@@ -876,10 +870,14 @@ authRoutes.post("/otp", (req, res) => {
                     logger.error('[AUTH] Session save error (/otp)', err);
                     return res.status(500).json({ status: "error", message: "Session save error" });
                 }
+                const response = { status: "ok", message: "Authentication successful" };
+                if (secondFactor.setupRequired) {
+                    response.totpSetupRequired = true;
+                }
                 if(!updatedUser.backupCodes) {
-                    res.status(202).json({ status: "ok", message: "Authentication successful" });
+                    res.status(202).json(response);
                 } else {
-                    res.status(200).json({ status: "ok", message: "Authentication successful" });
+                    res.status(200).json(response);
                 }
             });
         }
@@ -889,8 +887,79 @@ authRoutes.post("/otp", (req, res) => {
     });
 });
 
+/**
+ * POST /ldap/login
+ * Sign in with directory credentials (config.ldap), alternative to /otp
+ * Body: { username, password, clientId?, totpCode?, backupCode? }
+ */
+authRoutes.post("/ldap/login", authLimiter, async (req, res) => {
+    if (!ldapService.isEnabled()) {
+        return res.status(404).json({ error: "Directory login is not configured" });
+    }
+
+    try {
+        const { username, password } = req.body || {};
+        const result = await ldapService.authenticate({ username, password });
+        if (!result.success) {
+            logger.warn(`[LDAP] Login rejected: ${result.error}`);
+            return res.status(result.status).json({ error: result.error });
+        }
+        const { user } = result;
+        // Locked out by another provisioning source (SCIM)
+        if (await userAccount.isDeprovisioned(user.uuid)) {
+            return res.status(403).json({ error: userAccount.ACCOUNT_DEACTIVATED });
+        }
+        const secondFactor = await twoFactor.checkLogin(user, req.body);
+        if (!secondFactor.allowed) {
+            return res.status(secondFactor.status).json({ error: secondFactor.error, totpRequired: true });
+        }
+
+        // Set user as active on authentication (same as passkey login)
+        await writeQueue.enqueue(
+            () => User.update({ active: true }, { where: { uuid: user.uuid } }),
+            'setUserActiveOnAuth'
+        );
+
+        if (secondFactor.setupRequired) {
+            // Only the authenticator setup until it is enabled
+            twoFactor.restrictSession(req.session);
+        } else {
+            req.session.authenticated = true;
+        }
+        req.session.uuid = user.uuid;
+        req.session.email = user.email;
+        req.session.registrationStep = 'complete';
+        // Optional: attach client info immediately if provided
+        const clientId = req.body && req.body.clientId;
+        if (clientId) {
+            const maxDevice = await Client.max('device_id', { where: { owner: user.uuid } });
+            const [client] = await Client.findOrCreate({
+                where: { owner: user.uuid, clientid: clientId },
+                defaults: { owner: user.uuid, clientid: clientId, device_id: maxDevice ? maxDevice + 1 : 1 }
+            });
+            req.session.deviceId = client.device_id || (client.get ? client.get('device_id') : undefined);
+            req.session.clientId = client.clientid || (client.get ? client.get('clientid') : undefined);
+        }
+        return req.session.save(err => {
+            if (err) {
+                logger.error('[AUTH] Session save error (/ldap/login)', err);
+                return res.status(500).json({ status: "error", message: "Session save error" });
+            }
+            const response = { status: "ok", message: "Authentication successful" };
+            if (secondFactor.setupRequired) {
+                response.totpSetupRequired = true;
+            }
+            res.status(200).json(response);
+        });
+    } catch (error) {
+        logger.error('[LDAP] Error during directory login', error);
+        res.status(502).json({ error: "Directory server is not reachable" });
+    }
+});
+
 authRoutes.get("/backupcode/list", async(req, res) => {
-    if (!req.session.authenticated) {
+    // Also during the authenticator setup: backup codes are its recovery
+    if (!req.session.authenticated && !req.session.totpSetupPending) {
         return res.status(401).json({ error: "Unauthorized" });
     }
     try {
@@ -962,6 +1031,9 @@ authRoutes.post("/backupcode/verify", async(req, res) => {
             req.session.backupCodeBrute = { count: 0, waitUntil: 0 };
             // Find user to set uuid in session
             const user = await User.findOne({ where: { email } });
+            if (await userAccount.isDeprovisioned(user.uuid)) {
+                return res.status(403).json({ error: userAccount.ACCOUNT_DEACTIVATED });
+            }
             req.session.authenticated = true;
             req.session.uuid = user.uuid;
             // Optional: set client if provided
@@ -1031,6 +1103,9 @@ authRoutes.post("/backupcode/mobile-verify", sessionLimiter, async(req, res) =>
         if (!user) {
             return res.status(404).json({ error: "User not found" });
         }
+        if (await userAccount.isDeprovisioned(user.uuid)) {
+            return res.status(403).json({ error: userAccount.ACCOUNT_DEACTIVATED });
+        }
         
         // Set session as authenticated
         req.session.authenticated = true;
@@ -1170,6 +1245,86 @@ authRoutes.post("/backupcode/regenerate", sessionLimiter, verifyAuthEither, asyn
     }
 });
 
+/**
+ * GET /totp/status
+ * Authenticator app status of the current user and the server policy
+ */
+authRoutes.get("/totp/status", sessionLimiter, verifyAuthEither, async (req, res) => {
+    try {
+        const status = await twoFactor.getStatus(req.userId);
+        if (!status) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        res.status(200).json({ status: "ok", totp: status });
+    } catch (error) {
+        logger.error('[2FA] Error fetching authenticator status', error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+/**
+ * POST /totp/setup
+ * Generate a new authenticator secret; the client shows the otpauth:// URI as QR code
+ */
+authRoutes.post("/totp/setup", sessionLimiter, verifyAuthEither, async (req, res) => {
+    try {
+        const result = await twoFactor.startEnrollment(req.userId);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(200).json({ status: "ok", secret: result.secret, uri: result.uri });
+    } catch (error) {
+        logger.error('[2FA] Error starting authenticator setup', error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+/**
+ * POST /totp/enable
+ * Activate the authenticator with a code from the app
+ * Body: { code }
+ */
+authRoutes.post("/totp/enable", sessionLimiter, verifyAuthEither, async (req, res) => {
+    try {
+        const result = await twoFactor.confirmEnrollment(req.userId, req.body && req.body.code);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        // Restricted login session becomes a full session
+        if (!req.sessionAuth && twoFactor.releaseSession(req.session)) {
+            return req.session.save(err => {
+                if (err) {
+                    logger.error('[AUTH] Session save error (/totp/enable)', err);
+                    return res.status(500).json({ status: "error", message: "Session save error" });
+                }
+                res.status(200).json({ status: "ok", message: "Authenticator app enabled" });
+            });
+        }
+        res.status(200).json({ status: "ok", message: "Authenticator app enabled" });
+    } catch (error) {
+        logger.error('[2FA] Error enabling authenticator', error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+/**
+ * POST /totp/disable
+ * Remove the authenticator (not allowed while the server policy requires it)
+ * Body: { totpCode } or { backupCode }
+ */
+authRoutes.post("/totp/disable", sessionLimiter, verifyAuthEither, async (req, res) => {
+    try {
+        const result = await twoFactor.disable(req.userId, req.body);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(200).json({ status: "ok", message: "Authenticator app disabled" });
+    } catch (error) {
+        logger.error('[2FA] Error disabling authenticator', error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
 // POST logout route - destroys session and clears cookie
 authRoutes.post("/logout", async (req, res) => {
     // Support both HMAC (native) and Session (web) authentication
@@ -1522,6 +1677,9 @@ authRoutes.post('/webauthn/authenticate-challenge', async (req, res) => {
         if(!user) {
             throw new AppError("User not found. Please register first.", 404);
         }
+        if (await userAccount.isDeprovisioned(user.uuid)) {
+            throw new AppError(userAccount.ACCOUNT_DEACTIVATED, 403);
+        }
         if(!user.credentials && !user.backupCodes) {
             throw new AppError("Account is not verified. Please verify with OTP.", 401, email);
         }
@@ -1958,7 +2116,7 @@ authRoutes.get("/magic/generate", sessionLimiter, verifyAuthEither, async (req,
         const serverUrl = `${protocol}://${host}`;
         const randomHash = crypto.randomBytes(32).toString('hex');
         const timestamp = Date.now();
-        const expiresAt = timestamp + 5 * 60 * 1000; // 5 min expiry
+        const expiresAt = timestamp + config.magicLink.expiresMinutes * 60 * 1000;
         
         logger.debug('[Magic Key] Generating key', { serverUrl });
         
@@ -1971,21 +2129,13 @@ authRoutes.get("/magic/generate", sessionLimiter, verifyAuthEither, async (req,
         // Construct magic key with pipe delimiter (safe for all URL formats including IPv6)
         const magicKey = `${serverUrl}|${randomHash}|${timestamp}|${signature}`;
         
-        // Store in temporary store (one-time use)
-        magicLinks.set(randomHash, { 
+        // Store hashed in the database (one-time use, removed by the session cleanup)
+        await magicLinks.create(randomHash, { 
             email: user.email, 
             uuid: req.userId, 
-            expires: expiresAt,
-            used: false  // Flag for one-time use
+            expires: expiresAt
         });
         
-        // Cleanup expired keys
-        for (const [key, value] of magicLinks.entries()) {
-            if (value.expires < Date.now()) {
-                magicLinks.delete(key);
-            }
-        }
-        
         res.json({ magicKey: magicKey, expiresAt: expiresAt });
     } catch (error) {
         logger.error('[Magic Key] Error generating magic key', error);
@@ -2247,6 +2397,9 @@ authRoutes.post('/token/exchange', tokenExchangeLimiter, async (req, res) => {
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
+        if (await userAccount.isDeprovisioned(user.uuid)) {
+            return res.status(403).json({ error: userAccount.ACCOUNT_DEACTIVATED });
+        }
         
         // Use shared function to find or create Signal Client record (required for Signal protocol)
         const deviceInfo = req.body && req.body.deviceInfo;
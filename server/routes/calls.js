@@ -6,6 +6,7 @@ const { verifySessionAuth, verifyAuthEither } = require('../middleware/sessionAu
 const logger = require('../utils/logger');
 const { sendCallNotification, sendMeetingNotification } = require('../services/push_notifications');
 const { User } = require('../db/model');
+const blockService = require('../services/blockService');
 
 /**
  * Create instant call (wrapper around createMeeting)
@@ -144,6 +145,19 @@ router.post('/calls/:callId/invite', verifyAuthEither, async (req, res) => {
       return res.status(403).json({ error: 'Must be call participant to invite' });
     }
 
+    // Check if requester has blocked the user or vice versa
+    const blockExists = await blockService.findBlockBetween(currentUserId, user_id);
+    if (blockExists) {
+      const direction = blockExists.blocker_uuid === currentUserId ? 'you_blocked' : 'they_blocked';
+      return res.status(403).json({
+        error: direction === 'you_blocked'
+          ? 'You have blocked this user. Unblock to invite them to calls.'
+          : 'This user has blocked you. Cannot invite them to calls.',
+        isBlocked: true,
+        direction
+      });
+    }
+
     // Add new participant
     const newParticipant = await meetingService.addParticipant({
       meeting_id: callId,
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config/config');
+const { verifyAuthEither } = require('../middleware/sessionAuth');
+const logger = require('../utils/logger');
+const channelInviteService = require('../services/channelInviteService');
+
+const getBaseUrl = (req) => {
+    return config.app?.url || `${req.protocol}://${req.get('host')}`;
+};
+
+const withUrl = (req, invite) => ({
+    ...invite,
+    invitationUrl: `${getBaseUrl(req)}/#/join/channel/${invite.token}`
+});
+
+/**
+ * POST /api/channels/:channelId/invites
+ * Create an invite link (requires user.add in the channel)
+ * Body: { label?, expiresAt? (ISO), maxUses? }
+ */
+router.post('/channels/:channelId/invites', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const { label, expiresAt, maxUses } = req.body || {};
+        const result = await channelInviteService.createInvite({
+            userId,
+            channelId: req.params.channelId,
+            label,
+            expiresAt,
+            maxUses
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({ success: true, invite: withUrl(req, result.invite) });
+    } catch (error) {
+        logger.error('[CHANNEL INVITE] Error creating invite link', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/channels/:channelId/invites
+ * Active invite links of a channel (requires user.add in the channel)
+ */
+router.get('/channels/:channelId/invites', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await channelInviteService.listInvites({ userId, channelId: req.params.channelId });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, invites: result.invites.map(invite => withUrl(req, invite)) });
+    } catch (error) {
+        logger.error('[CHANNEL INVITE] Error listing invite links', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/channels/:channelId/invites/:token/revoke
+ * Revoke an invite link (requires user.add in the channel)
+ */
+router.post('/channels/:channelId/invites/:token/revoke', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await channelInviteService.revokeInvite({
+            userId,
+            channelId: req.params.channelId,
+            token: req.params.token
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, message: 'Invite link revoked' });
+    } catch (error) {
+        logger.error('[CHANNEL INVITE] Error revoking invite link', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/channel-invites/:token
+ * Channel summary for an invite link, shown before joining
+ */
+router.get('/channel-invites/:token', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await channelInviteService.getInvitePreview({ userId, token: req.params.token });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        logger.error('[CHANNEL INVITE] Error fetching invite link', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/channel-invites/:token/join
+ * Join the channel of an invite link with its default role
+ */
+router.post('/channel-invites/:token/join', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await channelInviteService.joinWithInvite({ userId, token: req.params.token });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: result.alreadyMember ? 'Already a member of this channel' : 'Successfully joined channel',
+            alreadyMember: result.alreadyMember,
+            channel: result.channel
+        });
+    } catch (error) {
+        logger.error('[CHANNEL INVITE] Error joining channel via invite link', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
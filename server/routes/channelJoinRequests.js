@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuthEither } = require('../middleware/sessionAuth');
+const logger = require('../utils/logger');
+const joinRequestService = require('../services/channelJoinRequestService');
+
+/**
+ * POST /api/channels/:channelId/join-requests
+ * Ask to join a private channel
+ * Body: { message? }
+ */
+router.post('/channels/:channelId/join-requests', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await joinRequestService.createRequest({
+            userId,
+            channelId: req.params.channelId,
+            message: req.body?.message
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error, retryAfter: result.retryAfter });
+        }
+
+        res.status(result.existing ? 200 : 201).json(result);
+    } catch (error) {
+        logger.error('[JOIN REQUEST] Error creating join request', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/channels/:channelId/join-requests
+ * Withdraw the caller's pending request
+ */
+router.delete('/channels/:channelId/join-requests', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await joinRequestService.cancelRequest({ userId, channelId: req.params.channelId });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, message: 'Join request withdrawn' });
+    } catch (error) {
+        logger.error('[JOIN REQUEST] Error withdrawing join request', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/channels/:channelId/join-requests
+ * Join requests of a channel (requires user.add in the channel)
+ * Query params: ?status=pending|approved|denied|cancelled (default pending)
+ */
+router.get('/channels/:channelId/join-requests', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await joinRequestService.listChannelRequests({
+            userId,
+            channelId: req.params.channelId,
+            status: req.query.status
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        logger.error('[JOIN REQUEST] Error listing join requests', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/channels/:channelId/join-requests/:requestId/approve
+ * Add the requester with the channel's default role (requires user.add)
+ */
+router.post('/channels/:channelId/join-requests/:requestId/approve', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await joinRequestService.decideRequest({
+            userId,
+            channelId: req.params.channelId,
+            requestId: req.params.requestId,
+            approve: true
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        logger.error('[JOIN REQUEST] Error approving join request', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/channels/:channelId/join-requests/:requestId/deny
+ * Reject a request (requires user.add)
+ * Body: { reason? }
+ */
+router.post('/channels/:channelId/join-requests/:requestId/deny', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await joinRequestService.decideRequest({
+            userId,
+            channelId: req.params.channelId,
+            requestId: req.params.requestId,
+            approve: false,
+            reason: req.body?.reason
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        logger.error('[JOIN REQUEST] Error denying join request', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/user/join-requests
+ * The caller's own join requests, newest first
+ */
+router.get('/user/join-requests', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await joinRequestService.listOwnRequests({ userId });
+        res.json(result);
+    } catch (error) {
+        logger.error('[JOIN REQUEST] Error listing own join requests', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -12,7 +12,7 @@ const fs = require('fs');
 const path = require('path');
 const versionConfig = require('../config/version');
 const magicLinks = require('../store/magicLinksStore');
-const { User, Channel, Thread, SignalSignedPreKey, SignalPreKey, Client, Item, Role, ChannelMembers, RefreshToken, sequelize } = require('../db/model');
+const { User, Channel, Thread, SignalSignedPreKey, SignalPreKey, Client, Item, GroupItem, Role, ChannelMembers, RefreshToken, sequelize } = require('../db/model');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const writeQueue = require('../db/writeQueue');
 const { autoAssignRoles } = require('../db/autoAssignRoles');
@@ -20,6 +20,20 @@ const { hasServerPermission } = require('../db/roleHelpers');
 const livekitWrapper = require('../lib/livekit-wrapper');
 const { verifySessionAuth, verifyAuthEither } = require('../middleware/sessionAuth');
 const { signalKeyLimiter } = require('../middleware/rateLimiter');
+const threadService = require('../services/threadService');
+const disappearingMessages = require('../services/disappearingMessagesService');
+const blockService = require('../services/blockService');
+const pinService = require('../services/pinService');
+const channelSequence = require('../services/channelSequenceService');
+const readPositionService = require('../services/readPositionService');
+const channelPosting = require('../services/channelPostingService');
+const channelArchive = require('../services/channelArchiveService');
+const channelSlowMode = require('../services/channelSlowModeService');
+const joinRequestService = require('../services/channelJoinRequestService');
+const oidcService = require('../services/oidcService');
+const ldapService = require('../services/ldapService');
+const userAccount = require('../services/userAccountService');
+const twoFactor = require('../services/twoFactorService');
 
 async function getLocationFromIp(ip) {
     const response = await fetch(`https://ipapi.co/${ip}/json/`);
@@ -101,18 +115,29 @@ clientRoutes.get("/client/meta", async (req, res) => {
             response.serverName = settings.server_name || 'PeerWave Server';
             response.serverPicture = settings.server_picture || null;
             response.registrationMode = settings.registration_mode || 'open';
+            response.totpPolicy = settings.totp_policy || 'off';
         } else {
             response.serverName = 'PeerWave Server';
             response.serverPicture = null;
             response.registrationMode = 'open';
+            response.totpPolicy = 'off';
         }
     } catch (error) {
         logger.error('[CLIENT META] Failed to load server settings', error);
         response.serverName = 'PeerWave Server';
         response.serverPicture = null;
         response.registrationMode = 'open';
+        response.totpPolicy = 'off';
     }
     
+    // Single sign-on button on the login page (GET /oauth2/authorize)
+    response.sso = oidcService.isEnabled()
+        ? { enabled: true, providerName: config.oidc.providerName }
+        : { enabled: false };
+    
+    // Directory login form on the login page (POST /ldap/login)
+    response.ldap = { enabled: ldapService.isEnabled() };
+    
     // Add server operator information
     response.serverOperator = {
         owner: config.serverOperator.owner,
@@ -175,6 +200,74 @@ clientRoutes.get("/direct/messages/:userId", verifyAuthEither, async (req, res)
     }
 });
 
+// GET disappearing messages timer of a 1:1 conversation
+clientRoutes.get("/direct/:userId/disappearing", verifyAuthEither, async (req, res) => {
+    const { userId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const seconds = await disappearingMessages.getDirectTimer(sessionUuid, userId);
+        res.status(200).json({ status: "success", peerUserId: userId, seconds });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error fetching disappearing timer', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// PUT disappearing messages timer of a 1:1 conversation (either participant may change it)
+// Body: { seconds } - null/0 turns it off
+clientRoutes.put("/direct/:userId/disappearing", verifyAuthEither, async (req, res) => {
+    const { userId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        if (userId === sessionUuid) {
+            return res.status(400).json({ status: "error", message: "Cannot set a timer for yourself" });
+        }
+        
+        const peer = await User.findByPk(userId, { attributes: ['uuid'] });
+        if (!peer) {
+            return res.status(404).json({ status: "error", message: "User not found" });
+        }
+        
+        const timer = disappearingMessages.normalizeTimer(req.body.seconds);
+        if (timer.error) {
+            return res.status(400).json({ status: "error", message: timer.error });
+        }
+        
+        // The timer is shared: a peer who blocked the caller keeps control over it
+        const block = await blockService.findBlockBetween(sessionUuid, userId);
+        if (block && block.blocker_uuid === userId) {
+            return res.status(403).json({ status: "error", message: "Cannot change the timer of this conversation" });
+        }
+        
+        if (!(await disappearingMessages.hasDirectRelation(sessionUuid, userId))) {
+            return res.status(404).json({ status: "error", message: "Conversation not found" });
+        }
+        
+        // Peers blocked by the caller are not told about the change
+        await disappearingMessages.setDirectTimer({
+            userId: sessionUuid,
+            peerUserId: userId,
+            seconds: timer.seconds,
+            notifyPeer: !block
+        });
+        
+        res.status(200).json({ status: "success", peerUserId: userId, seconds: timer.seconds });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error updating disappearing timer', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
 // GET all devices of channel members (for group message encryption)
 clientRoutes.get("/channels/:channelId/member-devices", verifyAuthEither, async (req, res) => {
     const { channelId } = req.params;
@@ -230,7 +323,24 @@ clientRoutes.get("/channels/:channelId/member-devices", verifyAuthEither, async
     }
 });
 
-// GET Signal Group Messages for a channel
+// Page size of channel timeline and thread requests
+const CHANNEL_PAGE_DEFAULT_LIMIT = 100;
+const CHANNEL_PAGE_MAX_LIMIT = 200;
+
+/**
+ * Parse the limit query parameter of a channel page
+ * @returns {number|null} Page size, null if invalid
+ */
+function parseChannelPageLimit(value) {
+    if (value === undefined) {
+        return CHANNEL_PAGE_DEFAULT_LIMIT;
+    }
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit >= 1 && limit <= CHANNEL_PAGE_MAX_LIMIT ? limit : null;
+}
+
+// GET Signal Group Messages for a channel (main timeline, thread replies excluded)
+// Newest `limit` items, older pages with ?before=<seq of the oldest item received>
 clientRoutes.get("/channels/:channelId/messages", verifyAuthEither, async (req, res) => {
     const { channelId } = req.params;
     const sessionUuid = req.userId || req.session.uuid;
@@ -240,6 +350,15 @@ clientRoutes.get("/channels/:channelId/messages", verifyAuthEither, async (req,
         return res.status(401).json({ status: "error", message: "Unauthorized" });
     }
     
+    const limit = parseChannelPageLimit(req.query.limit);
+    if (limit === null) {
+        return res.status(400).json({ status: "error", message: `limit must be an integer between 1 and ${CHANNEL_PAGE_MAX_LIMIT}` });
+    }
+    const before = req.query.before !== undefined ? Number(req.query.before) : null;
+    if (before !== null && (!Number.isInteger(before) || before < 1)) {
+        return res.status(400).json({ status: "error", message: "before must be a sequence number" });
+    }
+    
     try {
         // Verify channel exists and user is member
         const channel = await Channel.findByPk(channelId);
@@ -257,20 +376,35 @@ clientRoutes.get("/channels/:channelId/messages", verifyAuthEither, async (req,
             return res.status(403).json({ status: "error", message: "Not a member of this channel" });
         }
         
-        // Get all messages for this channel and this device
-        // Similar to direct messages, but filtered by channel
-        const result = await Item.sequelize.query(`
-            SELECT *
-            FROM Items
-            WHERE
-            deviceReceiver = :sessionDeviceId
-            AND receiver = :sessionUuid
-            AND channel = :channelId
-            ORDER BY rowid ASC
-        `, {
-            replacements: { sessionDeviceId, sessionUuid, channelId },
-            model: Item,
-            mapToModel: true
+        // Group messages are stored once per channel in GroupItem (SenderKey encrypted)
+        // Thread replies are only returned by /channels/:channelId/threads/:itemId
+        // Ordered by server sequence number (seq), client timestamps may be skewed
+        const where = { channel: channelId, parentItemId: null };
+        if (before !== null) {
+            where.seq = { [Op.lt]: before };
+        }
+        const items = (await GroupItem.findAll({
+            where,
+            order: [['seq', 'DESC'], ['timestamp', 'DESC']],
+            limit
+        })).reverse();
+        
+        // Attach per-thread reply counts, last reply time and unread replies for this device
+        const summaries = await threadService.getThreadSummaries({
+            channelId,
+            rootItemIds: items.map(item => item.itemId),
+            userId: sessionUuid,
+            deviceId: sessionDeviceId
+        });
+        
+        const result = items.map(item => {
+            const summary = summaries.get(item.itemId);
+            return {
+                ...item.toJSON(),
+                replyCount: summary?.replyCount || 0,
+                lastReplyAt: summary?.lastReplyAt || null,
+                unreadReplyCount: summary?.unreadReplyCount || 0
+            };
         });
         
         logger.debug('[CLIENT.JS] Channel messages', { deviceId: sessionDeviceId, channelId, count: result.length });
@@ -281,6 +415,309 @@ clientRoutes.get("/channels/:channelId/messages", verifyAuthEither, async (req,
     }
 });
 
+// GET channel items after a sequence number (gap detection / catch-up after reconnect)
+// Returns main timeline, thread replies and edits in seq order
+clientRoutes.get("/channels/:channelId/sync", verifyAuthEither, async (req, res) => {
+    const { channelId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const channel = await Channel.findByPk(channelId);
+        if (!channel) {
+            return res.status(404).json({ status: "error", message: "Channel not found" });
+        }
+        
+        const isOwner = channel.owner === sessionUuid;
+        const isMember = await ChannelMembers.findOne({
+            where: { channelId, userId: sessionUuid }
+        });
+        
+        if (!isOwner && !isMember) {
+            return res.status(403).json({ status: "error", message: "Not a member of this channel" });
+        }
+        
+        const since = req.query.since !== undefined ? parseInt(req.query.since, 10) : 0;
+        if (!Number.isFinite(since) || since < 0) {
+            return res.status(400).json({ status: "error", message: "since must be a sequence number" });
+        }
+        
+        const result = await channelSequence.getItemsSince({
+            channelId,
+            since,
+            limit: req.query.limit
+        });
+        
+        res.status(200).json({
+            items: result.items,
+            count: result.items.length,
+            lastSeq: result.lastSeq,
+            oldestSeq: result.oldestSeq,
+            hasMore: result.hasMore
+        });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error syncing channel messages', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// GET replies of a thread in a signal channel (?since=<seq>&limit=<n>), ordered by seq
+clientRoutes.get("/channels/:channelId/threads/:itemId", verifyAuthEither, async (req, res) => {
+    const { channelId, itemId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    const sessionDeviceId = req.deviceId || req.session.deviceId;
+    
+    if (!sessionDeviceId || !sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    const limit = parseChannelPageLimit(req.query.limit);
+    if (limit === null) {
+        return res.status(400).json({ status: "error", message: `limit must be an integer between 1 and ${CHANNEL_PAGE_MAX_LIMIT}` });
+    }
+    const since = req.query.since !== undefined ? parseInt(req.query.since, 10) : 0;
+    if (!Number.isFinite(since) || since < 0) {
+        return res.status(400).json({ status: "error", message: "since must be a sequence number" });
+    }
+    
+    try {
+        const channel = await Channel.findByPk(channelId);
+        if (!channel) {
+            return res.status(404).json({ status: "error", message: "Channel not found" });
+        }
+        
+        const isOwner = channel.owner === sessionUuid;
+        const isMember = await ChannelMembers.findOne({
+            where: { channelId, userId: sessionUuid }
+        });
+        
+        if (!isOwner && !isMember) {
+            return res.status(403).json({ status: "error", message: "Not a member of this channel" });
+        }
+        
+        // A reply opens its thread; items of other channels are rejected
+        const { parentItemId: rootItemId, error: parentError } = await threadService.resolveParentItemId(channelId, itemId);
+        if (parentError) {
+            return res.status(400).json({ status: "error", message: parentError });
+        }
+        
+        // Root may already be gone from the server (read by all / cleanup)
+        const root = await GroupItem.findOne({
+            where: { itemId: rootItemId, channel: channelId }
+        });
+        
+        const where = { channel: channelId, parentItemId: rootItemId };
+        if (since > 0) {
+            where.seq = { [Op.gt]: since };
+        }
+        
+        const replies = await GroupItem.findAll({
+            where,
+            order: [['seq', 'ASC'], ['timestamp', 'ASC']],
+            limit
+        });
+        
+        const summaries = await threadService.getThreadSummaries({
+            channelId,
+            rootItemIds: [rootItemId],
+            userId: sessionUuid,
+            deviceId: sessionDeviceId
+        });
+        const summary = summaries.get(rootItemId);
+        
+        res.status(200).json({
+            root,
+            replies,
+            replyCount: summary?.replyCount || 0,
+            lastReplyAt: summary?.lastReplyAt || null,
+            unreadReplyCount: summary?.unreadReplyCount || 0
+        });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error fetching thread', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// POST mark all replies of a thread as read for this device
+clientRoutes.post("/channels/:channelId/threads/:itemId/read", verifyAuthEither, async (req, res) => {
+    const { channelId, itemId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    const sessionDeviceId = req.deviceId || req.session.deviceId;
+    
+    if (!sessionDeviceId || !sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const isMember = await ChannelMembers.findOne({
+            where: { channelId, userId: sessionUuid }
+        });
+        
+        if (!isMember) {
+            return res.status(403).json({ status: "error", message: "Not a member of this channel" });
+        }
+        
+        const markedCount = await readPositionService.markThreadRead({
+            channelId,
+            rootItemId: itemId,
+            userId: sessionUuid,
+            deviceId: sessionDeviceId
+        });
+        
+        res.status(200).json({ status: "success", markedCount });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error marking thread as read', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// POST mark a signal channel read up to a sequence number / item for this device
+// Body: { upToSeq } or { upToItemId }, neither = up to the latest item
+clientRoutes.post("/channels/:channelId/read", verifyAuthEither, async (req, res) => {
+    const { channelId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    const sessionDeviceId = req.deviceId || req.session.deviceId;
+    
+    if (!sessionDeviceId || !sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const result = await readPositionService.markChannelRead({
+            userId: sessionUuid,
+            deviceId: sessionDeviceId,
+            channelId,
+            upToSeq: req.body?.upToSeq,
+            upToItemId: req.body?.upToItemId
+        });
+        
+        if (!result.success) {
+            return res.status(result.status).json({ status: "error", message: result.error });
+        }
+        
+        res.status(200).json({ status: "success", advanced: result.advanced, lastReadSeq: result.lastReadSeq });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error marking channel as read', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// GET read watermark of every channel member (per-item read counts are derived client-side:
+// an item is read by a member when lastReadSeq >= item.seq)
+clientRoutes.get("/channels/:channelId/read-positions", verifyAuthEither, async (req, res) => {
+    const { channelId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const isMember = await ChannelMembers.findOne({
+            where: { channelId, userId: sessionUuid }
+        });
+        
+        if (!isMember) {
+            return res.status(403).json({ status: "error", message: "Not a member of this channel" });
+        }
+        
+        const positions = await readPositionService.listChannelPositions(channelId);
+        res.status(200).json({ channelId, positions });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error fetching read positions', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// GET pinned messages of a signal channel (newest pin first)
+clientRoutes.get("/channels/:channelId/pins", verifyAuthEither, async (req, res) => {
+    const { channelId } = req.params;
+    const sessionUuid = req.userId || req.session.uuid;
+    
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const channel = await Channel.findByPk(channelId);
+        if (!channel) {
+            return res.status(404).json({ status: "error", message: "Channel not found" });
+        }
+        
+        const isOwner = channel.owner === sessionUuid;
+        const isMember = await ChannelMembers.findOne({
+            where: { channelId, userId: sessionUuid }
+        });
+        
+        if (!isOwner && !isMember) {
+            return res.status(403).json({ status: "error", message: "Not a member of this channel" });
+        }
+        
+        const pins = await pinService.listPins(channelId);
+        res.status(200).json(pins);
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error fetching pinned messages', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// POST pin a message in a signal channel (requires message.pin)
+clientRoutes.post("/channels/:channelId/pins/:itemId", verifyAuthEither, async (req, res) => {
+    const sessionUuid = req.userId || req.session.uuid;
+    
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const result = await pinService.setPinned({
+            userId: sessionUuid,
+            channelId: req.params.channelId,
+            itemId: req.params.itemId,
+            pinned: true
+        });
+        
+        if (!result.success) {
+            return res.status(result.status).json({ status: "error", message: result.error });
+        }
+        
+        res.status(200).json({ status: "success", pin: result.pin });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error pinning message', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// DELETE unpin a message in a signal channel (requires message.pin)
+clientRoutes.delete("/channels/:channelId/pins/:itemId", verifyAuthEither, async (req, res) => {
+    const sessionUuid = req.userId || req.session.uuid;
+    
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+    
+    try {
+        const result = await pinService.setPinned({
+            userId: sessionUuid,
+            channelId: req.params.channelId,
+            itemId: req.params.itemId,
+            pinned: false
+        });
+        
+        if (!result.success) {
+            return res.status(result.status).json({ status: "error", message: result.error });
+        }
+        
+        res.status(200).json({ status: "success", pin: result.pin });
+    } catch (error) {
+        logger.error('[CLIENT.JS] Error unpinning message', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
 // GET all channel messages for all channels the user is a member of
 clientRoutes.get("/channels/messages/all", verifyAuthEither, async (req, res) => {
     const sessionUuid = req.userId || req.session.uuid;
@@ -368,6 +805,15 @@ clientRoutes.post("/channels/:channelId/group-messages", verifyAuthEither, async
             return res.status(403).json({ status: "error", message: "Not a member of this channel" });
         }
         
+        // Announcement channels: only message.post holders may post
+        const posting = await channelPosting.checkPostAllowed({ userId: sessionUuid, channelId, type: 'message' });
+        if (!posting.allowed) {
+            return res.status(posting.status).json({ status: "error", message: posting.error });
+        }
+
+        // Slow mode: one post per member every N seconds (claimed when the items are stored)
+        const postSlot = await channelSlowMode.getPostSlot({ userId: sessionUuid, channelId, type: 'message' });
+        
         // Get all channel members (owner + members)
         const members = await ChannelMembers.findAll({
             where: { channelId },
@@ -408,8 +854,17 @@ clientRoutes.post("/channels/:channelId/group-messages", verifyAuthEither, async
         }
         
         // Bulk create all items
+        const slowMode = await writeQueue.enqueue(async () => {
+            const slot = channelSlowMode.claimPostSlot(postSlot);
+            if (slot.allowed && items.length > 0) {
+                await Item.bulkCreate(items);
+            }
+            return slot;
+        }, `sendGroupMessage-${itemId}`);
+        if (!slowMode.allowed) {
+            return res.status(slowMode.status).json({ status: "error", message: slowMode.error, retryAfter: slowMode.retryAfter });
+        }
         if (items.length > 0) {
-            await Item.bulkCreate(items);
             logger.info('[CLIENT.JS] Created group message items', { count: items.length, channelId: sanitizeForLog(channelId) });
         }
         
@@ -1320,6 +1775,8 @@ clientRoutes.post("/client/people/info", verifyAuthEither, async (req, res) => {
 clientRoutes.get("/client/channels/discover", verifyAuthEither, async(req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const offset = parseInt(req.query.offset) || 0;
+    const includeArchived = req.query.includeArchived === 'true';
+    const includePrivate = req.query.includePrivate === 'true';
     
     const userUuid = req.userId || req.session.uuid;
     if (!userUuid) {
@@ -1347,12 +1804,19 @@ clientRoutes.get("/client/channels/discover", verifyAuthEither, async(req, res)
             ...memberChannelIds.map(cm => cm.channelId)
         ];
         
-        // Find public channels user isn't part of
+        // Find public channels user isn't part of (private and archived ones only on request)
+        const discoverWhere = {
+            uuid: { [Op.notIn]: excludeChannelUuids.length > 0 ? excludeChannelUuids : [''] }
+        };
+        if (!includePrivate) {
+            discoverWhere.private = false;
+        }
+        if (!includeArchived) {
+            discoverWhere.archivedAt = null;
+        }
+        
         const discoverChannels = await Channel.findAll({
-            where: {
-                private: false,
-                uuid: { [Op.notIn]: excludeChannelUuids.length > 0 ? excludeChannelUuids : [''] }
-            },
+            where: discoverWhere,
             order: [['createdAt', 'DESC']],
             limit: limit,
             offset: offset
@@ -1360,15 +1824,27 @@ clientRoutes.get("/client/channels/discover", verifyAuthEither, async(req, res)
         
         // Count total discoverable channels
         const totalCount = await Channel.count({
-            where: {
-                private: false,
-                uuid: { [Op.notIn]: excludeChannelUuids.length > 0 ? excludeChannelUuids : [''] }
-            }
+            where: discoverWhere
         });
         
+        // Private channels are joined by request (POST /api/channels/:channelId/join-requests);
+        // non-members only see what they need for the request
+        const pendingChannelIds = await joinRequestService.getPendingChannelIds(
+            userUuid,
+            discoverChannels.filter(c => c.private).map(c => c.uuid)
+        );
+        const channels = discoverChannels.map(c => (c.private ? {
+            uuid: c.uuid,
+            name: c.name,
+            type: c.type,
+            private: true,
+            archivedAt: c.archivedAt,
+            joinRequestPending: pendingChannelIds.has(c.uuid)
+        } : { ...c.toJSON(), joinRequestPending: false }));
+        
         res.status(200).json({ 
             status: "success", 
-            channels: discoverChannels,
+            channels,
             total: totalCount,
             hasMore: offset + discoverChannels.length < totalCount
         });
@@ -1390,7 +1866,7 @@ clientRoutes.get("/client/channels/:uuid", verifyAuthEither, async (req, res) =>
         
         const channel = await Channel.findOne({
             where: { uuid },
-            attributes: ['uuid', 'name', 'description', 'owner', 'private', 'type', 'defaultRoleId']
+            attributes: ['uuid', 'name', 'description', 'owner', 'private', 'type', 'defaultRoleId', 'announcement', 'archivedAt', 'slowModeSeconds']
         });
 
         if (!channel) {
@@ -1413,7 +1889,7 @@ clientRoutes.put("/client/channels/:uuid", verifyAuthEither, async (req, res) =>
 
     try {
         const { uuid } = req.params;
-        const { name, description, private: isPrivate, defaultRoleId } = req.body;
+        const { name, description, private: isPrivate, defaultRoleId, disappearingSeconds, announcement } = req.body;
         
         // Find the channel
         const channel = await Channel.findOne({ where: { uuid } });
@@ -1427,15 +1903,36 @@ clientRoutes.put("/client/channels/:uuid", verifyAuthEither, async (req, res) =>
             return res.status(403).json({ status: "error", message: "Only channel owners can update settings" });
         }
 
+        // Validate disappearing messages timer before changing anything
+        let timer = null;
+        if (disappearingSeconds !== undefined) {
+            timer = disappearingMessages.normalizeTimer(disappearingSeconds);
+            if (timer.error) {
+                return res.status(400).json({ status: "error", message: timer.error });
+            }
+        }
+
+        // Announcement mode only applies to signal channels
+        if (announcement !== undefined && channel.type !== 'signal') {
+            return res.status(400).json({ status: "error", message: "Announcement mode is only available for signal channels" });
+        }
+
         // Update fields if provided
         const updates = {};
         if (name !== undefined) updates.name = name;
         if (description !== undefined) updates.description = description;
         if (isPrivate !== undefined) updates.private = isPrivate;
         if (defaultRoleId !== undefined) updates.defaultRoleId = defaultRoleId;
+        if (announcement !== undefined) updates.announcement = !!announcement;
 
         await channel.update(updates);
 
+        // Timer changes are advertised to all member devices
+        if (timer && timer.seconds !== (channel.disappearingSeconds || null)) {
+            await disappearingMessages.setChannelTimer({ channelId: uuid, seconds: timer.seconds, updatedBy: sessionUuid });
+            await channel.reload();
+        }
+
         res.status(200).json({ status: "success", channel });
     } catch (error) {
         logger.error('[CHANNELS] Error updating channel', error);
@@ -1443,6 +1940,67 @@ clientRoutes.put("/client/channels/:uuid", verifyAuthEither, async (req, res) =>
     }
 });
 
+// POST /client/channels/:uuid/archive - Archive a channel, read-only from now on (owner or channel.manage)
+clientRoutes.post("/client/channels/:uuid/archive", verifyAuthEither, async (req, res) => {
+    const sessionUuid = req.userId || req.session.uuid;
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+
+    try {
+        const result = await channelArchive.setArchived({ userId: sessionUuid, channelId: req.params.uuid, archived: true });
+        if (!result.success) {
+            return res.status(result.status).json({ status: "error", message: result.error });
+        }
+
+        res.status(200).json({ status: "success", channel: result.channel });
+    } catch (error) {
+        logger.error('[CHANNELS] Error archiving channel', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// POST /client/channels/:uuid/unarchive - Make an archived channel active again (owner or channel.manage)
+clientRoutes.post("/client/channels/:uuid/unarchive", verifyAuthEither, async (req, res) => {
+    const sessionUuid = req.userId || req.session.uuid;
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+
+    try {
+        const result = await channelArchive.setArchived({ userId: sessionUuid, channelId: req.params.uuid, archived: false });
+        if (!result.success) {
+            return res.status(result.status).json({ status: "error", message: result.error });
+        }
+
+        res.status(200).json({ status: "success", channel: result.channel });
+    } catch (error) {
+        logger.error('[CHANNELS] Error unarchiving channel', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
+// PUT /client/channels/:uuid/slow-mode - One post per member every N seconds (owner or user.mute)
+// Body: { seconds } - 0 or null turns slow mode off
+clientRoutes.put("/client/channels/:uuid/slow-mode", verifyAuthEither, async (req, res) => {
+    const sessionUuid = req.userId || req.session.uuid;
+    if (!sessionUuid) {
+        return res.status(401).json({ status: "error", message: "Unauthorized" });
+    }
+
+    try {
+        const result = await channelSlowMode.setSlowMode({ userId: sessionUuid, channelId: req.params.uuid, seconds: req.body?.seconds });
+        if (!result.success) {
+            return res.status(result.status).json({ status: "error", message: result.error });
+        }
+
+        res.status(200).json({ status: "success", slowModeSeconds: result.slowModeSeconds });
+    } catch (error) {
+        logger.error('[CHANNELS] Error updating slow mode', error);
+        res.status(500).json({ status: "error", message: "Internal server error" });
+    }
+});
+
 // DELETE /client/channels/:uuid - Delete a channel (owner only)
 clientRoutes.delete("/client/channels/:uuid", verifyAuthEither, async (req, res) => {
     const sessionUuid = req.userId || req.session.uuid;
@@ -1477,6 +2035,21 @@ clientRoutes.delete("/client/channels/:uuid", verifyAuthEither, async (req, res)
             where: { channelId: uuid }
         });
 
+        // Delete edit revisions and origins of channel messages
+        const { MessageRevision, MessageOrigin } = require('../db/model');
+        await MessageRevision.destroy({
+            where: { channel_id: uuid }
+        });
+        await MessageOrigin.destroy({
+            where: { channel_id: uuid }
+        });
+
+        // Delete scheduled messages waiting for the channel
+        const { ScheduledMessage } = require('../db/model');
+        await ScheduledMessage.destroy({
+            where: { channel_id: uuid }
+        });
+
         // Delete the channel itself
         await channel.destroy();
 
@@ -1504,7 +2077,7 @@ clientRoutes.post("/client/channels/info", verifyAuthEither, async (req, res) =>
 
         const channels = await Channel.findAll({
             where: { uuid: channelIds },
-            attributes: ['uuid', 'name', 'description', 'owner', 'private', 'type']
+            attributes: ['uuid', 'name', 'description', 'owner', 'private', 'type', 'archivedAt', 'slowModeSeconds']
         });
 
         res.status(200).json({ status: "success", channels });
@@ -1576,7 +2149,7 @@ clientRoutes.get("/client/channels", verifyAuthEither, async(req, res) => {
 });
 
 clientRoutes.post("/client/channels", verifyAuthEither, async(req, res) => {
-    const { name, description, private, type, defaultRoleId } = req.body;
+    const { name, description, private, type, defaultRoleId, announcement } = req.body;
     const userUuid = req.userId || req.session.uuid;
     if (!userUuid) {
         return res.status(401).json({ status: "error", message: "Unauthorized" });
@@ -1595,6 +2168,11 @@ clientRoutes.post("/client/channels", verifyAuthEither, async(req, res) => {
             return res.status(400).json({ status: "error", message: "Invalid channel type. Must be 'webrtc' or 'signal'" });
         }
         
+        // Announcement mode only applies to signal channels
+        if (announcement && channelType !== 'signal') {
+            return res.status(400).json({ status: "error", message: "Announcement mode is only available for signal channels" });
+        }
+        
         // Validate default role if provided
         if (defaultRoleId) {
             const role = await Role.findOne({ where: { uuid: defaultRoleId } });
@@ -1621,7 +2199,8 @@ clientRoutes.post("/client/channels", verifyAuthEither, async(req, res) => {
                     private: private || false, 
                     type: channelType,
                     owner: userUuid,
-                    defaultRoleId: defaultRoleId || null
+                    defaultRoleId: defaultRoleId || null,
+                    announcement: !!announcement
                 }),
                 'createChannelByClient'
             );
@@ -1660,7 +2239,12 @@ clientRoutes.post("/client/channels/:channelId/join", verifyAuthEither, async(re
         
         // Verify channel is public
         if (channel.private) {
-            return res.status(403).json({ status: "error", message: "Cannot join private channel" });
+            return res.status(403).json({ status: "error", message: "Cannot join private channel", joinRequestRequired: true });
+        }
+        
+        // Archived channels are read-only: no new members
+        if (channelArchive.isArchived(channel)) {
+            return res.status(403).json({ status: "error", message: channelArchive.ARCHIVED_ERROR });
         }
         
         // Check if user is already a member
@@ -1881,14 +2465,14 @@ clientRoutes.post("/magic/verify", async (req, res) => {
         randomHash === 'prototype') {
         return res.status(400).json({ status: "failed", message: "Invalid magic link format" });
     }
-    const entry = magicLinks.get(randomHash);
-    if (!entry || typeof entry !== 'object') {
+    const entry = await magicLinks.find(randomHash);
+    if (!entry) {
         return res.status(400).json({ status: "failed", message: "Invalid or expired magic link" });
     }
     
     // Check expiration
     if (entry.expires < Date.now()) {
-        magicLinks.delete(randomHash);
+        await magicLinks.remove(randomHash);
         return res.status(400).json({ status: "failed", message: "Magic link has expired" });
     }
     
@@ -1897,8 +2481,28 @@ clientRoutes.post("/magic/verify", async (req, res) => {
         return res.status(400).json({ status: "failed", message: "Magic link has already been used" });
     }
     
-    // Mark as used (one-time use)
-    entry.used = true;
+    if (await userAccount.isDeprovisioned(entry.uuid)) {
+        return res.status(403).json({ status: "failed", message: userAccount.ACCOUNT_DEACTIVATED });
+    }
+    
+    // Authenticator app as second factor: the link stays valid until the code matches
+    const account = await User.findOne({ where: { uuid: entry.uuid } });
+    if (!account) {
+        return res.status(400).json({ status: "failed", message: "Invalid or expired magic link" });
+    }
+    const secondFactor = await twoFactor.checkLogin(account, req.body);
+    if (!secondFactor.allowed) {
+        return res.status(secondFactor.status).json({ status: "failed", message: secondFactor.error, totpRequired: true });
+    }
+    // New devices only once the required authenticator is set up (on a signed-in device)
+    if (secondFactor.setupRequired) {
+        return res.status(403).json({ status: "failed", message: "Set up an authenticator app before adding a device", totpSetupRequired: true });
+    }
+    
+    // Mark as used (one-time use), fails if a concurrent request was faster
+    if (!(await magicLinks.consume(randomHash))) {
+        return res.status(400).json({ status: "failed", message: "Magic link has already been used" });
+    }
     
     // Valid magic link - proceed with authentication
     req.session.authenticated = true;
@@ -1953,9 +2557,6 @@ clientRoutes.post("/magic/verify", async (req, res) => {
         await autoAssignRoles(entry.email, entry.uuid);
     }
     
-    // Delete used magic link (randomHash already validated above)
-    magicLinks.delete(randomHash);
-    
     // Generate session secret for native clients (HMAC authentication)
     const sessionSecret = crypto.randomBytes(32).toString('base64url');
     
@@ -2964,7 +3565,8 @@ clientRoutes.get("/api/server/settings", verifyAuthEither, async (req, res) => {
                 server_name: 'PeerWave Server',
                 server_picture: null,
                 registration_mode: 'open',
-                allowed_email_suffixes: '[]'
+                allowed_email_suffixes: '[]',
+                totp_policy: 'off'
             });
         }
         
@@ -2974,7 +3576,8 @@ clientRoutes.get("/api/server/settings", verifyAuthEither, async (req, res) => {
                 serverName: settings.server_name,
                 serverPicture: settings.server_picture,
                 registrationMode: settings.registration_mode,
-                allowedEmailSuffixes: JSON.parse(settings.allowed_email_suffixes || '[]')
+                allowedEmailSuffixes: JSON.parse(settings.allowed_email_suffixes || '[]'),
+                totpPolicy: settings.totp_policy
             }
         });
     } catch (error) {
@@ -2994,7 +3597,7 @@ clientRoutes.post("/api/server/settings", bodyParser.json({ limit: '5mb' }), ver
             return res.status(403).json({ status: "error", message: "Forbidden: Admin access required" });
         }
         
-        const { serverName, serverPicture, registrationMode, allowedEmailSuffixes } = req.body;
+        const { serverName, serverPicture, registrationMode, allowedEmailSuffixes, totpPolicy } = req.body;
         
         // Validate registration mode
         const validModes = ['open', 'email_suffix', 'invitation_only'];
@@ -3002,6 +3605,11 @@ clientRoutes.post("/api/server/settings", bodyParser.json({ limit: '5mb' }), ver
             return res.status(400).json({ status: "error", message: "Invalid registration mode" });
         }
         
+        // Validate authenticator app policy
+        if (totpPolicy !== undefined && !twoFactor.POLICIES.includes(totpPolicy)) {
+            return res.status(400).json({ status: "error", message: "Invalid authenticator app policy" });
+        }
+        
         const { ServerSettings } = require('../db/model');
         let settings = await ServerSettings.findOne({ where: { id: 1 } });
         
@@ -3016,6 +3624,7 @@ clientRoutes.post("/api/server/settings", bodyParser.json({ limit: '5mb' }), ver
         if (allowedEmailSuffixes !== undefined) {
             settings.allowed_email_suffixes = JSON.stringify(allowedEmailSuffixes);
         }
+        if (totpPolicy !== undefined) settings.totp_policy = totpPolicy;
         
         await settings.save();
         
@@ -3028,7 +3637,8 @@ clientRoutes.post("/api/server/settings", bodyParser.json({ limit: '5mb' }), ver
                 serverName: settings.server_name,
                 serverPicture: settings.server_picture,
                 registrationMode: settings.registration_mode,
-                allowedEmailSuffixes: JSON.parse(settings.allowed_email_suffixes || '[]')
+                allowedEmailSuffixes: JSON.parse(settings.allowed_email_suffixes || '[]'),
+                totpPolicy: settings.totp_policy
             }
         });
     } catch (error) {
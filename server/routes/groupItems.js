@@ -1,14 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { GroupItem, GroupItemRead, Channel, ChannelMembers, User, Client } = require('../db/model');
+const { GroupItem, Channel, ChannelMembers, User, Client } = require('../db/model');
 const { Op } = require('sequelize');
 const { verifyAuthEither } = require('../middleware/sessionAuth');
 const logger = require('../utils/logger');
+const writeQueue = require('../db/writeQueue');
+const messageEditService = require('../services/messageEditService');
+const threadService = require('../services/threadService');
+const disappearingMessages = require('../services/disappearingMessagesService');
+const channelSequence = require('../services/channelSequenceService');
+const readPositionService = require('../services/readPositionService');
+const unreadService = require('../services/unreadService');
+const mentionService = require('../services/mentionService');
+const channelPosting = require('../services/channelPostingService');
+const channelSlowMode = require('../services/channelSlowModeService');
 
 /**
  * POST /api/group-items
  * Create a new group item (message, reaction, etc.)
- * Body: { channelId, itemId, type, payload, cipherType, senderDevice, timestamp }
+ * Body: { channelId, itemId, type, payload, cipherType, senderDevice, timestamp, parentItemId, mentions }
  */
 router.post('/', verifyAuthEither, async (req, res) => {
     try {
@@ -18,6 +28,7 @@ router.post('/', verifyAuthEither, async (req, res) => {
         }
 
         const { channelId, itemId, type, payload, cipherType, senderDevice, timestamp } = req.body;
+        const requestedParentItemId = req.body.parentItemId;
 
         // Validate required fields
         if (!channelId || !itemId || !payload || !senderDevice) {
@@ -36,6 +47,27 @@ router.post('/', verifyAuthEither, async (req, res) => {
             return res.status(403).json({ error: 'Not a member of this channel' });
         }
 
+        // Known item type; announcement channels: only message.post holders may post
+        const posting = await channelPosting.checkPostAllowed({ userId, channelId, type });
+        if (!posting.allowed) {
+            return res.status(posting.status).json({ error: posting.error });
+        }
+
+        // Thread reply: attach to the thread root in this channel
+        const { parentItemId, error: parentError } = await threadService.resolveParentItemId(channelId, requestedParentItemId);
+        if (parentError) {
+            return res.status(400).json({ error: parentError });
+        }
+
+        const { mentionedUserIds, error: mentionError } = await mentionService.resolveMentions({
+            channelId,
+            senderId: userId,
+            mentions: req.body.mentions
+        });
+        if (mentionError) {
+            return res.status(400).json({ error: mentionError });
+        }
+
         // Check for duplicate itemId
         const existing = await GroupItem.findOne({
             where: { itemId: itemId }
@@ -48,17 +80,49 @@ router.post('/', verifyAuthEither, async (req, res) => {
             });
         }
 
-        // Create group item
-        const groupItem = await GroupItem.create({
-            itemId: itemId,
-            channel: channelId,
-            sender: userId,
-            senderDevice: senderDevice,
-            type: type || 'message',
-            payload: payload,
-            cipherType: cipherType || 4,  // Default to SenderKey
-            timestamp: timestamp || new Date()
-        });
+        const expiresAt = disappearingMessages.computeExpiresAt(
+            await disappearingMessages.getChannelTimer(channelId)
+        );
+
+        // Slow mode: one post per member every N seconds
+        const postSlot = await channelSlowMode.getPostSlot({ userId, channelId, type });
+
+        // Create group item (slow mode slot and sequence number claimed in the same queued write)
+        const { groupItem, slowMode } = await writeQueue.enqueue(async () => {
+            const slot = channelSlowMode.claimPostSlot(postSlot);
+            if (!slot.allowed) {
+                return { slowMode: slot };
+            }
+            return {
+                groupItem: await GroupItem.create({
+                    itemId: itemId,
+                    channel: channelId,
+                    sender: userId,
+                    senderDevice: senderDevice,
+                    type: type || 'message',
+                    payload: payload,
+                    cipherType: cipherType || 4,  // Default to SenderKey
+                    timestamp: timestamp || new Date(),
+                    parentItemId,
+                    expiresAt,
+                    seq: await channelSequence.nextChannelSeq(channelId)
+                })
+            };
+        }, `createGroupItem-${itemId}`);
+
+        if (slowMode) {
+            return res.status(slowMode.status).json({ error: slowMode.error, retryAfter: slowMode.retryAfter });
+        }
+
+        await mentionService.storeMentions(groupItem, mentionedUserIds);
+
+        unreadService.notifyNewGroupItem({
+            channelId,
+            senderId: userId,
+            type: groupItem.type,
+            parentItemId,
+            mentionedUserIds
+        }).catch(err => logger.error('[UNREAD] Error sending channel unread update', err));
 
         res.status(201).json({
             success: true,
@@ -146,64 +210,18 @@ router.post('/:itemId/read', verifyAuthEither, async (req, res) => {
             return res.status(400).json({ error: 'deviceId required' });
         }
 
-        // Find the group item
-        const groupItem = await GroupItem.findOne({
-            where: { itemId: itemId }
-        });
-
-        if (!groupItem) {
-            return res.status(404).json({ error: 'Item not found' });
-        }
-
-        // Check if user is member of channel
-        const membership = await ChannelMembers.findOne({
-            where: {
-                userId: userId,
-                channelId: groupItem.channel
-            }
-        });
-
-        if (!membership) {
-            return res.status(403).json({ error: 'Not a member of this channel' });
+        // Moves the read watermark of this device up to the item
+        const result = await readPositionService.markItemRead({ userId, deviceId, itemId });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        // Create or update read receipt
-        const [readReceipt, created] = await GroupItemRead.findOrCreate({
-            where: {
-                itemId: groupItem.uuid,
-                userId: userId,
-                deviceId: deviceId
-            },
-            defaults: {
-                readAt: new Date()
-            }
-        });
-
-        if (!created) {
-            // Already marked as read
-            return res.json({
-                success: true,
-                message: 'Already marked as read',
-                readReceipt: readReceipt
-            });
-        }
-
-        // Count total reads for this item
-        const readCount = await GroupItemRead.count({
-            where: { itemId: groupItem.uuid }
-        });
-
-        // Count total members in channel
-        const memberCount = await ChannelMembers.count({
-            where: { channelId: groupItem.channel }
-        });
-
         res.json({
             success: true,
-            readReceipt: readReceipt,
-            readCount: readCount,
-            totalMembers: memberCount,
-            allRead: readCount >= memberCount
+            advanced: result.advanced,
+            readCount: result.readCount,
+            totalMembers: result.totalMembers,
+            allRead: result.allRead
         });
     } catch (error) {
         logger.error('[GROUP ITEMS] Error marking item as read', error);
@@ -245,36 +263,92 @@ router.get('/:itemId/read-status', verifyAuthEither, async (req, res) => {
             return res.status(403).json({ error: 'Not a member of this channel' });
         }
 
-        // Get all read receipts
-        const readReceipts = await GroupItemRead.findAll({
-            where: { itemId: groupItem.uuid },
-            include: [
-                {
-                    model: User,
-                    as: 'User',
-                    attributes: ['uuid', 'displayName']
-                }
-            ]
+        // Derived from the members' read watermarks
+        const status = await readPositionService.getItemReadStatus({
+            channelId: groupItem.channel,
+            seq: groupItem.seq,
+            parentItemId: groupItem.parentItemId,
+            includeReaders: true
+        });
+
+        res.json({
+            success: true,
+            ...status
         });
+    } catch (error) {
+        logger.error('[GROUP ITEMS] Error fetching read status', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/group-items/:itemId/edit
+ * Edit a group item (sender only, REST counterpart of editGroupItem)
+ * Body: { channelId, editId, payload, cipherType, senderDevice, timestamp }
+ */
+router.post('/:itemId/edit', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const { senderDevice } = req.body;
+        if (!senderDevice) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
 
-        // Count total members
-        const memberCount = await ChannelMembers.count({
-            where: { channelId: groupItem.channel }
+        const result = await messageEditService.editGroupItem({
+            userId,
+            deviceId: senderDevice,
+            data: { ...req.body, itemId: req.params.itemId }
         });
 
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
         res.json({
             success: true,
-            readCount: readReceipts.length,
-            totalMembers: memberCount,
-            allRead: readReceipts.length >= memberCount,
-            readBy: readReceipts
+            revision: result.revision,
+            seq: result.seq,
+            deliveredCount: result.deliveredCount
         });
     } catch (error) {
-        logger.error('[GROUP ITEMS] Error fetching read status', error);
+        logger.error('[GROUP ITEMS] Error editing group item', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+/**
+ * GET /api/group-items/:itemId/revisions
+ * Get the revision history of a group item
+ */
+router.get('/:itemId/revisions', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
 
+        const result = await messageEditService.getGroupRevisions({
+            userId,
+            itemId: req.params.itemId
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            revisions: result.revisions,
+            count: result.revisions.length
+        });
+    } catch (error) {
+        logger.error('[GROUP ITEMS] Error fetching revisions', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
 module.exports = router;
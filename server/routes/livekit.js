@@ -16,6 +16,7 @@ const logger = require('../utils/logger');
 
 // Import models from db/model
 const { Channel, ChannelMembers } = require('../db/model');
+const channelArchive = require('../services/channelArchiveService');
 
 /**
  * Generate LiveKit access token for a channel
@@ -67,6 +68,11 @@ router.post('/token', verifyAuthEither, async (req, res) => {
       return res.status(403).json({ error: 'Not a channel member' });
     }
 
+    // Archived channels are read-only: no new calls
+    if (channelArchive.isArchived(channel)) {
+      return res.status(403).json({ error: channelArchive.ARCHIVED_ERROR });
+    }
+
     logger.debug('[LIVEKIT] Membership found', sanitizeForLog({
       userId,
       channelId,
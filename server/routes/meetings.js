@@ -12,6 +12,7 @@ const { sanitizeForLog } = require('../utils/logSanitizer');
 const emailService = require('../services/emailService');
 const { createRsvpToken, verifyRsvpToken } = require('../services/meetingRsvpTokenService');
 const logger = require('../utils/logger');
+const blockService = require('../services/blockService');
 
 const RSVP_STATUSES = new Set(['accepted', 'tentative', 'declined']);
 
@@ -396,6 +397,18 @@ const parseInviteesFromRequest = ({ participant_ids, email_invitations, invited_
   return out;
 };
 
+/**
+ * Drop internal invitees that have a block relation with the inviter.
+ * Email invitees are kept as-is (they are not linked to a user yet).
+ */
+async function dropBlockedInvitees(inviterId, invitees) {
+  const internalIds = invitees.filter((v) => v && !isEmailLike(v));
+  const { blocked } = await blockService.filterBlockedRecipients(inviterId, internalIds);
+  if (blocked.length === 0) return invitees;
+  const blockedSet = new Set(blocked);
+  return invitees.filter((v) => !blockedSet.has(v));
+}
+
 async function buildRsvpIndexForMeetings(meetingIds) {
   if (!Array.isArray(meetingIds) || meetingIds.length === 0) return new Map();
   const rows = await MeetingRsvp.findAll({
@@ -774,7 +787,10 @@ router.post('/meetings', verifyAuthEither, async (req, res) => {
       voice_only: voice_only || false,
       mute_on_join: mute_on_join || false,
       max_participants: max_participants || null,
-      invited_participants: parseInviteesFromRequest({ participant_ids, email_invitations, invited_participants }),
+      invited_participants: await dropBlockedInvitees(
+        created_by,
+        parseInviteesFromRequest({ participant_ids, email_invitations, invited_participants })
+      ),
     });
 
     const inviterUsername = req.username || req.session?.userinfo?.username || 'A user';
@@ -1029,11 +1045,11 @@ router.patch('/meetings/:meetingId', verifyAuthEither, async (req, res) => {
       if (hasExternal && allowExternalNext !== true) {
         return res.status(400).json({ error: 'External guests are not enabled for this meeting' });
       }
-      updatePayload.invited_participants = parseInviteesFromRequest({
+      updatePayload.invited_participants = await dropBlockedInvitees(userId, parseInviteesFromRequest({
         participant_ids: updatePayload.participant_ids,
         email_invitations: updatePayload.email_invitations,
         invited_participants: updatePayload.invited_participants,
-      });
+      }));
       delete updatePayload.participant_ids;
       delete updatePayload.email_invitations;
     }
@@ -1499,17 +1515,8 @@ router.post('/meetings/:meetingId/participants', verifyAuthEither, async (req, r
     }
 
     // Check if requester has blocked the user or vice versa
-    const { BlockedUser } = require('../db/model');
-    const { Op } = require('sequelize');
-    const blockExists = await BlockedUser.findOne({
-      where: {
-        [Op.or]: [
-          { blocker_uuid: currentUserId, blocked_uuid: user_id },
-          { blocker_uuid: user_id, blocked_uuid: currentUserId }
-        ]
-      }
-    });
-    
+    const blockExists = await blockService.findBlockBetween(currentUserId, user_id);
+
     if (blockExists) {
       const direction = blockExists.blocker_uuid === currentUserId ? 'you_blocked' : 'they_blocked';
       return res.status(403).json({ 
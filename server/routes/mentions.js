@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuthEither } = require('../middleware/sessionAuth');
+const logger = require('../utils/logger');
+const mentionService = require('../services/mentionService');
+
+/**
+ * GET /api/mentions
+ * Mentions inbox of the caller, newest first
+ * Query params: ?channelId=uuid&unread=true&before=ISO timestamp&limit=50
+ */
+router.get('/', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const { mentions, hasMore } = await mentionService.listMentions({
+            userId,
+            channelId: req.query.channelId,
+            unreadOnly: req.query.unread === 'true',
+            before: req.query.before,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            mentions,
+            hasMore
+        });
+    } catch (error) {
+        logger.error('[MENTIONS] Error fetching mentions', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
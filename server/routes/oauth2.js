@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const writeQueue = require('../db/writeQueue');
+const { User } = require('../db/model');
+const { generateAuthToken } = require('../utils/jwtHelper');
+const oidcService = require('../services/oidcService');
+const userAccount = require('../services/userAccountService');
+
+// Deep link of the native app, same as the passkey Custom Tab flow
+const APP_CALLBACK_URL = 'peerwave://auth/callback';
+
+function redirectWithError(res, fromApp, message) {
+    if (fromApp) {
+        return res.redirect(`${APP_CALLBACK_URL}?error=${encodeURIComponent(message)}`);
+    }
+    res.redirect(`/#/login?ssoError=${encodeURIComponent(message)}`);
+}
+
+/**
+ * GET /oauth2/authorize
+ * Start single sign-on, redirects to the identity provider
+ * Query params: ?from=app (native app via Custom Tab, ends in a peerwave:// deep link)
+ */
+router.get('/oauth2/authorize', async (req, res) => {
+    const fromApp = req.query.from === 'app';
+    if (!oidcService.isEnabled()) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    try {
+        const { url, flow } = await oidcService.createAuthorizationRequest();
+        req.session.oidcFlow = { ...flow, fromApp };
+        req.session.save(err => {
+            if (err) {
+                logger.error('[OIDC] Session save error (/oauth2/authorize)', err);
+                return res.status(500).json({ error: 'Session save error' });
+            }
+            res.redirect(url);
+        });
+    } catch (error) {
+        logger.error('[OIDC] Error starting single sign-on', error);
+        redirectWithError(res, fromApp, 'Identity provider is not reachable');
+    }
+});
+
+/**
+ * GET /oauth2/callback
+ * Redirect target at the identity provider (config.oidc.redirectUri)
+ *
+ * Web: creates the session and opens the app. Native app: issues the
+ * one-time auth token for POST /token/exchange and hands it over via
+ * peerwave://auth/callback?token=...
+ */
+router.get('/oauth2/callback', async (req, res) => {
+    const flow = req.session.oidcFlow;
+    const fromApp = !!flow?.fromApp;
+    delete req.session.oidcFlow;
+
+    if (!oidcService.isEnabled()) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const { code, state, error: providerError } = req.query;
+    if (providerError) {
+        logger.warn('[OIDC] Identity provider returned an error');
+        return redirectWithError(res, fromApp, 'Sign-in was cancelled or denied');
+    }
+    if (!flow || typeof state !== 'string' || state !== flow.state || typeof code !== 'string') {
+        logger.warn('[OIDC] Callback state validation failed');
+        return redirectWithError(res, fromApp, 'Invalid or expired sign-in request');
+    }
+
+    try {
+        let claims;
+        try {
+            claims = await oidcService.exchangeCode({ code, flow });
+        } catch (exchangeError) {
+            logger.error('[OIDC] Code exchange failed:', exchangeError.message);
+            return redirectWithError(res, fromApp, 'Single sign-on failed');
+        }
+
+        const result = await oidcService.resolveUser(claims);
+        if (!result.success) {
+            logger.warn(`[OIDC] Login rejected: ${result.error}`);
+            return redirectWithError(res, fromApp, result.error);
+        }
+        const { user } = result;
+        // Locked out by a provisioning source (LDAP, SCIM)
+        if (await userAccount.isDeprovisioned(user.uuid)) {
+            logger.warn('[OIDC] Login rejected: account is deprovisioned');
+            return redirectWithError(res, fromApp, userAccount.ACCOUNT_DEACTIVATED);
+        }
+
+        await oidcService.applyRoleMapping(user.uuid, claims);
+
+        // Set user as active on authentication (same as passkey login)
+        await writeQueue.enqueue(
+            () => User.update({ active: true }, { where: { uuid: user.uuid } }),
+            'setUserActiveOnAuth'
+        );
+
+        if (fromApp) {
+            const authToken = generateAuthToken({
+                userId: user.uuid,
+                email: user.email,
+                state: flow.state
+            });
+            logger.info('[OIDC] Auth token issued for native app');
+            return res.redirect(`${APP_CALLBACK_URL}?token=${encodeURIComponent(authToken)}`);
+        }
+
+        req.session.authenticated = true;
+        req.session.uuid = user.uuid;
+        req.session.email = user.email;
+        req.session.registrationStep = 'complete';
+        req.session.save(err => {
+            if (err) {
+                logger.error('[OIDC] Session save error (/oauth2/callback)', err);
+                return res.status(500).json({ error: 'Session save error' });
+            }
+            logger.info('[OIDC] Web login successful');
+            res.redirect('/#/app');
+        });
+    } catch (error) {
+        logger.error('[OIDC] Error completing single sign-on', error);
+        redirectWithError(res, fromApp, 'Single sign-on failed');
+    }
+});
+
+module.exports = router;
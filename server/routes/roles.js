@@ -1,6 +1,6 @@
 const config = require('../config/config');
 const express = require("express");
-const { Role, User, Channel, UserRole, UserRoleChannel, ChannelMembers } = require('../db/model');
+const { Role, User, Channel, UserRole, UserRoleChannel, ChannelMembers, UserIdentity } = require('../db/model');
 const writeQueue = require('../db/writeQueue');
 const {
     assignServerRole,
@@ -19,6 +19,13 @@ const {
 const { verifyAuthEither } = require('../middleware/sessionAuth');
 const logger = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/logSanitizer');
+const notificationPreferences = require('../services/notificationPreferenceService');
+const channelArchive = require('../services/channelArchiveService');
+const channelOwnership = require('../services/channelOwnershipService');
+const ldapService = require('../services/ldapService');
+const userAccount = require('../services/userAccountService');
+const twoFactor = require('../services/twoFactorService');
+const { runLdapSync } = require('../jobs/ldapSync');
 
 const roleRoutes = express.Router();
 
@@ -149,12 +156,16 @@ roleRoutes.get('/user/notification-settings', verifyAuthEither, requireAuth, asy
             return res.status(404).json({ error: 'User not found' });
         }
 
+        // Snooze, do-not-disturb and per-channel / per-conversation levels
+        const pushSettings = await notificationPreferences.getNotificationSettings(userId);
+
         res.json({
             meetingInviteEmailEnabled: user.meeting_invite_email_enabled ?? true,
             meetingRsvpEmailToOrganizerEnabled: user.meeting_rsvp_email_to_organizer_enabled ?? true,
             meetingUpdateEmailEnabled: user.meeting_update_email_enabled ?? true,
             meetingCancelEmailEnabled: user.meeting_cancel_email_enabled ?? true,
-            meetingSelfInviteEmailEnabled: user.meeting_self_invite_email_enabled ?? false
+            meetingSelfInviteEmailEnabled: user.meeting_self_invite_email_enabled ?? false,
+            ...pushSettings
         });
     } catch (error) {
         logger.error('[ROLES] Error getting notification settings', error);
@@ -216,6 +227,20 @@ roleRoutes.patch('/user/notification-settings', verifyAuthEither, requireAuth, a
             updates.meeting_self_invite_email_enabled = meetingSelfInviteEmailEnabled;
         }
 
+        // Global snooze and do-not-disturb window
+        const dnd = req.body.doNotDisturb || {};
+        const globalSettings = notificationPreferences.buildGlobalUpdates({
+            snoozedUntil: req.body.snoozedUntil,
+            dndEnabled: normalizeBool(dnd.enabled),
+            dndStart: dnd.start,
+            dndEnd: dnd.end,
+            dndTimezone: dnd.timezone
+        });
+        if (globalSettings.error) {
+            return res.status(400).json({ error: globalSettings.error });
+        }
+        Object.assign(updates, globalSettings.updates);
+
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({ error: 'No valid settings provided' });
         }
@@ -224,13 +249,16 @@ roleRoutes.patch('/user/notification-settings', verifyAuthEither, requireAuth, a
             await user.update(updates);
         });
 
+        const pushSettings = await notificationPreferences.getNotificationSettings(userId);
+
         res.json({
             success: true,
             meetingInviteEmailEnabled: user.meeting_invite_email_enabled,
             meetingRsvpEmailToOrganizerEnabled: user.meeting_rsvp_email_to_organizer_enabled,
             meetingUpdateEmailEnabled: user.meeting_update_email_enabled,
             meetingCancelEmailEnabled: user.meeting_cancel_email_enabled,
-            meetingSelfInviteEmailEnabled: user.meeting_self_invite_email_enabled
+            meetingSelfInviteEmailEnabled: user.meeting_self_invite_email_enabled,
+            ...pushSettings
         });
     } catch (error) {
         logger.error('[ROLES] Error updating notification settings', error);
@@ -238,6 +266,52 @@ roleRoutes.patch('/user/notification-settings', verifyAuthEither, requireAuth, a
     }
 });
 
+// PUT /api/user/notification-settings/channels/:channelId - Level / snooze for one channel
+// Body: { level: 'all' | 'mentions' | 'none', snoozedUntil: ISO timestamp | null }
+roleRoutes.put('/user/notification-settings/channels/:channelId', verifyAuthEither, requireAuth, async (req, res) => {
+    try {
+        const result = await notificationPreferences.setPreference({
+            userId: req.userId || req.session.uuid,
+            scope: 'channel',
+            targetId: req.params.channelId,
+            level: req.body.level,
+            snoozedUntil: req.body.snoozedUntil
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, channelId: req.params.channelId, ...result.preference });
+    } catch (error) {
+        logger.error('[ROLES] Error updating channel notification preference', error);
+        res.status(500).json({ error: 'Failed to update notification settings' });
+    }
+});
+
+// PUT /api/user/notification-settings/direct/:userId - Level / snooze for one direct conversation
+// Body: { level: 'all' | 'mentions' | 'none', snoozedUntil: ISO timestamp | null }
+roleRoutes.put('/user/notification-settings/direct/:userId', verifyAuthEither, requireAuth, async (req, res) => {
+    try {
+        const result = await notificationPreferences.setPreference({
+            userId: req.userId || req.session.uuid,
+            scope: 'direct',
+            targetId: req.params.userId,
+            level: req.body.level,
+            snoozedUntil: req.body.snoozedUntil
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, userId: req.params.userId, ...result.preference });
+    } catch (error) {
+        logger.error('[ROLES] Error updating direct notification preference', error);
+        res.status(500).json({ error: 'Failed to update notification settings' });
+    }
+});
+
 // GET /api/roles - Get all roles by scope
 roleRoutes.get('/roles', verifyAuthEither, requireAuth, async (req, res) => {
     try {
@@ -447,12 +521,22 @@ roleRoutes.patch('/users/:userId/deactivate', verifyAuthEither, requireAuth, req
             return res.status(404).json({ error: 'User not found' });
         }
         
+        // Hand over owned channels first (optional body.transferChannelsTo, otherwise automatic)
+        const transfer = await channelOwnership.transferAllChannels({
+            fromUserId: userId,
+            toUserId: req.body?.transferChannelsTo,
+            transferredBy: req.session.uuid
+        });
+        if (!transfer.success) {
+            return res.status(transfer.status).json({ error: transfer.error });
+        }
+        
         await writeQueue.enqueue(
             () => user.update({ active: false }),
             'deactivateUser'
         );
         
-        res.json({ message: 'User deactivated successfully' });
+        res.json({ message: 'User deactivated successfully', transferredChannels: transfer.transfers });
     } catch (error) {
         logger.error('[ROLES] Error deactivating user', error);
         res.status(500).json({ error: 'Failed to deactivate user' });
@@ -474,6 +558,12 @@ roleRoutes.patch('/users/:userId/activate', verifyAuthEither, requireAuth, requi
             'activateUser'
         );
         
+        // Also lifts a lock-out by a provisioning source (LDAP, SCIM)
+        await writeQueue.enqueue(
+            () => UserIdentity.update({ deprovisioned_at: null }, { where: { user_uuid: userId } }),
+            'activateUserIdentities'
+        );
+        
         res.json({ message: 'User activated successfully' });
     } catch (error) {
         logger.error('[ROLES] Error activating user', error);
@@ -481,6 +571,23 @@ roleRoutes.patch('/users/:userId/activate', verifyAuthEither, requireAuth, requi
     }
 });
 
+// DELETE /api/users/:userId/totp - Remove a user's authenticator app (lost device and backup codes)
+roleRoutes.delete('/users/:userId/totp', verifyAuthEither, requireAuth, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const result = await twoFactor.reset(req.params.userId);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        logger.info('[ROLES] Authenticator app reset by admin');
+        logger.debug('[ROLES] Reset details', { userId: sanitizeForLog(req.params.userId), by: sanitizeForLog(req.session.uuid) });
+        res.json({ message: 'Authenticator app reset successfully' });
+    } catch (error) {
+        logger.error('[ROLES] Error resetting authenticator app', error);
+        res.status(500).json({ error: 'Failed to reset authenticator app' });
+    }
+});
+
 // DELETE /api/users/:userId - Delete a user
 roleRoutes.delete('/users/:userId', verifyAuthEither, requireAuth, requirePermission('user.manage'), async (req, res) => {
     try {
@@ -496,61 +603,64 @@ roleRoutes.delete('/users/:userId', verifyAuthEither, requireAuth, requirePermis
             return res.status(404).json({ error: 'User not found' });
         }
         
-        await writeQueue.enqueue(
-            async () => {
-                // Delete all related records before deleting user
-                const { Client, SignalPreKey, SignalSignedPreKey,
-                        GroupItem, GroupItemRead, ChannelMembers, Channel, 
-                        ClientSession, Item } = require('../db/model');
-                
-                // 1. Remove user from all channels (as member)
-                await ChannelMembers.destroy({ where: { userId } });
-                
-                // 2. Delete channels owned by user
-                await Channel.destroy({ where: { owner: userId } });
-                
-                // 3. Delete all user roles
-                await UserRole.destroy({ where: { userId } });
-                await UserRoleChannel.destroy({ where: { userId } });
-                
-                // 4. Delete all client devices owned by user
-                const userClients = await Client.findAll({ where: { owner: userId } });
-                const clientIds = userClients.map(c => c.clientid);
-                
-                // 5. Delete all Signal Protocol keys for user's clients
-                // Note: SenderKeys removed - not stored on server per Signal Protocol
-                if (clientIds.length > 0) {
-                    await SignalPreKey.destroy({ where: { client: clientIds } });
-                    await SignalSignedPreKey.destroy({ where: { client: clientIds } });
-                    await ClientSession.destroy({ where: { client_id: clientIds } });
-                }
-                
-                // 6. Delete user's clients
-                await Client.destroy({ where: { owner: userId } });
-                
-                // 7. Delete items sent or received by user
-                await Item.destroy({ where: { sender: userId } });
-                await Item.destroy({ where: { receiver: userId } });
-                
-                // 8. Delete group items sent by user
-                await GroupItem.destroy({ where: { sender: userId } });
-                
-                // 9. Delete group item read receipts by user
-                await GroupItemRead.destroy({ where: { userId } });
-                
-                // 10. Finally delete the user
-                await user.destroy();
-            },
-            'deleteUser'
-        );
+        // Owned channels are handed over first (optional body.transferChannelsTo, otherwise automatic)
+        const result = await userAccount.deleteUser({
+            userId,
+            transferChannelsTo: req.body?.transferChannelsTo,
+            deletedBy: req.session.uuid
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
         
-        res.json({ message: 'User deleted successfully' });
+        res.json({ message: 'User deleted successfully', transferredChannels: result.transfers });
     } catch (error) {
         logger.error('[ROLES] Error deleting user', error);
         res.status(500).json({ error: 'Failed to delete user' });
     }
 });
 
+// POST /api/users/:userId/transfer-channels - Transfer all channels owned by a user (admin)
+roleRoutes.post('/users/:userId/transfer-channels', verifyAuthEither, requireAuth, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { newOwnerId } = req.body;
+        
+        const user = await User.findByPk(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const result = await channelOwnership.transferAllChannels({
+            fromUserId: userId,
+            toUserId: newOwnerId,
+            transferredBy: req.session.uuid
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json({ success: true, transferredChannels: result.transfers });
+    } catch (error) {
+        logger.error('[ROLES] Error transferring channels of user', error);
+        res.status(500).json({ error: 'Failed to transfer channels' });
+    }
+});
+
+// POST /api/ldap/sync - Sync users from the LDAP directory now (admin)
+roleRoutes.post('/ldap/sync', verifyAuthEither, requireAuth, requirePermission('user.manage'), async (req, res) => {
+    if (!ldapService.isEnabled()) {
+        return res.status(404).json({ error: 'Directory sync is not configured' });
+    }
+    
+    const stats = await runLdapSync();
+    if (!stats) {
+        return res.status(503).json({ error: 'Directory sync failed or is already running' });
+    }
+    
+    res.json({ success: true, ...stats });
+});
+
 // GET /api/users/:userId/roles - Get all roles for a specific user
 roleRoutes.get('/users/:userId/roles', verifyAuthEither, requireAuth, requirePermission('user.manage'), async (req, res) => {
     try {
@@ -860,6 +970,11 @@ roleRoutes.post('/channels/:channelId/members', verifyAuthEither, requireAuth, a
             return res.status(404).json({ error: 'Channel not found' });
         }
         
+        // Archived channels are read-only: no new members
+        if (channelArchive.isArchived(channel)) {
+            return res.status(403).json({ error: channelArchive.ARCHIVED_ERROR });
+        }
+        
         // Verify user exists
         const user = await User.findByPk(userId);
         if (!user) {
@@ -1074,6 +1189,32 @@ roleRoutes.delete('/channels/:channelId/members/:userId', verifyAuthEither, requ
     }
 });
 
+// POST /api/channels/:channelId/transfer-ownership - Make another member the channel owner
+roleRoutes.post('/channels/:channelId/transfer-ownership', verifyAuthEither, requireAuth, async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const { newOwnerId } = req.body;
+        
+        const result = await channelOwnership.transferOwnership({
+            userId: req.session.uuid,
+            channelId,
+            newOwnerId
+        });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json({ 
+            success: true,
+            message: 'Channel ownership transferred successfully',
+            ...result.transfer
+        });
+    } catch (error) {
+        logger.error('[ROLES] Error transferring channel ownership', error);
+        res.status(500).json({ error: 'Failed to transfer channel ownership' });
+    }
+});
+
 // DELETE /api/channels/:channelId - Delete a channel
 roleRoutes.delete('/channels/:channelId', verifyAuthEither, requireAuth, async (req, res) => {
     try {
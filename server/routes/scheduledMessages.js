@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuthEither, getDeviceId } = require('../middleware/sessionAuth');
+const logger = require('../utils/logger');
+const scheduledMessages = require('../services/scheduledMessagesService');
+
+/**
+ * POST /api/scheduled-messages
+ * Schedule a pre-encrypted message (REST counterpart of scheduleItem / scheduleGroupItem)
+ * Body (1:1): { itemId, recipient, type, sendAt, envelopes: [{ recipient, recipientDeviceId, payload, cipherType }] }
+ * Body (group): { channelId, itemId, type, payload, cipherType, parentItemId, mentions, sendAt }
+ */
+router.post('/', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const deviceId = await getDeviceId(req);
+        if (!deviceId) {
+            return res.status(400).json({ error: 'Missing device id' });
+        }
+
+        const result = req.body.channelId
+            ? await scheduledMessages.scheduleGroupItem({ userId, deviceId, data: req.body })
+            : await scheduledMessages.scheduleDirectItem({ senderUserId: userId, senderDeviceId: deviceId, data: req.body });
+
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(result.existing ? 200 : 201).json({
+            success: true,
+            scheduled: result.scheduled
+        });
+    } catch (error) {
+        logger.error('[SCHEDULED] Error scheduling message', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/scheduled-messages
+ * List the caller's pending scheduled messages
+ * Query params: ?channelId=uuid or ?recipient=uuid
+ */
+router.get('/', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const scheduled = await scheduledMessages.listScheduled({
+            userId,
+            channelId: req.query.channelId,
+            recipient: req.query.recipient
+        });
+
+        res.json({
+            success: true,
+            scheduled,
+            count: scheduled.length
+        });
+    } catch (error) {
+        logger.error('[SCHEDULED] Error listing scheduled messages', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /api/scheduled-messages/:id
+ * Change the delivery time
+ * Body: { sendAt }
+ */
+router.patch('/:id', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await scheduledMessages.rescheduleMessage({
+            userId,
+            id: req.params.id,
+            sendAt: req.body.sendAt
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            scheduled: result.scheduled
+        });
+    } catch (error) {
+        logger.error('[SCHEDULED] Error rescheduling message', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/scheduled-messages/:id
+ * Cancel a pending scheduled message
+ */
+router.delete('/:id', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await scheduledMessages.cancelScheduledMessage({
+            userId,
+            id: req.params.id
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('[SCHEDULED] Error cancelling scheduled message', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router();
+const logger = require('../utils/logger');
+const scimService = require('../services/scimService');
+
+// SCIM clients send application/scim+json, the app-wide parser only handles application/json
+router.use(bodyParser.json({ type: ['application/scim+json', 'application/json'] }));
+
+function sendResource(res, status, resource) {
+    res.status(status).type('application/scim+json').json(resource);
+}
+
+function sendError(res, status, detail, scimType) {
+    const body = { schemas: [scimService.SCHEMAS.error], status: String(status), detail };
+    if (scimType) {
+        body.scimType = scimType;
+    }
+    sendResource(res, status, body);
+}
+
+function sendResult(res, result) {
+    if (!result.success) {
+        return sendError(res, result.status, result.error, result.scimType);
+    }
+    if (result.status === 204) {
+        return res.status(204).end();
+    }
+    sendResource(res, result.status || 200, result.resource);
+}
+
+function sendList(res, response) {
+    if (response.error) {
+        return sendError(res, 400, response.error, 'invalidFilter');
+    }
+    sendResource(res, 200, response);
+}
+
+// Wrap handlers so unexpected errors become SCIM error responses
+function handle(action) {
+    return async (req, res) => {
+        try {
+            await action(req, res);
+        } catch (error) {
+            logger.error(`[SCIM] Error handling ${req.method} ${req.path}`, error);
+            sendError(res, 500, 'Internal server error');
+        }
+    };
+}
+
+/**
+ * Bearer token authentication (config.scim.token)
+ */
+router.use((req, res, next) => {
+    if (!scimService.isEnabled()) {
+        return sendError(res, 404, 'SCIM provisioning is not configured');
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match || !scimService.verifyToken(match[1].trim())) {
+        logger.warn('[SCIM] Request with invalid bearer token');
+        res.set('WWW-Authenticate', 'Bearer realm="PeerWave SCIM"');
+        return sendError(res, 401, 'Invalid bearer token');
+    }
+    next();
+});
+
+// Discovery
+router.get('/ServiceProviderConfig', (req, res) => {
+    sendResource(res, 200, scimService.serviceProviderConfig());
+});
+
+router.get('/ResourceTypes', (req, res) => {
+    sendResource(res, 200, scimService.resourceTypes());
+});
+
+// Users
+router.get('/Users', handle(async (req, res) => {
+    sendList(res, await scimService.listUsers(req.query));
+}));
+
+router.post('/Users', handle(async (req, res) => {
+    sendResult(res, await scimService.createUser(req.body));
+}));
+
+router.get('/Users/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.getUser(req.params.id));
+}));
+
+router.put('/Users/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.replaceUser(req.params.id, req.body));
+}));
+
+router.patch('/Users/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.patchUser(req.params.id, req.body));
+}));
+
+router.delete('/Users/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.deleteUser(req.params.id));
+}));
+
+// Groups (server roles)
+router.get('/Groups', handle(async (req, res) => {
+    sendList(res, await scimService.listGroups(req.query));
+}));
+
+router.post('/Groups', handle(async (req, res) => {
+    sendResult(res, await scimService.createGroup(req.body));
+}));
+
+router.get('/Groups/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.getGroup(req.params.id, req.query));
+}));
+
+router.put('/Groups/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.replaceGroup(req.params.id, req.body));
+}));
+
+router.patch('/Groups/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.patchGroup(req.params.id, req.body));
+}));
+
+router.delete('/Groups/:id', handle(async (req, res) => {
+    sendResult(res, await scimService.deleteGroup(req.params.id));
+}));
+
+router.use((req, res) => {
+    sendError(res, 404, 'Resource not found');
+});
+
+module.exports = router;
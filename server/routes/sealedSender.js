@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuthEither, getDeviceId } = require('../middleware/sessionAuth');
+const logger = require('../utils/logger');
+const sealedSender = require('../services/sealedSenderService');
+
+/**
+ * GET /api/sealed-sender/certificate
+ * Short-lived sender and delivery certificates for sealed 1:1 sends
+ */
+router.get('/certificate', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const deviceId = await getDeviceId(req);
+        if (!deviceId) {
+            return res.status(400).json({ error: 'Missing device id' });
+        }
+
+        const result = await sealedSender.issueCertificates({ userId, deviceId });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error, retryAfter: result.retryAfter });
+        }
+
+        res.json({
+            success: true,
+            senderCertificate: result.senderCertificate,
+            deliveryCertificate: result.deliveryCertificate,
+            expiresAt: result.expiresAt,
+            serverPublicKey: result.serverPublicKey
+        });
+    } catch (error) {
+        logger.error('[SEALED SENDER] Error issuing certificates', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/sealed-sender/server-key
+ * Ed25519 key recipients verify sender certificates with
+ */
+router.get('/server-key', verifyAuthEither, (req, res) => {
+    res.json({
+        success: true,
+        algorithm: 'Ed25519',
+        publicKey: sealedSender.getServerPublicKey()
+    });
+});
+
+module.exports = router;
@@ -9,6 +9,8 @@ const {
   fetchPendingMessagesForDevice,
   fetchPendingMessagesForDeviceV2,
 } = require('../services/pendingMessagesService');
+const messageEditService = require('../services/messageEditService');
+const deliveryAck = require('../services/deliveryAckService');
 
 const router = express.Router();
 
@@ -257,6 +259,121 @@ router.get('/pending-messages/v2', verifyAuthEither, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/signal/items/ack
+ * Acknowledge processed 1:1 items for the current device (REST counterpart of ackItems)
+ * Body: { itemIds: [...] }
+ */
+router.post('/items/ack', verifyAuthEither, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const clientId = req.clientId;
+
+    if (!userId || !clientId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const client = await Client.findOne({
+      where: { clientid: clientId },
+      attributes: ['device_id'],
+    });
+
+    if (!client?.device_id) {
+      return res.status(400).json({ error: 'Missing device id' });
+    }
+
+    const result = await deliveryAck.ackItems({
+      userId,
+      deviceId: client.device_id,
+      itemIds: req.body?.itemIds,
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.json({ success: true, ackedCount: result.ackedCount });
+  } catch (error) {
+    logger.error('[SIGNAL API] Error acknowledging items', error);
+    return res.status(500).json({ error: 'Failed to acknowledge items' });
+  }
+});
+
+/**
+ * POST /api/signal/items/:itemId/edit
+ * Edit a 1:1 message for one recipient device (REST counterpart of editItem)
+ * Body: { editId, recipient, recipientDeviceId, payload, cipherType, originalRecipient }
+ */
+router.post('/items/:itemId/edit', verifyAuthEither, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const clientId = req.clientId;
+
+    if (!userId || !clientId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const client = await Client.findOne({
+      where: { clientid: clientId },
+      attributes: ['device_id'],
+    });
+
+    if (!client?.device_id) {
+      return res.status(400).json({ error: 'Missing device id' });
+    }
+
+    const result = await messageEditService.editDirectItem({
+      senderUserId: userId,
+      senderDeviceId: client.device_id,
+      data: { ...req.body, itemId: req.params.itemId },
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.json({ success: true, revision: result.revision, delivered: result.delivered });
+  } catch (error) {
+    logger.error('[SIGNAL API] Error editing item', error);
+    return res.status(500).json({ error: 'Failed to edit item' });
+  }
+});
+
+/**
+ * GET /api/signal/items/:itemId/revisions
+ * Fetch the revision history of a 1:1 message encrypted for the current device
+ */
+router.get('/items/:itemId/revisions', verifyAuthEither, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const clientId = req.clientId;
+
+    if (!userId || !clientId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const client = await Client.findOne({
+      where: { clientid: clientId },
+      attributes: ['device_id'],
+    });
+
+    if (!client?.device_id) {
+      return res.status(400).json({ error: 'Missing device id' });
+    }
+
+    const revisions = await messageEditService.getDirectRevisions({
+      userId,
+      deviceId: client.device_id,
+      itemId: req.params.itemId,
+    });
+
+    return res.json({ success: true, revisions });
+  } catch (error) {
+    logger.error('[SIGNAL API] Error fetching item revisions', error);
+    return res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
 /**
  * POST /api/signal/prekey
  * Store a pre-key
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAuthEither, getDeviceId } = require('../middleware/sessionAuth');
+const logger = require('../utils/logger');
+const unreadService = require('../services/unreadService');
+
+/**
+ * GET /api/unread
+ * Unread and mention counts per signal channel and per direct conversation
+ * for the calling user/device
+ */
+router.get('/', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const deviceId = await getDeviceId(req);
+        if (!deviceId) {
+            return res.status(400).json({ error: 'Missing device id' });
+        }
+
+        const summary = await unreadService.getUnreadSummary({ userId, deviceId });
+
+        res.json({
+            success: true,
+            ...summary
+        });
+    } catch (error) {
+        logger.error('[UNREAD] Error fetching unread counts', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/unread/direct/:userId/read
+ * Mark a direct conversation read on all devices of the caller
+ */
+router.post('/direct/:userId/read', verifyAuthEither, async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const result = await unreadService.markDirectRead({
+            userId,
+            peerUserId: req.params.userId
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            markedCount: result.markedCount
+        });
+    } catch (error) {
+        logger.error('[UNREAD] Error marking direct conversation read', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const config = require('./config/config');
 const LicenseValidator = require('./lib/license-validator');
 const express = require("express");
 const { randomUUID } = require('crypto');
+const { Op } = require('sequelize');
 const http = require("http");
 const app = express();
 
@@ -21,15 +22,35 @@ const sharedSession = require('socket.io-express-session');
 // Database initialization - MUST happen before loading model
 // This is handled by initializeDatabase() called at the end of the file
 
-let User, Channel, Thread, Client, SignalSignedPreKey, SignalPreKey, Item, ChannelMembers, GroupItem, GroupItemRead;
+let User, Channel, Thread, Client, SignalSignedPreKey, SignalPreKey, Item, ChannelMembers, GroupItem;
 
 const path = require('path');
 const writeQueue = require('./db/writeQueue');
 const { initCleanupJob, runCleanup } = require('./jobs/cleanup');
 const { initMeetingReminderJob } = require('./jobs/meetingReminders');
+const { initDisappearingMessagesJob } = require('./jobs/disappearingMessages');
+const { initScheduledMessagesJob } = require('./jobs/scheduledMessages');
+const { initLdapSyncJob, runLdapSync } = require('./jobs/ldapSync');
 const logger = require('./utils/logger');
-const { sendMessageNotification } = require('./services/push_notifications');
+const { sendMessageNotification, MENTION_PUSH_OPTIONS } = require('./services/push_notifications');
 const { deviceSockets, getDeviceSockets } = require('./utils/deviceSockets');
+const blockService = require('./services/blockService');
+const messageEditService = require('./services/messageEditService');
+const threadService = require('./services/threadService');
+const disappearingMessages = require('./services/disappearingMessagesService');
+const scheduledMessages = require('./services/scheduledMessagesService');
+const pinService = require('./services/pinService');
+const typingService = require('./services/typingService');
+const channelSequence = require('./services/channelSequenceService');
+const deliveryAck = require('./services/deliveryAckService');
+const readPositionService = require('./services/readPositionService');
+const unreadService = require('./services/unreadService');
+const mentionService = require('./services/mentionService');
+const notificationPreferences = require('./services/notificationPreferenceService');
+const sealedSender = require('./services/sealedSenderService');
+const channelPosting = require('./services/channelPostingService');
+const channelSlowMode = require('./services/channelSlowModeService');
+const { MESSAGE_SEND_EVENTS, consumeMessageQuota, isTrackedMessageItem } = require('./middleware/rateLimiter');
 const {
   normalizePagination,
   fetchPendingMessagesForDevice,
@@ -384,9 +405,17 @@ app.use((req, res, next) => {
 
 
   const authRoutes = require('./routes/auth');
+  const oauth2Routes = require('./routes/oauth2');
+  const scimRoutes = require('./routes/scim');
   const clientRoutes = require('./routes/client');
   const roleRoutes = require('./routes/roles');
   const groupItemRoutes = require('./routes/groupItems');
+  const scheduledMessageRoutes = require('./routes/scheduledMessages');
+  const unreadRoutes = require('./routes/unread');
+  const mentionRoutes = require('./routes/mentions');
+  const sealedSenderRoutes = require('./routes/sealedSender');
+  const channelInviteRoutes = require('./routes/channelInvites');
+  const channelJoinRequestRoutes = require('./routes/channelJoinRequests');
   // const senderKeyRoutes = require('./routes/senderKeys'); // REMOVED - sender keys not stored on server
   const signalRoutes = require('./routes/signal');
   const livekitRoutes = require('./routes/livekit');
@@ -405,7 +434,8 @@ app.use((req, res, next) => {
     registrationLimiter, 
     passwordResetLimiter, 
     queryLimiter,
-    fileLimiter 
+    fileLimiter,
+    scimLimiter
   } = require('./middleware/rateLimiter');
 
   // Apply general rate limiting to all API routes (fallback)
@@ -419,7 +449,11 @@ app.use((req, res, next) => {
   app.use('/webauthn/authenticate', authLimiter);
   app.use('/webauthn/authenticate-challenge', authLimiter);
   app.use('/backupcode/verify', authLimiter);
+  app.use('/oauth2', authLimiter);
   
+  // === SCIM PROVISIONING (per identity provider IP) ===
+  app.use('/scim/v2', scimLimiter);
+
   // === PASSWORD RESET (Very Strict) ===
   app.use('/api/auth/reset-password', passwordResetLimiter);
   app.use('/api/auth/forgot-password', passwordResetLimiter);
@@ -429,6 +463,10 @@ app.use((req, res, next) => {
   // app.use('/api/sender-keys', queryLimiter); // REMOVED - sender keys not stored on server
   app.use('/api/signal', queryLimiter);
   app.use('/api/group-items', queryLimiter);
+  app.use('/api/scheduled-messages', queryLimiter);
+  app.use('/api/unread', queryLimiter);
+  app.use('/api/mentions', queryLimiter);
+  app.use('/api/sealed-sender', queryLimiter);
   app.use('/api/livekit/room', queryLimiter);
   
   // === MEETINGS & CALLS (Moderate for creation, lenient for reads) ===
@@ -454,6 +492,9 @@ app.use((req, res, next) => {
   // External routes don't require auth, but still need rate limiting
   app.use('/api/meetings/external', apiLimiter);
   
+  // === CHANNEL INVITE LINKS (Moderate, token guessing) ===
+  app.use('/api/channel-invites', apiLimiter);
+  
   // === BLOCK & REPORT ENDPOINTS (Moderate) ===
   app.use('/api', blockReportRoutes);
   
@@ -463,6 +504,12 @@ app.use((req, res, next) => {
   app.use(clientRoutes);
   app.use('/api', roleRoutes);
   app.use('/api/group-items', groupItemRoutes);
+  app.use('/api/scheduled-messages', scheduledMessageRoutes);
+  app.use('/api/unread', unreadRoutes);
+  app.use('/api/mentions', mentionRoutes);
+  app.use('/api/sealed-sender', sealedSenderRoutes);
+  app.use('/api', channelInviteRoutes);
+  app.use('/api', channelJoinRequestRoutes);
   // app.use('/api/sender-keys', senderKeyRoutes); // REMOVED - sender keys not stored on server
   app.use('/api/signal', signalRoutes);
   app.use('/api/livekit', livekitRoutes);
@@ -793,6 +840,45 @@ io.sockets.on("connection", socket => {
   const getClientId = () => socket.data.clientId || socket.handshake.session.clientId;
   const isAuthenticated = () => socket.data.sessionAuth || socket.handshake.session.authenticated === true;
 
+  // 🔒 Per-user message send limit (config.messageRateLimit); sealed sendItem
+  // is anonymous and limited by the live certificates of its sender instead
+  // (config.sealedSender)
+  socket.use(async ([event, ...args], next) => {
+    if (!MESSAGE_SEND_EVENTS.includes(event) || !isAuthenticated()) {
+      return next();
+    }
+    const data = args[0];
+    if (event === 'sendItem' && data?.sealed === true) {
+      return next();
+    }
+
+    // sendItem: one envelope per device of recipient and sender share the itemId;
+    // devices are counted on the first envelope only
+    let envelopeLimit = 1;
+    if (event === 'sendItem' && data?.recipient && !isTrackedMessageItem(getUserId(), data.itemId)) {
+      try {
+        envelopeLimit = await Client.count({ where: { owner: { [Op.in]: [data.recipient, getUserId()] } } });
+      } catch (error) {
+        logger.error('[RATE_LIMIT] Error counting recipient devices', error);
+      }
+    }
+
+    const quota = consumeMessageQuota(getUserId(), data?.itemId, envelopeLimit);
+    if (quota.allowed) {
+      return next();
+    }
+
+    const rejection = { itemId: data?.itemId || null, error: quota.error, retryAfter: quota.retryAfter };
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ success: false, ...rejection });
+    } else if (event === 'sendGroupItem') {
+      socket.emit("groupItemError", rejection);
+    } else {
+      socket.emit("itemError", rejection);
+    }
+  });
+
   // Service imports for meetings & calls
   const meetingService = require('./services/meetingService');
   const presenceService = require('./services/presenceService');
@@ -1001,19 +1087,13 @@ io.sockets.on("connection", socket => {
       flushPendingMessages(io, socket, userId, deviceId);
     }
     
-    // ✅ Check for pending messages and notify client
+    // ✅ Redeliver unacknowledged items, then notify client about the rest
     try {
       if (isAuthenticated()) {
         const userId = getUserId();
         const deviceId = getDeviceId();
         
-        // COUNT query (fast, even with thousands of messages)
-        const pendingCount = await Item.count({
-          where: {
-            receiver: userId,
-            deviceReceiver: deviceId
-          }
-        });
+        const { remaining: pendingCount } = await deliveryAck.redeliverUnacked({ userId, deviceId });
         
         if (pendingCount > 0) {
           logger.info(`[SIGNAL SERVER] ${pendingCount} pending messages for user`);
@@ -1652,6 +1732,28 @@ io.sockets.on("connection", socket => {
   // When receiver detects corrupted session, they fetch sender's PreKeyBundle and establish new session
 
   socket.on("sendItem", async (data) => {
+    // 🔒 Sealed sender: authenticated by the delivery certificate instead of the
+    // session; nothing about the sender is logged, stored or forwarded
+    if (data?.sealed === true) {
+      try {
+        const result = await sealedSender.deliverSealedItem(data);
+        if (result.success) {
+          socket.emit("itemStored", {
+            itemId: result.itemId,
+            recipientUserId: result.recipientUserId,
+            recipientDeviceId: result.recipientDeviceId,
+            storedAt: result.storedAt
+          });
+        } else {
+          socket.emit("sealedItemError", { itemId: data.itemId || null, error: result.error });
+        }
+      } catch (error) {
+        logger.error('[SEALED SENDER] Error sending sealed item:', error);
+        socket.emit("sealedItemError", { itemId: data.itemId || null, error: 'Internal server error' });
+      }
+      return;
+    }
+
     logger.info('[SIGNAL SERVER] sendItem event received');
     logger.debug('[SIGNAL SERVER] sendItem data:', { data: sanitizeForLog(data) });
     logger.debug('[SIGNAL SERVER] Session:', { session: socket.handshake.session });
@@ -1674,8 +1776,29 @@ io.sockets.on("connection", socket => {
         
         // Determine if this is a multi-device sync message (sender == receiver)
         const isMultiDeviceSync = (senderUserId === recipientUserId);
-        
-        const storedItem = await writeQueue.enqueue(async () => {
+
+        // 🚫 Blocked: silently accept without storing or relaying
+        // The sender still gets the normal "stored" confirmation so blocks cannot be probed
+        if (!isMultiDeviceSync && await blockService.isBlockedBetween(senderUserId, recipientUserId)) {
+          logger.info('[SIGNAL SERVER] Dropping 1:1 message between blocked users');
+          logger.debug('[SIGNAL SERVER] Dropped message:', { itemId: sanitizeForLog(itemId), recipientUserId: sanitizeForLog(recipientUserId) });
+          safeEmitToDevice(io, senderUserId, senderDeviceId, "itemStored", {
+            itemId: itemId,
+            recipientUserId: recipientUserId,
+            recipientDeviceId: recipientDeviceId,
+            storedAt: new Date().toISOString()
+          });
+          return;
+        }
+
+        // ⏱️ Disappearing messages: stamp with the conversation timer
+        // (multi-device sync copies follow the conversation with the original recipient)
+        const conversationPeer = isMultiDeviceSync ? (data.originalRecipient || recipientUserId) : recipientUserId;
+        const expiresAt = disappearingMessages.computeExpiresAt(
+          await disappearingMessages.getDirectTimer(senderUserId, conversationPeer)
+        );
+
+        await writeQueue.enqueue(async () => {
           return await Item.create({
             sender: senderUserId,
             deviceSender: senderDeviceId,
@@ -1687,7 +1810,8 @@ io.sockets.on("connection", socket => {
             itemId: itemId,
             // If multi-device sync, originalRecipient should be extracted from payload metadata
             // For now, it's null (will be set by client when sending)
-            originalRecipient: data.originalRecipient || null
+            originalRecipient: data.originalRecipient || null,
+            expiresAt
           });
         }, `sendItem-${itemId}`);
          logger.info('[SIGNAL SERVER] Message stored successfully in DB');
@@ -1695,20 +1819,29 @@ io.sockets.on("connection", socket => {
            logger.debug('[SIGNAL SERVER] Multi-device sync message with originalRecipient:', { originalRecipient: sanitizeForLog(data.originalRecipient) });
          }
 
-        // Send delivery receipt to sender IMMEDIATELY after DB storage
-        // (regardless of whether recipient is online)
+        // Confirm storage to sender IMMEDIATELY after DB storage
+        // (regardless of whether recipient is online). The real deliveryReceipt
+        // follows when the recipient device acknowledges the item (ackItems / deleteItem)
         const senderSocketId = deviceSockets.get(`${senderUserId}:${senderDeviceId}`);
         if (senderSocketId) {
-          safeEmitToDevice(io, senderUserId, senderDeviceId, "deliveryReceipt", {
+          safeEmitToDevice(io, senderUserId, senderDeviceId, "itemStored", {
             itemId: itemId,
             recipientUserId: recipientUserId,
             recipientDeviceId: recipientDeviceId,
-            deliveredAt: new Date().toISOString()
+            storedAt: new Date().toISOString()
           });
-          logger.info('[SIGNAL SERVER] Delivery receipt sent to sender (message stored in DB)');
+          logger.info('[SIGNAL SERVER] Stored confirmation sent to sender (message stored in DB)');
           logger.debug('[SIGNAL SERVER] Receipt sent to:', { senderUserId: sanitizeForLog(senderUserId), senderDeviceId: sanitizeForLog(senderDeviceId) });
         }
 
+        // Badge of the receiving device (multi-device sync copies do not count)
+        unreadService.notifyDirectUnread({
+          userId: recipientUserId,
+          deviceId: recipientDeviceId,
+          peerUserId: senderUserId,
+          type
+        }).catch(err => logger.error('[UNREAD] Error sending direct unread update:', err));
+
         // Sende die Nachricht an das spezifische Gerät (recipientDeviceId),
         // für das sie verschlüsselt wurde
         const targetSocketId = deviceSockets.get(`${recipientUserId}:${recipientDeviceId}`);
@@ -1730,6 +1863,10 @@ io.sockets.on("connection", socket => {
           cipherType
         });
         if (targetSocketId) {
+          // notify flag: conversation level, snooze, do-not-disturb (own sync copies never notify)
+          const notify = recipientUserId !== senderUserId &&
+            await notificationPreferences.shouldNotify({ userId: recipientUserId, peerUserId: senderUserId });
+
           // 🚀 Use safe emit (only if client ready)
           safeEmitToDevice(io, recipientUserId, recipientDeviceId, "receiveItem", {
             sender: senderUserId,
@@ -1741,19 +1878,14 @@ io.sockets.on("connection", socket => {
             itemId: itemId,
             // Include originalRecipient for multi-device sync
             originalRecipient: data.originalRecipient || null,
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            notify,
             // NOTE: channel is NOT included - receiveItem is for 1:1 messages ONLY
             // Group messages use groupItem event instead
           });
           logger.info('[SIGNAL SERVER] 1:1 message sent to device');
           logger.debug('[SIGNAL SERVER] Message sent to:', { recipientUserId: sanitizeForLog(recipientUserId), recipientDeviceId: sanitizeForLog(recipientDeviceId) });
-          
-          // Update delivery timestamp in database (recipient received the message)
-          await writeQueue.enqueue(async () => {
-            return await Item.update(
-              { deliveredAt: new Date() },
-              { where: { uuid: storedItem.uuid } }
-            );
-          }, `deliveryUpdate-${itemId}`);
+          // Item stays stored until the device acknowledges it (ackItems / deleteItem)
         } else {
           logger.info('[SIGNAL SERVER] Target device offline, message stored in DB');
           logger.debug('[SIGNAL SERVER] Offline device:', { recipientUserId: sanitizeForLog(recipientUserId), recipientDeviceId: sanitizeForLog(recipientDeviceId) });
@@ -2560,6 +2692,12 @@ io.sockets.on("connection", socket => {
       logger.info('[P2P FILE] User sharing file with user');
       logger.debug(`[P2P FILE] Sharer: ${sanitizeForLog(userId)}, Target: ${sanitizeForLog(targetUserId)}, FileId: ${sanitizeForLog(fileId)}`);
 
+      // 🚫 Blocked: report success without sharing so blocks cannot be probed
+      if (await blockService.isBlockedBetween(userId, targetUserId)) {
+        logger.info('[P2P FILE] Skipping file share between blocked users');
+        return callback?.({ success: true });
+      }
+
       const success = fileRegistry.shareFile(fileId, userId, targetUserId);
       fileRegistry.shareFile(fileId, userId, userId); // Ensure sharer retains access
       
@@ -2693,6 +2831,11 @@ io.sockets.on("connection", socket => {
         }
       }
 
+      // Never grant access to users on either side of a block
+      const targetUserIds = action === 'add'
+        ? (await blockService.filterBlockedRecipients(userId, userIds)).allowed
+        : userIds;
+
       logger.info(`[P2P FILE] User ${action}ing ${userIds.length} users for file`);
       logger.debug(`[P2P FILE] User: ${sanitizeForLog(userId)}, FileId: ${sanitizeForLog(fileId.substring(0, 8))}`);
 
@@ -2700,7 +2843,7 @@ io.sockets.on("connection", socket => {
       let successCount = 0;
       let failCount = 0;
 
-      for (const targetUserId of userIds) {
+      for (const targetUserId of targetUserIds) {
         let success = false;
         
         if (action === 'add') {
@@ -2727,7 +2870,7 @@ io.sockets.on("connection", socket => {
 
       // Notify affected users
       const updatedFileInfo = fileRegistry.getFileInfo(fileId);
-      const affectedUserIds = action === 'add' ? userIds : userIds.filter(id => id !== userId);
+      const affectedUserIds = action === 'add' ? targetUserIds : userIds.filter(id => id !== userId);
 
       affectedUserIds.forEach(targetUserId => {
         const targetSockets = Array.from(io.sockets.sockets.values())
@@ -3528,6 +3671,7 @@ io.sockets.on("connection", socket => {
 
   /**
    * Event handler to delete a specific item (1:1 message) for the current user/device as receiver
+   * Sent by clients after processing an item, so it acknowledges like ackItems
    * @param {Object} data - Contains itemId to delete
    */
   socket.on("deleteItem", async (data, callback) => {
@@ -3545,23 +3689,106 @@ io.sockets.on("connection", socket => {
       }
 
       // Delete item where receiver and deviceReceiver match current session
-      const deletedCount = await writeQueue.enqueue(async () => {
-        return await Item.destroy({
-          where: {
-            itemId: itemId,
-            receiver: userId,
-            deviceReceiver: deviceId
-          }
-        });
-      }, `deleteItem-${itemId}-${userId}-${deviceId}`);
+      // and send the sender its deliveryReceipt
+      const result = await deliveryAck.ackItems({ userId, deviceId, itemIds: [itemId] });
+      if (!result.success) {
+        return callback?.({ success: false, error: result.error });
+      }
 
-      callback?.({ success: true, deletedCount });
+      callback?.({ success: true, deletedCount: result.ackedCount });
     } catch (error) {
       logger.error('[SIGNAL SERVER] Error deleting item', error);
       callback?.({ success: false, error: error.message });
     }
   });
 
+  /**
+   * Acknowledge processed 1:1 items (batch)
+   * Acknowledged items are deleted and their senders get a deliveryReceipt;
+   * anything not acknowledged is redelivered on the next clientReady
+   * @param {Object} data - { itemIds: [...] }
+   */
+  socket.on("ackItems", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      const result = await deliveryAck.ackItems({
+        userId: getUserId(),
+        deviceId: getDeviceId(),
+        itemIds: data?.itemIds
+      });
+
+      if (!result.success) {
+        return callback?.({ success: false, error: result.error });
+      }
+
+      callback?.({ success: true, ackedCount: result.ackedCount });
+    } catch (error) {
+      logger.error('[DELIVERY ACK] Error acknowledging items', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * Edit a 1:1 message for one recipient device
+   * Like sendItem, the client sends one editItem per device it encrypted for,
+   * all sharing the same editId (they get the same revision)
+   * @param {Object} data - { itemId, editId, recipient, recipientDeviceId, payload, cipherType, originalRecipient }
+   */
+  socket.on("editItem", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      const result = await messageEditService.editDirectItem({
+        senderUserId: getUserId(),
+        senderDeviceId: getDeviceId(),
+        data
+      });
+
+      if (!result.success) {
+        logger.warn(`[MESSAGE EDIT] editItem rejected: ${result.error}`);
+        return callback?.({ success: false, error: result.error });
+      }
+
+      callback?.({ success: true, revision: result.revision });
+    } catch (error) {
+      logger.error('[MESSAGE EDIT] Error editing item', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * Schedule a 1:1 message for later delivery (send-later)
+   * Same envelopes as sendItem, one per recipient device, plus sendAt
+   */
+  socket.on("scheduleItem", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      const result = await scheduledMessages.scheduleDirectItem({
+        senderUserId: getUserId(),
+        senderDeviceId: getDeviceId(),
+        data
+      });
+
+      if (!result.success) {
+        logger.warn(`[SCHEDULED] scheduleItem rejected: ${result.error}`);
+        return callback?.({ success: false, error: result.error });
+      }
+
+      callback?.({ success: true, scheduled: result.scheduled });
+    } catch (error) {
+      logger.error('[SCHEDULED] Error scheduling item', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
   /**
    * Event handler for disconnecting from a room
    */
@@ -3579,7 +3806,7 @@ io.sockets.on("connection", socket => {
         return;
       }
 
-      const { channelId, itemId, type, payload, cipherType, timestamp } = data;
+      const { channelId, itemId, type, payload, cipherType, timestamp, parentItemId: requestedParentItemId } = data;
       const userId = getUserId();
       const deviceId = getDeviceId();
       
@@ -3606,6 +3833,34 @@ io.sockets.on("connection", socket => {
         return;
       }
 
+      // Known item type; announcement channels: only message.post holders may post
+      const posting = await channelPosting.checkPostAllowed({ userId, channelId, type });
+      if (!posting.allowed) {
+        logger.warn('[GROUP ITEM] Posting not allowed in this channel');
+        socket.emit("groupItemError", { itemId, error: posting.error });
+        return;
+      }
+
+      // Thread reply: attach to the thread root in this channel
+      const { parentItemId, error: parentError } = await threadService.resolveParentItemId(channelId, requestedParentItemId);
+      if (parentError) {
+        logger.error('[GROUP ITEM] Invalid thread parent');
+        socket.emit("groupItemError", { error: parentError });
+        return;
+      }
+
+      // Mentions: cleartext member list next to the encrypted payload
+      const { mentionedUserIds, error: mentionError } = await mentionService.resolveMentions({
+        channelId,
+        senderId: userId,
+        mentions: data.mentions
+      });
+      if (mentionError) {
+        logger.error('[GROUP ITEM] Invalid mentions');
+        socket.emit("groupItemError", { error: mentionError });
+        return;
+      }
+
       // Check for duplicate itemId
       const existing = await GroupItem.findOne({
         where: { itemId: itemId }
@@ -3614,24 +3869,50 @@ io.sockets.on("connection", socket => {
       if (existing) {
         logger.info('[GROUP ITEM] Item already exists, skipping');
         logger.debug(`[GROUP ITEM] ItemId: ${sanitizeForLog(itemId)}`);
-        socket.emit("groupItemDelivered", { itemId: itemId, existing: true });
+        socket.emit("groupItemDelivered", { itemId: itemId, seq: existing.seq, existing: true });
         return;
       }
 
+      // ⏱️ Disappearing messages: stamp with the channel timer
+      const expiresAt = disappearingMessages.computeExpiresAt(
+        await disappearingMessages.getChannelTimer(channelId)
+      );
+
+      // Slow mode: one post per member every N seconds
+      const postSlot = await channelSlowMode.getPostSlot({ userId, channelId, type });
+
       // Create group item (stored ONCE for all members)
-      const groupItem = await writeQueue.enqueue(async () => {
-        return await GroupItem.create({
-          itemId: itemId,
-          channel: channelId,
-          sender: userId,
-          senderDevice: deviceId,
-          type: type || 'message',
-          payload: payload,
-          cipherType: cipherType || 4,
-          timestamp: timestamp || new Date()
-        });
+      // Slow mode slot and sequence number are claimed in the same queued write as the item
+      const { groupItem, slowMode } = await writeQueue.enqueue(async () => {
+        const slot = channelSlowMode.claimPostSlot(postSlot);
+        if (!slot.allowed) {
+          return { slowMode: slot };
+        }
+        return {
+          groupItem: await GroupItem.create({
+            itemId: itemId,
+            channel: channelId,
+            sender: userId,
+            senderDevice: deviceId,
+            type: type || 'message',
+            payload: payload,
+            cipherType: cipherType || 4,
+            timestamp: timestamp || new Date(),
+            parentItemId,
+            expiresAt,
+            seq: await channelSequence.nextChannelSeq(channelId)
+          })
+        };
       }, `createGroupItem-${itemId}`);
 
+      if (slowMode) {
+        logger.warn('[GROUP ITEM] Slow mode active, post rejected');
+        socket.emit("groupItemError", { itemId, error: slowMode.error, retryAfter: slowMode.retryAfter });
+        return;
+      }
+
+      await mentionService.storeMentions(groupItem, mentionedUserIds);
+
       logger.info('[GROUP ITEM] Created group item');
       logger.debug('[GROUP ITEM] Create details:', {
         itemId: sanitizeForLog(itemId),
@@ -3656,7 +3937,7 @@ io.sockets.on("connection", socket => {
       const memberUserIds = members.map(m => m.userId);
       const memberClients = await Client.findAll({
         where: {
-          owner: { [require('sequelize').Op.in]: memberUserIds }
+          owner: { [Op.in]: memberUserIds }
         }
       });
 
@@ -3667,14 +3948,25 @@ io.sockets.on("connection", socket => {
       // But sender's OTHER devices should receive it (they can decrypt with SenderKey)
       let deliveredCount = 0;
       const offlineMembers = new Set(); // Track offline members for push notifications
-      
+
+      // Channel traffic reaches every member; members with a block relation
+      // to the sender are not notified
+      const blockedPeers = await blockService.getBlockedPeerIds(userId);
+
+      // notify flag per member (levels, snooze, do-not-disturb); the item is delivered either way
+      const notifyByMember = await notificationPreferences.getChannelNotifyMap({
+        channelId,
+        userIds: memberUserIds.filter(memberId => memberId !== userId && !blockedPeers.has(memberId)),
+        mentionedUserIds
+      });
+
       for (const client of memberClients) {
         // Skip ONLY the specific sending device to prevent duplicate
         // Do NOT skip sender's other devices - they need the message too!
         if (client.owner === userId && client.device_id === deviceId) {
           continue;
         }
-        
+
         const targetSocketId = deviceSockets.get(`${client.owner}:${client.device_id}`);
         if (targetSocketId) {
           safeEmitToDevice(io, client.owner, client.device_id, "groupItem", {
@@ -3685,12 +3977,17 @@ io.sockets.on("connection", socket => {
             type: type || 'message',
             payload: payload,
             cipherType: cipherType || 4,
-            timestamp: timestamp || new Date().toISOString()
+            timestamp: timestamp || new Date().toISOString(),
+            parentItemId,
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            seq: groupItem.seq,
+            mentions: mentionedUserIds,
+            notify: notifyByMember.get(client.owner) === true
           });
           deliveredCount++;
         } else {
           // Device is offline - mark user for push notification
-          if (client.owner !== userId) { // Don't notify sender's own devices
+          if (client.owner !== userId && !blockedPeers.has(client.owner)) { // Don't notify sender's own devices
             offlineMembers.add(client.owner);
           }
         }
@@ -3712,18 +4009,22 @@ io.sockets.on("connection", socket => {
         });
         const channelName = channel?.name || 'a group';
         
-        // Send notification to each offline member
+        // Send notification to each offline member (mentioned members get a high-priority push)
         for (const offlineMemberId of offlineMembers) {
+          const isMentioned = mentionedUserIds.includes(offlineMemberId);
           sendMessageNotification(
             offlineMemberId,
             senderName,
-            `New message in ${channelName}`,
+            isMentioned ? `Mentioned you in ${channelName}` : `New message in ${channelName}`,
             {
               senderId: userId,
               channelId: channelId,
               itemId: itemId,
-              type: 'group_message'
-            }
+              parentItemId: parentItemId || '',
+              type: 'group_message',
+              mention: isMentioned
+            },
+            isMentioned ? MENTION_PUSH_OPTIONS : {}
           ).catch(err => logger.error('[PUSH] Error sending group message notification:', err));
         }
         
@@ -3732,9 +4033,20 @@ io.sockets.on("connection", socket => {
 
       logger.info(`[GROUP ITEM] Broadcast to ${deliveredCount} devices`);
 
+      unreadService.notifyNewGroupItem({
+        channelId,
+        senderId: userId,
+        type: type || 'message',
+        parentItemId,
+        mentionedUserIds
+      }).catch(err => logger.error('[UNREAD] Error sending channel unread update:', err));
+
       // Confirm delivery to sender
       socket.emit("groupItemDelivered", {
         itemId: itemId,
+        parentItemId,
+        seq: groupItem.seq,
+        mentions: mentionedUserIds,
         deliveredCount: deliveredCount,
         totalDevices: memberClients.length
       });
@@ -3745,6 +4057,100 @@ io.sockets.on("connection", socket => {
     }
   });
 
+  /**
+   * Typing indicators for 1:1 conversations ({ recipient }) and signal
+   * channels ({ channelId }). Relayed as typing:start / typing:stop with
+   * { userId, deviceId, channelId }; throttled and auto-expired by typingService
+   */
+  socket.on("typing:start", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      const result = await typingService.startTyping({
+        socketId: socket.id,
+        userId: getUserId(),
+        deviceId: getDeviceId(),
+        data
+      });
+      callback?.(result);
+    } catch (error) {
+      logger.error('[TYPING] Error relaying typing:start', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
+  socket.on("typing:stop", (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      callback?.(typingService.stopTyping({ socketId: socket.id, data }));
+    } catch (error) {
+      logger.error('[TYPING] Error relaying typing:stop', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * Pin / unpin a group item (requires the message.pin channel permission)
+   * Members are notified via groupItemPinned
+   */
+  socket.on("pinGroupItem", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      const result = await pinService.setPinned({
+        userId: getUserId(),
+        channelId: data?.channelId,
+        itemId: data?.itemId,
+        pinned: data?.pinned !== false
+      });
+
+      if (!result.success) {
+        logger.warn(`[PINS] pinGroupItem rejected: ${result.error}`);
+        return callback?.({ success: false, error: result.error });
+      }
+
+      callback?.({ success: true, pin: result.pin });
+    } catch (error) {
+      logger.error('[PINS] Error pinning group item', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * Schedule a group item for later delivery (send-later)
+   * Same fields as sendGroupItem plus sendAt
+   */
+  socket.on("scheduleGroupItem", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      const result = await scheduledMessages.scheduleGroupItem({
+        userId: getUserId(),
+        deviceId: getDeviceId(),
+        data
+      });
+
+      if (!result.success) {
+        logger.warn(`[SCHEDULED] scheduleGroupItem rejected: ${result.error}`);
+        return callback?.({ success: false, error: result.error });
+      }
+
+      callback?.({ success: true, scheduled: result.scheduled });
+    } catch (error) {
+      logger.error('[SCHEDULED] Error scheduling group item', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
   /**
    * Delete a group item (for cleanup purposes)
    * This is used by the cleanup service to remove old messages
@@ -3801,7 +4207,42 @@ io.sockets.on("connection", socket => {
   });
 
   /**
-   * Mark a group item as read
+   * Edit a group item (sender only)
+   * The original GroupItem and its read receipts stay untouched
+   * @param {Object} data - { channelId, itemId, editId, payload, cipherType, timestamp }
+   */
+  socket.on("editGroupItem", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        logger.error('[GROUP ITEM EDIT] Not authenticated');
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
+
+      const result = await messageEditService.editGroupItem({
+        userId: getUserId(),
+        deviceId: getDeviceId(),
+        data
+      });
+
+      if (!result.success) {
+        logger.warn(`[GROUP ITEM EDIT] Rejected: ${result.error}`);
+        return callback?.({ success: false, error: result.error });
+      }
+
+      callback?.({
+        success: true,
+        revision: result.revision,
+        seq: result.seq,
+        deliveredCount: result.deliveredCount
+      });
+    } catch (error) {
+      logger.error('[GROUP ITEM EDIT] Error editing group item', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * Mark a group item as read (moves this device's read watermark up to the item)
    */
   socket.on("markGroupItemRead", async (data) => {
     try {
@@ -3810,104 +4251,100 @@ io.sockets.on("connection", socket => {
         return;
       }
 
-      const { itemId } = data;
-      const userId = getUserId();
-      const deviceId = getDeviceId();
-
+      const itemId = data?.itemId;
       if (!itemId) {
         logger.error('[GROUP ITEM READ] Missing itemId');
         return;
       }
 
-      // Find the group item
-      const groupItem = await GroupItem.findOne({
-        where: { itemId: itemId }
-      });
+      const userId = getUserId();
+      const deviceId = getDeviceId();
+      const result = await readPositionService.markItemRead({ userId, deviceId, itemId });
 
-      if (!groupItem) {
-        logger.error('[GROUP ITEM READ] Item not found');
+      if (!result.success) {
+        logger.error(`[GROUP ITEM READ] ${result.error}`);
         return;
       }
 
-      // Check if user is member of channel
-      const membership = await ChannelMembers.findOne({
-        where: {
-          userId: userId,
-          channelId: groupItem.channel
-        }
-      });
+      logger.info(`[GROUP ITEM READ] Item: ${result.readCount}/${result.totalMembers} members read`);
+      logger.debug(`[GROUP ITEM READ] ItemId: ${sanitizeForLog(itemId)}`);
 
-      if (!membership) {
-        logger.error('[GROUP ITEM READ] User not member of channel');
-        return;
+      // Per-item read status for the sender (older clients; newer clients
+      // derive it from groupReadPositionUpdate)
+      if (result.advanced) {
+        safeEmitToDevice(io, result.item.sender, result.item.senderDevice, "groupItemReadUpdate", {
+          itemId: itemId,
+          readBy: userId,
+          readByDevice: deviceId,
+          readCount: result.readCount,
+          totalMembers: result.totalMembers,
+          allRead: result.allRead
+        });
       }
 
-      // Create or update read receipt
-      await writeQueue.enqueue(async () => {
-        const [receipt, created] = await GroupItemRead.findOrCreate({
-          where: {
-            itemId: groupItem.uuid,
-            userId: userId,
-            deviceId: deviceId
-          },
-          defaults: {
-            readAt: new Date()
-          }
-        });
-        return { receipt, created };
-      }, `markGroupItemRead-${itemId}-${userId}-${deviceId}`);
+    } catch (error) {
+      logger.error('[GROUP ITEM READ] Error in markGroupItemRead', error);
+    }
+  });
 
-      // Count total reads
-      const readCount = await GroupItemRead.count({
-        where: { itemId: groupItem.uuid }
-      });
+  /**
+   * Mark a channel read up to a sequence number / item for this device (bulk)
+   * Data: { channelId, upToSeq } or { channelId, upToItemId }, neither = up to the latest item
+   */
+  socket.on("markChannelRead", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
+      }
 
-      // Count total members
-      const memberCount = await ChannelMembers.count({
-        where: { channelId: groupItem.channel }
+      const result = await readPositionService.markChannelRead({
+        userId: getUserId(),
+        deviceId: getDeviceId(),
+        channelId: data?.channelId,
+        upToSeq: data?.upToSeq,
+        upToItemId: data?.upToItemId
       });
 
-      const allRead = readCount >= memberCount;
+      if (!result.success) {
+        logger.warn(`[GROUP ITEM READ] markChannelRead rejected: ${result.error}`);
+        return callback?.({ success: false, error: result.error });
+      }
 
-      logger.info(`[GROUP ITEM READ] Item: ${readCount}/${memberCount} members read`);
-      logger.debug(`[GROUP ITEM READ] ItemId: ${sanitizeForLog(itemId)}`);
+      callback?.({
+        success: true,
+        channelId: result.channelId,
+        advanced: result.advanced,
+        lastReadSeq: result.lastReadSeq
+      });
+    } catch (error) {
+      logger.error('[GROUP ITEM READ] Error in markChannelRead', error);
+      callback?.({ success: false, error: error.message });
+    }
+  });
 
-      // Notify the sender about read status
-      const senderSocketId = deviceSockets.get(`${groupItem.sender}:${groupItem.senderDevice}`);
-      if (senderSocketId) {
-        safeEmitToDevice(io, groupItem.sender, groupItem.senderDevice, "groupItemReadUpdate", {
-          itemId: itemId,
-          readBy: userId,
-          readByDevice: deviceId,
-          readCount: readCount,
-          totalMembers: memberCount,
-          allRead: allRead
-        });
+  /**
+   * Mark a direct conversation read on all devices of this user
+   * Data: { userId } (conversation peer)
+   */
+  socket.on("markConversationRead", async (data, callback) => {
+    try {
+      if (!isAuthenticated()) {
+        return callback?.({ success: false, error: "Not authenticated" });
       }
 
-      // If all members have read, delete from server (privacy feature)
-      if (allRead) {
-        logger.info('[GROUP ITEM READ] Item read by all members - deleting from server');
-        logger.debug(`[GROUP ITEM READ] ItemId: ${sanitizeForLog(itemId)}`);
-        
-        // Delete all read receipts first
-        await writeQueue.enqueue(async () => {
-          await GroupItemRead.destroy({
-            where: { itemId: groupItem.uuid }
-          });
-        }, `deleteGroupItemReads-${itemId}`);
-        
-        // Then delete the group item itself
-        await writeQueue.enqueue(async () => {
-          await groupItem.destroy();
-        }, `deleteGroupItem-${itemId}`);
-        
-        logger.info('[GROUP ITEM READ] Item and all read receipts deleted');
-        logger.debug(`[GROUP ITEM READ] ItemId: ${sanitizeForLog(itemId)}`);
+      const result = await unreadService.markDirectRead({
+        userId: getUserId(),
+        peerUserId: data?.userId
+      });
+
+      if (!result.success) {
+        return callback?.({ success: false, error: result.error });
       }
 
+      callback?.({ success: true, markedCount: result.markedCount });
     } catch (error) {
-      logger.error('[GROUP ITEM READ] Error in markGroupItemRead', error);
+      logger.error('[UNREAD] Error in markConversationRead', error);
+      callback?.({ success: false, error: error.message });
     }
   });
 
@@ -4117,11 +4554,17 @@ io.sockets.on("connection", socket => {
       const caller = await User.findOne({ where: { uuid: userId } });
       const callerName = caller?.displayName || 'Unknown';
 
+      // Never ring users on either side of a block
+      const { allowed: allowedRecipientIds } = await blockService.filterBlockedRecipients(
+        userId,
+        Array.isArray(recipient_ids) ? recipient_ids : []
+      );
+
       // Send call notification to each recipient
-      for (const recipientId of recipient_ids) {
+      for (const recipientId of allowedRecipientIds) {
         logger.info('[CALL] Processing notification for recipient');
         logger.debug(`[CALL] RecipientId: ${sanitizeForLog(recipientId)}`);
-        
+
         // Check if user is online
         const isOnline = await presenceService.isOnline(recipientId);
         logger.debug('[CALL] Recipient online status:', { recipientId: sanitizeForLog(recipientId), isOnline });
@@ -4263,6 +4706,9 @@ io.sockets.on("connection", socket => {
     const userId = socket.handshake.session?.uuid;
     const deviceId = socket.handshake.session?.deviceId;
     
+    // Typing indicators of this socket end with the connection
+    typingService.clearSocket(socket.id);
+    
     logger.info('[SOCKET] Client disconnected');
     logger.debug('[SOCKET] Disconnect details:', {
       socketId: socket.id,
@@ -4684,6 +5130,12 @@ io.sockets.on("connection", socket => {
   // Register and signin webpages
   app.use(authRoutes);
 
+  // OpenID Connect single sign-on
+  app.use(oauth2Routes);
+
+  // SCIM 2.0 user provisioning (bearer token, not session based)
+  app.use('/scim/v2', scimRoutes);
+
 // Database error handler middleware (must be after routes)
 const dbErrorHandler = require('./middleware/dbErrorHandler');
 app.use(dbErrorHandler);
@@ -4806,7 +5258,6 @@ process.on('SIGINT', async () => {
     ChannelMembers = models.ChannelMembers;
     // SignalSenderKey = models.SignalSenderKey; // REMOVED - sender keys not stored on server
     GroupItem = models.GroupItem;
-    GroupItemRead = models.GroupItemRead;
     const Role = models.Role;
     
     // Step 4: Initialize standard roles
@@ -4823,7 +5274,7 @@ process.on('SIGINT', async () => {
                 { name: 'Channel Member', description: 'Regular member of a WebRTC channel', scope: 'channelWebRtc', permissions: ['stream.view', 'stream.send', 'chat.send', 'member.view'], standard: false },
                 // Channel Signal scope roles
                 { name: 'Channel Owner', description: 'Owner of a Signal channel with full control', scope: 'channelSignal', permissions: ['*'], standard: true },
-                { name: 'Channel Moderator', description: 'Signal channel moderator', scope: 'channelSignal', permissions: ['user.add', 'message.delete', 'user.kick', 'user.mute', 'role.assign', 'member.view'], standard: false },
+                { name: 'Channel Moderator', description: 'Signal channel moderator', scope: 'channelSignal', permissions: ['user.add', 'message.post', 'message.delete', 'message.pin', 'user.kick', 'user.mute', 'role.assign', 'member.view'], standard: false },
                 { name: 'Channel Member', description: 'Regular member of a Signal channel', scope: 'channelSignal', permissions: ['message.send', 'message.read', 'message.react', 'member.view'], standard: false }
             ];
             for (const roleData of standardRoles) {
@@ -4840,7 +5291,11 @@ process.on('SIGINT', async () => {
     // Step 5: Initialize cleanup and meeting services
     initCleanupJob();
     initMeetingReminderJob();
+    initDisappearingMessagesJob();
+    initScheduledMessagesJob();
+    initLdapSyncJob();
     runCleanup();
+    runLdapSync();
     const meetingCleanupService = require('./services/meetingCleanupService');
     const presenceService = require('./services/presenceService');
     meetingCleanupService.start();
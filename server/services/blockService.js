@@ -0,0 +1,118 @@
+/**
+ * Block Service
+ *
+ * Central place to evaluate BlockedUser relations before the server stores,
+ * relays or notifies anything on behalf of one user to another.
+ *
+ * A block is treated as symmetric for delivery purposes: if either side has
+ * blocked the other, direct messages, call rings, meeting invitations and
+ * file shares between them are dropped. Callers decide whether to reject the
+ * request or silently accept it without delivery (so the sender cannot probe
+ * whether they have been blocked). Channel traffic is not filtered, so every
+ * member keeps the same history and sender keys; only notifications between
+ * the two are suppressed.
+ *
+ * Lookup errors are not caught here: the caller's request fails instead of
+ * delivering without a block check.
+ */
+
+const { Op } = require('sequelize');
+const { BlockedUser } = require('../db/model');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+/**
+ * Find the block record between two users (either direction)
+ * @param {string} userA - User UUID
+ * @param {string} userB - User UUID
+ * @returns {Promise<Object|null>} BlockedUser row or null
+ */
+async function findBlockBetween(userA, userB) {
+  if (!userA || !userB || userA === userB) {
+    return null;
+  }
+
+  return BlockedUser.findOne({
+    where: {
+      [Op.or]: [
+        { blocker_uuid: userA, blocked_uuid: userB },
+        { blocker_uuid: userB, blocked_uuid: userA }
+      ]
+    }
+  });
+}
+
+/**
+ * Check whether two users are separated by a block (either direction)
+ * @param {string} userA - User UUID
+ * @param {string} userB - User UUID
+ * @returns {Promise<boolean>} True if delivery between them must be dropped
+ */
+async function isBlockedBetween(userA, userB) {
+  return !!(await findBlockBetween(userA, userB));
+}
+
+/**
+ * Get all users that have a block relation with the given user (either direction)
+ * @param {string} userId - User UUID
+ * @returns {Promise<Set<string>>} UUIDs of blocked/blocking users
+ */
+async function getBlockedPeerIds(userId) {
+  const peers = new Set();
+  if (!userId) {
+    return peers;
+  }
+
+  const records = await BlockedUser.findAll({
+    where: {
+      [Op.or]: [
+        { blocker_uuid: userId },
+        { blocked_uuid: userId }
+      ]
+    },
+    attributes: ['blocker_uuid', 'blocked_uuid']
+  });
+
+  for (const record of records) {
+    peers.add(record.blocker_uuid === userId ? record.blocked_uuid : record.blocker_uuid);
+  }
+
+  return peers;
+}
+
+/**
+ * Split a list of recipients into allowed and blocked ones for a sender
+ * @param {string} senderId - Sender user UUID
+ * @param {Array<string>} recipientIds - Candidate recipient UUIDs
+ * @returns {Promise<{allowed: Array<string>, blocked: Array<string>}>}
+ */
+async function filterBlockedRecipients(senderId, recipientIds) {
+  const allowed = [];
+  const blocked = [];
+  if (!Array.isArray(recipientIds) || recipientIds.length === 0) {
+    return { allowed, blocked };
+  }
+
+  const peers = await getBlockedPeerIds(senderId);
+  for (const recipientId of recipientIds) {
+    if (recipientId !== senderId && peers.has(recipientId)) {
+      blocked.push(recipientId);
+    } else {
+      allowed.push(recipientId);
+    }
+  }
+
+  if (blocked.length > 0) {
+    logger.info(`[BLOCK] Dropped ${blocked.length} blocked recipient(s)`);
+    logger.debug(`[BLOCK] Sender: ${sanitizeForLog(senderId)}`);
+  }
+
+  return { allowed, blocked };
+}
+
+module.exports = {
+  findBlockBetween,
+  isBlockedBetween,
+  getBlockedPeerIds,
+  filterBlockedRecipients
+};
@@ -0,0 +1,124 @@
+/**
+ * Channel Archive Service
+ *
+ * Archiving keeps a finished channel (webrtc or signal) with its members and
+ * history but makes it read-only:
+ * - no new group items (see channelPostingService), edits or pins
+ * - no LiveKit tokens (POST /api/livekit/token)
+ * - no new members (member adds, public join, invite links)
+ * - hidden from /client/channels/discover unless ?includeArchived=true
+ * - history is exempt from the group message retention in jobs/cleanup.js
+ *
+ * Archiving requires channel ownership or the channel.manage server
+ * permission. Changes are broadcast to all member devices as
+ * "channelArchived".
+ */
+
+const { Op } = require('sequelize');
+const { Channel, ChannelMembers, Client } = require('../db/model');
+const { hasServerPermission } = require('../db/roleHelpers');
+const writeQueue = require('../db/writeQueue');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const ARCHIVED_ERROR = 'Channel is archived';
+
+function isArchived(channel) {
+  return !!channel?.archivedAt;
+}
+
+/**
+ * Reject writes to an archived channel
+ * @param {string} channelId - Channel UUID
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, status, error }
+ */
+async function checkChannelWritable(channelId) {
+  const channel = await Channel.findByPk(channelId, { attributes: ['uuid', 'archivedAt'] });
+  if (!channel) {
+    return { allowed: false, status: 404, error: 'Channel not found' };
+  }
+  if (isArchived(channel)) {
+    return { allowed: false, status: 403, error: ARCHIVED_ERROR };
+  }
+  return { allowed: true };
+}
+
+/**
+ * UUIDs of all archived channels (retention cleanup)
+ * @returns {Promise<string[]>}
+ */
+async function getArchivedChannelIds() {
+  const channels = await Channel.findAll({
+    where: { archivedAt: { [Op.ne]: null } },
+    attributes: ['uuid']
+  });
+  return channels.map(channel => channel.uuid);
+}
+
+async function broadcastArchiveChange(channel) {
+  const members = await ChannelMembers.findAll({
+    where: { channelId: channel.uuid },
+    attributes: ['userId']
+  });
+  const memberClients = await Client.findAll({
+    where: { owner: { [Op.in]: members.map(m => m.userId) } },
+    attributes: ['owner', 'device_id']
+  });
+  for (const client of memberClients) {
+    emitToDevice(client.owner, client.device_id, 'channelArchived', {
+      channelId: channel.uuid,
+      archived: isArchived(channel),
+      archivedAt: channel.archivedAt ? new Date(channel.archivedAt).toISOString() : null,
+      archivedBy: channel.archivedBy || null
+    });
+  }
+}
+
+/**
+ * Archive or unarchive a channel
+ * @param {Object} params
+ * @param {string} params.userId - Requesting user UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {boolean} params.archived - true to archive, false to unarchive
+ * @returns {Promise<Object>} { success, channel } or { success: false, status, error }
+ */
+async function setArchived({ userId, channelId, archived }) {
+  const channel = await Channel.findByPk(channelId);
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+
+  if (channel.owner !== userId && !(await hasServerPermission(userId, 'channel.manage'))) {
+    return { success: false, status: 403, error: 'Only channel owners can archive the channel' };
+  }
+
+  // Nothing to change (repeated request)
+  if (isArchived(channel) === archived) {
+    return { success: true, channel };
+  }
+
+  await writeQueue.enqueue(
+    () => channel.update(archived
+      ? { archivedAt: new Date(), archivedBy: userId }
+      : { archivedAt: null, archivedBy: null }),
+    `${archived ? 'archive' : 'unarchive'}Channel-${channelId}`
+  );
+
+  await broadcastArchiveChange(channel);
+
+  logger.info(`[CHANNEL ARCHIVE] Channel ${archived ? 'archived' : 'unarchived'}`);
+  logger.debug('[CHANNEL ARCHIVE] Details:', {
+    channelId: sanitizeForLog(channelId),
+    userId: sanitizeForLog(userId)
+  });
+  return { success: true, channel };
+}
+
+module.exports = {
+  ARCHIVED_ERROR,
+  isArchived,
+  checkChannelWritable,
+  getArchivedChannelIds,
+  setArchived
+};
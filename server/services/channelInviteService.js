@@ -0,0 +1,288 @@
+/**
+ * Channel Invite Service
+ *
+ * Shareable invite links for channels, modeled after meeting invitations
+ * (MeetingInvitation): a random token with optional label, expiry and usage
+ * limit that can be revoked at any time.
+ *
+ * Creating, listing and revoking links requires the user.add channel
+ * permission (the same as adding members by hand). Any authenticated user
+ * holding a valid token can join, also private channels, and is assigned
+ * the channel's defaultRoleId.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Channel, ChannelInvite, ChannelMembers, UserRoleChannel, sequelize } = require('../db/model');
+const { hasChannelPermission } = require('../db/roleHelpers');
+const channelArchive = require('./channelArchiveService');
+const writeQueue = require('../db/writeQueue');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const MAX_LABEL_LENGTH = 100;
+
+function formatInvite(invite) {
+  return {
+    id: invite.id,
+    channelId: invite.channel_id,
+    token: invite.token,
+    label: invite.label,
+    createdBy: invite.created_by,
+    expiresAt: invite.expires_at ? new Date(invite.expires_at).toISOString() : null,
+    maxUses: invite.max_uses,
+    useCount: invite.use_count,
+    isActive: invite.is_active,
+    createdAt: invite.created_at ? new Date(invite.created_at).toISOString() : null
+  };
+}
+
+/**
+ * Why an invite can no longer be used, or null if it is valid
+ */
+function getInviteError(invite) {
+  if (!invite.is_active) {
+    return 'Invite link has been revoked';
+  }
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) {
+    return 'Invite link has expired';
+  }
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+    return 'Invite link has reached its usage limit';
+  }
+  return null;
+}
+
+async function canManageInvites(userId, channelId) {
+  const channel = await Channel.findByPk(channelId);
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+  const canAdd = await hasChannelPermission(userId, channelId, 'user.add');
+  if (!canAdd) {
+    return { success: false, status: 403, error: 'Forbidden: Cannot manage invite links of this channel' };
+  }
+  return { success: true, channel };
+}
+
+/**
+ * Create an invite link
+ * @param {Object} params
+ * @param {string} params.userId - Creator UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} [params.label] - Optional label
+ * @param {string} [params.expiresAt] - Optional ISO expiry (null = never)
+ * @param {number} [params.maxUses] - Optional usage limit (null = unlimited)
+ * @returns {Promise<Object>} { success, invite } or { success: false, status, error }
+ */
+async function createInvite({ userId, channelId, label, expiresAt, maxUses }) {
+  const access = await canManageInvites(userId, channelId);
+  if (!access.success) {
+    return access;
+  }
+
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+    return { success: false, status: 400, error: `label must be a string of at most ${MAX_LABEL_LENGTH} characters` };
+  }
+
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return { success: false, status: 400, error: 'expiresAt must be a future ISO timestamp' };
+    }
+  }
+
+  let limit = null;
+  if (maxUses !== undefined && maxUses !== null) {
+    limit = Number(maxUses);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { success: false, status: 400, error: 'maxUses must be a positive integer' };
+    }
+  }
+
+  const invite = await writeQueue.enqueue(
+    () => ChannelInvite.create({
+      channel_id: channelId,
+      token: uuidv4().replace(/-/g, ''),
+      label: label || null,
+      created_by: userId,
+      expires_at: expiry,
+      max_uses: limit,
+      use_count: 0,
+      is_active: true
+    }),
+    'createChannelInvite'
+  );
+
+  logger.info('[CHANNEL INVITE] Invite link created');
+  logger.debug('[CHANNEL INVITE] Invite details:', {
+    channelId: sanitizeForLog(channelId),
+    tokenPreview: invite.token.substring(0, 8) + '...'
+  });
+  return { success: true, invite: formatInvite(invite) };
+}
+
+/**
+ * Active (not revoked) invite links of a channel, newest first
+ * @returns {Promise<Object>} { success, invites } or { success: false, status, error }
+ */
+async function listInvites({ userId, channelId }) {
+  const access = await canManageInvites(userId, channelId);
+  if (!access.success) {
+    return access;
+  }
+
+  const invites = await ChannelInvite.findAll({
+    where: { channel_id: channelId, is_active: true },
+    order: [['created_at', 'DESC']]
+  });
+  return { success: true, invites: invites.map(formatInvite) };
+}
+
+/**
+ * Revoke an invite link; existing members stay in the channel
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+async function revokeInvite({ userId, channelId, token }) {
+  const access = await canManageInvites(userId, channelId);
+  if (!access.success) {
+    return access;
+  }
+
+  const [updated] = await writeQueue.enqueue(
+    () => ChannelInvite.update(
+      { is_active: false },
+      { where: { token, channel_id: channelId, is_active: true } }
+    ),
+    'revokeChannelInvite'
+  );
+  if (updated === 0) {
+    return { success: false, status: 404, error: 'Invite link not found' };
+  }
+
+  logger.info('[CHANNEL INVITE] Invite link revoked');
+  return { success: true };
+}
+
+/**
+ * Channel summary for an invite link (landing page before joining)
+ * @returns {Promise<Object>} { success, channel, label, expiresAt, alreadyMember } or { success: false, status, error }
+ */
+async function getInvitePreview({ userId, token }) {
+  const invite = await ChannelInvite.findOne({ where: { token } });
+  if (!invite) {
+    return { success: false, status: 404, error: 'Invite link not found' };
+  }
+  const inviteError = getInviteError(invite);
+  if (inviteError) {
+    return { success: false, status: 410, error: inviteError };
+  }
+
+  const channel = await Channel.findByPk(invite.channel_id, {
+    attributes: ['uuid', 'name', 'description', 'type', 'private', 'owner']
+  });
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+
+  const [memberCount, membership] = await Promise.all([
+    ChannelMembers.count({ where: { channelId: channel.uuid } }),
+    ChannelMembers.findOne({ where: { userId, channelId: channel.uuid } })
+  ]);
+
+  return {
+    success: true,
+    channel: {
+      uuid: channel.uuid,
+      name: channel.name,
+      description: channel.description,
+      type: channel.type,
+      private: channel.private,
+      memberCount
+    },
+    label: invite.label,
+    expiresAt: invite.expires_at ? new Date(invite.expires_at).toISOString() : null,
+    alreadyMember: !!membership || channel.owner === userId
+  };
+}
+
+/**
+ * Join a channel with an invite link
+ *
+ * The usage check, membership, default role and use count are written in
+ * one write queue task so concurrent joins cannot exceed max_uses. Joining
+ * a channel one is already a member of does not consume a use.
+ * @returns {Promise<Object>} { success, channel, alreadyMember } or { success: false, status, error }
+ */
+async function joinWithInvite({ userId, token }) {
+  const invite = await ChannelInvite.findOne({ where: { token } });
+  if (!invite) {
+    return { success: false, status: 404, error: 'Invite link not found' };
+  }
+
+  const channel = await Channel.findByPk(invite.channel_id);
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+
+  const existingMember = await ChannelMembers.findOne({
+    where: { userId, channelId: channel.uuid }
+  });
+  if (existingMember || channel.owner === userId) {
+    return { success: true, channel, alreadyMember: true };
+  }
+
+  if (channelArchive.isArchived(channel)) {
+    return { success: false, status: 403, error: channelArchive.ARCHIVED_ERROR };
+  }
+
+  const result = await writeQueue.enqueue(async () => {
+    await invite.reload();
+    const inviteError = getInviteError(invite);
+    if (inviteError) {
+      return { success: false, status: 410, error: inviteError };
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await ChannelMembers.findOrCreate({
+        where: { userId, channelId: channel.uuid },
+        defaults: { permission: 'member' },
+        transaction
+      });
+      if (channel.defaultRoleId) {
+        try {
+          await UserRoleChannel.create({
+            userId,
+            roleId: channel.defaultRoleId,
+            channelId: channel.uuid
+          }, { transaction });
+        } catch (roleError) {
+          // Same handling as the public join route: keep the membership
+          if (roleError.name !== 'SequelizeUniqueConstraintError') {
+            throw roleError;
+          }
+          logger.debug('[CHANNEL INVITE] User already has role assignment');
+        }
+      }
+      await invite.increment('use_count', { transaction });
+    });
+    return { success: true, channel, alreadyMember: false };
+  }, `joinChannelInvite-${invite.id}`);
+
+  if (result.success) {
+    logger.info('[CHANNEL INVITE] User joined channel via invite link');
+    logger.debug('[CHANNEL INVITE] Join details:', {
+      channelId: sanitizeForLog(channel.uuid),
+      userId: sanitizeForLog(userId)
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  createInvite,
+  listInvites,
+  revokeInvite,
+  getInvitePreview,
+  joinWithInvite
+};
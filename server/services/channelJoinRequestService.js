@@ -0,0 +1,386 @@
+/**
+ * Channel Join Request Service
+ *
+ * Users can ask to join a private channel instead of waiting to be added.
+ * Requests are stored in ChannelJoinRequest:
+ * - pending → approved: the requester becomes a member with the channel's
+ *   defaultRoleId (same as the public join route)
+ * - pending → denied: optional reason for the requester; the user can ask
+ *   again after DENIED_COOLDOWN_MS
+ * - pending → cancelled: withdrawn by the requester
+ *
+ * Members holding user.add (the channel owner, Channel Moderator, ...) are
+ * notified of new requests via "channelJoinRequest" and push, except those
+ * with a block relation to the requester; the requester gets the decision via
+ * "channelJoinRequestDecided" and push.
+ */
+
+const { Op } = require('sequelize');
+const { Channel, ChannelJoinRequest, ChannelMembers, UserRoleChannel, Role, User, sequelize } = require('../db/model');
+const { hasChannelPermission } = require('../db/roleHelpers');
+const writeQueue = require('../db/writeQueue');
+const channelArchive = require('./channelArchiveService');
+const blockService = require('./blockService');
+const {
+  sendChannelJoinRequestNotification,
+  sendChannelJoinDecisionNotification
+} = require('./push_notifications');
+const { emitToUserDevices } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const STATUSES = ['pending', 'approved', 'denied', 'cancelled'];
+const MAX_TEXT_LENGTH = 500;
+const DENIED_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+function formatRequest(request) {
+  return {
+    id: request.id,
+    channelId: request.channel_id,
+    userId: request.user_uuid,
+    user: request.user ? { uuid: request.user.uuid, displayName: request.user.displayName } : undefined,
+    message: request.message,
+    status: request.status,
+    reason: request.reason,
+    decidedBy: request.decided_by,
+    decidedAt: request.decided_at ? new Date(request.decided_at).toISOString() : null,
+    createdAt: request.created_at ? new Date(request.created_at).toISOString() : null
+  };
+}
+
+function validateText(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+    return `${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Users who may decide join requests: the owner and members whose channel
+ * roles grant user.add
+ * @param {Object} channel - Channel instance
+ * @returns {Promise<string[]>}
+ */
+async function getModeratorIds(channel) {
+  const assignments = await UserRoleChannel.findAll({
+    where: { channelId: channel.uuid },
+    include: [{ model: Role, as: 'Role', attributes: ['permissions'] }]
+  });
+  const moderatorIds = new Set([channel.owner]);
+  for (const assignment of assignments) {
+    const permissions = assignment.Role?.permissions || [];
+    if (permissions.includes('*') || permissions.includes('user.add')) {
+      moderatorIds.add(assignment.userId);
+    }
+  }
+  return [...moderatorIds];
+}
+
+async function notifyModerators(channel, request, requester) {
+  const { allowed: moderatorIds } = await blockService.filterBlockedRecipients(
+    request.user_uuid,
+    await getModeratorIds(channel)
+  );
+  const requesterName = requester?.displayName || 'Someone';
+  const payload = {
+    channelId: channel.uuid,
+    channelName: channel.name,
+    request: formatRequest(request)
+  };
+
+  for (const moderatorId of moderatorIds) {
+    emitToUserDevices(moderatorId, 'channelJoinRequest', payload);
+    sendChannelJoinRequestNotification(moderatorId, requesterName, channel.name, {
+      channelId: channel.uuid,
+      requestId: request.id
+    }).catch(err => logger.error('[PUSH] Error sending join request notification:', err));
+  }
+}
+
+function notifyRequester(channel, request) {
+  const approved = request.status === 'approved';
+  emitToUserDevices(request.user_uuid, 'channelJoinRequestDecided', {
+    channelId: channel.uuid,
+    channelName: channel.name,
+    request: formatRequest(request)
+  });
+  sendChannelJoinDecisionNotification(request.user_uuid, channel.name, approved, {
+    channelId: channel.uuid,
+    requestId: request.id,
+    reason: request.reason || ''
+  }).catch(err => logger.error('[PUSH] Error sending join decision notification:', err));
+}
+
+/**
+ * Ask to join a private channel
+ * @param {Object} params
+ * @param {string} params.userId - Requesting user UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} [params.message] - Optional note for the moderators
+ * @returns {Promise<Object>} { success, request, existing? } or { success: false, status, error, retryAfter? }
+ */
+async function createRequest({ userId, channelId, message }) {
+  const messageError = validateText(message, 'message');
+  if (messageError) {
+    return { success: false, status: 400, error: messageError };
+  }
+
+  const channel = await Channel.findByPk(channelId);
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+  if (!channel.private) {
+    return { success: false, status: 400, error: 'Channel is public, join it directly' };
+  }
+  if (channelArchive.isArchived(channel)) {
+    return { success: false, status: 403, error: channelArchive.ARCHIVED_ERROR };
+  }
+
+  const membership = await ChannelMembers.findOne({ where: { userId, channelId } });
+  if (membership || channel.owner === userId) {
+    return { success: false, status: 400, error: 'Already a member of this channel' };
+  }
+
+  // One open request per user and channel (client retry), none shortly after
+  // a denial; checked in the queued write so concurrent requests cannot both
+  // create one
+  const { request, existing, retryAfter } = await writeQueue.enqueue(
+    async () => {
+      const pending = await ChannelJoinRequest.findOne({
+        where: { channel_id: channelId, user_uuid: userId, status: 'pending' }
+      });
+      if (pending) {
+        return { request: pending, existing: true };
+      }
+      const denied = await ChannelJoinRequest.findOne({
+        where: {
+          channel_id: channelId,
+          user_uuid: userId,
+          status: 'denied',
+          decided_at: { [Op.gt]: new Date(Date.now() - DENIED_COOLDOWN_MS) }
+        },
+        order: [['decided_at', 'DESC']]
+      });
+      if (denied) {
+        const retryAt = new Date(denied.decided_at).getTime() + DENIED_COOLDOWN_MS;
+        return { retryAfter: Math.ceil((retryAt - Date.now()) / 1000) };
+      }
+      const created = await ChannelJoinRequest.create({
+        channel_id: channelId,
+        user_uuid: userId,
+        message: message || null,
+        status: 'pending'
+      });
+      return { request: created, existing: false };
+    },
+    'createChannelJoinRequest'
+  );
+  if (retryAfter) {
+    return {
+      success: false,
+      status: 429,
+      error: 'Your last request was denied, try again later',
+      retryAfter
+    };
+  }
+  if (existing) {
+    return { success: true, request: formatRequest(request), existing: true };
+  }
+
+  const requester = await User.findByPk(userId, { attributes: ['uuid', 'displayName'] });
+  request.user = requester;
+  await notifyModerators(channel, request, requester);
+
+  logger.info('[JOIN REQUEST] Join request created');
+  logger.debug('[JOIN REQUEST] Details:', {
+    channelId: sanitizeForLog(channelId),
+    userId: sanitizeForLog(userId)
+  });
+  return { success: true, request: formatRequest(request) };
+}
+
+/**
+ * Join requests of a channel for its moderators (user.add)
+ * @param {Object} params
+ * @param {string} params.userId - Moderator UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} [params.status] - Filter (default 'pending')
+ * @returns {Promise<Object>} { success, requests } or { success: false, status, error }
+ */
+async function listChannelRequests({ userId, channelId, status }) {
+  const filter = status || 'pending';
+  if (!STATUSES.includes(filter)) {
+    return { success: false, status: 400, error: `status must be one of: ${STATUSES.join(', ')}` };
+  }
+
+  const channel = await Channel.findByPk(channelId, { attributes: ['uuid'] });
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+  if (!(await hasChannelPermission(userId, channelId, 'user.add'))) {
+    return { success: false, status: 403, error: 'Forbidden: Cannot manage join requests of this channel' };
+  }
+
+  const requests = await ChannelJoinRequest.findAll({
+    where: { channel_id: channelId, status: filter },
+    include: [{ model: User, as: 'user', attributes: ['uuid', 'displayName'] }],
+    order: [['created_at', 'ASC']]
+  });
+  return { success: true, requests: requests.map(formatRequest) };
+}
+
+/**
+ * The caller's own join requests, newest first
+ * @returns {Promise<Object>} { success, requests }
+ */
+async function listOwnRequests({ userId }) {
+  const requests = await ChannelJoinRequest.findAll({
+    where: { user_uuid: userId },
+    include: [{ model: Channel, as: 'channel', attributes: ['uuid', 'name'] }],
+    order: [['created_at', 'DESC']],
+    limit: 100
+  });
+  return {
+    success: true,
+    requests: requests.map(request => ({
+      ...formatRequest(request),
+      channelName: request.channel?.name || null
+    }))
+  };
+}
+
+/**
+ * Withdraw the caller's pending request for a channel
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+async function cancelRequest({ userId, channelId }) {
+  const [updated] = await writeQueue.enqueue(
+    () => ChannelJoinRequest.update(
+      { status: 'cancelled', decided_at: new Date() },
+      { where: { channel_id: channelId, user_uuid: userId, status: 'pending' } }
+    ),
+    'cancelChannelJoinRequest'
+  );
+  if (updated === 0) {
+    return { success: false, status: 404, error: 'No pending join request' };
+  }
+  return { success: true };
+}
+
+/**
+ * Approve or deny a pending request
+ * @param {Object} params
+ * @param {string} params.userId - Moderator UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {number|string} params.requestId - Request ID
+ * @param {boolean} params.approve - true to approve, false to deny
+ * @param {string} [params.reason] - Reason shown to the requester (deny)
+ * @returns {Promise<Object>} { success, request } or { success: false, status, error }
+ */
+async function decideRequest({ userId, channelId, requestId, approve, reason }) {
+  const reasonError = validateText(reason, 'reason');
+  if (reasonError) {
+    return { success: false, status: 400, error: reasonError };
+  }
+
+  const channel = await Channel.findByPk(channelId);
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+  if (!(await hasChannelPermission(userId, channelId, 'user.add'))) {
+    return { success: false, status: 403, error: 'Forbidden: Cannot manage join requests of this channel' };
+  }
+  if (approve && channelArchive.isArchived(channel)) {
+    return { success: false, status: 403, error: channelArchive.ARCHIVED_ERROR };
+  }
+
+  const request = await ChannelJoinRequest.findOne({
+    where: { id: requestId, channel_id: channelId }
+  });
+  if (!request) {
+    return { success: false, status: 404, error: 'Join request not found' };
+  }
+
+  // Decided, cancelled or raced by another moderator in the write queue
+  const result = await writeQueue.enqueue(async () => {
+    await request.reload();
+    if (request.status !== 'pending') {
+      return { success: false, status: 409, error: `Join request is already ${request.status}` };
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (approve) {
+        await ChannelMembers.findOrCreate({
+          where: { userId: request.user_uuid, channelId },
+          defaults: { permission: 'member' },
+          transaction
+        });
+        if (channel.defaultRoleId) {
+          try {
+            await UserRoleChannel.create({
+              userId: request.user_uuid,
+              roleId: channel.defaultRoleId,
+              channelId
+            }, { transaction });
+          } catch (roleError) {
+            // Same handling as the public join route: keep the membership
+            if (roleError.name !== 'SequelizeUniqueConstraintError') {
+              throw roleError;
+            }
+            logger.debug('[JOIN REQUEST] User already has role assignment');
+          }
+        }
+      }
+      await request.update({
+        status: approve ? 'approved' : 'denied',
+        reason: approve ? null : (reason || null),
+        decided_by: userId,
+        decided_at: new Date()
+      }, { transaction });
+    });
+    return { success: true };
+  }, `${approve ? 'approve' : 'deny'}ChannelJoinRequest-${request.id}`);
+
+  if (!result.success) {
+    return result;
+  }
+
+  notifyRequester(channel, request);
+
+  logger.info(`[JOIN REQUEST] Join request ${request.status}`);
+  logger.debug('[JOIN REQUEST] Details:', {
+    channelId: sanitizeForLog(channelId),
+    requestId: request.id
+  });
+  return { success: true, request: formatRequest(request) };
+}
+
+/**
+ * Channels among the given ones with a pending request by the user
+ * @param {string} userId - User UUID
+ * @param {string[]} channelIds - Channel UUIDs
+ * @returns {Promise<Set<string>>}
+ */
+async function getPendingChannelIds(userId, channelIds) {
+  if (channelIds.length === 0) {
+    return new Set();
+  }
+  const pending = await ChannelJoinRequest.findAll({
+    where: { user_uuid: userId, status: 'pending', channel_id: { [Op.in]: channelIds } },
+    attributes: ['channel_id']
+  });
+  return new Set(pending.map(request => request.channel_id));
+}
+
+module.exports = {
+  STATUSES,
+  createRequest,
+  listChannelRequests,
+  listOwnRequests,
+  cancelRequest,
+  decideRequest,
+  getPendingChannelIds
+};
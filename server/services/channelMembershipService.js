@@ -0,0 +1,103 @@
+/**
+ * Channel Membership Service
+ *
+ * Channel memberships managed by an external source (directory groups):
+ * members are added with the channel's defaultRoleId, like the public join
+ * route, and removed together with their channel roles. Channel owners are
+ * never removed and archived channels get no new members.
+ */
+
+const { Channel, ChannelMembers, UserRoleChannel, sequelize } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const channelArchive = require('./channelArchiveService');
+const logger = require('../utils/logger');
+
+/**
+ * Add a user to a channel with the default role
+ * @param {string} userId - User UUID
+ * @param {Object} channel - Channel instance
+ * @returns {Promise<boolean>} true if the user was not a member yet
+ */
+async function addMember(userId, channel) {
+  return writeQueue.enqueue(
+    () => sequelize.transaction(async (transaction) => {
+      const [, created] = await ChannelMembers.findOrCreate({
+        where: { userId, channelId: channel.uuid },
+        defaults: { permission: 'member' },
+        transaction
+      });
+      if (created && channel.defaultRoleId) {
+        try {
+          await UserRoleChannel.create({
+            userId,
+            roleId: channel.defaultRoleId,
+            channelId: channel.uuid
+          }, { transaction });
+        } catch (roleError) {
+          // Same handling as the public join route: keep the membership
+          if (roleError.name !== 'SequelizeUniqueConstraintError') {
+            throw roleError;
+          }
+          logger.debug('[CHANNEL MEMBERS] User already has role assignment');
+        }
+      }
+      return created;
+    }),
+    `addChannelMember-${channel.uuid}`
+  );
+}
+
+/**
+ * Remove a user and their channel roles from a channel
+ * @param {string} userId - User UUID
+ * @param {Object} channel - Channel instance
+ * @returns {Promise<boolean>} true if the user was a member
+ */
+async function removeMember(userId, channel) {
+  return writeQueue.enqueue(
+    () => sequelize.transaction(async (transaction) => {
+      await UserRoleChannel.destroy({ where: { userId, channelId: channel.uuid }, transaction });
+      const removed = await ChannelMembers.destroy({ where: { userId, channelId: channel.uuid }, transaction });
+      return removed > 0;
+    }),
+    `removeChannelMember-${channel.uuid}`
+  );
+}
+
+/**
+ * Align the memberships of a user with an external source: the user is a
+ * member of the granted channels and of none of the other managed channels
+ * @param {string} userId - User UUID
+ * @param {string[]} managedChannelIds - Channel UUIDs controlled by the source
+ * @param {string[]} grantedChannelIds - Channel UUIDs the user should be in
+ * @returns {Promise<Object>} { added, removed, unknown } channel UUIDs
+ */
+async function syncManagedMemberships(userId, managedChannelIds, grantedChannelIds) {
+  const managed = [...new Set(managedChannelIds)];
+  const granted = new Set(grantedChannelIds);
+  const result = { added: [], removed: [], unknown: [] };
+  if (managed.length === 0) {
+    return result;
+  }
+
+  const channels = await Channel.findAll({ where: { uuid: managed } });
+  result.unknown = managed.filter(uuid => !channels.some(channel => channel.uuid === uuid));
+
+  for (const channel of channels) {
+    if (granted.has(channel.uuid)) {
+      if (!channelArchive.isArchived(channel) && await addMember(userId, channel)) {
+        result.added.push(channel.uuid);
+      }
+    } else if (channel.owner !== userId && await removeMember(userId, channel)) {
+      result.removed.push(channel.uuid);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  addMember,
+  removeMember,
+  syncManagedMemberships
+};
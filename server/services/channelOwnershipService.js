@@ -0,0 +1,227 @@
+/**
+ * Channel Ownership Service
+ *
+ * Transfers Channel.owner to another user:
+ * - the new owner becomes a member (if not already) and gets the scope's
+ *   "Channel Owner" role in UserRoleChannel; the previous owner loses that
+ *   role but stays a member
+ * - all member devices receive "channelOwnerChanged", the new owner also a
+ *   push notification
+ *
+ * Owners (or holders of channel.manage) transfer single channels. When an
+ * admin deactivates or deletes a user (routes/roles.js), all channels owned
+ * by that user are transferred first so they are not lost: to the given
+ * user, otherwise to the longest-standing active channel moderator, then to
+ * the longest-standing active member, then to the acting admin. Provisioning
+ * sources (LDAP sync, SCIM) do the same when they deprovision a user, without
+ * a last resort (userAccountService).
+ */
+
+const { Op } = require('sequelize');
+const { Channel, ChannelMembers, UserRoleChannel, Role, User, Client, sequelize } = require('../db/model');
+const { hasServerPermission } = require('../db/roleHelpers');
+const writeQueue = require('../db/writeQueue');
+const { sendPushNotification } = require('./push_notifications');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const OWNER_ROLE_NAME = 'Channel Owner';
+
+function getRoleScope(channel) {
+  return channel.type === 'webrtc' ? 'channelWebRtc' : 'channelSignal';
+}
+
+async function broadcastOwnerChange(channel, data) {
+  const members = await ChannelMembers.findAll({
+    where: { channelId: channel.uuid },
+    attributes: ['userId']
+  });
+  const memberClients = await Client.findAll({
+    where: { owner: { [Op.in]: members.map(m => m.userId) } },
+    attributes: ['owner', 'device_id']
+  });
+  for (const client of memberClients) {
+    emitToDevice(client.owner, client.device_id, 'channelOwnerChanged', { channelId: channel.uuid, ...data });
+  }
+}
+
+/**
+ * Reassign the owner of one channel (no permission checks)
+ * @param {Object} channel - Channel instance
+ * @param {string} newOwnerId - New owner UUID
+ * @param {string} transferredBy - Acting user UUID
+ * @returns {Promise<Object>} { channelId, previousOwner, newOwner }
+ */
+async function reassignOwner(channel, newOwnerId, transferredBy) {
+  const previousOwner = channel.owner;
+  const ownerRole = await Role.findOne({
+    where: { name: OWNER_ROLE_NAME, scope: getRoleScope(channel) },
+    attributes: ['uuid']
+  });
+
+  await writeQueue.enqueue(
+    () => sequelize.transaction(async (transaction) => {
+      await ChannelMembers.findOrCreate({
+        where: { userId: newOwnerId, channelId: channel.uuid },
+        defaults: { permission: 'member' },
+        transaction
+      });
+      await ChannelMembers.update(
+        { permission: 'member' },
+        { where: { userId: previousOwner, channelId: channel.uuid, permission: 'owner' }, transaction }
+      );
+      await ChannelMembers.update(
+        { permission: 'owner' },
+        { where: { userId: newOwnerId, channelId: channel.uuid }, transaction }
+      );
+
+      if (ownerRole) {
+        await UserRoleChannel.destroy({
+          where: { roleId: ownerRole.uuid, channelId: channel.uuid },
+          transaction
+        });
+        try {
+          await UserRoleChannel.create({
+            userId: newOwnerId,
+            roleId: ownerRole.uuid,
+            channelId: channel.uuid
+          }, { transaction });
+        } catch (roleError) {
+          // Channel.owner alone grants all channel permissions
+          if (roleError.name !== 'SequelizeUniqueConstraintError') {
+            throw roleError;
+          }
+          logger.debug('[CHANNEL OWNER] Could not assign owner role, relying on Channel.owner');
+        }
+      }
+
+      await channel.update({ owner: newOwnerId }, { transaction });
+    }),
+    `transferChannelOwner-${channel.uuid}`
+  );
+
+  await broadcastOwnerChange(channel, { previousOwner, newOwner: newOwnerId, transferredBy });
+  sendPushNotification(
+    newOwnerId,
+    'Channel ownership',
+    `You are now the owner of ${channel.name}`,
+    { type: 'channel_owner', channelId: channel.uuid },
+    { channelId: 'messages' }
+  ).catch(err => logger.error('[PUSH] Error sending ownership notification:', err));
+
+  logger.info('[CHANNEL OWNER] Channel ownership transferred');
+  logger.debug('[CHANNEL OWNER] Details:', {
+    channelId: sanitizeForLog(channel.uuid),
+    previousOwner: sanitizeForLog(previousOwner),
+    newOwner: sanitizeForLog(newOwnerId)
+  });
+  return { channelId: channel.uuid, previousOwner, newOwner: newOwnerId };
+}
+
+/**
+ * Transfer a channel to another member
+ * @param {Object} params
+ * @param {string} params.userId - Acting user UUID (owner or channel.manage)
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} params.newOwnerId - UUID of an active channel member
+ * @returns {Promise<Object>} { success, transfer } or { success: false, status, error }
+ */
+async function transferOwnership({ userId, channelId, newOwnerId }) {
+  if (!newOwnerId) {
+    return { success: false, status: 400, error: 'newOwnerId is required' };
+  }
+
+  const channel = await Channel.findByPk(channelId);
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+  if (channel.owner !== userId && !(await hasServerPermission(userId, 'channel.manage'))) {
+    return { success: false, status: 403, error: 'Only the channel owner can transfer ownership' };
+  }
+  if (channel.owner === newOwnerId) {
+    return { success: false, status: 400, error: 'User already owns this channel' };
+  }
+
+  const newOwner = await User.findByPk(newOwnerId, { attributes: ['uuid', 'active'] });
+  if (!newOwner || !newOwner.active) {
+    return { success: false, status: 404, error: 'New owner not found or inactive' };
+  }
+  const membership = await ChannelMembers.findOne({ where: { userId: newOwnerId, channelId } });
+  if (!membership) {
+    return { success: false, status: 400, error: 'New owner must be a member of this channel' };
+  }
+
+  const transfer = await reassignOwner(channel, newOwnerId, userId);
+  return { success: true, transfer };
+}
+
+/**
+ * Pick who inherits a channel of a leaving owner
+ * @returns {Promise<string|null>} User UUID or null
+ */
+async function pickSuccessor(channel, leavingUserId) {
+  const members = await ChannelMembers.findAll({
+    where: { channelId: channel.uuid, userId: { [Op.ne]: leavingUserId } },
+    include: [{ model: User, where: { active: true }, attributes: ['uuid'] }],
+    order: [['createdAt', 'ASC']]
+  });
+  if (members.length === 0) {
+    return null;
+  }
+
+  const assignments = await UserRoleChannel.findAll({
+    where: { channelId: channel.uuid, userId: { [Op.in]: members.map(m => m.userId) } },
+    include: [{ model: Role, as: 'Role', attributes: ['permissions'] }]
+  });
+  const moderatorIds = new Set(assignments
+    .filter(a => {
+      const permissions = a.Role?.permissions || [];
+      return permissions.includes('*') || permissions.includes('user.add');
+    })
+    .map(a => a.userId));
+
+  const moderator = members.find(m => moderatorIds.has(m.userId));
+  return (moderator || members[0]).userId;
+}
+
+/**
+ * Transfer every channel owned by a user (admin, before deactivate/delete)
+ * @param {Object} params
+ * @param {string} params.fromUserId - Current owner UUID
+ * @param {string} [params.toUserId] - New owner for all channels (default: automatic)
+ * @param {string|null} params.transferredBy - Acting admin UUID (last-resort owner);
+ *   null for automatic deactivation, channels without successor keep their owner
+ * @returns {Promise<Object>} { success, transfers } or { success: false, status, error }
+ */
+async function transferAllChannels({ fromUserId, toUserId, transferredBy }) {
+  if (toUserId) {
+    if (toUserId === fromUserId) {
+      return { success: false, status: 400, error: 'Cannot transfer channels to the same user' };
+    }
+    const target = await User.findByPk(toUserId, { attributes: ['uuid', 'active'] });
+    if (!target || !target.active) {
+      return { success: false, status: 404, error: 'New owner not found or inactive' };
+    }
+  }
+
+  const channels = await Channel.findAll({ where: { owner: fromUserId } });
+  const transfers = [];
+  for (const channel of channels) {
+    const newOwnerId = toUserId || (await pickSuccessor(channel, fromUserId)) || transferredBy;
+    if (!newOwnerId || newOwnerId === fromUserId) {
+      continue;
+    }
+    transfers.push(await reassignOwner(channel, newOwnerId, transferredBy));
+  }
+
+  if (transfers.length > 0) {
+    logger.info(`[CHANNEL OWNER] Transferred ${transfers.length} channel(s) of a user`);
+  }
+  return { success: true, transfers };
+}
+
+module.exports = {
+  transferOwnership,
+  transferAllChannels
+};
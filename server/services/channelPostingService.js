@@ -0,0 +1,79 @@
+/**
+ * Channel Posting Service
+ *
+ * Who may post what into a signal channel. Membership is checked by the
+ * callers; this adds the channel mode restrictions:
+ * - Announcement channels (Channel.announcement): everything except
+ *   MEMBER_TYPES (reactions, receipts, key exchange) requires the
+ *   message.post channel permission (Channel Owner and Channel Moderator by
+ *   default).
+ * - Archived channels (Channel.archivedAt): read-only, only sender key
+ *   exchange is accepted so members can still decrypt the history on new
+ *   devices.
+ *
+ * Item types outside GROUP_ITEM_TYPES are rejected. Enforced in
+ * sendGroupItem, POST /api/group-items, POST /channels/:channelId/group-messages
+ * and for scheduled group messages.
+ */
+
+const { Channel } = require('../db/model');
+const { hasChannelPermission } = require('../db/roleHelpers');
+const { UNREAD_TYPES } = require('./unreadService');
+const channelArchive = require('./channelArchiveService');
+
+// Item types that show up as posts in the channel timeline
+const POST_TYPES = UNREAD_TYPES;
+
+// Item types still accepted in archived channels
+const KEY_EXCHANGE_TYPES = ['sender_key_request', 'sender_key_response'];
+
+// Item types every member may send into announcement channels
+const MEMBER_TYPES = [
+  ...KEY_EXCHANGE_TYPES,
+  'video_key_request', 'video_e2ee_key_request', 'video_e2ee_key_response',
+  'emote', 'reaction', 'read_receipt', 'delivery_receipt'
+];
+
+// All item types accepted for signal channels
+const GROUP_ITEM_TYPES = [...POST_TYPES, ...MEMBER_TYPES, 'mention_notification', 'call_notification'];
+
+/**
+ * Check whether a member may send an item of this type to the channel
+ * @param {Object} params
+ * @param {string} params.userId - Sender UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} [params.type] - Item type (default 'message')
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, status, error }
+ */
+async function checkPostAllowed({ userId, channelId, type }) {
+  type = type || 'message';
+  if (!GROUP_ITEM_TYPES.includes(type)) {
+    return { allowed: false, status: 400, error: 'Invalid item type' };
+  }
+
+  const channel = await Channel.findByPk(channelId, { attributes: ['uuid', 'announcement', 'archivedAt'] });
+  if (!channel) {
+    return { allowed: false, status: 404, error: 'Channel not found' };
+  }
+
+  if (channelArchive.isArchived(channel) && !KEY_EXCHANGE_TYPES.includes(type)) {
+    return { allowed: false, status: 403, error: channelArchive.ARCHIVED_ERROR };
+  }
+
+  if (channel.announcement && !MEMBER_TYPES.includes(type)) {
+    const canPost = await hasChannelPermission(userId, channelId, 'message.post');
+    if (!canPost) {
+      return { allowed: false, status: 403, error: 'Only announcers can post in this channel' };
+    }
+  }
+
+  return { allowed: true };
+}
+
+module.exports = {
+  POST_TYPES,
+  KEY_EXCHANGE_TYPES,
+  MEMBER_TYPES,
+  GROUP_ITEM_TYPES,
+  checkPostAllowed
+};
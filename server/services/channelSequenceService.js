@@ -0,0 +1,70 @@
+/**
+ * Channel Sequence Service
+ *
+ * Every GroupItem stored in a channel gets a server-assigned sequence number
+ * (GroupItem.seq) that strictly increases per channel. Channel.lastSeq is
+ * the counter, so numbers are never reused even when items are deleted.
+ *
+ * Clients remember the highest seq they have seen and call the sync endpoint
+ * (GET /channels/:channelId/sync?since=<seq>) after reconnecting. A number
+ * missing in a sync response means the item was deleted on the server
+ * (cleanup, disappearing messages, sender delete), not lost in transit.
+ */
+
+const { Op } = require('sequelize');
+const { Channel, GroupItem } = require('../db/model');
+
+const DEFAULT_SYNC_LIMIT = 200;
+const MAX_SYNC_LIMIT = 500;
+
+/**
+ * Assign the next sequence number of a channel.
+ * Must run inside the write queue (together with the GroupItem create) so
+ * the same number is never handed out twice.
+ * @param {string} channelId - Channel UUID
+ * @returns {Promise<number|null>} Sequence number or null if the channel is unknown
+ */
+async function nextChannelSeq(channelId) {
+  await Channel.increment('lastSeq', { where: { uuid: channelId } });
+  const channel = await Channel.findByPk(channelId, { attributes: ['lastSeq'] });
+  return channel ? channel.lastSeq : null;
+}
+
+/**
+ * Get all items of a channel after a sequence number, including thread
+ * replies and edits, in sequence order
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {number} params.since - Last seq the client has (0 = from the start)
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<{items: Array, lastSeq: number, oldestSeq: number|null, hasMore: boolean}>}
+ */
+async function getItemsSince({ channelId, since, limit }) {
+  const sinceSeq = Math.max(parseInt(since, 10) || 0, 0);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SYNC_LIMIT, 1), MAX_SYNC_LIMIT);
+
+  const rows = await GroupItem.findAll({
+    where: { channel: channelId, seq: { [Op.gt]: sinceSeq } },
+    order: [['seq', 'ASC']],
+    limit: pageSize + 1
+  });
+
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize);
+
+  const channel = await Channel.findByPk(channelId, { attributes: ['lastSeq'] });
+  // Everything below oldestSeq is gone from the server
+  const oldestSeq = await GroupItem.min('seq', { where: { channel: channelId } });
+
+  return {
+    items,
+    lastSeq: channel?.lastSeq || 0,
+    oldestSeq: oldestSeq || null,
+    hasMore
+  };
+}
+
+module.exports = {
+  nextChannelSeq,
+  getItemsSince
+};
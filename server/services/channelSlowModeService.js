@@ -0,0 +1,176 @@
+/**
+ * Channel Slow Mode Service
+ *
+ * Slow mode (Channel.slowModeSeconds) lets each member post at most one
+ * message per N seconds into a signal channel. Only posts count (the
+ * channelPostingService POST_TYPES); reactions, read receipts and sender key
+ * exchange are not limited. The channel owner and members holding user.mute
+ * (Channel Moderator by default) are exempt and may change the setting.
+ *
+ * The time of the last post per member is kept in memory: a server restart
+ * only lets everyone post once more. Enforced for live sends (sendGroupItem,
+ * POST /api/group-items, POST /channels/:channelId/group-messages) and when
+ * scheduled messages are released (the release waits for the next slot).
+ * The slot is claimed in the queued write that stores the post, after all
+ * other checks passed.
+ */
+
+const { Op } = require('sequelize');
+const { Channel, ChannelMembers, Client } = require('../db/model');
+const { hasChannelPermission } = require('../db/roleHelpers');
+const writeQueue = require('../db/writeQueue');
+const { POST_TYPES } = require('./channelPostingService');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60; // 6 hours
+
+// `${channelId}:${userId}` -> timestamp (ms) of the last post
+const lastPostAt = new Map();
+let nextPrune = 0;
+
+function pruneLastPosts(now) {
+  if (now < nextPrune) {
+    return;
+  }
+  for (const [key, postedAt] of lastPostAt) {
+    if (now - postedAt > MAX_SLOW_MODE_SECONDS * 1000) {
+      lastPostAt.delete(key);
+    }
+  }
+  nextPrune = now + 10 * 60 * 1000;
+}
+
+/**
+ * Validate a slow mode interval from a request body
+ * @param {*} value - Seconds; 0 or null turns slow mode off
+ * @returns {Object} { seconds } or { error }
+ */
+function normalizeSlowMode(value) {
+  if (value === null || value === 0 || value === '0') {
+    return { seconds: null };
+  }
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_SLOW_MODE_SECONDS) {
+    return { error: `slowModeSeconds must be an integer between 1 and ${MAX_SLOW_MODE_SECONDS}, or 0 to turn it off` };
+  }
+  return { seconds };
+}
+
+async function broadcastSlowModeChange(channelId, data) {
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  const memberClients = await Client.findAll({
+    where: { owner: { [Op.in]: members.map(m => m.userId) } },
+    attributes: ['owner', 'device_id']
+  });
+  for (const client of memberClients) {
+    emitToDevice(client.owner, client.device_id, 'channelSlowModeUpdated', { channelId, ...data });
+  }
+}
+
+/**
+ * Turn slow mode on or off (owner or user.mute in the channel)
+ * @param {Object} params
+ * @param {string} params.userId - Acting user UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {number|null} params.seconds - Interval in seconds, 0/null = off
+ * @returns {Promise<Object>} { success, slowModeSeconds } or { success: false, status, error }
+ */
+async function setSlowMode({ userId, channelId, seconds }) {
+  const normalized = normalizeSlowMode(seconds);
+  if (normalized.error) {
+    return { success: false, status: 400, error: normalized.error };
+  }
+
+  const channel = await Channel.findByPk(channelId, { attributes: ['uuid', 'type', 'slowModeSeconds'] });
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+  if (channel.type !== 'signal') {
+    return { success: false, status: 400, error: 'Slow mode is only available for signal channels' };
+  }
+  if (!(await hasChannelPermission(userId, channelId, 'user.mute'))) {
+    return { success: false, status: 403, error: 'Forbidden: Cannot change slow mode of this channel' };
+  }
+
+  // Nothing to change (repeated request)
+  if ((channel.slowModeSeconds || null) === normalized.seconds) {
+    return { success: true, slowModeSeconds: normalized.seconds };
+  }
+
+  await writeQueue.enqueue(
+    () => Channel.update({ slowModeSeconds: normalized.seconds }, { where: { uuid: channelId } }),
+    `setChannelSlowMode-${channelId}`
+  );
+
+  await broadcastSlowModeChange(channelId, { slowModeSeconds: normalized.seconds, updatedBy: userId });
+
+  logger.info(`[SLOW MODE] Channel slow mode set to ${normalized.seconds || 'off'}`);
+  logger.debug(`[SLOW MODE] Channel: ${sanitizeForLog(channelId)}`);
+  return { success: true, slowModeSeconds: normalized.seconds };
+}
+
+/**
+ * Look up the slow mode slot a post needs, without claiming it
+ * @param {Object} params
+ * @param {string} params.userId - Sender UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} [params.type] - Item type (default 'message')
+ * @returns {Promise<Object|null>} Slot for claimPostSlot, null if the post is not limited
+ */
+async function getPostSlot({ userId, channelId, type }) {
+  if (!POST_TYPES.includes(type || 'message')) {
+    return null;
+  }
+
+  const channel = await Channel.findByPk(channelId, { attributes: ['uuid', 'slowModeSeconds'] });
+  if (!channel?.slowModeSeconds) {
+    return null;
+  }
+  if (await hasChannelPermission(userId, channelId, 'user.mute')) {
+    return null;
+  }
+  return { key: `${channelId}:${userId}`, seconds: channel.slowModeSeconds };
+}
+
+/**
+ * Claim a slot from getPostSlot. Called inside the queued write that stores
+ * the post, so posts rejected by other checks do not use up the slot.
+ * @param {Object|null} slot - Result of getPostSlot
+ * @returns {Object} { allowed: true } or { allowed: false, status, error, retryAfter }
+ */
+function claimPostSlot(slot) {
+  if (!slot) {
+    return { allowed: true };
+  }
+
+  const now = Date.now();
+  pruneLastPosts(now);
+
+  const previous = lastPostAt.get(slot.key);
+  const waitMs = previous ? previous + slot.seconds * 1000 - now : 0;
+  if (waitMs > 0) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    return {
+      allowed: false,
+      status: 429,
+      error: `Slow mode is on, you can post again in ${retryAfter} seconds`,
+      retryAfter
+    };
+  }
+
+  lastPostAt.set(slot.key, now);
+  return { allowed: true };
+}
+
+module.exports = {
+  MAX_SLOW_MODE_SECONDS,
+  normalizeSlowMode,
+  setSlowMode,
+  getPostSlot,
+  claimPostSlot
+};
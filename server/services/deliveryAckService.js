@@ -0,0 +1,158 @@
+/**
+ * Delivery Ack Service
+ *
+ * At-least-once delivery for 1:1 items (Item table):
+ * - sendItem stores the item and emits it; the sender only gets "itemStored"
+ * - The receiving device acknowledges processed itemIds in batches (ackItems)
+ *   or one by one (deleteItem, what current clients send after processing)
+ * - Acknowledged items are deleted right away and the sender device gets the
+ *   real "deliveryReceipt" (emitting an item never counts as delivery)
+ * - Everything not acknowledged is redelivered when the device sends
+ *   clientReady again, so clients must deduplicate by itemId
+ *
+ * Unacknowledged items still fall under the deleteRegularMessagesDays cleanup.
+ */
+
+const { Op } = require('sequelize');
+const { Item } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const { getBlockedPeerIds } = require('./blockService');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+
+const MAX_ACK_BATCH = 500;
+const REDELIVERY_BATCH = 100;
+
+// Protocol items the sender does not need a delivery receipt for
+const NO_RECEIPT_TYPES = [
+  'read_receipt',
+  'senderKeyRequest',
+  'senderKeyDistribution',
+  'fileKeyRequest',
+  'fileKeyResponse',
+  'delivery_receipt'
+];
+
+/**
+ * Event + payload a stored item is delivered with (same shape as sendItem / editItem)
+ */
+function toDeliveryEvent(item) {
+  const data = {
+    sender: item.sender,
+    senderDeviceId: item.deviceSender,
+    sealed: item.sealed || false,
+    recipient: item.receiver,
+    type: item.type,
+    payload: item.payload,
+    cipherType: item.cipherType,
+    itemId: item.itemId,
+    originalRecipient: item.originalRecipient || null,
+    expiresAt: item.expiresAt ? new Date(item.expiresAt).toISOString() : null
+  };
+
+  if (item.type === 'edit') {
+    return { event: 'itemEdited', data: { ...data, editOf: item.editOf, revision: item.revision } };
+  }
+  return { event: 'receiveItem', data };
+}
+
+/**
+ * Acknowledge processed items for one device
+ * @param {Object} params
+ * @param {string} params.userId - Receiving user UUID
+ * @param {number} params.deviceId - Receiving device ID
+ * @param {Array<string>} params.itemIds - Processed itemIds
+ * @returns {Promise<Object>} { success, ackedCount } or { success: false, status, error }
+ */
+async function ackItems({ userId, deviceId, itemIds }) {
+  if (!Array.isArray(itemIds) || itemIds.length === 0) {
+    return { success: false, status: 400, error: 'itemIds required' };
+  }
+  if (itemIds.length > MAX_ACK_BATCH) {
+    return { success: false, status: 400, error: `At most ${MAX_ACK_BATCH} itemIds per ack` };
+  }
+
+  const items = await Item.findAll({
+    where: {
+      receiver: userId,
+      deviceReceiver: deviceId,
+      itemId: { [Op.in]: itemIds }
+    },
+    attributes: ['uuid', 'itemId', 'sender', 'deviceSender', 'type']
+  });
+
+  if (items.length === 0) {
+    return { success: true, ackedCount: 0 };
+  }
+
+  await writeQueue.enqueue(
+    () => Item.destroy({ where: { uuid: { [Op.in]: items.map(item => item.uuid) } } }),
+    `ackItems-${userId}-${deviceId}`
+  );
+
+  const deliveredAt = new Date().toISOString();
+  for (const item of items) {
+    // Multi-device sync copies and protocol messages need no receipt,
+    // sealed-sender items have no sender to notify
+    if (!item.sender || item.sender === userId || NO_RECEIPT_TYPES.includes(item.type)) {
+      continue;
+    }
+    emitToDevice(item.sender, item.deviceSender, 'deliveryReceipt', {
+      itemId: item.itemId,
+      recipientUserId: userId,
+      recipientDeviceId: deviceId,
+      deliveredAt
+    });
+  }
+
+  logger.debug(`[DELIVERY ACK] Device acknowledged ${items.length} item(s)`);
+  return { success: true, ackedCount: items.length };
+}
+
+/**
+ * Redeliver unacknowledged items to a device that just became ready
+ * @param {Object} params
+ * @param {string} params.userId - Receiving user UUID
+ * @param {number} params.deviceId - Receiving device ID
+ * @returns {Promise<{redelivered: number, remaining: number}>}
+ */
+async function redeliverUnacked({ userId, deviceId }) {
+  const where = {
+    receiver: userId,
+    deviceReceiver: deviceId,
+    [Op.and]: [{ [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] }]
+  };
+  const blockedPeers = await getBlockedPeerIds(userId);
+  if (blockedPeers.size > 0) {
+    // Sealed-sender items have no sender and are filtered by the client
+    where[Op.and].push({ [Op.or]: [{ sender: null }, { sender: { [Op.notIn]: Array.from(blockedPeers) } }] });
+  }
+
+  const total = await Item.count({ where });
+  if (total === 0) {
+    return { redelivered: 0, remaining: 0 };
+  }
+
+  const items = await Item.findAll({
+    where,
+    order: [['createdAt', 'ASC']],
+    limit: REDELIVERY_BATCH
+  });
+
+  let redelivered = 0;
+  for (const item of items) {
+    const { event, data } = toDeliveryEvent(item);
+    if (emitToDevice(userId, deviceId, event, { ...data, redelivery: true })) {
+      redelivered++;
+    }
+  }
+
+  logger.info(`[DELIVERY ACK] Redelivered ${redelivered} unacknowledged item(s)`);
+  return { redelivered, remaining: total - redelivered };
+}
+
+module.exports = {
+  MAX_ACK_BATCH,
+  ackItems,
+  redeliverUnacked
+};
@@ -0,0 +1,290 @@
+/**
+ * Disappearing Messages Service
+ *
+ * Per-channel (Channel.disappearingSeconds) and per-1:1 conversation
+ * (DirectConversationSetting) expiry timers. Every stored Item / GroupItem
+ * is stamped with expiresAt when its conversation has a timer, and the
+ * sweeper job (jobs/disappearingMessages.js) deletes expired rows and tells
+ * connected devices to drop them as well.
+ *
+ * Timer changes only apply to messages sent afterwards.
+ */
+
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const {
+  Channel,
+  ChannelMembers,
+  Client,
+  Item,
+  GroupItem,
+  MessageRevision,
+  DirectConversationSetting
+} = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const { emitToDevice, emitToUserDevices } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+/**
+ * Validate a timer value from a request
+ * @param {*} value - Seconds; null, 0 or false turn the timer off
+ * @returns {{seconds: number|null, error?: string}}
+ */
+function normalizeTimer(value) {
+  if (value === null || value === undefined || value === false || value === 0 || value === '0') {
+    return { seconds: null };
+  }
+
+  const seconds = parseInt(value, 10);
+  const { minSeconds, maxSeconds } = config.disappearing;
+  if (!Number.isFinite(seconds) || seconds < minSeconds || seconds > maxSeconds) {
+    return { seconds: null, error: `Timer must be between ${minSeconds} and ${maxSeconds} seconds` };
+  }
+
+  return { seconds };
+}
+
+/**
+ * Compute the expiry stamp for an item
+ * @param {number|null} seconds - Conversation timer
+ * @param {Date} [from] - Send time
+ * @returns {Date|null}
+ */
+function computeExpiresAt(seconds, from = new Date()) {
+  if (!seconds) {
+    return null;
+  }
+  return new Date(from.getTime() + seconds * 1000);
+}
+
+/**
+ * Sort a user pair so each 1:1 conversation maps to one settings row
+ */
+function conversationKey(userA, userB) {
+  return userA < userB
+    ? { user_a_uuid: userA, user_b_uuid: userB }
+    : { user_a_uuid: userB, user_b_uuid: userA };
+}
+
+/**
+ * Get the timer of a signal channel
+ * @param {string} channelId - Channel UUID
+ * @returns {Promise<number|null>} Seconds or null if off
+ */
+async function getChannelTimer(channelId) {
+  const channel = await Channel.findByPk(channelId, { attributes: ['disappearingSeconds'] });
+  return channel?.disappearingSeconds || null;
+}
+
+/**
+ * Get the timer of a 1:1 conversation
+ * @param {string} userA - User UUID
+ * @param {string} userB - User UUID
+ * @returns {Promise<number|null>} Seconds or null if off
+ */
+async function getDirectTimer(userA, userB) {
+  if (!userA || !userB) {
+    return null;
+  }
+  const setting = await DirectConversationSetting.findOne({
+    where: conversationKey(userA, userB),
+    attributes: ['disappearing_seconds']
+  });
+  return setting?.disappearing_seconds || null;
+}
+
+/**
+ * Check whether two users have a 1:1 conversation or share a channel
+ * (a timer may only be set on a conversation that exists)
+ * @param {string} userA - User UUID
+ * @param {string} userB - User UUID
+ * @returns {Promise<boolean>}
+ */
+async function hasDirectRelation(userA, userB) {
+  if (!userA || !userB || userA === userB) {
+    return false;
+  }
+
+  const setting = await DirectConversationSetting.count({ where: conversationKey(userA, userB) });
+  if (setting > 0) {
+    return true;
+  }
+
+  const items = await Item.count({
+    where: {
+      [Op.or]: [
+        { sender: userA, receiver: userB },
+        { sender: userB, receiver: userA }
+      ]
+    }
+  });
+  if (items > 0) {
+    return true;
+  }
+
+  const memberships = await ChannelMembers.findAll({
+    where: { userId: userA },
+    attributes: ['channelId']
+  });
+  if (memberships.length === 0) {
+    return false;
+  }
+  const shared = await ChannelMembers.count({
+    where: { userId: userB, channelId: memberships.map(m => m.channelId) }
+  });
+  return shared > 0;
+}
+
+/**
+ * Set the timer of a signal channel and advertise it to all member devices
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {number|null} params.seconds - Validated timer
+ * @param {string} params.updatedBy - User UUID who changed it
+ */
+async function setChannelTimer({ channelId, seconds, updatedBy }) {
+  await writeQueue.enqueue(
+    () => Channel.update({ disappearingSeconds: seconds }, { where: { uuid: channelId } }),
+    `setChannelDisappearing-${channelId}`
+  );
+
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  for (const member of members) {
+    emitToUserDevices(member.userId, 'disappearingTimerUpdated', {
+      channelId,
+      seconds,
+      updatedBy
+    });
+  }
+
+  logger.info(`[DISAPPEARING] Channel timer set to ${seconds || 'off'}`);
+  logger.debug(`[DISAPPEARING] Channel: ${sanitizeForLog(channelId)}`);
+}
+
+/**
+ * Set the timer of a 1:1 conversation and advertise it to both users' devices
+ * @param {Object} params
+ * @param {string} params.userId - User UUID who changed it
+ * @param {string} params.peerUserId - Other participant
+ * @param {number|null} params.seconds - Validated timer
+ * @param {boolean} [params.notifyPeer=true] - False to keep the change silent for the peer (blocks)
+ */
+async function setDirectTimer({ userId, peerUserId, seconds, notifyPeer = true }) {
+  const key = conversationKey(userId, peerUserId);
+
+  await writeQueue.enqueue(async () => {
+    const [setting, created] = await DirectConversationSetting.findOrCreate({
+      where: key,
+      defaults: { disappearing_seconds: seconds, updated_by: userId, updated_at: new Date() }
+    });
+    if (!created) {
+      await setting.update({ disappearing_seconds: seconds, updated_by: userId, updated_at: new Date() });
+    }
+  }, `setDirectDisappearing-${key.user_a_uuid}-${key.user_b_uuid}`);
+
+  emitToUserDevices(userId, 'disappearingTimerUpdated', { peerUserId, seconds, updatedBy: userId });
+  if (notifyPeer && peerUserId !== userId) {
+    emitToUserDevices(peerUserId, 'disappearingTimerUpdated', { peerUserId: userId, seconds, updatedBy: userId });
+  }
+
+  logger.info(`[DISAPPEARING] 1:1 timer set to ${seconds || 'off'}`);
+}
+
+/**
+ * Delete all expired items and notify connected devices
+ * @returns {Promise<{itemsDeleted: number, groupItemsDeleted: number}>}
+ */
+async function sweepExpiredItems() {
+  const now = new Date();
+
+  // 1:1 items: one row per recipient device
+  const expiredItems = await Item.findAll({
+    where: { expiresAt: { [Op.lte]: now } },
+    attributes: ['uuid', 'itemId', 'editOf', 'receiver', 'deviceReceiver']
+  });
+
+  if (expiredItems.length > 0) {
+    const originalIds = [...new Set(expiredItems.filter(item => !item.editOf).map(item => item.itemId))];
+
+    await writeQueue.enqueue(async () => {
+      await Item.destroy({ where: { uuid: { [Op.in]: expiredItems.map(item => item.uuid) } } });
+      // Version history must disappear together with the message
+      if (originalIds.length > 0) {
+        await MessageRevision.destroy({ where: { item_id: { [Op.in]: originalIds }, channel_id: null } });
+      }
+    }, 'sweepExpiredItems');
+
+    const byDevice = new Map();
+    for (const item of expiredItems) {
+      const key = `${item.receiver}:${item.deviceReceiver}`;
+      if (!byDevice.has(key)) {
+        byDevice.set(key, { userId: item.receiver, deviceId: item.deviceReceiver, itemIds: [] });
+      }
+      byDevice.get(key).itemIds.push(item.itemId);
+    }
+    for (const { userId, deviceId, itemIds } of byDevice.values()) {
+      emitToDevice(userId, deviceId, 'itemsExpired', { itemIds });
+    }
+  }
+
+  // Group items: stored once per channel
+  const expiredGroupItems = await GroupItem.findAll({
+    where: { expiresAt: { [Op.lte]: now } },
+    attributes: ['uuid', 'itemId', 'editOf', 'channel']
+  });
+
+  if (expiredGroupItems.length > 0) {
+    const uuids = expiredGroupItems.map(item => item.uuid);
+    const originalIds = expiredGroupItems.filter(item => !item.editOf).map(item => item.itemId);
+
+    await writeQueue.enqueue(async () => {
+      await GroupItem.destroy({ where: { uuid: { [Op.in]: uuids } } });
+      if (originalIds.length > 0) {
+        await MessageRevision.destroy({ where: { item_id: { [Op.in]: originalIds }, channel_id: { [Op.ne]: null } } });
+      }
+    }, 'sweepExpiredGroupItems');
+
+    const byChannel = new Map();
+    for (const item of expiredGroupItems) {
+      if (!byChannel.has(item.channel)) {
+        byChannel.set(item.channel, []);
+      }
+      byChannel.get(item.channel).push(item.itemId);
+    }
+
+    for (const [channelId, itemIds] of byChannel) {
+      const members = await ChannelMembers.findAll({
+        where: { channelId },
+        attributes: ['userId']
+      });
+      const memberClients = await Client.findAll({
+        where: { owner: { [Op.in]: members.map(m => m.userId) } },
+        attributes: ['owner', 'device_id']
+      });
+      for (const client of memberClients) {
+        emitToDevice(client.owner, client.device_id, 'groupItemsExpired', { channelId, itemIds });
+      }
+    }
+  }
+
+  if (expiredItems.length > 0 || expiredGroupItems.length > 0) {
+    logger.info(`[DISAPPEARING] Swept ${expiredItems.length} item(s) and ${expiredGroupItems.length} group item(s)`);
+  }
+
+  return { itemsDeleted: expiredItems.length, groupItemsDeleted: expiredGroupItems.length };
+}
+
+module.exports = {
+  normalizeTimer,
+  computeExpiresAt,
+  getChannelTimer,
+  getDirectTimer,
+  hasDirectRelation,
+  setChannelTimer,
+  setDirectTimer,
+  sweepExpiredItems
+};
@@ -0,0 +1,358 @@
+/**
+ * LDAP Service
+ *
+ * Directory accounts (config.ldap) for LDAP / Active Directory servers:
+ * - login: the entry is looked up with the service account and the user's
+ *   password is verified by binding as that entry (POST /ldap/login)
+ * - sync: all entries under the base DN matching the user filter are
+ *   provisioned (jobs/ldapSync.js)
+ *
+ * Entries are linked to users via UserIdentity (provider 'ldap', issuer =
+ * base DN, subject = config.ldap.idAttribute), on first contact also by
+ * email. The directory is authoritative for its users: accounts are created
+ * regardless of ServerSettings.registration_mode, email and display name
+ * follow the directory, and users whose entry disappears are deprovisioned
+ * (userAccountService: deactivated and locked out) and re-activated when it
+ * returns.
+ *
+ * Group DNs (config.ldap.groupAttribute) map to server roles
+ * (config.ldap.groupRoles) and channel memberships (config.ldap.groupChannels).
+ * Only mapped roles and channels are managed; everything else is kept.
+ */
+
+const { Client, InvalidCredentialsError } = require('ldapts');
+const { fn, col, where } = require('sequelize');
+const config = require('../config/config');
+const { User, UserIdentity } = require('../db/model');
+const { syncServerRoles } = require('../db/roleHelpers');
+const { autoAssignRoles } = require('../db/autoAssignRoles');
+const writeQueue = require('../db/writeQueue');
+const channelMembership = require('./channelMembershipService');
+const userAccount = require('./userAccountService');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const PROVIDER = 'ldap';
+const TIMEOUT_MS = 15000;
+
+function isEnabled() {
+  return !!(config.ldap && config.ldap.url && config.ldap.baseDN);
+}
+
+/**
+ * Escape a value for use in an LDAP filter (RFC 4515)
+ */
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * Compare DNs without case and whitespace around separators
+ */
+function normalizeDn(dn) {
+  return String(dn).trim().toLowerCase().replace(/\s*([,=])\s*/g, '$1');
+}
+
+function createClient() {
+  return new Client({
+    url: config.ldap.url,
+    timeout: TIMEOUT_MS,
+    connectTimeout: TIMEOUT_MS,
+    // ldapts connects with TLS whenever tlsOptions are set, so only for ldaps://
+    tlsOptions: config.ldap.url.startsWith('ldaps:')
+      ? { rejectUnauthorized: config.ldap.tlsRejectUnauthorized }
+      : undefined
+  });
+}
+
+async function connect(client) {
+  if (config.ldap.startTLS) {
+    await client.startTLS({ rejectUnauthorized: config.ldap.tlsRejectUnauthorized });
+  }
+}
+
+/**
+ * Run directory operations with the service account
+ */
+async function withServiceClient(operation) {
+  const client = createClient();
+  try {
+    await connect(client);
+    if (config.ldap.bindDN) {
+      await client.bind(config.ldap.bindDN, config.ldap.bindPassword);
+    }
+    return await operation(client);
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
+
+function firstValue(value) {
+  const single = Array.isArray(value) ? value[0] : value;
+  if (Buffer.isBuffer(single)) {
+    return single.toString('hex');
+  }
+  return single === undefined || single === null || single === '' ? null : String(single);
+}
+
+function searchAttributes() {
+  const { idAttribute, emailAttribute, displayNameAttribute, groupAttribute, loginAttribute } = config.ldap;
+  return [...new Set([idAttribute, emailAttribute, displayNameAttribute, 'cn', groupAttribute, loginAttribute])];
+}
+
+/**
+ * Attribute names are case-insensitive and servers may return another case
+ */
+function getAttribute(entry, name) {
+  if (entry[name] !== undefined) {
+    return entry[name];
+  }
+  const key = Object.keys(entry).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key ? entry[key] : undefined;
+}
+
+/**
+ * Directory entry as { dn, externalId, email, displayName, groups }
+ */
+function toProfile(entry) {
+  const { idAttribute, emailAttribute, displayNameAttribute, groupAttribute } = config.ldap;
+  const groups = getAttribute(entry, groupAttribute);
+  const displayName = firstValue(getAttribute(entry, displayNameAttribute)) || firstValue(getAttribute(entry, 'cn'));
+  return {
+    dn: entry.dn,
+    externalId: firstValue(getAttribute(entry, idAttribute)) || normalizeDn(entry.dn),
+    email: firstValue(getAttribute(entry, emailAttribute))?.trim() || null,
+    displayName: displayName?.trim().substring(0, 255) || null,
+    groups: (Array.isArray(groups) ? groups : (groups ? [groups] : [])).map(normalizeDn)
+  };
+}
+
+async function searchUsers(client, filter, sizeLimit = 0) {
+  const { searchEntries } = await client.search(config.ldap.baseDN, {
+    scope: 'sub',
+    filter,
+    attributes: searchAttributes(),
+    explicitBufferAttributes: config.ldap.idAttribute === 'objectGUID' ? ['objectGUID'] : [],
+    sizeLimit,
+    paged: sizeLimit === 0
+  });
+  return searchEntries.map(toProfile);
+}
+
+async function isDisplayNameFree(displayName, userId) {
+  if (!displayName) {
+    return false;
+  }
+  const holder = await User.findOne({ where: { displayName }, attributes: ['uuid'] });
+  return !holder || holder.uuid === userId;
+}
+
+/**
+ * Create, link, update or re-activate the user of a directory entry
+ * @param {Object} profile - From toProfile
+ * @returns {Promise<Object>} { user, created, updated, reactivated } or { error }
+ */
+async function provisionUser(profile) {
+  if (!profile.email) {
+    return { error: 'Directory entry has no email address' };
+  }
+
+  const issuer = config.ldap.baseDN;
+  let identity = await UserIdentity.findOne({
+    where: { provider: PROVIDER, issuer, subject: profile.externalId }
+  });
+  let user = identity ? await User.findByPk(identity.user_uuid) : null;
+  let created = false;
+
+  if (!user) {
+    user = await User.findOne({ where: where(fn('lower', col('email')), profile.email.toLowerCase()) });
+  }
+
+  if (!user) {
+    const displayName = await isDisplayNameFree(profile.displayName) ? profile.displayName : null;
+    user = await writeQueue.enqueue(
+      () => User.create({ email: profile.email, displayName, verified: true, active: true }),
+      'createLdapUser'
+    );
+    created = true;
+    await autoAssignRoles(profile.email, user.uuid);
+  }
+
+  if (!identity) {
+    identity = await writeQueue.enqueue(
+      () => UserIdentity.create({
+        user_uuid: user.uuid,
+        provider: PROVIDER,
+        issuer,
+        subject: profile.externalId,
+        email: profile.email
+      }),
+      'linkUserIdentity'
+    );
+  }
+
+  // The directory is authoritative for email and display name
+  const updates = {};
+  if (!created && user.email !== profile.email) {
+    const holder = await User.findOne({ where: { email: profile.email }, attributes: ['uuid'] });
+    if (!holder) {
+      updates.email = profile.email;
+    }
+  }
+  if (!created && profile.displayName && user.displayName !== profile.displayName &&
+      await isDisplayNameFree(profile.displayName, user.uuid)) {
+    updates.displayName = profile.displayName;
+  }
+  if (!user.verified) {
+    updates.verified = true;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await writeQueue.enqueue(() => user.update(updates), 'updateLdapUser');
+  }
+  if (identity.email !== profile.email) {
+    await writeQueue.enqueue(() => identity.update({ email: profile.email }), 'updateUserIdentity');
+  }
+
+  const reactivated = !!identity.deprovisioned_at;
+  if (reactivated) {
+    await userAccount.reprovisionIdentity(identity);
+  }
+
+  return {
+    user,
+    created,
+    updated: !created && Object.keys(updates).length > 0,
+    reactivated
+  };
+}
+
+/**
+ * Apply the group mappings to a user
+ * @param {string} userId - User UUID
+ * @param {string[]} groups - Normalized group DNs of the entry
+ * @returns {Promise<Object>} { roles, channels } sync results
+ */
+async function applyGroupMappings(userId, groups) {
+  const memberOf = new Set(groups);
+  const granted = mapping => mapping
+    .filter(({ group }) => memberOf.has(normalizeDn(group)))
+    .map(({ target }) => target);
+
+  const roles = await syncServerRoles(
+    userId,
+    config.ldap.groupRoles.map(({ target }) => target),
+    granted(config.ldap.groupRoles)
+  );
+  const channels = await channelMembership.syncManagedMemberships(
+    userId,
+    config.ldap.groupChannels.map(({ target }) => target),
+    granted(config.ldap.groupChannels)
+  );
+  return { roles, channels };
+}
+
+/**
+ * Verify a directory login
+ * @param {Object} params
+ * @param {string} params.username - Value of config.ldap.loginAttribute (e.g. email)
+ * @param {string} params.password - Directory password
+ * @returns {Promise<Object>} { success, user } or { success: false, status, error }
+ */
+async function authenticate({ username, password }) {
+  // An empty password would be an unauthenticated bind that always succeeds
+  if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || !password) {
+    return { success: false, status: 400, error: 'Username and password are required' };
+  }
+
+  const filter = `(&${config.ldap.userFilter}(${config.ldap.loginAttribute}=${escapeFilterValue(username.trim())}))`;
+  const profiles = await withServiceClient(client => searchUsers(client, filter, 2));
+  if (profiles.length !== 1) {
+    if (profiles.length > 1) {
+      logger.warn('[LDAP] Login name matches more than one directory entry');
+    }
+    return { success: false, status: 401, error: 'Invalid username or password' };
+  }
+  const [profile] = profiles;
+
+  const userClient = createClient();
+  try {
+    await connect(userClient);
+    await userClient.bind(profile.dn, password);
+  } catch (error) {
+    if (error instanceof InvalidCredentialsError) {
+      return { success: false, status: 401, error: 'Invalid username or password' };
+    }
+    throw error;
+  } finally {
+    await userClient.unbind().catch(() => {});
+  }
+
+  const result = await provisionUser(profile);
+  if (result.error) {
+    return { success: false, status: 403, error: result.error };
+  }
+  await applyGroupMappings(result.user.uuid, profile.groups);
+  await writeQueue.enqueue(
+    () => UserIdentity.update(
+      { last_login_at: new Date() },
+      { where: { provider: PROVIDER, issuer: config.ldap.baseDN, subject: profile.externalId } }
+    ),
+    'updateUserIdentityLogin'
+  );
+
+  logger.info('[LDAP] Directory login successful');
+  logger.debug('[LDAP] Login details:', { userId: sanitizeForLog(result.user.uuid) });
+  return { success: true, user: result.user };
+}
+
+/**
+ * Provision all directory users and deactivate the ones that are gone
+ * @returns {Promise<Object>} Counts: { entries, created, updated, reactivated, deactivated, skipped }
+ */
+async function syncDirectory() {
+  const profiles = await withServiceClient(client => searchUsers(client, config.ldap.userFilter));
+  const stats = { entries: profiles.length, created: 0, updated: 0, reactivated: 0, deactivated: 0, skipped: 0 };
+  // Every returned entry still exists, even if provisioning it fails below
+  const seen = new Set(profiles.map(profile => profile.externalId));
+
+  for (const profile of profiles) {
+    try {
+      const result = await provisionUser(profile);
+      if (result.error) {
+        stats.skipped++;
+        continue;
+      }
+      if (result.created) stats.created++;
+      if (result.updated) stats.updated++;
+      if (result.reactivated) stats.reactivated++;
+      await applyGroupMappings(result.user.uuid, profile.groups);
+    } catch (error) {
+      stats.skipped++;
+      logger.error('[LDAP] Failed to sync directory entry', error);
+      logger.debug(`[LDAP] Entry: ${sanitizeForLog(profile.dn)}`);
+    }
+  }
+
+  // An empty result is more likely a misconfigured filter than an empty directory
+  if (config.ldap.deactivateMissing && profiles.length > 0) {
+    const identities = await UserIdentity.findAll({
+      where: { provider: PROVIDER, issuer: config.ldap.baseDN, deprovisioned_at: null }
+    });
+    for (const identity of identities) {
+      if (!seen.has(identity.subject)) {
+        await userAccount.deprovisionIdentity(identity);
+        stats.deactivated++;
+      }
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  isEnabled,
+  escapeFilterValue,
+  authenticate,
+  syncDirectory
+};
@@ -0,0 +1,182 @@
+/**
+ * Mention Service
+ *
+ * Payloads are end-to-end encrypted, so the server cannot see @mentions.
+ * Senders may attach a cleartext list of mentioned user UUIDs to a group
+ * item (sendGroupItem / POST /api/group-items: { mentions: [uuid, ...] }):
+ * - Only channel members without a block relation to the sender are kept
+ * - Stored as GroupItemMention rows (removed together with the item)
+ * - Mentioned offline users get a high-priority push, also when the channel
+ *   is muted; level "none", global snooze and do-not-disturb still silence
+ *   it (notificationPreferenceService)
+ * - GET /api/mentions lists them as an inbox; a mention is unread until the
+ *   user's read watermark has passed the item
+ */
+
+const { Op, literal } = require('sequelize');
+const { GroupItemMention, GroupItem, ChannelMembers, Channel, User, sequelize } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const { getBlockedPeerIds } = require('./blockService');
+
+const MAX_MENTIONS_PER_ITEM = 50;
+const DEFAULT_INBOX_LIMIT = 50;
+const MAX_INBOX_LIMIT = 200;
+
+/**
+ * Validate the mentions attached to a new group item
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} params.senderId - Sender UUID
+ * @param {Array<string>} [params.mentions] - Mentioned user UUIDs from the client
+ * @returns {Promise<{mentionedUserIds: Array<string>, error?: string}>}
+ */
+async function resolveMentions({ channelId, senderId, mentions }) {
+  if (mentions === undefined || mentions === null) {
+    return { mentionedUserIds: [] };
+  }
+  if (!Array.isArray(mentions) || mentions.some(userId => typeof userId !== 'string')) {
+    return { mentionedUserIds: [], error: 'mentions must be a list of user ids' };
+  }
+
+  const requested = [...new Set(mentions)].filter(userId => userId !== senderId);
+  if (requested.length > MAX_MENTIONS_PER_ITEM) {
+    return { mentionedUserIds: [], error: `At most ${MAX_MENTIONS_PER_ITEM} mentions per message` };
+  }
+  if (requested.length === 0) {
+    return { mentionedUserIds: [] };
+  }
+
+  const members = await ChannelMembers.findAll({
+    where: { channelId, userId: { [Op.in]: requested } },
+    attributes: ['userId']
+  });
+  const blockedPeers = await getBlockedPeerIds(senderId);
+  const memberIds = new Set(members.map(m => m.userId));
+
+  return {
+    mentionedUserIds: requested.filter(userId => memberIds.has(userId) && !blockedPeers.has(userId))
+  };
+}
+
+/**
+ * Store the mentions of a created group item
+ * @param {Object} groupItem - Created GroupItem
+ * @param {Array<string>} mentionedUserIds - Result of resolveMentions
+ */
+async function storeMentions(groupItem, mentionedUserIds) {
+  if (!mentionedUserIds || mentionedUserIds.length === 0) {
+    return;
+  }
+
+  await writeQueue.enqueue(
+    () => GroupItemMention.bulkCreate(
+      mentionedUserIds.map(userId => ({
+        group_item_uuid: groupItem.uuid,
+        item_id: groupItem.itemId,
+        channel_id: groupItem.channel,
+        user_uuid: userId,
+        sender_uuid: groupItem.sender
+      })),
+      { ignoreDuplicates: true }
+    ),
+    `storeMentions-${groupItem.itemId}`
+  );
+}
+
+/**
+ * SQL condition for mention queries: the user has not read the item on any device
+ */
+function unreadByUser(userId) {
+  return literal(
+    `\`Item\`.\`seq\` > COALESCE((SELECT MAX(\`lastReadSeq\`) FROM \`ChannelReadPositions\` ` +
+    `WHERE \`userId\` = ${sequelize.escape(userId)} ` +
+    `AND \`channelId\` = \`GroupItemMention\`.\`channel_id\` ` +
+    `AND \`threadRootItemId\` IN ('', COALESCE(\`Item\`.\`parentItemId\`, ''))), 0)`
+  );
+}
+
+/**
+ * Mentions inbox of a user, newest first
+ * @param {Object} params
+ * @param {string} params.userId - Mentioned user UUID
+ * @param {string} [params.channelId] - Only this channel
+ * @param {boolean} [params.unreadOnly] - Only mentions not read yet
+ * @param {string} [params.before] - ISO timestamp cursor (mentionedAt of the last entry)
+ * @param {number} [params.limit] - Page size
+ * @returns {Promise<{mentions: Array, hasMore: boolean}>}
+ */
+async function listMentions({ userId, channelId, unreadOnly = false, before, limit }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_INBOX_LIMIT, 1), MAX_INBOX_LIMIT);
+
+  const where = { user_uuid: userId };
+  if (channelId) {
+    where.channel_id = channelId;
+  }
+  if (before) {
+    const beforeDate = new Date(before);
+    if (!Number.isNaN(beforeDate.getTime())) {
+      where.created_at = { [Op.lt]: beforeDate };
+    }
+  }
+
+  const unreadCondition = unreadByUser(userId);
+  const itemWhere = {
+    [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+  };
+
+  // Unread flag for every row, filter on it for unreadOnly
+  const rows = await GroupItemMention.findAll({
+    where: unreadOnly ? { ...where, [Op.and]: [unreadCondition] } : where,
+    attributes: { include: [[unreadCondition, 'unread']] },
+    include: [
+      {
+        model: GroupItem,
+        as: 'Item',
+        required: true,
+        where: itemWhere
+      },
+      {
+        model: User,
+        as: 'sender',
+        attributes: ['uuid', 'displayName']
+      }
+    ],
+    order: [['created_at', 'DESC']],
+    limit: pageSize + 1
+  });
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+
+  const channelIds = [...new Set(page.map(row => row.channel_id))];
+  const channels = channelIds.length > 0
+    ? await Channel.findAll({ where: { uuid: { [Op.in]: channelIds } }, attributes: ['uuid', 'name'] })
+    : [];
+  const channelNames = new Map(channels.map(channel => [channel.uuid, channel.name]));
+
+  const mentions = page.map(row => ({
+    itemId: row.item_id,
+    channelId: row.channel_id,
+    channelName: channelNames.get(row.channel_id) || null,
+    sender: row.sender_uuid,
+    senderName: row.sender?.displayName || null,
+    senderDevice: row.Item.senderDevice,
+    type: row.Item.type,
+    payload: row.Item.payload,
+    cipherType: row.Item.cipherType,
+    parentItemId: row.Item.parentItemId || null,
+    seq: row.Item.seq ?? null,
+    timestamp: row.Item.timestamp,
+    mentionedAt: row.created_at,
+    unread: !!row.get('unread')
+  }));
+
+  return { mentions, hasMore };
+}
+
+module.exports = {
+  MAX_MENTIONS_PER_ITEM,
+  resolveMentions,
+  storeMentions,
+  listMentions
+};
@@ -0,0 +1,367 @@
+/**
+ * Message Edit Service
+ *
+ * Stores edits of 1:1 (Item) and group (GroupItem) messages as a version chain
+ * and fans them out to recipient devices.
+ *
+ * Every edit gets a server-assigned revision (1, 2, ...) per original itemId.
+ * The new encrypted payload is stored twice:
+ * - In message_revisions (MessageRevision) as the persistent version history
+ * - As a delivery row of type "edit" (Item / GroupItem with editOf + revision)
+ *   so devices that are offline receive it through the regular pending-messages
+ *   V2 path and read receipts of the original stay untouched
+ *
+ * Only the original sender may edit. The sender is taken from the stored
+ * original or, once that is gone (acknowledged 1:1 items, cleaned up group
+ * items), from message_origins recorded when it was stored. Edits of messages
+ * whose sender is unknown (sealed, older than the retention) are refused;
+ * clients must additionally verify the editor against their local copy.
+ */
+
+const { Op } = require('sequelize');
+const { Item, GroupItem, ChannelMembers, Client, MessageRevision, MessageOrigin } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const blockService = require('./blockService');
+const disappearingMessages = require('./disappearingMessagesService');
+const channelSequence = require('./channelSequenceService');
+const channelArchive = require('./channelArchiveService');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+/**
+ * Resolve who owns the edit chain of an item
+ * @param {string} itemId - Original itemId
+ * @param {Object} original - Stored original (Item or GroupItem) or null
+ * @returns {Promise<string|null>} Sender UUID or null if unknown
+ */
+async function resolveChainOwner(itemId, original) {
+  if (original) {
+    return original.sender;
+  }
+  const origin = await MessageOrigin.findByPk(itemId, { attributes: ['sender_uuid'] });
+  if (origin) {
+    return origin.sender_uuid;
+  }
+  // Revisions are only stored for a known owner
+  const firstRevision = await MessageRevision.findOne({
+    where: { item_id: itemId },
+    order: [['revision', 'ASC']],
+    attributes: ['sender_uuid']
+  });
+  return firstRevision?.sender_uuid || null;
+}
+
+/**
+ * Get the revision for an edit: reuse it if this editId was already stored
+ * (other device copies of the same 1:1 edit), otherwise the next one in the chain.
+ * Must run inside the write queue so concurrent edits cannot get the same number.
+ */
+async function nextRevision(itemId, editId) {
+  const existing = await MessageRevision.findOne({
+    where: { item_id: itemId, edit_id: editId },
+    attributes: ['revision']
+  });
+  if (existing) {
+    return existing.revision;
+  }
+  const latest = await MessageRevision.max('revision', { where: { item_id: itemId } });
+  return (latest || 0) + 1;
+}
+
+/**
+ * Edit a 1:1 message for one recipient device
+ * (like sendItem, the client sends one edit per device it encrypted for)
+ * @param {Object} params
+ * @param {string} params.senderUserId - Editing user UUID
+ * @param {number} params.senderDeviceId - Editing device ID
+ * @param {Object} params.data - { itemId, editId, recipient, recipientDeviceId, payload, cipherType, originalRecipient }
+ * @returns {Promise<Object>} { success, revision, delivered } or { success: false, status, error }
+ */
+async function editDirectItem({ senderUserId, senderDeviceId, data }) {
+  const { itemId, editId, recipient, payload, originalRecipient } = data || {};
+  const recipientDeviceId = parseInt(data?.recipientDeviceId, 10);
+  const cipherType = parseInt(data?.cipherType, 10);
+
+  if (!itemId || !editId || !recipient || !Number.isFinite(recipientDeviceId) || !payload || !Number.isFinite(cipherType)) {
+    return { success: false, status: 400, error: 'Missing required fields' };
+  }
+
+  const isMultiDeviceSync = senderUserId === recipient;
+
+  const original = await Item.findOne({
+    where: { itemId, editOf: null },
+    attributes: ['sender']
+  });
+  const owner = await resolveChainOwner(itemId, original);
+  if (!owner) {
+    return { success: false, status: 404, error: 'Original message not found' };
+  }
+  if (owner !== senderUserId) {
+    return { success: false, status: 403, error: 'Only the sender can edit this message' };
+  }
+
+  // 🚫 Blocked: accept silently, like sendItem
+  if (!isMultiDeviceSync && await blockService.isBlockedBetween(senderUserId, recipient)) {
+    logger.info('[MESSAGE EDIT] Dropping 1:1 edit between blocked users');
+    return { success: true, revision: null, delivered: false };
+  }
+
+  // Edits disappear on the conversation timer like any other message
+  const expiresAt = disappearingMessages.computeExpiresAt(
+    await disappearingMessages.getDirectTimer(senderUserId, isMultiDeviceSync ? (originalRecipient || recipient) : recipient)
+  );
+
+  const revision = await writeQueue.enqueue(async () => {
+    const rev = await nextRevision(itemId, editId);
+    await MessageRevision.create({
+      item_id: itemId,
+      edit_id: editId,
+      revision: rev,
+      sender_uuid: senderUserId,
+      sender_device_id: senderDeviceId,
+      receiver_uuid: recipient,
+      receiver_device_id: recipientDeviceId,
+      payload,
+      cipher_type: cipherType
+    });
+    await Item.create({
+      sender: senderUserId,
+      deviceSender: senderDeviceId,
+      receiver: recipient,
+      deviceReceiver: recipientDeviceId,
+      type: 'edit',
+      payload,
+      cipherType,
+      itemId: editId,
+      originalRecipient: originalRecipient || null,
+      editOf: itemId,
+      revision: rev,
+      expiresAt
+    });
+    return rev;
+  }, `editItem-${editId}-${recipientDeviceId}`);
+
+  logger.info(`[MESSAGE EDIT] Stored 1:1 edit revision ${revision}`);
+  logger.debug('[MESSAGE EDIT] Edit details:', { itemId: sanitizeForLog(itemId), editId: sanitizeForLog(editId) });
+
+  const delivered = emitToDevice(recipient, recipientDeviceId, 'itemEdited', {
+    sender: senderUserId,
+    senderDeviceId,
+    recipient,
+    itemId: editId,
+    editOf: itemId,
+    revision,
+    type: 'edit',
+    payload,
+    cipherType,
+    originalRecipient: originalRecipient || null,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null
+  });
+
+  // The edit row stays stored until the device acknowledges it (ackItems)
+  return { success: true, revision, delivered };
+}
+
+/**
+ * Edit a group message (stored once for all channel members)
+ * @param {Object} params
+ * @param {string} params.userId - Editing user UUID
+ * @param {number} params.deviceId - Editing device ID
+ * @param {Object} params.data - { channelId, itemId, editId, payload, cipherType, timestamp }
+ * @returns {Promise<Object>} { success, revision, deliveredCount } or { success: false, status, error }
+ */
+async function editGroupItem({ userId, deviceId, data }) {
+  const { channelId, itemId, editId, payload } = data || {};
+  const cipherType = data?.cipherType || 4;
+
+  if (!channelId || !itemId || !editId || !payload) {
+    return { success: false, status: 400, error: 'Missing required fields' };
+  }
+
+  const membership = await ChannelMembers.findOne({
+    where: { userId, channelId }
+  });
+  if (!membership) {
+    return { success: false, status: 403, error: 'Not a member of this channel' };
+  }
+
+  const writable = await channelArchive.checkChannelWritable(channelId);
+  if (!writable.allowed) {
+    return { success: false, status: writable.status, error: writable.error };
+  }
+
+  const original = await GroupItem.findOne({ where: { itemId } });
+  if (original && original.channel !== channelId) {
+    return { success: false, status: 400, error: 'Item does not belong to this channel' };
+  }
+
+  const owner = await resolveChainOwner(itemId, original);
+  if (!owner) {
+    return { success: false, status: 404, error: 'Original message not found' };
+  }
+  if (owner !== userId) {
+    return { success: false, status: 403, error: 'Only the sender can edit this message' };
+  }
+
+  // Same editId again (client retry): report the stored revision
+  const duplicate = await MessageRevision.findOne({
+    where: { item_id: itemId, edit_id: editId },
+    attributes: ['revision']
+  });
+  if (duplicate) {
+    return { success: true, revision: duplicate.revision, deliveredCount: 0, existing: true };
+  }
+
+  const editedAt = data.timestamp ? new Date(data.timestamp) : new Date();
+  if (Number.isNaN(editedAt.getTime())) {
+    return { success: false, status: 400, error: 'Invalid timestamp' };
+  }
+  const expiresAt = disappearingMessages.computeExpiresAt(
+    await disappearingMessages.getChannelTimer(channelId)
+  );
+
+  const { rev: revision, seq } = await writeQueue.enqueue(async () => {
+    const rev = await nextRevision(itemId, editId);
+    await MessageRevision.create({
+      item_id: itemId,
+      edit_id: editId,
+      revision: rev,
+      channel_id: channelId,
+      sender_uuid: userId,
+      sender_device_id: deviceId,
+      payload,
+      cipher_type: cipherType,
+      created_at: editedAt
+    });
+    const editItem = await GroupItem.create({
+      itemId: editId,
+      channel: channelId,
+      sender: userId,
+      senderDevice: deviceId,
+      type: 'edit',
+      payload,
+      cipherType,
+      timestamp: editedAt,
+      editOf: itemId,
+      revision: rev,
+      // Keep edits of thread replies inside their thread
+      parentItemId: original?.parentItemId || null,
+      expiresAt,
+      seq: await channelSequence.nextChannelSeq(channelId)
+    });
+    if (original) {
+      await GroupItem.update({ revision: rev }, { where: { itemId } });
+    }
+    return { rev, seq: editItem.seq };
+  }, `editGroupItem-${editId}`);
+
+  logger.info(`[MESSAGE EDIT] Stored group edit revision ${revision}`);
+  logger.debug('[MESSAGE EDIT] Edit details:', { itemId: sanitizeForLog(itemId), channelId: sanitizeForLog(channelId) });
+
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  const memberClients = await Client.findAll({
+    where: { owner: { [Op.in]: members.map(m => m.userId) } },
+    attributes: ['owner', 'device_id']
+  });
+
+  let deliveredCount = 0;
+  for (const client of memberClients) {
+    if (client.owner === userId && client.device_id === deviceId) {
+      continue;
+    }
+    const delivered = emitToDevice(client.owner, client.device_id, 'groupItemEdited', {
+      itemId: editId,
+      editOf: itemId,
+      revision,
+      channel: channelId,
+      sender: userId,
+      senderDevice: deviceId,
+      type: 'edit',
+      payload,
+      cipherType,
+      timestamp: editedAt.toISOString(),
+      parentItemId: original?.parentItemId || null,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      seq
+    });
+    if (delivered) {
+      deliveredCount++;
+    }
+  }
+
+  logger.info(`[MESSAGE EDIT] Group edit broadcast to ${deliveredCount} devices`);
+
+  return { success: true, revision, seq, deliveredCount };
+}
+
+/**
+ * Get the revision history of a 1:1 message as stored for one device
+ * @param {Object} params
+ * @param {string} params.userId - Requesting user UUID
+ * @param {number} params.deviceId - Requesting device ID
+ * @param {string} params.itemId - Original itemId
+ * @returns {Promise<Array>} Revisions ordered ascending
+ */
+async function getDirectRevisions({ userId, deviceId, itemId }) {
+  const rows = await MessageRevision.findAll({
+    where: {
+      item_id: itemId,
+      channel_id: null,
+      receiver_uuid: userId,
+      receiver_device_id: deviceId
+    },
+    order: [['revision', 'ASC']]
+  });
+  return rows.map(formatRevision);
+}
+
+/**
+ * Get the revision history of a group message
+ * @param {Object} params
+ * @param {string} params.userId - Requesting user UUID
+ * @param {string} params.itemId - Original itemId
+ * @returns {Promise<Object>} { success, revisions } or { success: false, status, error }
+ */
+async function getGroupRevisions({ userId, itemId }) {
+  const rows = await MessageRevision.findAll({
+    where: { item_id: itemId, channel_id: { [Op.ne]: null } },
+    order: [['revision', 'ASC']]
+  });
+  if (rows.length === 0) {
+    return { success: true, revisions: [] };
+  }
+
+  const membership = await ChannelMembers.findOne({
+    where: { userId, channelId: rows[0].channel_id }
+  });
+  if (!membership) {
+    return { success: false, status: 403, error: 'Not a member of this channel' };
+  }
+
+  return { success: true, revisions: rows.map(formatRevision) };
+}
+
+function formatRevision(row) {
+  return {
+    itemId: row.item_id,
+    editId: row.edit_id,
+    revision: row.revision,
+    channelId: row.channel_id,
+    sender: row.sender_uuid,
+    senderDeviceId: row.sender_device_id,
+    payload: row.payload,
+    cipherType: row.cipher_type,
+    editedAt: row.created_at
+  };
+}
+
+module.exports = {
+  editDirectItem,
+  editGroupItem,
+  getDirectRevisions,
+  getGroupRevisions
+};
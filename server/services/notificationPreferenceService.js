@@ -0,0 +1,373 @@
+/**
+ * Notification Preference Service
+ *
+ * Decides whether a message should alert a user, before a push is sent
+ * (push_notifications.js) and for the notify flag of realtime message events
+ * (groupItem / receiveItem). Messages are always delivered; only the alert
+ * is suppressed.
+ *
+ * - Global: notifications_snoozed_until and the daily do-not-disturb window
+ *   on the User silence everything, mentions included
+ * - Per channel / direct conversation (NotificationPreference, default "all"):
+ *   - level "none": never notify, mentions included
+ *   - level "mentions": only when the user is mentioned
+ *   - snoozed_until: muted until then, mentions still notify
+ *
+ * So a mention breaks through a muted (snoozed) channel and the "mentions"
+ * level, but never through level "none", the global snooze or do-not-disturb:
+ * those are explicit opt-outs of the user.
+ *
+ * Direct conversations carry no mentions, so "mentions" silences them like
+ * "none". Calls and meeting notifications are not affected.
+ */
+
+const { Op } = require('sequelize');
+const { NotificationPreference, ChannelMembers, User } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const { emitToUserDevices } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+
+const LEVELS = ['all', 'mentions', 'none'];
+const SCOPES = ['channel', 'direct'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const GLOBAL_ATTRIBUTES = ['uuid', 'notifications_snoozed_until', 'dnd_enabled', 'dnd_start', 'dnd_end', 'dnd_timezone'];
+
+/**
+ * Minutes since midnight of an "HH:MM" string
+ */
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Minutes since midnight of a date in the given time zone
+ */
+function minutesInTimeZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+  return hour * 60 + minute;
+}
+
+/**
+ * Whether the user's do-not-disturb window is active (window may wrap past midnight)
+ * @param {Object} user - User with the dnd_* attributes
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isInDoNotDisturb(user, now = new Date()) {
+  if (!user?.dnd_enabled) {
+    return false;
+  }
+  const start = parseTime(user.dnd_start);
+  const end = parseTime(user.dnd_end);
+  if (start === null || end === null || start === end) {
+    return false;
+  }
+
+  let current;
+  try {
+    current = minutesInTimeZone(now, user.dnd_timezone);
+  } catch (error) {
+    logger.warn(`[NOTIFY PREFS] Invalid time zone ${user.dnd_timezone}, using UTC`);
+    current = minutesInTimeZone(now, 'UTC');
+  }
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Apply global and per-scope settings to one message
+ * @param {Object|null} user - User with the global attributes
+ * @param {Object|null} preference - NotificationPreference for the channel/conversation
+ * @param {Object} params
+ * @param {boolean} [params.mention] - The user is mentioned
+ * @param {Date} [params.now]
+ * @returns {boolean}
+ */
+function evaluate(user, preference, { mention = false, now = new Date() } = {}) {
+  if (user?.notifications_snoozed_until && new Date(user.notifications_snoozed_until) > now) {
+    return false;
+  }
+  if (isInDoNotDisturb(user, now)) {
+    return false;
+  }
+  if (!preference) {
+    return true;
+  }
+  // Opted out of the channel/conversation: wins over mentions
+  if (preference.level === 'none') {
+    return false;
+  }
+  // Mentions notify even when the channel is muted or on "mentions"
+  if (mention) {
+    return true;
+  }
+  if (preference.level === 'mentions') {
+    return false;
+  }
+  return !(preference.snoozed_until && new Date(preference.snoozed_until) > now);
+}
+
+/**
+ * Whether a message should notify the user
+ * @param {Object} params
+ * @param {string} params.userId - Recipient UUID
+ * @param {string} [params.channelId] - Channel of a group message
+ * @param {string} [params.peerUserId] - Sender of a direct message
+ * @param {boolean} [params.mention] - The recipient is mentioned
+ * @returns {Promise<boolean>}
+ */
+async function shouldNotify({ userId, channelId, peerUserId, mention = false }) {
+  const user = await User.findByPk(userId, { attributes: GLOBAL_ATTRIBUTES });
+
+  let preference = null;
+  if (channelId || peerUserId) {
+    preference = await NotificationPreference.findOne({
+      where: channelId
+        ? { user_uuid: userId, scope: 'channel', target_uuid: channelId }
+        : { user_uuid: userId, scope: 'direct', target_uuid: peerUserId }
+    });
+  }
+
+  return evaluate(user, preference, { mention });
+}
+
+/**
+ * notify flag for every recipient of a group message
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {Array<string>} params.userIds - Recipient UUIDs
+ * @param {Array<string>} [params.mentionedUserIds] - Mentioned recipients
+ * @returns {Promise<Map<string, boolean>>} userId -> notify
+ */
+async function getChannelNotifyMap({ channelId, userIds, mentionedUserIds = [] }) {
+  const result = new Map();
+  if (userIds.length === 0) {
+    return result;
+  }
+
+  const users = await User.findAll({
+    where: { uuid: { [Op.in]: userIds } },
+    attributes: GLOBAL_ATTRIBUTES
+  });
+  const preferences = await NotificationPreference.findAll({
+    where: { user_uuid: { [Op.in]: userIds }, scope: 'channel', target_uuid: channelId }
+  });
+  const usersById = new Map(users.map(user => [user.uuid, user]));
+  const preferencesByUser = new Map(preferences.map(preference => [preference.user_uuid, preference]));
+
+  const now = new Date();
+  for (const userId of userIds) {
+    result.set(userId, evaluate(usersById.get(userId), preferencesByUser.get(userId), {
+      mention: mentionedUserIds.includes(userId),
+      now
+    }));
+  }
+  return result;
+}
+
+function formatPreference(preference) {
+  return {
+    level: preference.level,
+    snoozedUntil: preference.snoozed_until || null,
+    updatedAt: preference.updated_at
+  };
+}
+
+/**
+ * Global settings and all per-channel / per-conversation preferences of a user
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object|null>} null if the user does not exist
+ */
+async function getNotificationSettings(userId) {
+  const user = await User.findByPk(userId, { attributes: GLOBAL_ATTRIBUTES });
+  if (!user) {
+    return null;
+  }
+
+  const preferences = await NotificationPreference.findAll({
+    where: { user_uuid: userId },
+    order: [['updated_at', 'DESC']]
+  });
+
+  return {
+    snoozedUntil: user.notifications_snoozed_until || null,
+    doNotDisturb: {
+      enabled: !!user.dnd_enabled,
+      start: user.dnd_start || null,
+      end: user.dnd_end || null,
+      timezone: user.dnd_timezone || 'UTC',
+      active: isInDoNotDisturb(user)
+    },
+    channels: preferences
+      .filter(preference => preference.scope === 'channel')
+      .map(preference => ({ channelId: preference.target_uuid, ...formatPreference(preference) })),
+    direct: preferences
+      .filter(preference => preference.scope === 'direct')
+      .map(preference => ({ userId: preference.target_uuid, ...formatPreference(preference) }))
+  };
+}
+
+/**
+ * Parse a snooze timestamp from the client (null clears it)
+ * @returns {{value?: Date|null, error?: string}}
+ */
+function parseSnooze(value) {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: 'snoozedUntil must be an ISO timestamp or null' };
+  }
+  return { value: date };
+}
+
+/**
+ * Build User updates for the global snooze / do-not-disturb settings.
+ * Fields that are undefined stay unchanged.
+ * @param {Object} params
+ * @param {string|null} [params.snoozedUntil] - ISO timestamp, null clears
+ * @param {boolean} [params.dndEnabled]
+ * @param {string|null} [params.dndStart] - "HH:MM"
+ * @param {string|null} [params.dndEnd] - "HH:MM"
+ * @param {string|null} [params.dndTimezone] - IANA time zone
+ * @returns {{updates?: Object, error?: string}}
+ */
+function buildGlobalUpdates({ snoozedUntil, dndEnabled, dndStart, dndEnd, dndTimezone }) {
+  const updates = {};
+
+  if (snoozedUntil !== undefined) {
+    const snooze = parseSnooze(snoozedUntil);
+    if (snooze.error) {
+      return { error: snooze.error };
+    }
+    updates.notifications_snoozed_until = snooze.value;
+  }
+  if (dndEnabled !== undefined) {
+    updates.dnd_enabled = dndEnabled;
+  }
+  for (const [field, value] of [['dnd_start', dndStart], ['dnd_end', dndEnd]]) {
+    if (value === undefined) {
+      continue;
+    }
+    if (value !== null && parseTime(value) === null) {
+      return { error: 'Do-not-disturb times must be HH:MM' };
+    }
+    updates[field] = value;
+  }
+  if (dndTimezone !== undefined) {
+    if (dndTimezone !== null && (typeof dndTimezone !== 'string' || !isValidTimeZone(dndTimezone))) {
+      return { error: 'Unknown time zone' };
+    }
+    updates.dnd_timezone = dndTimezone;
+  }
+
+  return { updates };
+}
+
+/**
+ * Set the level and/or snooze of one channel or direct conversation.
+ * Level "all" without snooze removes the row (default behaviour).
+ * @param {Object} params
+ * @param {string} params.userId - User UUID
+ * @param {string} params.scope - 'channel' or 'direct'
+ * @param {string} params.targetId - Channel UUID or peer UUID
+ * @param {string} [params.level] - 'all', 'mentions' or 'none' (unchanged if undefined)
+ * @param {string|null} [params.snoozedUntil] - ISO timestamp, null clears (unchanged if undefined)
+ * @returns {Promise<Object>} { success, preference } or { success: false, status, error }
+ */
+async function setPreference({ userId, scope, targetId, level, snoozedUntil }) {
+  if (!SCOPES.includes(scope)) {
+    return { success: false, status: 400, error: 'Invalid scope' };
+  }
+  if (level !== undefined && !LEVELS.includes(level)) {
+    return { success: false, status: 400, error: `level must be one of: ${LEVELS.join(', ')}` };
+  }
+  if (level === undefined && snoozedUntil === undefined) {
+    return { success: false, status: 400, error: 'level or snoozedUntil required' };
+  }
+
+  let snooze;
+  if (snoozedUntil !== undefined) {
+    snooze = parseSnooze(snoozedUntil);
+    if (snooze.error) {
+      return { success: false, status: 400, error: snooze.error };
+    }
+  }
+
+  if (scope === 'channel') {
+    const membership = await ChannelMembers.findOne({ where: { userId, channelId: targetId } });
+    if (!membership) {
+      return { success: false, status: 403, error: 'Not a member of this channel' };
+    }
+  } else {
+    if (targetId === userId) {
+      return { success: false, status: 400, error: 'Cannot set preferences for a conversation with yourself' };
+    }
+    const peer = await User.findByPk(targetId, { attributes: ['uuid'] });
+    if (!peer) {
+      return { success: false, status: 404, error: 'User not found' };
+    }
+  }
+
+  const where = { user_uuid: userId, scope, target_uuid: targetId };
+  const preference = await writeQueue.enqueue(async () => {
+    const existing = await NotificationPreference.findOne({ where });
+    const nextLevel = level !== undefined ? level : (existing?.level || 'all');
+    const nextSnooze = snooze ? snooze.value : (existing?.snoozed_until || null);
+
+    if (nextLevel === 'all' && !nextSnooze) {
+      if (existing) {
+        await existing.destroy();
+      }
+      return null;
+    }
+    if (existing) {
+      return existing.update({ level: nextLevel, snoozed_until: nextSnooze, updated_at: new Date() });
+    }
+    return NotificationPreference.create({ ...where, level: nextLevel, snoozed_until: nextSnooze });
+  }, `setNotificationPreference-${userId}-${targetId}`);
+
+  const result = preference
+    ? formatPreference(preference)
+    : { level: 'all', snoozedUntil: null, updatedAt: new Date() };
+
+  // Keep the user's other devices in sync
+  emitToUserDevices(userId, 'notificationPreferenceUpdated', {
+    scope,
+    targetId,
+    ...result
+  });
+
+  logger.debug(`[NOTIFY PREFS] ${scope} preference set to ${result.level}`);
+  return { success: true, preference: result };
+}
+
+module.exports = {
+  LEVELS,
+  shouldNotify,
+  getChannelNotifyMap,
+  isInDoNotDisturb,
+  getNotificationSettings,
+  buildGlobalUpdates,
+  setPreference
+};
@@ -0,0 +1,370 @@
+/**
+ * OpenID Connect Service
+ *
+ * Single sign-on against one identity provider (config.oidc) with the
+ * authorization code flow and PKCE (S256). The provider is configured by
+ * its issuer URL; endpoints and signing keys come from the discovery
+ * document and JWKS and are cached.
+ *
+ * Users are resolved from the verified ID token claims:
+ * 1. a linked identity (UserIdentity: issuer + sub)
+ * 2. an existing account with the same email, if the provider marks the
+ *    email as verified (the identity is linked on first login)
+ * 3. a new account (just-in-time), if ServerSettings.registration_mode
+ *    allows it: 'open', 'email_suffix' (allowed domains) or
+ *    'invitation_only' (a valid invitation for the email, which is used up)
+ *
+ * Values of the role claim (config.oidc.roleClaim) are mapped to server
+ * roles (config.oidc.roleMapping) and assigned in UserRole on every login.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op, fn, col, where } = require('sequelize');
+const config = require('../config/config');
+const { User, UserIdentity, ServerSettings, Invitation } = require('../db/model');
+const { syncServerRoles } = require('../db/roleHelpers');
+const { autoAssignRoles } = require('../db/autoAssignRoles');
+const writeQueue = require('../db/writeQueue');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const PROVIDER = 'oidc';
+const CACHE_TTL_MS = 60 * 60 * 1000; // Discovery document and JWKS: 1 hour
+const FLOW_TTL_MS = 10 * 60 * 1000;  // Login must complete within 10 minutes
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null; // { document, fetchedAt }
+let jwksCache = null;      // { keys, fetchedAt }
+
+function isEnabled() {
+  return !!(config.oidc && config.oidc.issuer && config.oidc.clientId);
+}
+
+function base64Url(buffer) {
+  return buffer.toString('base64url');
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new Error(`Request to identity provider failed: ${reason}`);
+  }
+  return body;
+}
+
+/**
+ * Discovery document of the configured issuer (cached)
+ * @returns {Promise<Object>}
+ */
+async function getDiscovery() {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < CACHE_TTL_MS) {
+    return discoveryCache.document;
+  }
+  const url = `${config.oidc.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+  const document = await fetchJson(url);
+  if (!document?.authorization_endpoint || !document?.token_endpoint || !document?.jwks_uri) {
+    throw new Error('Invalid OpenID Connect discovery document');
+  }
+  discoveryCache = { document, fetchedAt: Date.now() };
+  return document;
+}
+
+/**
+ * Public key for an ID token signature; the JWKS is reloaded once for
+ * unknown key IDs (key rotation at the provider)
+ */
+async function getSigningKey(kid) {
+  const discovery = await getDiscovery();
+  for (const forceReload of [false, true]) {
+    if (forceReload || !jwksCache || Date.now() - jwksCache.fetchedAt >= CACHE_TTL_MS) {
+      const jwks = await fetchJson(discovery.jwks_uri);
+      jwksCache = { keys: Array.isArray(jwks?.keys) ? jwks.keys : [], fetchedAt: Date.now() };
+    }
+    const candidates = jwksCache.keys.filter(key => (!key.use || key.use === 'sig') && (!kid || key.kid === kid));
+    if (candidates.length > 0) {
+      return crypto.createPublicKey({ key: candidates[0], format: 'jwk' });
+    }
+  }
+  throw new Error('No matching signing key at identity provider');
+}
+
+/**
+ * Start a login: state, nonce and PKCE verifier are kept in the session
+ * (flow) and checked in the callback
+ * @returns {Promise<Object>} { url, flow }
+ */
+async function createAuthorizationRequest() {
+  const discovery = await getDiscovery();
+  const flow = {
+    state: base64Url(crypto.randomBytes(32)),
+    nonce: base64Url(crypto.randomBytes(32)),
+    codeVerifier: base64Url(crypto.randomBytes(48)),
+    createdAt: Date.now()
+  };
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(flow.codeVerifier).digest());
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.oidc.clientId);
+  url.searchParams.set('redirect_uri', config.oidc.redirectUri);
+  url.searchParams.set('scope', config.oidc.scopes);
+  url.searchParams.set('state', flow.state);
+  url.searchParams.set('nonce', flow.nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), flow };
+}
+
+/**
+ * Verify an ID token: signature, issuer, audience, expiry and nonce
+ * @returns {Promise<Object>} Claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header) {
+    throw new Error('Malformed ID token');
+  }
+
+  const discovery = await getDiscovery();
+  const { alg, kid } = decoded.header;
+  let key;
+  let algorithms;
+  if (alg === 'HS256' && config.oidc.clientSecret) {
+    key = config.oidc.clientSecret;
+    algorithms = ['HS256'];
+  } else if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    key = await getSigningKey(kid);
+    algorithms = [alg];
+  } else {
+    throw new Error(`Unsupported ID token algorithm: ${alg}`);
+  }
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms,
+    issuer: discovery.issuer,
+    audience: config.oidc.clientId,
+    nonce,
+    clockTolerance: 60
+  });
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+  return claims;
+}
+
+/**
+ * Redeem the authorization code and return the verified claims
+ * (ID token, completed by the userinfo endpoint)
+ * @param {Object} params
+ * @param {string} params.code - Authorization code from the callback
+ * @param {Object} params.flow - Flow from createAuthorizationRequest
+ * @returns {Promise<Object>} Claims
+ */
+async function exchangeCode({ code, flow }) {
+  if (!flow || Date.now() - flow.createdAt > FLOW_TTL_MS) {
+    throw new Error('Login request expired, please try again');
+  }
+
+  const discovery = await getDiscovery();
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.oidc.redirectUri,
+    client_id: config.oidc.clientId,
+    code_verifier: flow.codeVerifier
+  });
+  if (config.oidc.clientSecret) {
+    form.set('client_secret', config.oidc.clientSecret);
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString()
+  });
+  if (!tokens?.id_token) {
+    throw new Error('Identity provider returned no ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, flow.nonce);
+
+  // Email and group claims are often only available from userinfo
+  if (discovery.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userinfo = await fetchJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+      });
+      if (userinfo?.sub === claims.sub) {
+        return { ...userinfo, ...claims, [config.oidc.roleClaim]: claims[config.oidc.roleClaim] ?? userinfo[config.oidc.roleClaim] };
+      }
+      logger.warn('[OIDC] Ignoring userinfo response with a different subject');
+    } catch (error) {
+      logger.warn('[OIDC] Could not load userinfo:', error.message);
+    }
+  }
+  return claims;
+}
+
+function isEmailVerified(claims) {
+  return claims.email_verified === true || claims.email_verified === 'true';
+}
+
+/**
+ * Check ServerSettings.registration_mode for a new account
+ * @returns {Promise<Object>} { allowed: true, invitation? } or { allowed: false, error }
+ */
+async function checkRegistrationAllowed(email) {
+  const settings = await ServerSettings.findOne({ where: { id: 1 } });
+  const registrationMode = settings?.registration_mode || 'open';
+
+  if (registrationMode === 'email_suffix') {
+    const allowedSuffixes = JSON.parse(settings.allowed_email_suffixes || '[]');
+    const emailDomain = email.split('@')[1] || '';
+    if (allowedSuffixes.length > 0 && !allowedSuffixes.some(suffix => emailDomain.endsWith(suffix))) {
+      return { allowed: false, error: 'Registration is restricted to specific email domains' };
+    }
+  }
+
+  if (registrationMode === 'invitation_only') {
+    const invitation = await Invitation.findOne({
+      where: { email, used: false, expires_at: { [Op.gt]: new Date() } }
+    });
+    if (!invitation) {
+      return { allowed: false, error: 'An invitation is required to register' };
+    }
+    return { allowed: true, invitation };
+  }
+
+  return { allowed: true };
+}
+
+function getDisplayName(claims) {
+  const name = claims.name || claims.preferred_username || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+  return typeof name === 'string' && name.trim() ? name.trim().substring(0, 255) : null;
+}
+
+/**
+ * Find, link or create the user for verified claims
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} { success, user, created, linked } or { success: false, status, error }
+ */
+async function resolveUser(claims) {
+  const issuer = claims.iss;
+  const subject = String(claims.sub);
+  const email = typeof claims.email === 'string' ? claims.email.trim() : null;
+
+  const identity = await UserIdentity.findOne({ where: { provider: PROVIDER, issuer, subject } });
+  if (identity) {
+    const user = await User.findByPk(identity.user_uuid);
+    if (user) {
+      await writeQueue.enqueue(
+        () => identity.update({ email, last_login_at: new Date() }),
+        'updateUserIdentityLogin'
+      );
+      return { success: true, user, created: false, linked: false };
+    }
+  }
+
+  if (!email) {
+    return { success: false, status: 403, error: 'Identity provider did not share an email address' };
+  }
+  if (!isEmailVerified(claims)) {
+    return { success: false, status: 403, error: 'Email address is not verified by the identity provider' };
+  }
+
+  let user = await User.findOne({ where: where(fn('lower', col('email')), email.toLowerCase()) });
+  let created = false;
+
+  if (!user) {
+    const registration = await checkRegistrationAllowed(email);
+    if (!registration.allowed) {
+      return { success: false, status: 403, error: registration.error };
+    }
+
+    const displayName = getDisplayName(claims);
+    const nameTaken = displayName && await User.findOne({ where: { displayName }, attributes: ['uuid'] });
+
+    user = await writeQueue.enqueue(async () => {
+      const newUser = await User.create({
+        email,
+        displayName: nameTaken ? null : displayName,
+        verified: true,
+        active: true
+      });
+      if (registration.invitation) {
+        await registration.invitation.update({ used: true, used_at: new Date() });
+      }
+      return newUser;
+    }, 'createOidcUser');
+    created = true;
+
+    await autoAssignRoles(email, user.uuid);
+    logger.info('[OIDC] Created user on first SSO login');
+  } else if (!user.verified) {
+    // Email ownership is confirmed by the identity provider
+    await writeQueue.enqueue(() => user.update({ verified: true }), 'verifyOidcUser');
+  }
+
+  await writeQueue.enqueue(
+    () => UserIdentity.create({
+      user_uuid: user.uuid,
+      provider: PROVIDER,
+      issuer,
+      subject,
+      email,
+      last_login_at: new Date()
+    }),
+    'linkUserIdentity'
+  );
+
+  logger.info(`[OIDC] ${created ? 'New' : 'Existing'} account linked to SSO identity`);
+  logger.debug('[OIDC] Identity details:', {
+    userId: sanitizeForLog(user.uuid),
+    subject: sanitizeForLog(subject)
+  });
+  return { success: true, user, created, linked: true };
+}
+
+/**
+ * Assign the server roles mapped from the role claim
+ *
+ * With config.oidc.syncRoles, mapped roles that the claim no longer grants
+ * are removed; roles outside the mapping are never touched.
+ * @param {string} userId - User UUID
+ * @param {Object} claims - Verified claims
+ * @returns {Promise<Object>} { assigned, removed } role names
+ */
+async function applyRoleMapping(userId, claims) {
+  const mapping = config.oidc.roleMapping || {};
+  const claimValue = claims[config.oidc.roleClaim];
+  const values = Array.isArray(claimValue) ? claimValue.map(String) : (claimValue ? [String(claimValue)] : []);
+  const grantedNames = values.filter(value => mapping[value]).map(value => mapping[value]);
+
+  const { assigned, removed, unknown } = await syncServerRoles(
+    userId,
+    Object.values(mapping),
+    grantedNames,
+    config.oidc.syncRoles
+  );
+
+  if (unknown.length > 0) {
+    logger.warn('[OIDC] Role mapping references unknown server roles');
+  }
+  if (assigned.length > 0 || removed.length > 0) {
+    logger.info(`[OIDC] Roles updated from claims (+${assigned.length} / -${removed.length})`);
+  }
+  return { assigned, removed };
+}
+
+module.exports = {
+  isEnabled,
+  createAuthorizationRequest,
+  exchangeCode,
+  resolveUser,
+  applyRoleMapping
+};
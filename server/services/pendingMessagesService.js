@@ -1,5 +1,7 @@
-const { Item, GroupItem, GroupItemRead, ChannelMembers } = require('../db/model');
+const { Item, GroupItem, ChannelMembers } = require('../db/model');
+const { unreadByDevice } = require('./readPositionService');
 const { Op } = require('sequelize');
+const { getBlockedPeerIds } = require('./blockService');
 
 function normalizePagination({ rawLimit, rawOffset, defaultLimit = 20 }) {
   const limit = Number.isFinite(parseInt(rawLimit, 10))
@@ -12,17 +14,38 @@ function normalizePagination({ rawLimit, rawOffset, defaultLimit = 20 }) {
   return { limit, offset };
 }
 
+async function blockedSenderFilter(userId) {
+  // Backlog queued before a block was placed must not reach the device either
+  // (sealed-sender items have no sender and are filtered by the client)
+  const blockedPeers = await getBlockedPeerIds(userId);
+  return blockedPeers.size > 0
+    ? { [Op.or]: [{ sender: null }, { sender: { [Op.notIn]: Array.from(blockedPeers) } }] }
+    : null;
+}
+
+function notExpiredFilter() {
+  // Expired disappearing messages are never handed out, even before the sweeper ran
+  return { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] };
+}
+
 async function fetchPendingMessagesForDevice({
   userId,
   deviceId,
   limit,
   offset,
 }) {
+  const where = {
+    receiver: userId,
+    deviceReceiver: deviceId,
+    [Op.and]: [notExpiredFilter()],
+  };
+  const senderFilter = await blockedSenderFilter(userId);
+  if (senderFilter) {
+    where[Op.and].push(senderFilter);
+  }
+
   const items = await Item.findAll({
-    where: {
-      receiver: userId,
-      deviceReceiver: deviceId,
-    },
+    where,
     limit,
     offset,
     order: [['createdAt', 'ASC']],
@@ -32,11 +55,15 @@ async function fetchPendingMessagesForDevice({
   const responseItems = items.map(item => ({
     sender: item.sender,
     senderDeviceId: item.deviceSender,
+    sealed: item.sealed || false,
     recipient: item.receiver,
     type: item.type,
     payload: item.payload,
     cipherType: item.cipherType,
     itemId: item.itemId,
+    editOf: item.editOf || null,
+    revision: item.revision || 0,
+    expiresAt: item.expiresAt || null,
   }));
 
   return { responseItems, hasMore };
@@ -51,11 +78,18 @@ async function fetchPendingMessagesForDeviceV2({
   const fetchLimit = limit + offset;
   const fetchLimitPlusOne = fetchLimit + 1;
 
+  const senderFilter = await blockedSenderFilter(userId);
+  const directWhere = {
+    receiver: userId,
+    deviceReceiver: deviceId,
+    [Op.and]: [notExpiredFilter()],
+  };
+  if (senderFilter) {
+    directWhere[Op.and].push(senderFilter);
+  }
+
   const directItemsRaw = await Item.findAll({
-    where: {
-      receiver: userId,
-      deviceReceiver: deviceId,
-    },
+    where: directWhere,
     limit: fetchLimitPlusOne,
     order: [['createdAt', 'ASC']],
   });
@@ -65,12 +99,16 @@ async function fetchPendingMessagesForDeviceV2({
   const directResponse = directItems.map(item => ({
     sender: item.sender,
     senderDeviceId: item.deviceSender,
+    sealed: item.sealed || false,
     recipient: item.receiver,
     type: item.type,
     payload: item.payload,
     cipherType: item.cipherType,
     itemId: item.itemId,
     originalRecipient: item.originalRecipient || null,
+    editOf: item.editOf || null,
+    revision: item.revision || 0,
+    expiresAt: item.expiresAt || null,
     timestamp: item.createdAt?.toISOString?.() ?? item.createdAt,
   }));
 
@@ -83,18 +121,11 @@ async function fetchPendingMessagesForDeviceV2({
   let groupResponse = [];
   let groupHasMore = false;
   if (channelIds.length > 0) {
-    const readRows = await GroupItemRead.findAll({
-      where: { userId, deviceId },
-      attributes: ['itemId'],
-    });
-    const readItemIds = readRows.map(row => row.itemId);
-
+    // Everything past this device's channel/thread read watermark
     const groupWhere = {
       channel: { [Op.in]: channelIds },
+      [Op.and]: [notExpiredFilter(), unreadByDevice(userId, deviceId)],
     };
-    if (readItemIds.length > 0) {
-      groupWhere.uuid = { [Op.notIn]: readItemIds };
-    }
 
     const groupItemsRaw = await GroupItem.findAll({
       where: groupWhere,
@@ -114,6 +145,12 @@ async function fetchPendingMessagesForDeviceV2({
       itemId: item.itemId,
       channel: item.channel,
       channelId: item.channel,
+      parentItemId: item.parentItemId || null,
+      editOf: item.editOf || null,
+      revision: item.revision || 0,
+      expiresAt: item.expiresAt || null,
+      pinnedAt: item.pinnedAt || null,
+      seq: item.seq ?? null,
       timestamp: item.timestamp?.toISOString?.() ?? item.timestamp,
     }));
   }
@@ -0,0 +1,158 @@
+/**
+ * Pin Service
+ *
+ * Pinned messages in signal channels. Pins are stored on the GroupItem
+ * itself (pinnedAt / pinnedBy), so a pinned item is kept by the retention
+ * cleanup in jobs/cleanup.js together with its edits.
+ *
+ * Pinning requires the message.pin channel permission (Channel Owner and
+ * Channel Moderator by default). Changes are broadcast to all member devices
+ * as "groupItemPinned".
+ */
+
+const { Op } = require('sequelize');
+const { GroupItem, ChannelMembers, Client, User } = require('../db/model');
+const { hasChannelPermission } = require('../db/roleHelpers');
+const writeQueue = require('../db/writeQueue');
+const channelArchive = require('./channelArchiveService');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const MAX_PINS_PER_CHANNEL = 50;
+
+/**
+ * Broadcast a pin change to every device of every channel member
+ */
+async function broadcastPinChange(channelId, data) {
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  const memberClients = await Client.findAll({
+    where: { owner: { [Op.in]: members.map(m => m.userId) } },
+    attributes: ['owner', 'device_id']
+  });
+  for (const client of memberClients) {
+    emitToDevice(client.owner, client.device_id, 'groupItemPinned', { channelId, ...data });
+  }
+}
+
+/**
+ * Pin or unpin a group item
+ * @param {Object} params
+ * @param {string} params.userId - Acting user UUID
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} params.itemId - itemId of the original message
+ * @param {boolean} params.pinned - True to pin, false to unpin
+ * @returns {Promise<Object>} { success, pin } or { success: false, status, error }
+ */
+async function setPinned({ userId, channelId, itemId, pinned }) {
+  if (!channelId || !itemId) {
+    return { success: false, status: 400, error: 'Missing required fields' };
+  }
+
+  const canPin = await hasChannelPermission(userId, channelId, 'message.pin');
+  if (!canPin) {
+    return { success: false, status: 403, error: 'Missing permission: message.pin' };
+  }
+
+  const writable = await channelArchive.checkChannelWritable(channelId);
+  if (!writable.allowed) {
+    return { success: false, status: writable.status, error: writable.error };
+  }
+
+  const item = await GroupItem.findOne({
+    where: { itemId, channel: channelId }
+  });
+  if (!item) {
+    return { success: false, status: 404, error: 'Item not found' };
+  }
+  if (item.editOf) {
+    return { success: false, status: 400, error: 'Pin the original message, not an edit' };
+  }
+
+  // Nothing to change (repeated request)
+  if (!!item.pinnedAt === pinned) {
+    return { success: true, pin: formatPin(item) };
+  }
+
+  if (pinned) {
+    const pinCount = await GroupItem.count({
+      where: { channel: channelId, pinnedAt: { [Op.ne]: null } }
+    });
+    if (pinCount >= MAX_PINS_PER_CHANNEL) {
+      return { success: false, status: 409, error: `Channel already has ${MAX_PINS_PER_CHANNEL} pinned messages` };
+    }
+  }
+
+  await writeQueue.enqueue(
+    () => item.update(pinned
+      ? { pinnedAt: new Date(), pinnedBy: userId }
+      : { pinnedAt: null, pinnedBy: null }),
+    `${pinned ? 'pin' : 'unpin'}GroupItem-${itemId}`
+  );
+
+  logger.info(`[PINS] Group item ${pinned ? 'pinned' : 'unpinned'}`);
+  logger.debug('[PINS] Pin details:', { itemId: sanitizeForLog(itemId), channelId: sanitizeForLog(channelId) });
+
+  const pin = formatPin(item);
+  await broadcastPinChange(channelId, {
+    itemId,
+    pinned,
+    pinnedAt: pin.pinnedAt,
+    pinnedBy: pinned ? userId : null,
+    changedBy: userId
+  });
+
+  return { success: true, pin };
+}
+
+/**
+ * List the pinned items of a channel, newest pin first
+ * @param {string} channelId - Channel UUID
+ * @returns {Promise<Array>} Pinned GroupItems
+ */
+async function listPins(channelId) {
+  const items = await GroupItem.findAll({
+    where: { channel: channelId, pinnedAt: { [Op.ne]: null } },
+    order: [['pinnedAt', 'DESC']],
+    include: [
+      {
+        model: User,
+        as: 'Sender',
+        attributes: ['uuid', 'displayName']
+      }
+    ]
+  });
+  return items;
+}
+
+/**
+ * Get itemIds of all pinned items (for the retention cleanup)
+ * @returns {Promise<Array<string>>}
+ */
+async function getPinnedItemIds() {
+  const items = await GroupItem.findAll({
+    where: { pinnedAt: { [Op.ne]: null } },
+    attributes: ['itemId']
+  });
+  return items.map(item => item.itemId);
+}
+
+function formatPin(item) {
+  return {
+    itemId: item.itemId,
+    channelId: item.channel,
+    pinned: !!item.pinnedAt,
+    pinnedAt: item.pinnedAt ? new Date(item.pinnedAt).toISOString() : null,
+    pinnedBy: item.pinnedBy || null
+  };
+}
+
+module.exports = {
+  MAX_PINS_PER_CHANNEL,
+  setPinned,
+  listPins,
+  getPinnedItemIds
+};
@@ -13,12 +13,27 @@
  * 3. Device is iOS or Android (only these platforms register FCM tokens)
  * 
  * This prevents duplicate notifications when users are actively using the app.
+ * 
+ * The badge number is the device's total unread count (unreadService) unless
+ * the caller passes options.badge.
+ *
+ * Message notifications honor the recipient's notification preferences
+ * (levels, snooze, do-not-disturb - see notificationPreferenceService).
  */
 
 const { getAdmin, isFirebaseConfigured } = require('./firebase_admin');
 const { PushToken, Client } = require('../db/model');
+const { getBadgeCount } = require('./unreadService');
+const { shouldNotify } = require('./notificationPreferenceService');
 const logger = require('../utils/logger');
 
+// High-priority delivery for mentions (pass as options to sendMessageNotification)
+const MENTION_PUSH_OPTIONS = {
+  channelId: 'mentions',
+  android: { priority: 'max' },
+  ios: { 'interruption-level': 'time-sensitive' }
+};
+
 /**
  * Check if a specific device is currently connected via socket
  * @param {string} userId - User UUID
@@ -105,6 +120,15 @@ async function sendPushNotification(userId, title, body, data = {}, options = {}
 
     logger.info(`[PUSH] Sending to ${offlineTokens.length} offline device(s) for user ${userId}`);
 
+    // One badge for all devices of the user
+    let badge = options.badge;
+    if (badge === undefined) {
+      badge = await getBadgeCount(userId).catch(error => {
+        logger.warn('[PUSH] Could not compute badge count:', error.message);
+        return 1;
+      });
+    }
+
     // Prepare messages for each offline device
     const messages = offlineTokens.map(tokenData => {
       const baseMessage = {
@@ -118,7 +142,8 @@ async function sendPushNotification(userId, title, body, data = {}, options = {}
           // Convert all data values to strings (FCM requirement)
           ...Object.fromEntries(
             Object.entries(data).map(([k, v]) => [k, String(v)])
-          )
+          ),
+          badge: String(badge)
         }
       };
 
@@ -129,6 +154,7 @@ async function sendPushNotification(userId, title, body, data = {}, options = {}
           notification: {
             sound: 'default',
             channelId: options.channelId || 'messages',
+            notificationCount: badge,
             ...options.android
           }
         };
@@ -137,7 +163,7 @@ async function sendPushNotification(userId, title, body, data = {}, options = {}
           payload: {
             aps: {
               sound: 'default',
-              badge: options.badge || 1,
+              badge,
               ...options.ios
             }
           }
@@ -188,8 +214,21 @@ async function sendPushNotification(userId, title, body, data = {}, options = {}
  * @param {string} senderName - Sender display name
  * @param {string} messagePreview - Message preview text
  * @param {Object} messageData - Message metadata (channelId, senderId, etc.)
+ * @param {Object} options - Platform-specific options (e.g. mention priority)
  */
-async function sendMessageNotification(recipientUserId, senderName, messagePreview, messageData = {}) {
+async function sendMessageNotification(recipientUserId, senderName, messagePreview, messageData = {}, options = {}) {
+  // Group messages: channel preference; direct messages: conversation preference
+  const notify = await shouldNotify({
+    userId: recipientUserId,
+    channelId: messageData.channelId,
+    peerUserId: messageData.channelId ? undefined : messageData.senderId,
+    mention: messageData.mention === true
+  });
+  if (!notify) {
+    logger.debug(`[PUSH] Notifications muted by user ${recipientUserId}, skipping`);
+    return { success: true, reason: 'muted', sent: 0 };
+  }
+
   return sendPushNotification(
     recipientUserId,
     `New message from ${senderName}`,
@@ -200,6 +239,84 @@ async function sendMessageNotification(recipientUserId, senderName, messagePrevi
       senderId: messageData.senderId || '',
       ...messageData
     },
+    { channelId: 'messages', ...options }
+  );
+}
+
+/**
+ * Send notification for a sealed-sender message (sender unknown to the server)
+ * @param {string} recipientUserId - Recipient user ID
+ * @param {Object} messageData - Message metadata (itemId)
+ */
+async function sendSealedMessageNotification(recipientUserId, messageData = {}) {
+  // Only the global snooze / do-not-disturb apply, the conversation is unknown
+  if (!(await shouldNotify({ userId: recipientUserId }))) {
+    logger.debug(`[PUSH] Notifications muted by user ${recipientUserId}, skipping`);
+    return { success: true, reason: 'muted', sent: 0 };
+  }
+
+  return sendPushNotification(
+    recipientUserId,
+    'New message',
+    'You have a new message',
+    {
+      type: 'message',
+      sealed: true,
+      ...messageData
+    },
+    { channelId: 'messages' }
+  );
+}
+
+/**
+ * Send notification about a new join request to a channel moderator
+ * @param {string} recipientUserId - Moderator user ID
+ * @param {string} requesterName - Requesting user display name
+ * @param {string} channelName - Channel name
+ * @param {Object} requestData - Request metadata (channelId, requestId)
+ */
+async function sendChannelJoinRequestNotification(recipientUserId, requesterName, channelName, requestData = {}) {
+  if (!(await shouldNotify({ userId: recipientUserId }))) {
+    logger.debug(`[PUSH] Notifications muted by user ${recipientUserId}, skipping`);
+    return { success: true, reason: 'muted', sent: 0 };
+  }
+
+  return sendPushNotification(
+    recipientUserId,
+    `Join request: ${channelName}`,
+    `${requesterName} wants to join ${channelName}`,
+    {
+      type: 'channel_join_request',
+      ...requestData
+    },
+    { channelId: 'messages' }
+  );
+}
+
+/**
+ * Send the decision on a join request to the requester
+ * @param {string} recipientUserId - Requesting user ID
+ * @param {string} channelName - Channel name
+ * @param {boolean} approved - Whether the request was approved
+ * @param {Object} requestData - Request metadata (channelId, requestId, reason)
+ */
+async function sendChannelJoinDecisionNotification(recipientUserId, channelName, approved, requestData = {}) {
+  if (!(await shouldNotify({ userId: recipientUserId }))) {
+    logger.debug(`[PUSH] Notifications muted by user ${recipientUserId}, skipping`);
+    return { success: true, reason: 'muted', sent: 0 };
+  }
+
+  return sendPushNotification(
+    recipientUserId,
+    approved ? `Welcome to ${channelName}` : 'Join request declined',
+    approved
+      ? `Your request to join ${channelName} was approved`
+      : `Your request to join ${channelName} was declined${requestData.reason ? `: ${requestData.reason}` : ''}`,
+    {
+      type: 'channel_join_decision',
+      approved,
+      ...requestData
+    },
     { channelId: 'messages' }
   );
 }
@@ -262,8 +379,12 @@ async function sendCallNotification(recipientUserId, callerName, callData = {})
 }
 
 module.exports = {
+  MENTION_PUSH_OPTIONS,
   sendPushNotification,
   sendMessageNotification,
+  sendSealedMessageNotification,
+  sendChannelJoinRequestNotification,
+  sendChannelJoinDecisionNotification,
   sendMeetingNotification,
   sendCallNotification,
   isDeviceConnected,
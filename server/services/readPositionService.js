@@ -0,0 +1,385 @@
+/**
+ * Read Position Service
+ *
+ * Read state of signal channels is a per-device watermark (ChannelReadPosition)
+ * instead of one row per item and device:
+ * - The channel watermark (threadRootItemId '') covers every item of the
+ *   channel with seq <= lastReadSeq, thread replies included
+ * - A thread watermark (threadRootItemId = root itemId) additionally covers
+ *   the replies of that thread, so a thread can be read on its own
+ * - Watermarks only move forward; marking an older item read is a no-op
+ *
+ * Per-item read counts are derived from the watermarks: a member has read an
+ * item when any of their devices has a covering watermark. Once every member
+ * has read past an item on the channel watermark, it is deleted from the
+ * server (pinned items and their edits are kept, archived channels keep
+ * their whole history).
+ */
+
+const { Op, fn, col, literal } = require('sequelize');
+const { ChannelReadPosition, GroupItem, Channel, ChannelMembers, User, sequelize } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const unreadService = require('./unreadService');
+const channelArchive = require('./channelArchiveService');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const CHANNEL_TIMELINE = '';
+
+/**
+ * SQL condition for GroupItem queries: item has not been read by the device
+ * (neither by the channel watermark nor by the watermark of its thread)
+ * @param {string} userId - User UUID
+ * @param {number} deviceId - Device ID
+ * @returns {Object} Sequelize literal
+ */
+function unreadByDevice(userId, deviceId) {
+  return literal(
+    `\`GroupItem\`.\`seq\` > COALESCE((SELECT MAX(\`lastReadSeq\`) FROM \`ChannelReadPositions\` ` +
+    `WHERE \`userId\` = ${sequelize.escape(userId)} AND \`deviceId\` = ${sequelize.escape(deviceId)} ` +
+    `AND \`channelId\` = \`GroupItem\`.\`channel\` ` +
+    `AND \`threadRootItemId\` IN ('', COALESCE(\`GroupItem\`.\`parentItemId\`, ''))), 0)`
+  );
+}
+
+/**
+ * Highest channel watermark per member (any device), members without one get 0
+ * @param {string} channelId - Channel UUID
+ * @returns {Promise<Map<string, number>>} userId -> lastReadSeq
+ */
+async function getMemberWatermarks(channelId) {
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  const watermarks = new Map(members.map(m => [m.userId, 0]));
+  if (watermarks.size === 0) {
+    return watermarks;
+  }
+
+  const rows = await ChannelReadPosition.findAll({
+    where: { channelId, threadRootItemId: CHANNEL_TIMELINE },
+    attributes: ['userId', [fn('MAX', col('lastReadSeq')), 'lastReadSeq']],
+    group: ['userId'],
+    raw: true
+  });
+  for (const row of rows) {
+    if (watermarks.has(row.userId)) {
+      watermarks.set(row.userId, parseInt(row.lastReadSeq, 10) || 0);
+    }
+  }
+  return watermarks;
+}
+
+/**
+ * Derive the read status of one item from the watermarks
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {number} params.seq - Item sequence number
+ * @param {string|null} [params.parentItemId] - Thread root of a reply
+ * @param {boolean} [params.includeReaders] - Also return who has read it
+ * @returns {Promise<{readCount: number, totalMembers: number, allRead: boolean, readBy?: Array}>}
+ */
+async function getItemReadStatus({ channelId, seq, parentItemId = null, includeReaders = false }) {
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  const memberIds = new Set(members.map(m => m.userId));
+
+  const rows = await ChannelReadPosition.findAll({
+    where: {
+      channelId,
+      threadRootItemId: { [Op.in]: parentItemId ? [CHANNEL_TIMELINE, parentItemId] : [CHANNEL_TIMELINE] },
+      lastReadSeq: { [Op.gte]: seq || 0 }
+    },
+    attributes: ['userId'],
+    group: ['userId'],
+    raw: true
+  });
+  const readerIds = rows.map(row => row.userId).filter(userId => memberIds.has(userId));
+
+  const status = {
+    readCount: readerIds.length,
+    totalMembers: memberIds.size,
+    allRead: readerIds.length >= memberIds.size
+  };
+
+  if (includeReaders) {
+    const users = readerIds.length > 0
+      ? await User.findAll({
+        where: { uuid: { [Op.in]: readerIds } },
+        attributes: ['uuid', 'displayName']
+      })
+      : [];
+    status.readBy = users.map(user => ({ userId: user.uuid, User: user }));
+  }
+
+  return status;
+}
+
+/**
+ * Delete items every member has read on the channel watermark
+ * (same privacy rule as the former per-item read receipts)
+ * @param {string} channelId - Channel UUID
+ * @returns {Promise<number>} Number of deleted items
+ */
+async function pruneFullyRead(channelId) {
+  const channel = await Channel.findByPk(channelId, { attributes: ['uuid', 'archivedAt'] });
+  if (channelArchive.isArchived(channel)) {
+    return 0;
+  }
+
+  const watermarks = await getMemberWatermarks(channelId);
+  if (watermarks.size === 0) {
+    return 0;
+  }
+  const horizon = Math.min(...watermarks.values());
+  if (horizon <= 0) {
+    return 0;
+  }
+
+  const pinned = await GroupItem.findAll({
+    where: { channel: channelId, pinnedAt: { [Op.ne]: null } },
+    attributes: ['itemId']
+  });
+  const where = {
+    channel: channelId,
+    seq: { [Op.lte]: horizon },
+    pinnedAt: null
+  };
+  if (pinned.length > 0) {
+    where[Op.or] = [{ editOf: null }, { editOf: { [Op.notIn]: pinned.map(item => item.itemId) } }];
+  }
+
+  const readItems = await GroupItem.findAll({ where, attributes: ['uuid'] });
+  if (readItems.length === 0) {
+    return 0;
+  }
+
+  await writeQueue.enqueue(
+    () => GroupItem.destroy({ where: { uuid: { [Op.in]: readItems.map(item => item.uuid) } } }),
+    `pruneReadGroupItems-${channelId}`
+  );
+
+  logger.info(`[READ POSITION] Deleted ${readItems.length} item(s) read by all members`);
+  return readItems.length;
+}
+
+/**
+ * Move a device's watermark forward
+ * @param {Object} params
+ * @param {string} params.userId - Reading user UUID
+ * @param {number} params.deviceId - Reading device ID
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} [params.threadRootItemId] - Thread root itemId ('' = channel)
+ * @param {number} params.seq - New watermark
+ * @param {boolean} [params.prune] - Delete items read by all members afterwards
+ * @returns {Promise<{advanced: boolean, previousSeq: number, lastReadSeq: number}>}
+ */
+async function advanceWatermark({ userId, deviceId, channelId, threadRootItemId = CHANNEL_TIMELINE, seq, prune = true }) {
+  const atItem = await GroupItem.findOne({
+    where: { channel: channelId, seq: { [Op.lte]: seq } },
+    order: [['seq', 'DESC']],
+    attributes: ['timestamp']
+  });
+
+  const { advanced, previousSeq, lastReadSeq } = await writeQueue.enqueue(async () => {
+    const [position] = await ChannelReadPosition.findOrCreate({
+      where: { userId, deviceId, channelId, threadRootItemId },
+      defaults: { lastReadSeq: 0 }
+    });
+    const previous = position.lastReadSeq || 0;
+    if (seq <= previous) {
+      return { advanced: false, previousSeq: previous, lastReadSeq: previous };
+    }
+    await position.update({ lastReadSeq: seq, lastReadAt: atItem?.timestamp || null });
+    return { advanced: true, previousSeq: previous, lastReadSeq: seq };
+  }, `advanceReadPosition-${channelId}-${userId}-${deviceId}`);
+
+  if (!advanced) {
+    return { advanced, previousSeq, lastReadSeq };
+  }
+
+  // Tell the senders of the newly covered items (one event per sender device)
+  const senderWhere = {
+    channel: channelId,
+    seq: { [Op.gt]: previousSeq, [Op.lte]: lastReadSeq },
+    sender: { [Op.ne]: userId }
+  };
+  if (threadRootItemId) {
+    senderWhere.parentItemId = threadRootItemId;
+  }
+  const senders = await GroupItem.findAll({
+    where: senderWhere,
+    attributes: ['sender', 'senderDevice'],
+    group: ['sender', 'senderDevice'],
+    raw: true
+  });
+  for (const sender of senders) {
+    emitToDevice(sender.sender, sender.senderDevice, 'groupReadPositionUpdate', {
+      channelId,
+      threadRootItemId: threadRootItemId || null,
+      userId,
+      deviceId,
+      lastReadSeq
+    });
+  }
+
+  // Badges of the reader's other devices
+  await unreadService.notifyChannelUnread(channelId, [userId]);
+
+  if (prune && !threadRootItemId) {
+    await pruneFullyRead(channelId);
+  }
+
+  return { advanced, previousSeq, lastReadSeq };
+}
+
+/**
+ * Mark a channel read up to a sequence number / item (bulk)
+ * @param {Object} params
+ * @param {string} params.userId - Reading user UUID
+ * @param {number} params.deviceId - Reading device ID
+ * @param {string} params.channelId - Channel UUID
+ * @param {number} [params.upToSeq] - Last read seq (default: latest item)
+ * @param {string} [params.upToItemId] - Last read itemId (instead of upToSeq)
+ * @returns {Promise<Object>} { success, advanced, lastReadSeq } or { success: false, status, error }
+ */
+async function markChannelRead({ userId, deviceId, channelId, upToSeq, upToItemId }) {
+  if (!channelId) {
+    return { success: false, status: 400, error: 'channelId required' };
+  }
+
+  const membership = await ChannelMembers.findOne({ where: { userId, channelId } });
+  if (!membership) {
+    return { success: false, status: 403, error: 'Not a member of this channel' };
+  }
+
+  const channel = await Channel.findByPk(channelId, { attributes: ['lastSeq'] });
+  if (!channel) {
+    return { success: false, status: 404, error: 'Channel not found' };
+  }
+
+  let seq = channel.lastSeq || 0;
+  if (upToItemId) {
+    const item = await GroupItem.findOne({
+      where: { itemId: upToItemId, channel: channelId },
+      attributes: ['seq']
+    });
+    if (!item) {
+      return { success: false, status: 404, error: 'Item not found' };
+    }
+    seq = item.seq || 0;
+  } else if (upToSeq !== undefined && upToSeq !== null) {
+    const requested = parseInt(upToSeq, 10);
+    if (!Number.isFinite(requested) || requested < 0) {
+      return { success: false, status: 400, error: 'upToSeq must be a sequence number' };
+    }
+    seq = Math.min(requested, seq);
+  }
+
+  const result = await advanceWatermark({ userId, deviceId, channelId, seq });
+
+  logger.debug('[READ POSITION] Channel marked read:', {
+    channelId: sanitizeForLog(channelId),
+    lastReadSeq: result.lastReadSeq,
+    advanced: result.advanced
+  });
+
+  return { success: true, channelId, advanced: result.advanced, lastReadSeq: result.lastReadSeq };
+}
+
+/**
+ * Mark a single item read (older clients). Moves the channel watermark, or
+ * the thread watermark for replies, up to the item.
+ * @param {Object} params
+ * @param {string} params.userId - Reading user UUID
+ * @param {number} params.deviceId - Reading device ID
+ * @param {string} params.itemId - Read itemId
+ * @returns {Promise<Object>} { success, item, advanced, readCount, totalMembers, allRead } or { success: false, status, error }
+ */
+async function markItemRead({ userId, deviceId, itemId }) {
+  const item = await GroupItem.findOne({
+    where: { itemId },
+    attributes: ['itemId', 'channel', 'seq', 'parentItemId', 'sender', 'senderDevice']
+  });
+  if (!item) {
+    return { success: false, status: 404, error: 'Item not found' };
+  }
+
+  const membership = await ChannelMembers.findOne({ where: { userId, channelId: item.channel } });
+  if (!membership) {
+    return { success: false, status: 403, error: 'Not a member of this channel' };
+  }
+
+  // Read counts are taken before a full read deletes the item
+  const { advanced } = await advanceWatermark({
+    userId,
+    deviceId,
+    channelId: item.channel,
+    threadRootItemId: item.parentItemId || CHANNEL_TIMELINE,
+    seq: item.seq || 0,
+    prune: false
+  });
+  const status = await getItemReadStatus({
+    channelId: item.channel,
+    seq: item.seq,
+    parentItemId: item.parentItemId
+  });
+
+  if (advanced && !item.parentItemId) {
+    await pruneFullyRead(item.channel);
+  }
+
+  return { success: true, item, advanced, ...status };
+}
+
+/**
+ * Mark all replies of a thread read for one device
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} params.rootItemId - itemId of the thread root
+ * @param {string} params.userId - Reading user UUID
+ * @param {number} params.deviceId - Reading device ID
+ * @returns {Promise<number>} Number of replies newly marked as read
+ */
+async function markThreadRead({ channelId, rootItemId, userId, deviceId }) {
+  const where = {
+    channel: channelId,
+    parentItemId: rootItemId,
+    sender: { [Op.ne]: userId },
+    [Op.and]: [unreadByDevice(userId, deviceId)]
+  };
+  const unreadCount = await GroupItem.count({ where });
+  const lastReplySeq = await GroupItem.max('seq', {
+    where: { channel: channelId, parentItemId: rootItemId }
+  });
+
+  if (lastReplySeq) {
+    await advanceWatermark({ userId, deviceId, channelId, threadRootItemId: rootItemId, seq: lastReplySeq });
+  }
+  return unreadCount;
+}
+
+/**
+ * Channel watermark of every member (highest of their devices), for clients
+ * deriving per-item read counts
+ * @param {string} channelId - Channel UUID
+ * @returns {Promise<Array<{userId: string, lastReadSeq: number}>>}
+ */
+async function listChannelPositions(channelId) {
+  const watermarks = await getMemberWatermarks(channelId);
+  return Array.from(watermarks, ([userId, lastReadSeq]) => ({ userId, lastReadSeq }));
+}
+
+module.exports = {
+  unreadByDevice,
+  getItemReadStatus,
+  markChannelRead,
+  markItemRead,
+  markThreadRead,
+  listChannelPositions,
+  pruneFullyRead
+};
@@ -0,0 +1,689 @@
+/**
+ * Scheduled Messages Service
+ *
+ * Send-later queue for 1:1 (Item) and group (GroupItem) messages. Clients
+ * encrypt at compose time exactly like sendItem / sendGroupItem and hand the
+ * ciphertexts to the server together with a delivery time; the server never
+ * sees plaintext. jobs/scheduledMessages.js releases due messages into the
+ * normal delivery path (stored row, realtime event, push for offline devices).
+ * Group messages are released under the same rules as a live sendGroupItem:
+ * posting permission, slow mode (a release inside the sender's slow mode
+ * interval waits for the next run) and mentions.
+ *
+ * 1:1 messages carry one envelope per recipient device (plus the sender's
+ * own devices for multi-device sync). Devices added after scheduling do not
+ * receive the message, the same as for any pre-encrypted message.
+ *
+ * Released or cancelled entries are deleted so ciphertexts do not linger.
+ */
+
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const {
+  ScheduledMessage,
+  Item,
+  GroupItem,
+  Channel,
+  ChannelMembers,
+  Client,
+  User
+} = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const blockService = require('./blockService');
+const threadService = require('./threadService');
+const disappearingMessages = require('./disappearingMessagesService');
+const channelSequence = require('./channelSequenceService');
+const unreadService = require('./unreadService');
+const notificationPreferences = require('./notificationPreferenceService');
+const channelPosting = require('./channelPostingService');
+const channelSlowMode = require('./channelSlowModeService');
+const mentionService = require('./mentionService');
+const { sendMessageNotification, MENTION_PUSH_OPTIONS } = require('./push_notifications');
+const { emitToDevice, emitToUserDevices } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+/**
+ * Validate a requested delivery time
+ * @param {string|number} value - ISO string or epoch millis
+ * @returns {{sendAt: Date|null, error?: string}}
+ */
+function normalizeSendAt(value) {
+  const sendAt = value ? new Date(value) : null;
+  if (!sendAt || isNaN(sendAt.getTime())) {
+    return { sendAt: null, error: 'Invalid sendAt' };
+  }
+
+  const now = Date.now();
+  if (sendAt.getTime() <= now) {
+    return { sendAt: null, error: 'sendAt must be in the future' };
+  }
+  if (sendAt.getTime() > now + config.scheduledMessages.maxDelaySeconds * 1000) {
+    return { sendAt: null, error: `sendAt must be within ${config.scheduledMessages.maxDelaySeconds} seconds` };
+  }
+
+  return { sendAt };
+}
+
+/**
+ * Reject new entries once a user has too many pending
+ * @returns {Promise<string|null>} Error message or null
+ */
+async function checkPendingLimit(userId) {
+  const pending = await ScheduledMessage.count({ where: { sender_uuid: userId } });
+  if (pending >= config.scheduledMessages.maxPendingPerUser) {
+    return `Too many scheduled messages (max ${config.scheduledMessages.maxPendingPerUser})`;
+  }
+  return null;
+}
+
+/**
+ * Public shape of a scheduled message (ciphertexts stay on the server)
+ */
+function formatScheduled(row) {
+  return {
+    id: row.id,
+    itemId: row.item_id,
+    kind: row.kind,
+    recipient: row.recipient_uuid || null,
+    channelId: row.channel_id || null,
+    type: row.type,
+    parentItemId: row.parent_item_id || null,
+    mentions: row.kind === 'group' ? row.mentions : null,
+    deviceCount: row.kind === 'direct' ? row.envelopes.length : null,
+    senderDeviceId: row.sender_device_id,
+    sendAt: row.send_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Tell the sender's devices that their scheduled queue changed
+ */
+function notifySender(userId, action, data) {
+  emitToUserDevices(userId, 'scheduledMessageUpdated', { action, ...data });
+}
+
+/**
+ * Schedule a 1:1 message
+ * @param {Object} params
+ * @param {string} params.senderUserId - Sending user UUID
+ * @param {number} params.senderDeviceId - Sending device ID
+ * @param {Object} params.data - { itemId, recipient, type, sendAt, envelopes: [{ recipient, recipientDeviceId, payload, cipherType, originalRecipient }] }
+ * @returns {Promise<Object>} { success, scheduled } or { success: false, status, error }
+ */
+async function scheduleDirectItem({ senderUserId, senderDeviceId, data }) {
+  const { itemId, recipient, envelopes } = data || {};
+
+  if (!itemId || !recipient || !Array.isArray(envelopes) || envelopes.length === 0) {
+    return { success: false, status: 400, error: 'Missing required fields' };
+  }
+
+  const normalizedEnvelopes = [];
+  for (const envelope of envelopes) {
+    const envelopeRecipient = envelope?.recipient || recipient;
+    const recipientDeviceId = parseInt(envelope?.recipientDeviceId, 10);
+    const cipherType = parseInt(envelope?.cipherType, 10);
+
+    if (!envelope?.payload || !Number.isFinite(recipientDeviceId) || !Number.isFinite(cipherType)) {
+      return { success: false, status: 400, error: 'Invalid envelope' };
+    }
+    // Only the conversation peer or the sender's own devices (multi-device sync)
+    if (envelopeRecipient !== recipient && envelopeRecipient !== senderUserId) {
+      return { success: false, status: 400, error: 'Envelope recipient does not match conversation' };
+    }
+
+    normalizedEnvelopes.push({
+      recipient: envelopeRecipient,
+      recipientDeviceId,
+      payload: envelope.payload,
+      cipherType,
+      originalRecipient: envelopeRecipient === senderUserId ? recipient : null
+    });
+  }
+
+  const { sendAt, error: sendAtError } = normalizeSendAt(data.sendAt);
+  if (sendAtError) {
+    return { success: false, status: 400, error: sendAtError };
+  }
+
+  const limitError = await checkPendingLimit(senderUserId);
+  if (limitError) {
+    return { success: false, status: 429, error: limitError };
+  }
+
+  const existing = await ScheduledMessage.findOne({
+    where: { sender_uuid: senderUserId, item_id: itemId }
+  });
+  if (existing) {
+    return { success: true, scheduled: formatScheduled(existing), existing: true };
+  }
+
+  const scheduled = await writeQueue.enqueue(
+    () => ScheduledMessage.create({
+      sender_uuid: senderUserId,
+      sender_device_id: senderDeviceId,
+      item_id: itemId,
+      kind: 'direct',
+      recipient_uuid: recipient,
+      type: data.type || 'message',
+      envelopes: normalizedEnvelopes,
+      send_at: sendAt
+    }),
+    `scheduleItem-${itemId}`
+  );
+
+  logger.info(`[SCHEDULED] 1:1 message scheduled (${normalizedEnvelopes.length} envelopes)`);
+  logger.debug('[SCHEDULED] Schedule details:', { itemId: sanitizeForLog(itemId), sendAt: sendAt.toISOString() });
+
+  const formatted = formatScheduled(scheduled);
+  notifySender(senderUserId, 'scheduled', { scheduled: formatted });
+
+  return { success: true, scheduled: formatted };
+}
+
+/**
+ * Schedule a group message
+ * @param {Object} params
+ * @param {string} params.userId - Sending user UUID
+ * @param {number} params.deviceId - Sending device ID
+ * @param {Object} params.data - { channelId, itemId, type, payload, cipherType, parentItemId, mentions, sendAt }
+ * @returns {Promise<Object>} { success, scheduled } or { success: false, status, error }
+ */
+async function scheduleGroupItem({ userId, deviceId, data }) {
+  const { channelId, itemId, payload } = data || {};
+
+  if (!channelId || !itemId || !payload) {
+    return { success: false, status: 400, error: 'Missing required fields' };
+  }
+
+  const membership = await ChannelMembers.findOne({
+    where: { userId, channelId }
+  });
+  if (!membership) {
+    return { success: false, status: 403, error: 'Not a member of this channel' };
+  }
+
+  const posting = await channelPosting.checkPostAllowed({ userId, channelId, type: data.type || 'message' });
+  if (!posting.allowed) {
+    return { success: false, status: posting.status, error: posting.error };
+  }
+
+  const { parentItemId, error: parentError } = await threadService.resolveParentItemId(channelId, data.parentItemId);
+  if (parentError) {
+    return { success: false, status: 400, error: parentError };
+  }
+
+  const { mentionedUserIds, error: mentionError } = await mentionService.resolveMentions({
+    channelId,
+    senderId: userId,
+    mentions: data.mentions
+  });
+  if (mentionError) {
+    return { success: false, status: 400, error: mentionError };
+  }
+
+  const { sendAt, error: sendAtError } = normalizeSendAt(data.sendAt);
+  if (sendAtError) {
+    return { success: false, status: 400, error: sendAtError };
+  }
+
+  const limitError = await checkPendingLimit(userId);
+  if (limitError) {
+    return { success: false, status: 429, error: limitError };
+  }
+
+  const existing = await ScheduledMessage.findOne({
+    where: { sender_uuid: userId, item_id: itemId }
+  });
+  if (existing) {
+    return { success: true, scheduled: formatScheduled(existing), existing: true };
+  }
+
+  const scheduled = await writeQueue.enqueue(
+    () => ScheduledMessage.create({
+      sender_uuid: userId,
+      sender_device_id: deviceId,
+      item_id: itemId,
+      kind: 'group',
+      channel_id: channelId,
+      type: data.type || 'message',
+      payload,
+      cipher_type: data.cipherType || 4,
+      parent_item_id: parentItemId,
+      mentions: mentionedUserIds,
+      send_at: sendAt
+    }),
+    `scheduleGroupItem-${itemId}`
+  );
+
+  logger.info('[SCHEDULED] Group message scheduled');
+  logger.debug('[SCHEDULED] Schedule details:', {
+    itemId: sanitizeForLog(itemId),
+    channelId: sanitizeForLog(channelId),
+    sendAt: sendAt.toISOString()
+  });
+
+  const formatted = formatScheduled(scheduled);
+  notifySender(userId, 'scheduled', { scheduled: formatted });
+
+  return { success: true, scheduled: formatted };
+}
+
+/**
+ * List pending scheduled messages of a user
+ * @param {Object} params
+ * @param {string} params.userId - Sender UUID
+ * @param {string} [params.channelId] - Only this channel
+ * @param {string} [params.recipient] - Only this 1:1 conversation
+ * @returns {Promise<Array>} Ordered by sendAt
+ */
+async function listScheduled({ userId, channelId, recipient }) {
+  const where = { sender_uuid: userId };
+  if (channelId) {
+    where.channel_id = channelId;
+  }
+  if (recipient) {
+    where.recipient_uuid = recipient;
+  }
+
+  const rows = await ScheduledMessage.findAll({
+    where,
+    order: [['send_at', 'ASC']]
+  });
+  return rows.map(formatScheduled);
+}
+
+/**
+ * Change the delivery time of a pending scheduled message
+ * @param {Object} params
+ * @param {string} params.userId - Sender UUID
+ * @param {string} params.id - Scheduled message ID
+ * @param {string|number} params.sendAt - New delivery time
+ * @returns {Promise<Object>} { success, scheduled } or { success: false, status, error }
+ */
+async function rescheduleMessage({ userId, id, sendAt: requestedSendAt }) {
+  const { sendAt, error: sendAtError } = normalizeSendAt(requestedSendAt);
+  if (sendAtError) {
+    return { success: false, status: 400, error: sendAtError };
+  }
+
+  const scheduled = await ScheduledMessage.findOne({
+    where: { id, sender_uuid: userId }
+  });
+  if (!scheduled) {
+    return { success: false, status: 404, error: 'Scheduled message not found' };
+  }
+
+  await writeQueue.enqueue(
+    () => scheduled.update({ send_at: sendAt }),
+    `rescheduleMessage-${id}`
+  );
+
+  logger.info('[SCHEDULED] Scheduled message rescheduled');
+  logger.debug('[SCHEDULED] Reschedule details:', { id: sanitizeForLog(id), sendAt: sendAt.toISOString() });
+
+  const formatted = formatScheduled(scheduled);
+  notifySender(userId, 'rescheduled', { scheduled: formatted });
+
+  return { success: true, scheduled: formatted };
+}
+
+/**
+ * Cancel a pending scheduled message
+ * @param {Object} params
+ * @param {string} params.userId - Sender UUID
+ * @param {string} params.id - Scheduled message ID
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+async function cancelScheduledMessage({ userId, id }) {
+  const deleted = await writeQueue.enqueue(
+    () => ScheduledMessage.destroy({ where: { id, sender_uuid: userId } }),
+    `cancelScheduledMessage-${id}`
+  );
+  if (!deleted) {
+    return { success: false, status: 404, error: 'Scheduled message not found' };
+  }
+
+  logger.info('[SCHEDULED] Scheduled message cancelled');
+  notifySender(userId, 'cancelled', { id });
+
+  return { success: true };
+}
+
+/**
+ * Look up a display name for push notifications
+ */
+async function getSenderName(userId) {
+  const senderUser = await User.findOne({
+    where: { uuid: userId },
+    attributes: ['displayName', 'email']
+  });
+  return senderUser?.displayName || senderUser?.email || 'Someone';
+}
+
+/**
+ * Deliver a due 1:1 message like sendItem does
+ * @returns {Promise<number>} Number of envelopes stored
+ */
+async function releaseDirect(scheduled) {
+  const senderUserId = scheduled.sender_uuid;
+  const senderDeviceId = scheduled.sender_device_id;
+  const recipient = scheduled.recipient_uuid;
+  const itemId = scheduled.item_id;
+  const envelopes = scheduled.envelopes;
+
+  // 🚫 Blocked: drop silently, the sender still sees it as sent
+  if (recipient !== senderUserId && await blockService.isBlockedBetween(senderUserId, recipient)) {
+    logger.info('[SCHEDULED] Dropping scheduled 1:1 message between blocked users');
+    await writeQueue.enqueue(() => scheduled.destroy(), `releaseScheduled-${scheduled.id}`);
+    return 0;
+  }
+
+  const expiresAt = disappearingMessages.computeExpiresAt(
+    await disappearingMessages.getDirectTimer(senderUserId, recipient)
+  );
+
+  // Store all device copies and remove the queue entry in one step
+  const storedItems = await writeQueue.enqueue(async () => {
+    const created = [];
+    for (const envelope of envelopes) {
+      const [item] = await Item.findOrCreate({
+        where: { itemId, receiver: envelope.recipient, deviceReceiver: envelope.recipientDeviceId },
+        defaults: {
+          sender: senderUserId,
+          deviceSender: senderDeviceId,
+          type: scheduled.type,
+          payload: envelope.payload,
+          cipherType: envelope.cipherType,
+          originalRecipient: envelope.originalRecipient,
+          expiresAt
+        }
+      });
+      created.push({ item, envelope });
+    }
+    await scheduled.destroy();
+    return created;
+  }, `releaseScheduled-${scheduled.id}`);
+
+  let recipientOffline = false;
+  const notifyRecipient = recipient !== senderUserId &&
+    await notificationPreferences.shouldNotify({ userId: recipient, peerUserId: senderUserId });
+
+  for (const { envelope } of storedItems) {
+    const delivered = emitToDevice(envelope.recipient, envelope.recipientDeviceId, 'receiveItem', {
+      sender: senderUserId,
+      senderDeviceId,
+      recipient: envelope.recipient,
+      type: scheduled.type,
+      payload: envelope.payload,
+      cipherType: envelope.cipherType,
+      itemId,
+      originalRecipient: envelope.originalRecipient,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      notify: envelope.recipient === recipient && notifyRecipient
+    });
+
+    if (!delivered && envelope.recipient !== senderUserId) {
+      recipientOffline = true;
+    }
+
+    // Same confirmation the sender gets from sendItem once a copy is stored;
+    // the deliveryReceipt follows on ack
+    emitToDevice(senderUserId, senderDeviceId, 'itemStored', {
+      itemId,
+      recipientUserId: envelope.recipient,
+      recipientDeviceId: envelope.recipientDeviceId,
+      storedAt: new Date().toISOString()
+    });
+
+    await unreadService.notifyDirectUnread({
+      userId: envelope.recipient,
+      deviceId: envelope.recipientDeviceId,
+      peerUserId: senderUserId,
+      type: scheduled.type
+    });
+  }
+
+  if (recipientOffline && recipient !== senderUserId) {
+    const senderName = await getSenderName(senderUserId);
+    sendMessageNotification(
+      recipient,
+      senderName,
+      'You have a new message',
+      {
+        senderId: senderUserId,
+        senderDeviceId,
+        itemId
+      }
+    ).catch(err => logger.error('[PUSH] Error sending scheduled message notification:', err));
+  }
+
+  return storedItems.length;
+}
+
+/**
+ * Deliver a due group message like sendGroupItem does
+ * @returns {Promise<number|null>} Number of devices reached in realtime, null if slow mode defers it
+ */
+async function releaseGroup(scheduled) {
+  const userId = scheduled.sender_uuid;
+  const deviceId = scheduled.sender_device_id;
+  const channelId = scheduled.channel_id;
+  const itemId = scheduled.item_id;
+
+  const membership = await ChannelMembers.findOne({
+    where: { userId, channelId }
+  });
+  if (!membership) {
+    throw Object.assign(new Error('Not a member of this channel'), { releaseError: true });
+  }
+
+  // The channel may have switched to announcement mode since scheduling
+  const posting = await channelPosting.checkPostAllowed({ userId, channelId, type: scheduled.type });
+  if (!posting.allowed) {
+    throw Object.assign(new Error(posting.error), { releaseError: true });
+  }
+
+  // Slow mode: keep the entry queued until the sender may post again
+  const postSlot = await channelSlowMode.getPostSlot({ userId, channelId, type: scheduled.type });
+
+  // Mentioned users may have left the channel since scheduling
+  const { mentionedUserIds } = await mentionService.resolveMentions({
+    channelId,
+    senderId: userId,
+    mentions: scheduled.mentions
+  });
+
+  const expiresAt = disappearingMessages.computeExpiresAt(
+    await disappearingMessages.getChannelTimer(channelId)
+  );
+  const timestamp = new Date();
+
+  const { groupItem, slowMode } = await writeQueue.enqueue(async () => {
+    const existing = await GroupItem.findOne({ where: { itemId }, attributes: ['uuid'] });
+    if (!existing) {
+      const slot = channelSlowMode.claimPostSlot(postSlot);
+      if (!slot.allowed) {
+        return { slowMode: slot };
+      }
+    }
+    const created = existing ? null : await GroupItem.create({
+      itemId,
+      channel: channelId,
+      sender: userId,
+      senderDevice: deviceId,
+      type: scheduled.type,
+      payload: scheduled.payload,
+      cipherType: scheduled.cipher_type || 4,
+      timestamp,
+      parentItemId: scheduled.parent_item_id,
+      expiresAt,
+      seq: await channelSequence.nextChannelSeq(channelId)
+    });
+    await scheduled.destroy();
+    return { groupItem: created };
+  }, `releaseScheduled-${scheduled.id}`);
+
+  if (slowMode) {
+    logger.info(`[SCHEDULED] Slow mode active, release deferred by ${slowMode.retryAfter}s`);
+    return null;
+  }
+
+  // Already released (e.g. sent directly with the same itemId)
+  if (!groupItem) {
+    return 0;
+  }
+
+  await mentionService.storeMentions(groupItem, mentionedUserIds);
+
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  const memberClients = await Client.findAll({
+    where: { owner: { [Op.in]: members.map(m => m.userId) } },
+    attributes: ['owner', 'device_id']
+  });
+  // Delivered to every member, members with a block relation are not notified
+  const blockedPeers = await blockService.getBlockedPeerIds(userId);
+  const notifyByMember = await notificationPreferences.getChannelNotifyMap({
+    channelId,
+    userIds: members.map(m => m.userId).filter(memberId => memberId !== userId && !blockedPeers.has(memberId)),
+    mentionedUserIds
+  });
+
+  let deliveredCount = 0;
+  const offlineMembers = new Set();
+
+  for (const client of memberClients) {
+    // The scheduling device keeps its local copy
+    if (client.owner === userId && client.device_id === deviceId) {
+      continue;
+    }
+    const delivered = emitToDevice(client.owner, client.device_id, 'groupItem', {
+      itemId,
+      channel: channelId,
+      sender: userId,
+      senderDevice: deviceId,
+      type: scheduled.type,
+      payload: scheduled.payload,
+      cipherType: scheduled.cipher_type || 4,
+      timestamp: timestamp.toISOString(),
+      parentItemId: scheduled.parent_item_id,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      seq: groupItem.seq,
+      mentions: mentionedUserIds,
+      notify: notifyByMember.get(client.owner) === true
+    });
+    if (delivered) {
+      deliveredCount++;
+    } else if (client.owner !== userId && !blockedPeers.has(client.owner)) {
+      offlineMembers.add(client.owner);
+    }
+  }
+
+  if (offlineMembers.size > 0) {
+    const senderName = await getSenderName(userId);
+    const channel = await Channel.findOne({
+      where: { uuid: channelId },
+      attributes: ['name']
+    });
+    const channelName = channel?.name || 'a group';
+
+    for (const offlineMemberId of offlineMembers) {
+      const isMentioned = mentionedUserIds.includes(offlineMemberId);
+      sendMessageNotification(
+        offlineMemberId,
+        senderName,
+        isMentioned ? `Mentioned you in ${channelName}` : `New message in ${channelName}`,
+        {
+          senderId: userId,
+          channelId,
+          itemId,
+          parentItemId: scheduled.parent_item_id || '',
+          type: 'group_message',
+          mention: isMentioned
+        },
+        isMentioned ? MENTION_PUSH_OPTIONS : {}
+      ).catch(err => logger.error('[PUSH] Error sending scheduled group notification:', err));
+    }
+  }
+
+  await unreadService.notifyNewGroupItem({
+    channelId,
+    senderId: userId,
+    type: scheduled.type,
+    parentItemId: scheduled.parent_item_id,
+    mentionedUserIds
+  });
+
+  return deliveredCount;
+}
+
+/**
+ * Release all scheduled messages that are due
+ * @returns {Promise<{released: number, deferred: number, failed: number}>}
+ */
+async function releaseDueMessages() {
+  const due = await ScheduledMessage.findAll({
+    where: { send_at: { [Op.lte]: new Date() } },
+    order: [['send_at', 'ASC']]
+  });
+
+  let released = 0;
+  let deferred = 0;
+  let failed = 0;
+
+  for (const scheduled of due) {
+    try {
+      const result = scheduled.kind === 'group'
+        ? await releaseGroup(scheduled)
+        : await releaseDirect(scheduled);
+      if (result === null) {
+        deferred++;
+        continue;
+      }
+      released++;
+
+      emitToUserDevices(scheduled.sender_uuid, 'scheduledMessageSent', {
+        id: scheduled.id,
+        itemId: scheduled.item_id,
+        kind: scheduled.kind,
+        channelId: scheduled.channel_id,
+        recipient: scheduled.recipient_uuid,
+        sentAt: new Date().toISOString()
+      });
+    } catch (error) {
+      failed++;
+      logger.error('[SCHEDULED] Failed to release scheduled message', error);
+
+      // Permanent failures are dropped so they are not retried every minute
+      if (error.releaseError) {
+        await writeQueue.enqueue(() => scheduled.destroy(), `dropScheduled-${scheduled.id}`);
+        emitToUserDevices(scheduled.sender_uuid, 'scheduledMessageFailed', {
+          id: scheduled.id,
+          itemId: scheduled.item_id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  if (due.length > 0) {
+    logger.info(`[SCHEDULED] Released ${released} scheduled message(s), ${deferred} deferred, ${failed} failed`);
+  }
+
+  return { released, deferred, failed };
+}
+
+module.exports = {
+  normalizeSendAt,
+  scheduleDirectItem,
+  scheduleGroupItem,
+  listScheduled,
+  rescheduleMessage,
+  cancelScheduledMessage,
+  releaseDueMessages
+};
@@ -0,0 +1,1039 @@
+/**
+ * SCIM Service
+ *
+ * SCIM 2.0 provisioning (RFC 7643 / 7644) for identity providers, served by
+ * routes/scim.js under /scim/v2 with the bearer token from config.scim:
+ * - Users: userName is the email address (the login), displayName must be
+ *   unique in PeerWave and is left empty when taken. externalId is kept in a
+ *   UserIdentity (provider 'scim'). active=false deprovisions the user
+ *   (userAccountService: deactivated, signed out and locked out), DELETE
+ *   deletes the account like an admin.
+ * - Groups: server roles. Members are the users holding the role; groups
+ *   listed in config.scim.groupChannels also make their members members of
+ *   the mapped channels.
+ *
+ * Filters support the comparison operators, pr, and/or/not and parentheses.
+ * `attribute eq "value"` filters (joined with and) on id, userName, emails and
+ * displayName run in the database with the pagination; other filters are
+ * evaluated on the SCIM representation of all users or groups. PATCH supports add/replace/remove
+ * on the attributes PeerWave stores; other attributes are ignored.
+ */
+
+const crypto = require('crypto');
+const { Op, fn, col, where } = require('sequelize');
+const config = require('../config/config');
+const { User, UserIdentity, Role } = require('../db/model');
+const { assignServerRole, removeServerRole, createRole, updateRole, deleteRole } = require('../db/roleHelpers');
+const { autoAssignRoles } = require('../db/autoAssignRoles');
+const writeQueue = require('../db/writeQueue');
+const channelMembership = require('./channelMembershipService');
+const userAccount = require('./userAccountService');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  list: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+const PROVIDER = 'scim';
+const ISSUER = 'scim';
+const DEFAULT_COUNT = 100;
+const MAX_COUNT = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Attributes compared case-sensitively (RFC 7643 caseExact)
+const CASE_EXACT = new Set(['id', 'externalid']);
+
+function isEnabled() {
+  return !!(config.scim && config.scim.token);
+}
+
+/**
+ * Compare a bearer token with config.scim.token in constant time
+ */
+function verifyToken(token) {
+  if (!isEnabled() || typeof token !== 'string' || !token) {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(config.scim.token).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function fail(status, error, scimType) {
+  return { success: false, status, error, scimType };
+}
+
+function baseUrl() {
+  return `${config.app.url}/scim/v2`;
+}
+
+// ==================== FILTERS ====================
+
+const FILTER_TOKEN = /\s*(\(|\)|\[|\]|"(?:[^"\\]|\\.)*"|[^\s()[\]"]+)/y;
+
+function tokenizeFilter(filter) {
+  const tokens = [];
+  let index = 0;
+  while (index < filter.length) {
+    FILTER_TOKEN.lastIndex = index;
+    const match = FILTER_TOKEN.exec(filter);
+    if (!match) {
+      if (filter.slice(index).trim()) {
+        throw new Error('Invalid filter');
+      }
+      break;
+    }
+    tokens.push(match[1]);
+    index = FILTER_TOKEN.lastIndex;
+  }
+  return tokens;
+}
+
+function parseValue(token) {
+  if (token === undefined) {
+    throw new Error('Missing comparison value');
+  }
+  if (token.startsWith('"')) {
+    return JSON.parse(token);
+  }
+  if (token === 'true' || token === 'false') {
+    return token === 'true';
+  }
+  if (token === 'null') {
+    return null;
+  }
+  if (!Number.isNaN(Number(token))) {
+    return Number(token);
+  }
+  throw new Error(`Invalid comparison value: ${token}`);
+}
+
+/**
+ * Parse a SCIM filter into a tree of { and | or | not | compare } nodes
+ * @throws {Error} on invalid syntax
+ */
+function parseFilter(filter) {
+  const tokens = tokenizeFilter(filter);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isKeyword = (token, keyword) => typeof token === 'string' && token.toLowerCase() === keyword;
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isKeyword(peek(), 'or')) {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (isKeyword(peek(), 'and')) {
+      next();
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isKeyword(peek(), 'not')) {
+      next();
+      return { type: 'not', node: parseUnary() };
+    }
+    if (peek() === '(') {
+      next();
+      const node = parseOr();
+      if (next() !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      return node;
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const path = next();
+    if (!path || /^[()[\]]$/.test(path)) {
+      throw new Error('Expected attribute path');
+    }
+    // Value path: emails[type eq "work"]
+    if (peek() === '[') {
+      next();
+      const inner = parseOr();
+      if (next() !== ']') {
+        throw new Error('Missing closing bracket');
+      }
+      return { type: 'valuePath', path, node: inner };
+    }
+    const operator = (next() || '').toLowerCase();
+    if (operator === 'pr') {
+      return { type: 'compare', path, operator };
+    }
+    if (!['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'].includes(operator)) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+    return { type: 'compare', path, operator, value: parseValue(next()) };
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error('Invalid filter');
+  }
+  return tree;
+}
+
+function stripSchema(path, schema) {
+  return path.toLowerCase().startsWith(`${schema.toLowerCase()}:`) ? path.slice(schema.length + 1) : path;
+}
+
+function getProperty(object, name) {
+  if (!object || typeof object !== 'object') {
+    return undefined;
+  }
+  const key = Object.keys(object).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : object[key];
+}
+
+/**
+ * Values of an attribute path, multi-valued attributes compare their "value"
+ */
+function resolvePath(resource, path) {
+  let values = [resource];
+  for (const part of stripSchema(stripSchema(path, SCHEMAS.user), SCHEMAS.group).split('.')) {
+    values = values
+      .flatMap(value => {
+        const property = getProperty(value, part);
+        return Array.isArray(property) ? property : [property];
+      })
+      .filter(value => value !== undefined && value !== null);
+  }
+  return values.map(value => {
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return value && typeof value === 'object' && 'value' in value ? value.value : value;
+  });
+}
+
+function compareValue(actual, operator, expected, caseExact) {
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    const a = caseExact ? actual : actual.toLowerCase();
+    const b = caseExact ? expected : expected.toLowerCase();
+    switch (operator) {
+      case 'eq': return a === b;
+      case 'ne': return a !== b;
+      case 'co': return a.includes(b);
+      case 'sw': return a.startsWith(b);
+      case 'ew': return a.endsWith(b);
+      case 'gt': return a > b;
+      case 'ge': return a >= b;
+      case 'lt': return a < b;
+      case 'le': return a <= b;
+    }
+  }
+  switch (operator) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'gt': return actual > expected;
+    case 'ge': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'le': return actual <= expected;
+    default: return false;
+  }
+}
+
+function matchesFilter(resource, node) {
+  switch (node.type) {
+    case 'and': return matchesFilter(resource, node.left) && matchesFilter(resource, node.right);
+    case 'or': return matchesFilter(resource, node.left) || matchesFilter(resource, node.right);
+    case 'not': return !matchesFilter(resource, node.node);
+    case 'valuePath': {
+      const items = getProperty(resource, node.path);
+      return Array.isArray(items) && items.some(item => matchesFilter(item, node.node));
+    }
+    default: {
+      const values = resolvePath(resource, node.path);
+      if (node.operator === 'pr') {
+        return values.some(value => value !== '' && !(Array.isArray(value) && value.length === 0));
+      }
+      const attribute = node.path.split('.').pop().toLowerCase();
+      const caseExact = CASE_EXACT.has(attribute);
+      if (node.operator === 'ne') {
+        return values.every(value => compareValue(value, 'ne', node.value, caseExact));
+      }
+      return values.some(value => compareValue(value, node.operator, node.value, caseExact));
+    }
+  }
+}
+
+function pageBounds({ startIndex, count }) {
+  const start = Math.max(parseInt(startIndex, 10) || 1, 1);
+  const parsedCount = parseInt(count, 10);
+  const limit = Number.isNaN(parsedCount) ? DEFAULT_COUNT : Math.min(Math.max(parsedCount, 0), MAX_COUNT);
+  return { start, limit };
+}
+
+function listPage(page, totalResults, start) {
+  return {
+    schemas: [SCHEMAS.list],
+    totalResults,
+    startIndex: start,
+    itemsPerPage: page.length,
+    Resources: page
+  };
+}
+
+/**
+ * Filter and paginate resources for a list response
+ * @param {Object[]} resources - SCIM resources
+ * @param {Object} query - { filter, startIndex, count }
+ * @returns {Object} ListResponse or { error } on an invalid filter
+ */
+function listResponse(resources, { filter, startIndex, count }) {
+  let matched = resources;
+  if (filter) {
+    try {
+      const tree = parseFilter(String(filter));
+      matched = resources.filter(resource => matchesFilter(resource, tree));
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  const { start, limit } = pageBounds({ startIndex, count });
+  return listPage(matched.slice(start - 1, start - 1 + limit), matched.length, start);
+}
+
+/**
+ * Translate a filter of `attribute eq "value"` comparisons joined with `and`
+ * into SQL conditions
+ * @param {Object} node - Parsed filter
+ * @param {Object} columns - Lower-case SCIM attribute path -> qualified column
+ * @returns {Array|null} Conditions, null if the filter needs the SCIM representation
+ */
+function sqlFilter(node, columns) {
+  if (node.type === 'and') {
+    const left = sqlFilter(node.left, columns);
+    const right = left && sqlFilter(node.right, columns);
+    return right && [...left, ...right];
+  }
+  if (node.type !== 'compare' || node.operator !== 'eq' || typeof node.value !== 'string') {
+    return null;
+  }
+  const path = stripSchema(stripSchema(node.path, SCHEMAS.user), SCHEMAS.group).toLowerCase();
+  const column = columns[path];
+  if (!column) {
+    return null;
+  }
+  if (CASE_EXACT.has(path)) {
+    return [where(col(column), node.value)];
+  }
+  return [where(fn('lower', col(column)), node.value.toLowerCase())];
+}
+
+/**
+ * List response paginated in the database. Filters sqlFilter cannot
+ * translate are evaluated on all resources (listResponse).
+ * @param {Object} params
+ * @param {Object} params.model - Sequelize model
+ * @param {Object} params.options - Query options (include, where, order)
+ * @param {Object} params.columns - Filter attributes for sqlFilter
+ * @param {Function} params.toResource - Model instance -> SCIM resource
+ * @param {Object} params.query - { filter, startIndex, count }
+ * @returns {Promise<Object>} ListResponse or { error } on an invalid filter
+ */
+async function queryList({ model, options, columns, toResource, query }) {
+  let conditions = [];
+  if (query.filter) {
+    try {
+      conditions = sqlFilter(parseFilter(String(query.filter)), columns);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  if (!conditions) {
+    const all = await model.findAll(options);
+    return listResponse(all.map(toResource), query);
+  }
+
+  const { start, limit } = pageBounds(query);
+  const { rows, count } = await model.findAndCountAll({
+    ...options,
+    where: { ...options.where, [Op.and]: conditions },
+    offset: start - 1,
+    limit,
+    distinct: true
+  });
+  return listPage(rows.map(toResource), count, start);
+}
+
+// ==================== USERS ====================
+
+const USER_ATTRIBUTES = ['uuid', 'email', 'displayName', 'active', 'createdAt', 'updatedAt'];
+
+function userQueryOptions() {
+  return {
+    attributes: USER_ATTRIBUTES,
+    include: [
+      { model: Role, as: 'ServerRoles', attributes: ['uuid', 'name'], through: { attributes: [] } },
+      { model: UserIdentity, as: 'identities', where: { provider: PROVIDER, issuer: ISSUER }, required: false }
+    ]
+  };
+}
+
+function toScimUser(user) {
+  const identity = user.identities?.[0];
+  const resource = {
+    schemas: [SCHEMAS.user],
+    id: user.uuid,
+    userName: user.email,
+    displayName: user.displayName || undefined,
+    // Provisioning status, not the inactivity flag of the cleanup job
+    active: !identity?.deprovisioned_at,
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    groups: (user.ServerRoles || []).map(role => ({
+      value: role.uuid,
+      display: role.name,
+      $ref: `${baseUrl()}/Groups/${role.uuid}`
+    })),
+    meta: {
+      resourceType: 'User',
+      created: user.createdAt,
+      lastModified: user.updatedAt,
+      location: `${baseUrl()}/Users/${user.uuid}`
+    }
+  };
+  // Without an externalId the subject is the user UUID
+  if (identity && identity.subject !== user.uuid) {
+    resource.externalId = identity.subject;
+  }
+  return resource;
+}
+
+async function loadUser(userId) {
+  if (typeof userId !== 'string') {
+    return null;
+  }
+  return User.findByPk(userId, userQueryOptions());
+}
+
+// Filter attributes translated into SQL (sqlFilter)
+const USER_FILTER_COLUMNS = {
+  id: 'User.uuid',
+  username: 'User.email',
+  emails: 'User.email',
+  'emails.value': 'User.email',
+  displayname: 'User.displayName'
+};
+
+async function listUsers(query) {
+  return queryList({
+    model: User,
+    options: { ...userQueryOptions(), order: [['createdAt', 'ASC']] },
+    columns: USER_FILTER_COLUMNS,
+    toResource: toScimUser,
+    query
+  });
+}
+
+async function getUser(userId) {
+  const user = await loadUser(userId);
+  return user ? { success: true, resource: toScimUser(user) } : fail(404, 'User not found');
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'string') {
+    // Some providers send "True"/"False"
+    return value.toLowerCase() === 'true';
+  }
+  return !!value;
+}
+
+/**
+ * Read the attributes PeerWave stores from a SCIM User
+ * @returns {Object} { email, displayName, externalId, active } or { error }
+ */
+function readUserAttributes(body) {
+  const userName = typeof body.userName === 'string' ? body.userName.trim() : '';
+  const emails = Array.isArray(body.emails) ? body.emails : [];
+  const primaryEmail = (emails.find(email => email && email.primary) || emails[0])?.value;
+
+  // userName is the login; providers using non-email user names send the email in emails
+  const email = EMAIL_PATTERN.test(userName) ? userName : (typeof primaryEmail === 'string' ? primaryEmail.trim() : '');
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: 'userName or a primary email must be an email address' };
+  }
+
+  const name = body.name || {};
+  const displayName = (typeof body.displayName === 'string' && body.displayName.trim()) ||
+    (typeof name.formatted === 'string' && name.formatted.trim()) ||
+    [name.givenName, name.familyName].filter(part => typeof part === 'string' && part.trim()).join(' ').trim() ||
+    null;
+
+  return {
+    email,
+    displayName: displayName ? displayName.substring(0, 255) : null,
+    externalId: typeof body.externalId === 'string' && body.externalId ? body.externalId : null,
+    active: body.active === undefined ? true : parseBoolean(body.active)
+  };
+}
+
+async function findUserByEmail(email) {
+  return User.findOne({ where: where(fn('lower', col('email')), email.toLowerCase()), attributes: ['uuid'] });
+}
+
+async function isDisplayNameFree(displayName, userId) {
+  const holder = await User.findOne({ where: { displayName }, attributes: ['uuid'] });
+  return !holder || holder.uuid === userId;
+}
+
+async function ensureIdentity(user, externalId) {
+  let identity = await UserIdentity.findOne({ where: { provider: PROVIDER, issuer: ISSUER, user_uuid: user.uuid } });
+  const subject = externalId || identity?.subject || user.uuid;
+
+  if (!identity) {
+    identity = await writeQueue.enqueue(
+      () => UserIdentity.create({ user_uuid: user.uuid, provider: PROVIDER, issuer: ISSUER, subject, email: user.email }),
+      'linkUserIdentity'
+    );
+  } else if (identity.subject !== subject || identity.email !== user.email) {
+    await writeQueue.enqueue(() => identity.update({ subject, email: user.email }), 'updateUserIdentity');
+  }
+  return identity;
+}
+
+/**
+ * Apply SCIM attributes to an existing user (PUT and PATCH)
+ */
+async function applyUserAttributes(user, attributes) {
+  if (attributes.externalId) {
+    const holder = await UserIdentity.findOne({
+      where: { provider: PROVIDER, issuer: ISSUER, subject: attributes.externalId },
+      attributes: ['user_uuid']
+    });
+    if (holder && holder.user_uuid !== user.uuid) {
+      return fail(409, 'externalId is already in use', 'uniqueness');
+    }
+  }
+
+  const updates = {};
+  if (attributes.email !== user.email) {
+    const holder = await findUserByEmail(attributes.email);
+    if (holder && holder.uuid !== user.uuid) {
+      return fail(409, 'userName is already in use', 'uniqueness');
+    }
+    updates.email = attributes.email;
+  }
+  if (attributes.displayName && attributes.displayName !== user.displayName &&
+      await isDisplayNameFree(attributes.displayName, user.uuid)) {
+    updates.displayName = attributes.displayName;
+  }
+  if (Object.keys(updates).length > 0) {
+    await writeQueue.enqueue(() => user.update(updates), 'updateScimUser');
+  }
+
+  const identity = await ensureIdentity(user, attributes.externalId);
+  if (!attributes.active && !identity.deprovisioned_at) {
+    await userAccount.deprovisionIdentity(identity);
+  } else if (attributes.active && identity.deprovisioned_at) {
+    await userAccount.reprovisionIdentity(identity);
+  }
+
+  return { success: true, resource: toScimUser(await loadUser(user.uuid)) };
+}
+
+async function createUser(body) {
+  const attributes = readUserAttributes(body || {});
+  if (attributes.error) {
+    return fail(400, attributes.error, 'invalidValue');
+  }
+  if (await findUserByEmail(attributes.email)) {
+    return fail(409, 'userName is already in use', 'uniqueness');
+  }
+  if (attributes.externalId &&
+      await UserIdentity.findOne({ where: { provider: PROVIDER, issuer: ISSUER, subject: attributes.externalId } })) {
+    return fail(409, 'externalId is already in use', 'uniqueness');
+  }
+
+  const displayName = attributes.displayName && await isDisplayNameFree(attributes.displayName)
+    ? attributes.displayName
+    : null;
+  const user = await writeQueue.enqueue(
+    () => User.create({ email: attributes.email, displayName, verified: true, active: true }),
+    'createScimUser'
+  );
+  await autoAssignRoles(attributes.email, user.uuid);
+
+  const identity = await ensureIdentity(user, attributes.externalId);
+  if (!attributes.active) {
+    await userAccount.deprovisionIdentity(identity);
+  }
+
+  logger.info('[SCIM] User created');
+  logger.debug(`[SCIM] User: ${sanitizeForLog(user.uuid)}`);
+  return { success: true, status: 201, resource: toScimUser(await loadUser(user.uuid)) };
+}
+
+async function replaceUser(userId, body) {
+  const user = await loadUser(userId);
+  if (!user) {
+    return fail(404, 'User not found');
+  }
+  const attributes = readUserAttributes(body || {});
+  if (attributes.error) {
+    return fail(400, attributes.error, 'invalidValue');
+  }
+  return applyUserAttributes(user, attributes);
+}
+
+function patchOperations(body) {
+  if (!body || !Array.isArray(body.Operations) || body.Operations.length === 0) {
+    return null;
+  }
+  return body.Operations.map(operation => ({
+    op: String(operation.op || '').toLowerCase(),
+    path: typeof operation.path === 'string' ? operation.path.trim() : '',
+    value: operation.value
+  }));
+}
+
+/**
+ * Apply one add/replace/remove to the stored User attributes
+ */
+function patchUserAttribute(state, op, path, value) {
+  const attribute = stripSchema(path, SCHEMAS.user).toLowerCase();
+  const remove = op === 'remove';
+
+  if (attribute === 'active') {
+    state.active = remove ? false : parseBoolean(value);
+  } else if (attribute === 'username') {
+    if (remove) return 'userName cannot be removed';
+    state.userName = value;
+  } else if (attribute === 'displayname') {
+    state.displayName = remove ? null : value;
+  } else if (attribute === 'externalid') {
+    state.externalId = remove ? null : value;
+  } else if (attribute === 'emails' || attribute.startsWith('emails[') || attribute === 'emails.value') {
+    if (remove) return null;
+    const email = Array.isArray(value) ? (value.find(item => item && item.primary) || value[0])?.value : (value?.value ?? value);
+    state.emails = [{ value: email, primary: true }];
+  } else if (attribute === 'name.formatted') {
+    state.name = { formatted: remove ? null : value };
+  }
+  // Other attributes (title, addresses, enterprise extension, ...) are not stored
+  return null;
+}
+
+async function patchUser(userId, body) {
+  const user = await loadUser(userId);
+  if (!user) {
+    return fail(404, 'User not found');
+  }
+  const operations = patchOperations(body);
+  if (!operations) {
+    return fail(400, 'Operations are required', 'invalidSyntax');
+  }
+
+  const current = toScimUser(user);
+  const state = {
+    userName: current.userName,
+    displayName: current.displayName,
+    externalId: current.externalId,
+    active: current.active,
+    emails: current.emails
+  };
+
+  for (const { op, path, value } of operations) {
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      return fail(400, `Unsupported operation: ${op}`, 'invalidSyntax');
+    }
+    if (!path) {
+      if (op === 'remove' || !value || typeof value !== 'object') {
+        return fail(400, 'A path is required', 'noTarget');
+      }
+      for (const [key, entryValue] of Object.entries(value)) {
+        const error = patchUserAttribute(state, op, key, entryValue);
+        if (error) return fail(400, error, 'mutability');
+      }
+      continue;
+    }
+    const error = patchUserAttribute(state, op, path, value);
+    if (error) return fail(400, error, 'mutability');
+  }
+
+  const attributes = readUserAttributes(state);
+  if (attributes.error) {
+    return fail(400, attributes.error, 'invalidValue');
+  }
+  // Removing externalId keeps the link, the subject falls back to the user UUID
+  if (state.externalId === null && current.externalId) {
+    attributes.externalId = user.uuid;
+  }
+  return applyUserAttributes(user, attributes);
+}
+
+async function deleteUser(userId) {
+  const user = await loadUser(userId);
+  if (!user) {
+    return fail(404, 'User not found');
+  }
+  const result = await userAccount.deleteUser({ userId: user.uuid, deletedBy: null });
+  if (!result.success) {
+    return fail(result.status, result.error);
+  }
+  logger.info('[SCIM] User deleted');
+  return { success: true, status: 204 };
+}
+
+// ==================== GROUPS ====================
+
+function toScimGroup(role, { excludeMembers = false } = {}) {
+  const resource = {
+    schemas: [SCHEMAS.group],
+    id: role.uuid,
+    displayName: role.name,
+    meta: {
+      resourceType: 'Group',
+      created: role.createdAt,
+      lastModified: role.updatedAt,
+      location: `${baseUrl()}/Groups/${role.uuid}`
+    }
+  };
+  if (!excludeMembers) {
+    resource.members = (role.Users || []).map(user => ({
+      value: user.uuid,
+      display: user.displayName || user.email,
+      $ref: `${baseUrl()}/Users/${user.uuid}`
+    }));
+  }
+  return resource;
+}
+
+function groupQueryOptions() {
+  return {
+    include: [{ model: User, as: 'Users', attributes: ['uuid', 'email', 'displayName'], through: { attributes: [] } }]
+  };
+}
+
+async function loadGroup(roleId) {
+  if (typeof roleId !== 'string') {
+    return null;
+  }
+  const role = await Role.findByPk(roleId, groupQueryOptions());
+  return role && role.scope === 'server' ? role : null;
+}
+
+function excludesMembers(excludedAttributes) {
+  return String(excludedAttributes || '').split(',').some(name => name.trim().toLowerCase() === 'members');
+}
+
+// Filter attributes translated into SQL (sqlFilter)
+const GROUP_FILTER_COLUMNS = {
+  id: 'Role.uuid',
+  displayname: 'Role.name'
+};
+
+async function listGroups(query) {
+  // Filter on the full resource (members eq "..."), drop members afterwards if excluded
+  const response = await queryList({
+    model: Role,
+    options: { where: { scope: 'server' }, ...groupQueryOptions(), order: [['name', 'ASC']] },
+    columns: GROUP_FILTER_COLUMNS,
+    toResource: role => toScimGroup(role),
+    query
+  });
+  if (!response.error && excludesMembers(query.excludedAttributes)) {
+    response.Resources = response.Resources.map(({ members, ...resource }) => resource);
+  }
+  return response;
+}
+
+async function getGroup(roleId, { excludedAttributes } = {}) {
+  const role = await loadGroup(roleId);
+  if (!role) {
+    return fail(404, 'Group not found');
+  }
+  return { success: true, resource: toScimGroup(role, { excludeMembers: excludesMembers(excludedAttributes) }) };
+}
+
+/**
+ * Align channel memberships from config.scim.groupChannels with the
+ * groups (server roles) of a user
+ */
+async function syncGroupChannels(userId) {
+  const mapping = config.scim.groupChannels;
+  if (mapping.length === 0) {
+    return;
+  }
+  const user = await User.findByPk(userId, {
+    attributes: ['uuid'],
+    include: [{ model: Role, as: 'ServerRoles', attributes: ['name'], through: { attributes: [] } }]
+  });
+  if (!user) {
+    return;
+  }
+  const groupNames = new Set(user.ServerRoles.map(role => role.name));
+  await channelMembership.syncManagedMemberships(
+    userId,
+    mapping.map(({ target }) => target),
+    mapping.filter(({ group }) => groupNames.has(group)).map(({ target }) => target)
+  );
+}
+
+function memberIds(value) {
+  const members = Array.isArray(value) ? value : (value ? [value] : []);
+  return members.map(member => (member && typeof member === 'object' ? member.value : member)).filter(Boolean);
+}
+
+/**
+ * Add and remove group members, then update mapped channel memberships
+ * @returns {Promise<Object|null>} Failure result or null
+ */
+async function changeMembers(role, addIds, removeIds) {
+  const add = [...new Set(addIds.map(String))];
+  const remove = [...new Set(removeIds.map(String))].filter(id => !add.includes(id));
+
+  const known = await User.findAll({ where: { uuid: [...add, ...remove] }, attributes: ['uuid'] });
+  const unknown = add.filter(id => !known.some(user => user.uuid === id));
+  if (unknown.length > 0) {
+    return fail(400, `Unknown member: ${unknown[0]}`, 'invalidValue');
+  }
+
+  for (const userId of add) {
+    await assignServerRole(userId, role.uuid);
+  }
+  for (const userId of remove) {
+    await removeServerRole(userId, role.uuid);
+  }
+  for (const userId of [...add, ...remove]) {
+    await syncGroupChannels(userId);
+  }
+  return null;
+}
+
+async function renameGroup(role, displayName) {
+  if (typeof displayName !== 'string' || !displayName.trim() || displayName.trim() === role.name) {
+    return null;
+  }
+  const name = displayName.trim();
+  if (role.standard) {
+    return fail(400, 'Standard roles cannot be renamed', 'mutability');
+  }
+  if (await Role.findOne({ where: { name, scope: 'server' }, attributes: ['uuid'] })) {
+    return fail(409, 'displayName is already in use', 'uniqueness');
+  }
+  const previousName = role.name;
+  await updateRole(role.uuid, { name });
+
+  // Channel mapping is by group name
+  if (config.scim.groupChannels.some(({ group }) => group === previousName || group === name)) {
+    for (const user of role.Users || []) {
+      await syncGroupChannels(user.uuid);
+    }
+  }
+  return null;
+}
+
+async function createGroup(body) {
+  const displayName = typeof body?.displayName === 'string' ? body.displayName.trim() : '';
+  if (!displayName) {
+    return fail(400, 'displayName is required', 'invalidValue');
+  }
+  if (await Role.findOne({ where: { name: displayName, scope: 'server' }, attributes: ['uuid'] })) {
+    return fail(409, 'displayName is already in use', 'uniqueness');
+  }
+
+  // New groups are roles without permissions, admins grant them in PeerWave
+  const role = await createRole({ name: displayName, description: 'Provisioned via SCIM', scope: 'server', permissions: [] });
+  const error = await changeMembers(role, memberIds(body.members), []);
+  if (error) {
+    return error;
+  }
+
+  logger.info('[SCIM] Group created');
+  logger.debug(`[SCIM] Group: ${sanitizeForLog(displayName)}`);
+  return { success: true, status: 201, resource: toScimGroup(await loadGroup(role.uuid)) };
+}
+
+async function replaceGroup(roleId, body) {
+  const role = await loadGroup(roleId);
+  if (!role) {
+    return fail(404, 'Group not found');
+  }
+
+  const renameError = await renameGroup(role, body?.displayName);
+  if (renameError) {
+    return renameError;
+  }
+  if (body && body.members !== undefined) {
+    const wanted = memberIds(body.members);
+    const current = (role.Users || []).map(user => user.uuid);
+    const error = await changeMembers(role, wanted.filter(id => !current.includes(id)), current.filter(id => !wanted.includes(id)));
+    if (error) {
+      return error;
+    }
+  }
+  return { success: true, resource: toScimGroup(await loadGroup(role.uuid)) };
+}
+
+async function patchGroup(roleId, body) {
+  const role = await loadGroup(roleId);
+  if (!role) {
+    return fail(404, 'Group not found');
+  }
+  const operations = patchOperations(body);
+  if (!operations) {
+    return fail(400, 'Operations are required', 'invalidSyntax');
+  }
+
+  let members = (role.Users || []).map(user => user.uuid);
+  let displayName;
+
+  for (const { op, path, value } of operations) {
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      return fail(400, `Unsupported operation: ${op}`, 'invalidSyntax');
+    }
+    const attribute = stripSchema(path, SCHEMAS.group).toLowerCase();
+
+    if (!attribute) {
+      if (op === 'remove' || !value || typeof value !== 'object') {
+        return fail(400, 'A path is required', 'noTarget');
+      }
+      if (getProperty(value, 'displayName') !== undefined) {
+        displayName = getProperty(value, 'displayName');
+      }
+      const valueMembers = getProperty(value, 'members');
+      if (valueMembers !== undefined) {
+        members = op === 'replace' ? memberIds(valueMembers) : [...members, ...memberIds(valueMembers)];
+      }
+    } else if (attribute === 'displayname') {
+      if (op === 'remove') {
+        return fail(400, 'displayName cannot be removed', 'mutability');
+      }
+      displayName = value;
+    } else if (attribute === 'members') {
+      if (op === 'add') {
+        members = [...members, ...memberIds(value)];
+      } else if (op === 'replace') {
+        members = memberIds(value);
+      } else {
+        // Without a value all members are removed
+        const removed = value === undefined ? members : memberIds(value);
+        members = members.filter(id => !removed.includes(id));
+      }
+    } else if (attribute.startsWith('members[')) {
+      // members[value eq "id"]
+      if (op !== 'remove') {
+        return fail(400, `Unsupported path: ${path}`, 'invalidPath');
+      }
+      let tree;
+      try {
+        tree = parseFilter(path.slice(path.indexOf('[') + 1, path.lastIndexOf(']')));
+      } catch (error) {
+        return fail(400, error.message, 'invalidFilter');
+      }
+      members = members.filter(id => !matchesFilter({ value: id }, tree));
+    } else {
+      return fail(400, `Unsupported path: ${path}`, 'invalidPath');
+    }
+  }
+
+  const renameError = await renameGroup(role, displayName);
+  if (renameError) {
+    return renameError;
+  }
+  const current = (role.Users || []).map(user => user.uuid);
+  const wanted = [...new Set(members)];
+  const error = await changeMembers(role, wanted.filter(id => !current.includes(id)), current.filter(id => !wanted.includes(id)));
+  if (error) {
+    return error;
+  }
+  return { success: true, resource: toScimGroup(await loadGroup(role.uuid)) };
+}
+
+async function deleteGroup(roleId) {
+  const role = await loadGroup(roleId);
+  if (!role) {
+    return fail(404, 'Group not found');
+  }
+  if (role.standard) {
+    return fail(400, 'Standard roles cannot be deleted', 'mutability');
+  }
+
+  const memberUserIds = (role.Users || []).map(user => user.uuid);
+  await deleteRole(role.uuid);
+  for (const userId of memberUserIds) {
+    await syncGroupChannels(userId);
+  }
+
+  logger.info('[SCIM] Group deleted');
+  return { success: true, status: 204 };
+}
+
+// ==================== DISCOVERY ====================
+
+function serviceProviderConfig() {
+  return {
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_COUNT },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'OAuth Bearer Token',
+      description: 'Authentication with the bearer token configured in SCIM_TOKEN',
+      primary: true
+    }],
+    meta: { resourceType: 'ServiceProviderConfig', location: `${baseUrl()}/ServiceProviderConfig` }
+  };
+}
+
+function resourceTypes() {
+  return listResponse([
+    {
+      schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+      id: 'User',
+      name: 'User',
+      endpoint: '/Users',
+      schema: SCHEMAS.user,
+      meta: { resourceType: 'ResourceType', location: `${baseUrl()}/ResourceTypes/User` }
+    },
+    {
+      schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+      id: 'Group',
+      name: 'Group',
+      endpoint: '/Groups',
+      schema: SCHEMAS.group,
+      meta: { resourceType: 'ResourceType', location: `${baseUrl()}/ResourceTypes/Group` }
+    }
+  ], {});
+}
+
+module.exports = {
+  SCHEMAS,
+  isEnabled,
+  verifyToken,
+  listUsers,
+  getUser,
+  createUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+  listGroups,
+  getGroup,
+  createGroup,
+  replaceGroup,
+  patchGroup,
+  deleteGroup,
+  serviceProviderConfig,
+  resourceTypes
+};
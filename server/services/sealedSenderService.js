@@ -0,0 +1,319 @@
+/**
+ * Sealed Sender Service
+ *
+ * Optional 1:1 delivery mode in which the server never stores or forwards
+ * who sent an item:
+ * - GET /api/sealed-sender/certificate issues two short-lived certificates
+ *   signed with the server's Ed25519 key:
+ *   - sender certificate (sender, device, identity key): the client puts it
+ *     inside the encrypted payload so the recipient can verify the sender
+ *     against the server key (GET /api/sealed-sender/server-key)
+ *   - delivery certificate: random id + expiry only, names neither sender
+ *     nor recipient; authenticates sealed sends instead of the session
+ * - sendItem with { sealed: true, deliveryCertificate } stores an Item with
+ *   sender/deviceSender null and type "sealed"; receiveItem carries no sender
+ *
+ * Certificates are requested without a recipient, so neither issuing nor
+ * sending tells the server who talks to whom. The server does not attribute
+ * stored sealed items: there are no delivery receipts, no per-conversation
+ * unread counts or timers (the client may pass expiresInSeconds), and the
+ * server cannot check blocks. The recipient's client enforces them after
+ * verifying the sender certificate and drops items of blocked senders.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { Item, Client, User } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const disappearingMessages = require('./disappearingMessagesService');
+const notificationPreferences = require('./notificationPreferenceService');
+const { sendSealedMessageNotification } = require('./push_notifications');
+const { emitToDevice } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+
+// DER prefix of a PKCS#8 Ed25519 private key (followed by the 32 byte seed)
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const USAGE_PRUNE_INTERVAL_MS = 60 * 1000;
+
+let keyPair = null;
+
+// Sends per delivery certificate: jti -> { count, expiresAt }
+const certificateUsage = new Map();
+let lastUsagePrune = 0;
+
+// Expiry times (ms) of the unexpired certificates issued to a user: userId -> number[]
+// Only counts them; which delivery certificate belongs to whom is not kept
+const liveCertificates = new Map();
+
+function getKeyPair() {
+  if (!keyPair) {
+    const seed = crypto.createHash('sha256').update(config.sealedSender.signingSecret).digest();
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    keyPair = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+  return keyPair;
+}
+
+/**
+ * Raw Ed25519 public key that signs all certificates (base64)
+ * @returns {string}
+ */
+function getServerPublicKey() {
+  const spki = getKeyPair().publicKey.export({ format: 'der', type: 'spki' });
+  return spki.subarray(spki.length - 32).toString('base64');
+}
+
+/**
+ * Certificate format: base64url(JSON claims) "." base64url(Ed25519 signature of the first part)
+ */
+function signCertificate(claims) {
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(body), getKeyPair().privateKey).toString('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Check signature, type and expiry of a certificate
+ * @returns {{claims?: Object, error?: string}}
+ */
+function verifyCertificate(certificate, expectedType) {
+  if (typeof certificate !== 'string' || !certificate.includes('.')) {
+    return { error: 'Invalid certificate' };
+  }
+
+  const [body, signature] = certificate.split('.');
+  let valid = false;
+  try {
+    valid = crypto.verify(null, Buffer.from(body), getKeyPair().publicKey, Buffer.from(signature, 'base64url'));
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    return { error: 'Invalid certificate' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid certificate' };
+  }
+  if (claims.typ !== expectedType) {
+    return { error: 'Invalid certificate' };
+  }
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+    return { error: 'Certificate expired' };
+  }
+  return { claims };
+}
+
+/**
+ * Count one send against a delivery certificate
+ * @returns {boolean} false once the certificate is used up
+ */
+function consumeDeliveryCertificate(claims) {
+  const now = Date.now();
+  if (now - lastUsagePrune > USAGE_PRUNE_INTERVAL_MS) {
+    for (const [jti, usage] of certificateUsage) {
+      if (usage.expiresAt <= now) {
+        certificateUsage.delete(jti);
+      }
+    }
+    lastUsagePrune = now;
+  }
+
+  const usage = certificateUsage.get(claims.jti) || { count: 0, expiresAt: claims.exp * 1000 };
+  if (usage.count >= config.sealedSender.maxItemsPerCertificate) {
+    return false;
+  }
+  usage.count++;
+  certificateUsage.set(claims.jti, usage);
+  return true;
+}
+
+/**
+ * Reserve one live certificate for a user
+ * @param {string} userId - User UUID
+ * @param {number} expiresAt - Expiry of the new certificate (ms)
+ * @returns {{allowed: boolean, retryAfter?: number}}
+ */
+function reserveLiveCertificate(userId, expiresAt) {
+  const now = Date.now();
+  for (const [key, expiries] of liveCertificates) {
+    const live = expiries.filter(exp => exp > now);
+    if (live.length > 0) {
+      liveCertificates.set(key, live);
+    } else {
+      liveCertificates.delete(key);
+    }
+  }
+
+  const live = liveCertificates.get(userId) || [];
+  if (live.length >= config.sealedSender.maxLiveCertificatesPerUser) {
+    return { allowed: false, retryAfter: Math.ceil((Math.min(...live) - now) / 1000) };
+  }
+  live.push(expiresAt);
+  liveCertificates.set(userId, live);
+  return { allowed: true };
+}
+
+/**
+ * Issue a sender and a delivery certificate for one device
+ *
+ * Each user holds at most config.sealedSender.maxLiveCertificatesPerUser
+ * unexpired certificates, which bounds their anonymous sealed sends
+ * @param {Object} params
+ * @param {string} params.userId - User UUID
+ * @param {number} params.deviceId - Device ID
+ * @returns {Promise<Object>} { success, senderCertificate, deliveryCertificate, expiresAt, serverPublicKey }
+ *   or { success: false, status, error, retryAfter? }
+ */
+async function issueCertificates({ userId, deviceId }) {
+  const user = await User.findByPk(userId, { attributes: ['uuid', 'active'] });
+  if (!user || !user.active) {
+    return { success: false, status: 403, error: 'Account is not active' };
+  }
+
+  const client = await Client.findOne({
+    where: { owner: userId, device_id: deviceId },
+    attributes: ['device_id', 'public_key']
+  });
+  if (!client) {
+    return { success: false, status: 404, error: 'Device not found' };
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + config.sealedSender.certificateTtlSeconds;
+  const reservation = reserveLiveCertificate(userId, exp * 1000);
+  if (!reservation.allowed) {
+    logger.warn('[SEALED SENDER] Live certificate limit reached', { userId });
+    return {
+      success: false,
+      status: 429,
+      error: 'Too many live certificates, reuse the current one',
+      retryAfter: reservation.retryAfter
+    };
+  }
+
+  return {
+    success: true,
+    senderCertificate: signCertificate({
+      typ: 'sender',
+      sender: userId,
+      senderDevice: client.device_id,
+      identityKey: client.public_key || null,
+      exp
+    }),
+    deliveryCertificate: signCertificate({
+      typ: 'delivery',
+      jti: crypto.randomUUID(),
+      exp
+    }),
+    expiresAt: new Date(exp * 1000).toISOString(),
+    serverPublicKey: getServerPublicKey()
+  };
+}
+
+/**
+ * Store and relay a sealed 1:1 item (sendItem with sealed: true)
+ * @param {Object} data - { recipient, recipientDeviceId, payload, cipherType, itemId, deliveryCertificate, expiresInSeconds? }
+ * @returns {Promise<Object>} { success, itemId, recipientUserId, recipientDeviceId, storedAt } or { success: false, error }
+ */
+async function deliverSealedItem(data) {
+  const { claims, error } = verifyCertificate(data.deliveryCertificate, 'delivery');
+  if (error) {
+    return { success: false, error };
+  }
+
+  const recipient = data.recipient;
+  const recipientDeviceId = parseInt(data.recipientDeviceId, 10);
+  const cipherType = parseInt(data.cipherType, 10);
+  const itemId = data.itemId;
+  if (!recipient || !Number.isFinite(recipientDeviceId) || !itemId ||
+      typeof data.payload !== 'string' || !data.payload || !Number.isFinite(cipherType)) {
+    return { success: false, error: 'recipient, recipientDeviceId, payload, cipherType and itemId required' };
+  }
+
+  const timer = disappearingMessages.normalizeTimer(data.expiresInSeconds);
+  if (timer.error) {
+    return { success: false, error: timer.error };
+  }
+
+  const device = await Client.findOne({
+    where: { owner: recipient, device_id: recipientDeviceId },
+    attributes: ['device_id']
+  });
+  if (!device) {
+    return { success: false, error: 'Unknown recipient device' };
+  }
+
+  if (!consumeDeliveryCertificate(claims)) {
+    return { success: false, error: 'Delivery certificate used up, request a new one' };
+  }
+
+  const expiresAt = disappearingMessages.computeExpiresAt(timer.seconds);
+
+  // Never overwrite or re-emit an item that is already stored
+  const item = await writeQueue.enqueue(async () => {
+    const existing = await Item.findOne({
+      where: { itemId, receiver: recipient, deviceReceiver: recipientDeviceId },
+      attributes: ['uuid']
+    });
+    if (existing) {
+      return null;
+    }
+    return Item.create({
+      itemId,
+      receiver: recipient,
+      deviceReceiver: recipientDeviceId,
+      sender: null,
+      deviceSender: null,
+      sealed: true,
+      type: 'sealed',
+      payload: data.payload,
+      cipherType,
+      expiresAt
+    });
+  }, `sendSealedItem-${itemId}`);
+  if (!item) {
+    return { success: false, error: 'Duplicate itemId' };
+  }
+
+  const delivered = emitToDevice(recipient, recipientDeviceId, 'receiveItem', {
+    sender: null,
+    senderDeviceId: null,
+    recipient,
+    type: 'sealed',
+    sealed: true,
+    payload: item.payload,
+    cipherType: item.cipherType,
+    itemId,
+    originalRecipient: null,
+    expiresAt: item.expiresAt ? new Date(item.expiresAt).toISOString() : null,
+    notify: await notificationPreferences.shouldNotify({ userId: recipient })
+  });
+
+  if (!delivered) {
+    sendSealedMessageNotification(recipient, { itemId })
+      .catch(err => logger.error('[PUSH] Error sending sealed message notification:', err));
+  }
+
+  logger.debug('[SEALED SENDER] Sealed item stored');
+  return {
+    success: true,
+    itemId,
+    recipientUserId: recipient,
+    recipientDeviceId,
+    storedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  getServerPublicKey,
+  issueCertificates,
+  verifyCertificate,
+  deliverSealedItem
+};
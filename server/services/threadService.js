@@ -0,0 +1,116 @@
+/**
+ * Thread Service
+ *
+ * Threaded replies in signal channels. A reply is a GroupItem whose
+ * parentItemId points at the itemId of the thread root. Threads are one
+ * level deep: replying to a reply attaches to the same root.
+ *
+ * Unread state is per device and builds on the read watermarks of
+ * readPositionService: a reply is unread for a device until its channel or
+ * thread watermark has passed the reply's seq.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { GroupItem } = require('../db/model');
+const { unreadByDevice } = require('./readPositionService');
+
+// Edits are delivery rows for existing items, not new replies
+const NON_REPLY_TYPES = ['edit'];
+
+/**
+ * Resolve the thread root for a new item
+ * @param {string} channelId - Channel UUID
+ * @param {string|null} parentItemId - Requested parent itemId
+ * @returns {Promise<{parentItemId: string|null, error?: string}>}
+ */
+async function resolveParentItemId(channelId, parentItemId) {
+  if (!parentItemId) {
+    return { parentItemId: null };
+  }
+
+  const parent = await GroupItem.findOne({
+    where: { itemId: parentItemId },
+    attributes: ['channel', 'parentItemId']
+  });
+
+  // Root may already be removed from the server (read by everyone / cleanup)
+  if (!parent) {
+    return { parentItemId };
+  }
+
+  if (parent.channel !== channelId) {
+    return { parentItemId: null, error: 'Parent item belongs to another channel' };
+  }
+
+  return { parentItemId: parent.parentItemId || parentItemId };
+}
+
+/**
+ * Get reply count, last reply time and unread replies per thread root
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {Array<string>} params.rootItemIds - itemIds of thread roots
+ * @param {string} params.userId - Requesting user UUID
+ * @param {number} params.deviceId - Requesting device ID
+ * @returns {Promise<Map<string, {replyCount: number, lastReplyAt: Date|null, unreadReplyCount: number}>>}
+ */
+async function getThreadSummaries({ channelId, rootItemIds, userId, deviceId }) {
+  const summaries = new Map();
+  if (!Array.isArray(rootItemIds) || rootItemIds.length === 0) {
+    return summaries;
+  }
+
+  const baseWhere = {
+    channel: channelId,
+    parentItemId: { [Op.in]: rootItemIds },
+    type: { [Op.notIn]: NON_REPLY_TYPES }
+  };
+
+  const totals = await GroupItem.findAll({
+    where: baseWhere,
+    attributes: [
+      'parentItemId',
+      [fn('COUNT', col('uuid')), 'replyCount'],
+      [fn('MAX', col('timestamp')), 'lastReplyAt']
+    ],
+    group: ['parentItemId'],
+    raw: true
+  });
+
+  for (const row of totals) {
+    summaries.set(row.parentItemId, {
+      replyCount: parseInt(row.replyCount, 10) || 0,
+      lastReplyAt: row.lastReplyAt ? new Date(row.lastReplyAt) : null,
+      unreadReplyCount: 0
+    });
+  }
+
+  if (summaries.size === 0) {
+    return summaries;
+  }
+
+  const unread = await GroupItem.findAll({
+    where: {
+      ...baseWhere,
+      sender: { [Op.ne]: userId },
+      [Op.and]: [unreadByDevice(userId, deviceId)]
+    },
+    attributes: ['parentItemId', [fn('COUNT', col('uuid')), 'unreadReplyCount']],
+    group: ['parentItemId'],
+    raw: true
+  });
+
+  for (const row of unread) {
+    const summary = summaries.get(row.parentItemId);
+    if (summary) {
+      summary.unreadReplyCount = parseInt(row.unreadReplyCount, 10) || 0;
+    }
+  }
+
+  return summaries;
+}
+
+module.exports = {
+  resolveParentItemId,
+  getThreadSummaries
+};
@@ -0,0 +1,470 @@
+/**
+ * Two-Factor Service
+ *
+ * Authenticator app (TOTP, RFC 6238: HMAC-SHA1, 6 digits, 30 s steps) as an
+ * additional login factor next to the email OTP and magic links:
+ * - enrollment: a secret is generated and shown as otpauth:// URI (rendered
+ *   as QR code by the client), it becomes active once a code was confirmed
+ * - login: users with an active authenticator must send a code (or one of
+ *   their backup codes as recovery); every time step is accepted only once
+ * - policy: ServerSettings.totp_policy requires the authenticator for admins
+ *   (server.manage) or everyone. Users who are not enrolled yet get a
+ *   restricted web session (totpSetupRequired) that only reaches SETUP_PATHS
+ *   until the authenticator is enabled; magic links (new devices) are refused
+ *   until then
+ * - recovery: backup codes replace a lost authenticator at login, admins can
+ *   reset it (routes/roles.js)
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { User, ServerSettings } = require('../db/model');
+const { hasServerPermission } = require('../db/roleHelpers');
+const writeQueue = require('../db/writeQueue');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const POLICIES = ['off', 'admins', 'everyone'];
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // Accepted clock drift in steps (before/after)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Invalid codes per user before verification is paused
+const MAX_FAILURES = 5;
+const LOCK_MS = 5 * 60 * 1000;
+const failures = new Map(); // userId -> { count, lockedUntil }
+
+// Routes a restricted session may use (see restrictSession)
+const SETUP_PATHS = ['/totp/status', '/totp/setup', '/totp/enable', '/backupcode/list', '/logout'];
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Code for one time step (HOTP with the step as counter)
+ * @param {Buffer} key - Decoded secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+function codeForStep(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Find the time step a code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastStep - Last accepted step (older steps are rejected)
+ * @returns {number|null} Matching step or null
+ */
+function matchStep(secret, code, lastStep) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+  const key = base32Decode(secret);
+  const now = currentStep();
+  for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+    if (lastStep !== null && lastStep !== undefined && step <= lastStep) {
+      continue;
+    }
+    const expected = codeForStep(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function lockedFor(userId) {
+  const entry = failures.get(userId);
+  if (!entry || !entry.lockedUntil) {
+    return 0;
+  }
+  const remaining = entry.lockedUntil - Date.now();
+  if (remaining <= 0) {
+    failures.delete(userId);
+    return 0;
+  }
+  return Math.ceil(remaining / 1000);
+}
+
+function recordFailure(userId) {
+  const entry = failures.get(userId) || { count: 0, lockedUntil: 0 };
+  entry.count += 1;
+  if (entry.count >= MAX_FAILURES) {
+    entry.count = 0;
+    entry.lockedUntil = Date.now() + LOCK_MS;
+    logger.warn('[2FA] Too many invalid codes, verification paused');
+    logger.debug(`[2FA] User: ${sanitizeForLog(userId)}`);
+  }
+  failures.set(userId, entry);
+}
+
+/**
+ * Accept a code once: stores its step unless a newer step was stored meanwhile
+ * @returns {Promise<boolean>} false if the code was already used
+ */
+async function consumeStep(user, step) {
+  const [updated] = await writeQueue.enqueue(
+    () => User.update(
+      { totp_last_step: step },
+      {
+        where: {
+          uuid: user.uuid,
+          [Op.or]: [{ totp_last_step: null }, { totp_last_step: { [Op.lt]: step } }]
+        }
+      }
+    ),
+    'consumeTotpStep'
+  );
+  return updated > 0;
+}
+
+/**
+ * Verify and consume one of the user's backup codes
+ * @param {string} email - User email
+ * @param {string} enteredCode - Backup code
+ * @returns {Promise<boolean>}
+ */
+async function verifyBackupCode(email, enteredCode) {
+  const user = await User.findOne({ where: { email: email } });
+
+  if (!user || !user.backupCodes || !enteredCode) return false;
+
+  const codes = JSON.parse(user.backupCodes);
+
+  for (const codeObj of codes) {
+    if (!codeObj.used && await bcrypt.compare(String(enteredCode), codeObj.codeHash)) {
+      // Valid code -> mark as used
+      codeObj.used = true;
+
+      await writeQueue.enqueue(
+        () => User.update(
+          { backupCodes: JSON.stringify(codes) },
+          { where: { email: email } }
+        ),
+        'verifyBackupCode'
+      );
+
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Current policy from ServerSettings
+ * @returns {Promise<string>} 'off', 'admins' or 'everyone'
+ */
+async function getPolicy() {
+  const settings = await ServerSettings.findOne({ where: { id: 1 }, attributes: ['totp_policy'] });
+  const policy = settings && settings.totp_policy;
+  return POLICIES.includes(policy) ? policy : 'off';
+}
+
+/**
+ * Check whether the policy requires an authenticator for a user
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>}
+ */
+async function isRequired(userId) {
+  const policy = await getPolicy();
+  if (policy === 'everyone') {
+    return true;
+  }
+  if (policy === 'admins') {
+    return hasServerPermission(userId, 'server.manage');
+  }
+  return false;
+}
+
+/**
+ * Verify the second factor of a user with an active authenticator
+ * @param {Object} user - User instance
+ * @param {Object} factor
+ * @param {string} [factor.totpCode] - Authenticator code
+ * @param {string} [factor.backupCode] - Backup code (recovery)
+ * @returns {Promise<Object>} { allowed, recovery } or { allowed: false, status, error, totpRequired }
+ */
+async function verifySecondFactor(user, { totpCode, backupCode } = {}) {
+  if (!totpCode && !backupCode) {
+    return { allowed: false, status: 401, error: 'Authenticator code required', totpRequired: true };
+  }
+
+  const wait = lockedFor(user.uuid);
+  if (wait > 0) {
+    return {
+      allowed: false,
+      status: 429,
+      error: 'Too many invalid authenticator codes. Please try again later.',
+      totpRequired: true,
+      wait
+    };
+  }
+
+  if (totpCode) {
+    const step = matchStep(user.totp_secret, totpCode, user.totp_last_step);
+    if (step !== null && await consumeStep(user, step)) {
+      failures.delete(user.uuid);
+      return { allowed: true, recovery: false };
+    }
+  } else if (await verifyBackupCode(user.email, backupCode)) {
+    failures.delete(user.uuid);
+    logger.info('[2FA] Backup code used instead of authenticator code');
+    return { allowed: true, recovery: true };
+  }
+
+  recordFailure(user.uuid);
+  return { allowed: false, status: 401, error: 'Invalid authenticator code', totpRequired: true };
+}
+
+/**
+ * Second factor check for password-less logins (email OTP, magic link, LDAP)
+ * @param {Object} user - User instance
+ * @param {Object} factor - { totpCode, backupCode } from the request body
+ * @returns {Promise<Object>} { allowed, setupRequired } or { allowed: false, status, error, totpRequired }
+ */
+async function checkLogin(user, factor) {
+  if (!user.totp_enabled_at) {
+    return { allowed: true, setupRequired: await isRequired(user.uuid) };
+  }
+  const result = await verifySecondFactor(user, factor);
+  return result.allowed ? { ...result, setupRequired: false } : result;
+}
+
+/**
+ * Restrict a new login session until the required authenticator is enabled
+ * @param {Object} session - Express session (uuid/email already set)
+ * @param {Object} [grants] - Session flags granted once the setup is done
+ * @param {boolean} [grants.otp] - Email OTP was verified (passkey registration)
+ */
+function restrictSession(session, { otp = false } = {}) {
+  session.authenticated = false;
+  session.totpSetupPending = { otp };
+}
+
+/**
+ * Lift the restriction of a session after the authenticator was enabled
+ * @param {Object} session - Express session
+ * @returns {boolean} True if the session was restricted
+ */
+function releaseSession(session) {
+  if (!session || !session.totpSetupPending) {
+    return false;
+  }
+  session.authenticated = true;
+  if (session.totpSetupPending.otp) {
+    session.otp = true;
+  }
+  delete session.totpSetupPending;
+  return true;
+}
+
+/**
+ * Authenticator status of a user
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object|null>} { enabled, pending, required, policy } or null
+ */
+async function getStatus(userId) {
+  const user = await User.findByPk(userId, { attributes: ['uuid', 'totp_secret', 'totp_enabled_at'] });
+  if (!user) {
+    return null;
+  }
+  return {
+    enabled: !!user.totp_enabled_at,
+    enabledAt: user.totp_enabled_at,
+    pending: !!user.totp_secret && !user.totp_enabled_at,
+    required: await isRequired(userId),
+    policy: await getPolicy()
+  };
+}
+
+/**
+ * Start enrollment: generate a new secret (replaces a pending one)
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { success, secret, uri } or { success: false, status, error }
+ */
+async function startEnrollment(userId) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (user.totp_enabled_at) {
+    return { success: false, status: 409, error: 'Authenticator app is already enabled' };
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await writeQueue.enqueue(
+    () => user.update({ totp_secret: secret, totp_last_step: null }),
+    'startTotpEnrollment'
+  );
+
+  const settings = await ServerSettings.findOne({ where: { id: 1 }, attributes: ['server_name'] });
+  const issuer = (settings && settings.server_name) || 'PeerWave';
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return { success: true, secret, uri: `otpauth://totp/${label}?${params.toString()}` };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {string} userId - User UUID
+ * @param {string} code - Authenticator code
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (user.totp_enabled_at) {
+    return { success: false, status: 409, error: 'Authenticator app is already enabled' };
+  }
+  if (!user.totp_secret) {
+    return { success: false, status: 400, error: 'Start the authenticator setup first' };
+  }
+  const wait = lockedFor(userId);
+  if (wait > 0) {
+    return { success: false, status: 429, error: 'Too many invalid authenticator codes. Please try again later.' };
+  }
+
+  const step = matchStep(user.totp_secret, code, null);
+  if (step === null) {
+    recordFailure(userId);
+    return { success: false, status: 400, error: 'Invalid authenticator code' };
+  }
+
+  failures.delete(userId);
+  await writeQueue.enqueue(
+    () => user.update({ totp_enabled_at: new Date(), totp_last_step: step }),
+    'confirmTotpEnrollment'
+  );
+  logger.info('[2FA] Authenticator app enabled');
+  logger.debug(`[2FA] User: ${sanitizeForLog(userId)}`);
+  return { success: true };
+}
+
+/**
+ * Remove the authenticator of a user (needs a current code or backup code)
+ * @param {string} userId - User UUID
+ * @param {Object} factor - { totpCode, backupCode }
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+async function disable(userId, factor) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (!user.totp_enabled_at) {
+    return { success: false, status: 400, error: 'Authenticator app is not enabled' };
+  }
+  if (await isRequired(userId)) {
+    return { success: false, status: 403, error: 'An authenticator app is required by the server policy' };
+  }
+
+  const verification = await verifySecondFactor(user, factor);
+  if (!verification.allowed) {
+    return { success: false, status: verification.status, error: verification.error };
+  }
+
+  await writeQueue.enqueue(
+    () => user.update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null }),
+    'disableTotp'
+  );
+  logger.info('[2FA] Authenticator app disabled');
+  logger.debug(`[2FA] User: ${sanitizeForLog(userId)}`);
+  return { success: true };
+}
+
+/**
+ * Remove the authenticator of a user without a code (admin recovery)
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { success } or { success: false, status, error }
+ */
+async function reset(userId) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (!user.totp_secret) {
+    return { success: false, status: 400, error: 'Authenticator app is not enabled' };
+  }
+
+  await writeQueue.enqueue(
+    () => user.update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null }),
+    'resetTotp'
+  );
+  failures.delete(userId);
+  return { success: true };
+}
+
+module.exports = {
+  POLICIES,
+  SETUP_PATHS,
+  verifyBackupCode,
+  getPolicy,
+  isRequired,
+  checkLogin,
+  restrictSession,
+  releaseSession,
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disable,
+  reset
+};
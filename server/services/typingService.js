@@ -0,0 +1,210 @@
+/**
+ * Typing Service
+ *
+ * Relays typing:start / typing:stop for 1:1 conversations and signal
+ * channels. Pure in-memory state per socket:
+ * - Audience is resolved once when typing starts: channel members' devices
+ *   (ChannelMembers) or the 1:1 peer's connected devices. Users with a block
+ *   relation never receive the indicator.
+ * - Repeated typing:start within TYPING_THROTTLE_MS only extends the timer
+ * - Without a refresh the indicator expires after TYPING_TIMEOUT_MS and a
+ *   typing:stop (expired: true) is relayed; receivers should expire locally
+ *   after expiresInMs as well, since state is lost on restart.
+ */
+
+const { Op } = require('sequelize');
+const { ChannelMembers, Client } = require('../db/model');
+const blockService = require('./blockService');
+const { emitToDevice, emitToUserDevices } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+
+const TYPING_TIMEOUT_MS = 8000;
+const TYPING_THROTTLE_MS = 3000;
+const MAX_TARGETS_PER_SOCKET = 5;
+
+// socketId -> Map(targetKey -> { userId, deviceId, channelId, peerUserId, audience, timer, lastRelayAt })
+const typingBySocket = new Map();
+
+function getTargetKey(channelId, peerUserId) {
+  return channelId ? `channel:${channelId}` : `user:${peerUserId}`;
+}
+
+/**
+ * Resolve who may see the indicator
+ * @returns {Promise<{audience?: Object, error?: string}>}
+ */
+async function resolveAudience(userId, channelId, peerUserId) {
+  if (channelId) {
+    const membership = await ChannelMembers.findOne({
+      where: { userId, channelId }
+    });
+    if (!membership) {
+      return { error: 'Not a member of this channel' };
+    }
+
+    const blockedPeers = await blockService.getBlockedPeerIds(userId);
+    const members = await ChannelMembers.findAll({
+      where: { channelId },
+      attributes: ['userId']
+    });
+    const memberIds = members
+      .map(m => m.userId)
+      .filter(memberId => memberId !== userId && !blockedPeers.has(memberId));
+    const devices = memberIds.length > 0
+      ? await Client.findAll({
+        where: { owner: { [Op.in]: memberIds } },
+        attributes: ['owner', 'device_id']
+      })
+      : [];
+    return { audience: { devices: devices.map(d => ({ userId: d.owner, deviceId: d.device_id })) } };
+  }
+
+  if (peerUserId === userId) {
+    return { error: 'Invalid recipient' };
+  }
+
+  // 🚫 Blocked: accept silently without relaying
+  if (await blockService.isBlockedBetween(userId, peerUserId)) {
+    return { audience: { devices: [] } };
+  }
+  return { audience: { userId: peerUserId } };
+}
+
+function relay(entry, event, extra = {}) {
+  const data = {
+    userId: entry.userId,
+    deviceId: entry.deviceId,
+    channelId: entry.channelId || null,
+    ...extra
+  };
+
+  if (entry.audience.userId) {
+    emitToUserDevices(entry.audience.userId, event, data);
+    return;
+  }
+  for (const device of entry.audience.devices) {
+    emitToDevice(device.userId, device.deviceId, event, data);
+  }
+}
+
+function armTimer(socketId, targetKey, entry) {
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => {
+    const socketTyping = typingBySocket.get(socketId);
+    if (socketTyping?.get(targetKey) !== entry) {
+      return;
+    }
+    socketTyping.delete(targetKey);
+    if (socketTyping.size === 0) {
+      typingBySocket.delete(socketId);
+    }
+    relay(entry, 'typing:stop', { expired: true });
+  }, TYPING_TIMEOUT_MS);
+}
+
+/**
+ * Handle typing:start from a socket
+ * @param {Object} params
+ * @param {string} params.socketId - Socket.IO connection ID
+ * @param {string} params.userId - Typing user UUID
+ * @param {number} params.deviceId - Typing device ID
+ * @param {Object} params.data - { channelId } or { recipient }
+ * @returns {Promise<Object>} { success, throttled } or { success: false, error }
+ */
+async function startTyping({ socketId, userId, deviceId, data }) {
+  const channelId = data?.channelId || null;
+  const peerUserId = channelId ? null : (data?.recipient || null);
+  if (!channelId && !peerUserId) {
+    return { success: false, error: 'channelId or recipient required' };
+  }
+
+  const targetKey = getTargetKey(channelId, peerUserId);
+  let socketTyping = typingBySocket.get(socketId);
+  const existing = socketTyping?.get(targetKey);
+  const now = Date.now();
+
+  if (existing) {
+    armTimer(socketId, targetKey, existing);
+    if (now - existing.lastRelayAt < TYPING_THROTTLE_MS) {
+      return { success: true, throttled: true };
+    }
+    existing.lastRelayAt = now;
+    relay(existing, 'typing:start', { expiresInMs: TYPING_TIMEOUT_MS });
+    return { success: true, throttled: false };
+  }
+
+  if (socketTyping && socketTyping.size >= MAX_TARGETS_PER_SOCKET) {
+    return { success: false, error: 'Too many active typing indicators' };
+  }
+
+  const { audience, error } = await resolveAudience(userId, channelId, peerUserId);
+  if (error) {
+    return { success: false, error };
+  }
+
+  // Another start for the same target may have finished while resolving
+  socketTyping = typingBySocket.get(socketId) || new Map();
+  if (socketTyping.has(targetKey)) {
+    return { success: true, throttled: true };
+  }
+
+  const entry = { userId, deviceId, channelId, peerUserId, audience, timer: null, lastRelayAt: now };
+  socketTyping.set(targetKey, entry);
+  typingBySocket.set(socketId, socketTyping);
+  armTimer(socketId, targetKey, entry);
+
+  relay(entry, 'typing:start', { expiresInMs: TYPING_TIMEOUT_MS });
+  return { success: true, throttled: false };
+}
+
+/**
+ * Handle typing:stop from a socket
+ * @param {Object} params
+ * @param {string} params.socketId - Socket.IO connection ID
+ * @param {Object} params.data - { channelId } or { recipient }
+ * @returns {{success: boolean}}
+ */
+function stopTyping({ socketId, data }) {
+  const channelId = data?.channelId || null;
+  const peerUserId = channelId ? null : (data?.recipient || null);
+  const targetKey = getTargetKey(channelId, peerUserId);
+
+  const socketTyping = typingBySocket.get(socketId);
+  const entry = socketTyping?.get(targetKey);
+  if (!entry) {
+    return { success: true };
+  }
+
+  clearTimeout(entry.timer);
+  socketTyping.delete(targetKey);
+  if (socketTyping.size === 0) {
+    typingBySocket.delete(socketId);
+  }
+  relay(entry, 'typing:stop', { expired: false });
+  return { success: true };
+}
+
+/**
+ * Stop all indicators of a socket (disconnect)
+ * @param {string} socketId - Socket.IO connection ID
+ */
+function clearSocket(socketId) {
+  const socketTyping = typingBySocket.get(socketId);
+  if (!socketTyping) {
+    return;
+  }
+
+  typingBySocket.delete(socketId);
+  for (const entry of socketTyping.values()) {
+    clearTimeout(entry.timer);
+    relay(entry, 'typing:stop', { expired: false });
+  }
+  logger.debug(`[TYPING] Cleared ${socketTyping.size} indicator(s) for disconnected socket`);
+}
+
+module.exports = {
+  TYPING_TIMEOUT_MS,
+  startTyping,
+  stopTyping,
+  clearSocket
+};
@@ -0,0 +1,342 @@
+/**
+ * Unread Service
+ *
+ * Unread counters for badges, without downloading history:
+ * - Signal channels: main timeline items past the user's read watermark
+ *   (highest channel watermark of any of their devices, so a freshly
+ *   installed device shows the same badge as the others)
+ * - Direct conversations: 1:1 items still stored for the device with
+ *   Item.readed = false. Items acknowledged by the device (ackItems) are
+ *   gone from the server and counted by the client itself, as are
+ *   sealed-sender items (no sender, so no conversation to count them for).
+ *
+ * Only displayable types count; own messages, thread replies, edits and
+ * senders with a block relation never do. Mention counts come from
+ * GroupItemMention (mentionService) and include thread replies. Changes are
+ * pushed to the user's devices as "unread:update".
+ */
+
+const { Op, fn, col, QueryTypes } = require('sequelize');
+const { Channel, ChannelMembers, Client, Item, sequelize } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const { getBlockedPeerIds } = require('./blockService');
+const { emitToDevice, emitToUserDevices } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+
+// Item types shown as messages in the clients
+const UNREAD_TYPES = ['message', 'file', 'image', 'voice'];
+
+/**
+ * Unread main timeline items per channel and member
+ * @param {Array<string>} channelIds - Channel UUIDs
+ * @param {Array<string>} userIds - Member UUIDs
+ * @returns {Promise<Map<string, number>>} "channelId:userId" -> unread count
+ */
+async function countChannelUnread(channelIds, userIds) {
+  const counts = new Map();
+  if (channelIds.length === 0 || userIds.length === 0) {
+    return counts;
+  }
+
+  const rows = await sequelize.query(
+    `SELECT m.channelId AS channelId, m.userId AS userId, COUNT(g.uuid) AS unreadCount
+     FROM ChannelMembers m
+     JOIN GroupItems g ON g.channel = m.channelId
+     WHERE m.channelId IN (:channelIds)
+       AND m.userId IN (:userIds)
+       AND g.sender != m.userId
+       AND g.parentItemId IS NULL
+       AND g.type IN (:types)
+       AND (g.expiresAt IS NULL OR g.expiresAt > :now)
+       AND g.seq > COALESCE((
+         SELECT MAX(p.lastReadSeq) FROM ChannelReadPositions p
+         WHERE p.userId = m.userId AND p.channelId = m.channelId AND p.threadRootItemId = ''
+       ), 0)
+       AND NOT EXISTS (
+         SELECT 1 FROM blocked_users b
+         WHERE (b.blocker_uuid = m.userId AND b.blocked_uuid = g.sender)
+            OR (b.blocker_uuid = g.sender AND b.blocked_uuid = m.userId)
+       )
+     GROUP BY m.channelId, m.userId`,
+    {
+      replacements: { channelIds, userIds, types: UNREAD_TYPES, now: new Date() },
+      type: QueryTypes.SELECT
+    }
+  );
+
+  for (const row of rows) {
+    counts.set(`${row.channelId}:${row.userId}`, parseInt(row.unreadCount, 10) || 0);
+  }
+  return counts;
+}
+
+/**
+ * Unread mentions per channel and member (thread replies included)
+ * @param {Array<string>} channelIds - Channel UUIDs
+ * @param {Array<string>} userIds - Member UUIDs
+ * @returns {Promise<Map<string, number>>} "channelId:userId" -> unread mentions
+ */
+async function countChannelMentions(channelIds, userIds) {
+  const counts = new Map();
+  if (channelIds.length === 0 || userIds.length === 0) {
+    return counts;
+  }
+
+  const rows = await sequelize.query(
+    `SELECT gm.channel_id AS channelId, gm.user_uuid AS userId, COUNT(gm.id) AS mentionCount
+     FROM group_item_mentions gm
+     JOIN GroupItems g ON g.uuid = gm.group_item_uuid
+     WHERE gm.channel_id IN (:channelIds)
+       AND gm.user_uuid IN (:userIds)
+       AND (g.expiresAt IS NULL OR g.expiresAt > :now)
+       AND g.seq > COALESCE((
+         SELECT MAX(p.lastReadSeq) FROM ChannelReadPositions p
+         WHERE p.userId = gm.user_uuid AND p.channelId = gm.channel_id
+           AND p.threadRootItemId IN ('', COALESCE(g.parentItemId, ''))
+       ), 0)
+     GROUP BY gm.channel_id, gm.user_uuid`,
+    {
+      replacements: { channelIds, userIds, now: new Date() },
+      type: QueryTypes.SELECT
+    }
+  );
+
+  for (const row of rows) {
+    counts.set(`${row.channelId}:${row.userId}`, parseInt(row.mentionCount, 10) || 0);
+  }
+  return counts;
+}
+
+// Unread 1:1 items stored for a user, without own messages, expired items
+// and senders with a block relation
+async function directUnreadWhere(userId) {
+  const where = {
+    receiver: userId,
+    readed: false,
+    type: { [Op.in]: UNREAD_TYPES },
+    [Op.and]: [
+      { sender: { [Op.ne]: userId } },
+      { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] }
+    ]
+  };
+  const blockedPeers = await getBlockedPeerIds(userId);
+  if (blockedPeers.size > 0) {
+    where[Op.and].push({ sender: { [Op.notIn]: Array.from(blockedPeers) } });
+  }
+  return where;
+}
+
+/**
+ * Unread 1:1 items stored for one device, per sender
+ * @param {string} userId - Receiving user UUID
+ * @param {number} deviceId - Receiving device ID
+ * @param {string} [peerUserId] - Only this conversation
+ * @returns {Promise<Map<string, number>>} peer UUID -> unread count
+ */
+async function countDirectUnread(userId, deviceId, peerUserId = null) {
+  const where = await directUnreadWhere(userId);
+  where.deviceReceiver = deviceId;
+  if (peerUserId) {
+    where.sender = peerUserId;
+  }
+
+  const rows = await Item.findAll({
+    where,
+    attributes: ['sender', [fn('COUNT', col('uuid')), 'unreadCount']],
+    group: ['sender'],
+    raw: true
+  });
+  return new Map(rows.map(row => [row.sender, parseInt(row.unreadCount, 10) || 0]));
+}
+
+/**
+ * Signal channels the user is a member of
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Channels with uuid and lastSeq
+ */
+async function getMemberSignalChannels(userId) {
+  const memberships = await ChannelMembers.findAll({
+    where: { userId },
+    attributes: ['channelId']
+  });
+  if (memberships.length === 0) {
+    return [];
+  }
+  return Channel.findAll({
+    where: { uuid: { [Op.in]: memberships.map(m => m.channelId) }, type: 'signal' },
+    attributes: ['uuid', 'lastSeq']
+  });
+}
+
+/**
+ * Unread counters of a user/device for all channels and direct conversations
+ * @param {Object} params
+ * @param {string} params.userId - User UUID
+ * @param {number} params.deviceId - Device ID
+ * @returns {Promise<{channels: Array, direct: Array, totalUnread: number, totalMentions: number}>}
+ */
+async function getUnreadSummary({ userId, deviceId }) {
+  const channels = await getMemberSignalChannels(userId);
+  const channelIds = channels.map(channel => channel.uuid);
+
+  const channelCounts = await countChannelUnread(channelIds, [userId]);
+  const mentionCounts = await countChannelMentions(channelIds, [userId]);
+  const channelResult = channels.map(channel => ({
+    channelId: channel.uuid,
+    unreadCount: channelCounts.get(`${channel.uuid}:${userId}`) || 0,
+    mentionCount: mentionCounts.get(`${channel.uuid}:${userId}`) || 0,
+    lastSeq: channel.lastSeq || 0
+  }));
+
+  const directCounts = await countDirectUnread(userId, deviceId);
+  const directResult = Array.from(directCounts, ([peerUserId, unreadCount]) => ({
+    userId: peerUserId,
+    unreadCount,
+    mentionCount: 0
+  }));
+
+  const all = [...channelResult, ...directResult];
+  return {
+    channels: channelResult,
+    direct: directResult,
+    totalUnread: all.reduce((sum, entry) => sum + entry.unreadCount, 0),
+    totalMentions: all.reduce((sum, entry) => sum + entry.mentionCount, 0)
+  };
+}
+
+/**
+ * Total unread count of a user (push badge): channel unread plus 1:1
+ * messages still pending on the server, each counted once across devices
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>}
+ */
+async function getBadgeCount(userId) {
+  const channels = await getMemberSignalChannels(userId);
+  const channelCounts = await countChannelUnread(channels.map(channel => channel.uuid), [userId]);
+  let total = 0;
+  for (const count of channelCounts.values()) {
+    total += count;
+  }
+
+  total += await Item.count({
+    where: await directUnreadWhere(userId),
+    distinct: true,
+    col: 'itemId'
+  });
+  return total;
+}
+
+/**
+ * Send the current channel counter to every device of the given members
+ * @param {string} channelId - Channel UUID
+ * @param {Array<string>} userIds - Members whose counter changed
+ */
+async function notifyChannelUnread(channelId, userIds) {
+  if (userIds.length === 0) {
+    return;
+  }
+  const counts = await countChannelUnread([channelId], userIds);
+  const mentionCounts = await countChannelMentions([channelId], userIds);
+  for (const userId of userIds) {
+    emitToUserDevices(userId, 'unread:update', {
+      kind: 'channel',
+      channelId,
+      unreadCount: counts.get(`${channelId}:${userId}`) || 0,
+      mentionCount: mentionCounts.get(`${channelId}:${userId}`) || 0
+    });
+  }
+}
+
+/**
+ * Update the counters of all members after a new group item was stored
+ * @param {Object} params
+ * @param {string} params.channelId - Channel UUID
+ * @param {string} params.senderId - Sender UUID
+ * @param {string} params.type - Item type
+ * @param {string|null} [params.parentItemId] - Thread root (replies do not count)
+ * @param {Array<string>} [params.mentionedUserIds] - Mentioned members (count for replies too)
+ */
+async function notifyNewGroupItem({ channelId, senderId, type, parentItemId = null, mentionedUserIds = [] }) {
+  if (parentItemId || !UNREAD_TYPES.includes(type || 'message')) {
+    await notifyChannelUnread(channelId, mentionedUserIds);
+    return;
+  }
+
+  const members = await ChannelMembers.findAll({
+    where: { channelId },
+    attributes: ['userId']
+  });
+  const blockedPeers = await getBlockedPeerIds(senderId);
+  const userIds = members
+    .map(m => m.userId)
+    .filter(userId => userId !== senderId && !blockedPeers.has(userId));
+
+  await notifyChannelUnread(channelId, userIds);
+}
+
+/**
+ * Send the current counter of one direct conversation to a user's devices
+ * @param {Object} params
+ * @param {string} params.userId - Receiving user UUID
+ * @param {string} params.peerUserId - Conversation peer UUID
+ * @param {number} [params.deviceId] - Only this device (default: all devices)
+ * @param {string} [params.type] - Type of a newly stored item (skips non-counting types)
+ */
+async function notifyDirectUnread({ userId, peerUserId, deviceId, type }) {
+  if (userId === peerUserId || (type && !UNREAD_TYPES.includes(type))) {
+    return;
+  }
+
+  let deviceIds = [deviceId];
+  if (!deviceId) {
+    const clients = await Client.findAll({ where: { owner: userId }, attributes: ['device_id'] });
+    deviceIds = clients.map(client => client.device_id);
+  }
+
+  for (const targetDeviceId of deviceIds) {
+    const counts = await countDirectUnread(userId, targetDeviceId, peerUserId);
+    emitToDevice(userId, targetDeviceId, 'unread:update', {
+      kind: 'direct',
+      userId: peerUserId,
+      unreadCount: counts.get(peerUserId) || 0,
+      mentionCount: 0
+    });
+  }
+}
+
+/**
+ * Mark a direct conversation read on all devices of the user: stored items
+ * no longer count for devices that have not fetched them yet
+ * @param {Object} params
+ * @param {string} params.userId - Reading user UUID
+ * @param {string} params.peerUserId - Conversation peer UUID
+ * @returns {Promise<Object>} { success, markedCount } or { success: false, status, error }
+ */
+async function markDirectRead({ userId, peerUserId }) {
+  if (!peerUserId) {
+    return { success: false, status: 400, error: 'userId of the conversation required' };
+  }
+
+  const [markedCount] = await writeQueue.enqueue(
+    () => Item.update(
+      { readed: true },
+      { where: { receiver: userId, sender: peerUserId, readed: false } }
+    ),
+    `markDirectRead-${userId}-${peerUserId}`
+  );
+
+  await notifyDirectUnread({ userId, peerUserId });
+
+  logger.debug(`[UNREAD] Marked ${markedCount} stored direct item(s) as read`);
+  return { success: true, markedCount };
+}
+
+module.exports = {
+  UNREAD_TYPES,
+  getUnreadSummary,
+  getBadgeCount,
+  notifyChannelUnread,
+  notifyNewGroupItem,
+  notifyDirectUnread,
+  markDirectRead
+};
@@ -0,0 +1,211 @@
+/**
+ * User Account Service
+ *
+ * Account lifecycle shared by the admin routes (routes/roles.js) and the
+ * provisioning sources (LDAP sync, SCIM):
+ * - deprovisioning: a user whose linked identity (UserIdentity) is
+ *   deprovisioned is deactivated, signed out everywhere and cannot sign in
+ *   until the source (or an admin) re-activates the account
+ * - deletion: the user and all related records are removed
+ *
+ * Plain `User.active = false` (inactive user cleanup, admin deactivation)
+ * only hides a user; the next login activates the account again.
+ */
+
+const { Op } = require('sequelize');
+const {
+  User, UserIdentity, UserRole, UserRoleChannel, ChannelMembers, Client,
+  ClientSession, SignalPreKey, SignalSignedPreKey, Item, GroupItem,
+  ChannelReadPosition, MagicLink, Channel, MessageRevision, DirectConversationSetting,
+  ScheduledMessage, sequelize
+} = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const channelOwnership = require('./channelOwnershipService');
+const { disconnectUserDevices } = require('../utils/deviceSockets');
+const logger = require('../utils/logger');
+const { sanitizeForLog } = require('../utils/logSanitizer');
+
+const ACCOUNT_DEACTIVATED = 'Account is deactivated';
+
+/**
+ * Check whether a user is locked out by a provisioning source
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>}
+ */
+async function isDeprovisioned(userId) {
+  const count = await UserIdentity.count({
+    where: { user_uuid: userId, deprovisioned_at: { [Op.ne]: null } }
+  });
+  return count > 0;
+}
+
+/**
+ * Sign a user out on all devices: native sessions, refresh tokens, web
+ * sessions, pending magic links and open sockets
+ * @param {string} userId - User UUID
+ */
+async function revokeAllSessions(userId) {
+  await writeQueue.enqueue(
+    async () => {
+      // Refresh tokens first (FK to client_sessions)
+      await sequelize.query('DELETE FROM refresh_tokens WHERE user_id = ?', { replacements: [userId] });
+      await sequelize.query('DELETE FROM client_sessions WHERE user_id = ?', { replacements: [userId] });
+      // Express sessions (connect-session-sequelize stores the session as JSON)
+      await sequelize.query('DELETE FROM sessions WHERE data LIKE ?', { replacements: [`%"uuid":"${userId}"%`] });
+      // Pending device login links
+      await sequelize.query('DELETE FROM magic_links WHERE user_id = ?', { replacements: [userId] });
+    },
+    'revokeAllUserSessions'
+  );
+  disconnectUserDevices(userId);
+}
+
+/**
+ * Deactivate a user for a provisioning source and lock them out
+ * @param {Object} identity - UserIdentity instance of the source
+ * @returns {Promise<Object>} { transfers } channel ownership transfers
+ */
+async function deprovisionIdentity(identity) {
+  const user = await User.findByPk(identity.user_uuid);
+  let transfers = [];
+
+  if (user) {
+    // Hand over owned channels like an admin deactivation, without a last-resort owner
+    ({ transfers } = await channelOwnership.transferAllChannels({ fromUserId: user.uuid, transferredBy: null }));
+    if (user.active) {
+      await writeQueue.enqueue(() => user.update({ active: false }), 'deprovisionUser');
+    }
+  }
+  await writeQueue.enqueue(
+    () => identity.update({ deprovisioned_at: new Date() }),
+    'deprovisionUserIdentity'
+  );
+  if (user) {
+    await revokeAllSessions(user.uuid);
+  }
+
+  logger.info(`[ACCOUNT] User deprovisioned by ${identity.provider}`);
+  logger.debug(`[ACCOUNT] User: ${sanitizeForLog(identity.user_uuid)}`);
+  return { transfers };
+}
+
+/**
+ * Re-activate a user deprovisioned by a provisioning source
+ * @param {Object} identity - UserIdentity instance of the source
+ */
+async function reprovisionIdentity(identity) {
+  await writeQueue.enqueue(
+    () => identity.update({ deprovisioned_at: null }),
+    'reprovisionUserIdentity'
+  );
+  await writeQueue.enqueue(
+    () => User.update({ active: true }, { where: { uuid: identity.user_uuid } }),
+    'reprovisionUser'
+  );
+  logger.info(`[ACCOUNT] User re-activated by ${identity.provider}`);
+}
+
+/**
+ * Delete a user and all related records
+ * @param {Object} params
+ * @param {string} params.userId - User UUID
+ * @param {string} [params.transferChannelsTo] - New owner for owned channels (default: automatic)
+ * @param {string|null} params.deletedBy - Acting admin UUID (last-resort channel owner)
+ * @returns {Promise<Object>} { success, transfers } or { success: false, status, error }
+ */
+async function deleteUser({ userId, transferChannelsTo, deletedBy }) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+
+  // Hand over owned channels first
+  const transfer = await channelOwnership.transferAllChannels({
+    fromUserId: userId,
+    toUserId: transferChannelsTo,
+    transferredBy: deletedBy
+  });
+  if (!transfer.success) {
+    return transfer;
+  }
+
+  await writeQueue.enqueue(
+    async () => {
+      // 1. Remove user from all channels (as member)
+      await ChannelMembers.destroy({ where: { userId } });
+
+      // 2. Channels owned by user were transferred above
+
+      // 3. Delete all user roles
+      await UserRole.destroy({ where: { userId } });
+      await UserRoleChannel.destroy({ where: { userId } });
+
+      // 4. Delete all client devices owned by user
+      const userClients = await Client.findAll({ where: { owner: userId } });
+      const clientIds = userClients.map(c => c.clientid);
+
+      // 5. Delete all Signal Protocol keys for user's clients
+      // Note: SenderKeys removed - not stored on server per Signal Protocol
+      if (clientIds.length > 0) {
+        await SignalPreKey.destroy({ where: { client: clientIds } });
+        await SignalSignedPreKey.destroy({ where: { client: clientIds } });
+        await ClientSession.destroy({ where: { client_id: clientIds } });
+      }
+
+      // 6. Delete user's clients
+      await Client.destroy({ where: { owner: userId } });
+
+      // 7. Delete items sent or received by user
+      await Item.destroy({ where: { sender: userId } });
+      await Item.destroy({ where: { receiver: userId } });
+
+      // 8. Delete group items sent by user
+      await GroupItem.destroy({ where: { sender: userId } });
+
+      // Edit revisions sent or received by user, and of channels without successor
+      // (removed together with the user)
+      const remainingChannels = await Channel.findAll({ where: { owner: userId }, attributes: ['uuid'] });
+      await MessageRevision.destroy({
+        where: {
+          [Op.or]: [
+            { sender_uuid: userId },
+            { receiver_uuid: userId },
+            { channel_id: remainingChannels.map(c => c.uuid) }
+          ]
+        }
+      });
+
+      // 1:1 conversation settings (disappearing timers) of user
+      await DirectConversationSetting.destroy({
+        where: { [Op.or]: [{ user_a_uuid: userId }, { user_b_uuid: userId }] }
+      });
+
+      // Scheduled messages sent by user or waiting for user
+      await ScheduledMessage.destroy({
+        where: { [Op.or]: [{ sender_uuid: userId }, { recipient_uuid: userId }] }
+      });
+
+      // 9. Delete group read positions of user
+      await ChannelReadPosition.destroy({ where: { userId } });
+
+      // 10. Delete pending magic links of user
+      await MagicLink.destroy({ where: { user_id: userId } });
+
+      // 11. Finally delete the user
+      await user.destroy();
+    },
+    'deleteUser'
+  );
+  disconnectUserDevices(userId);
+
+  return { success: true, transfers: transfer.transfers };
+}
+
+module.exports = {
+  ACCOUNT_DEACTIVATED,
+  isDeprovisioned,
+  revokeAllSessions,
+  deprovisionIdentity,
+  reprovisionIdentity,
+  deleteUser
+};
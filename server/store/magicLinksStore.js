@@ -1,4 +1,127 @@
-// filepath: d:\PeerWave\server\magicLinksStore.js
-// Using Map instead of plain object to prevent prototype pollution
-const magicLinks = new Map();
-module.exports = magicLinks;
\ No newline at end of file
+/**
+ * Magic Links Store - Persistent Device Login Links
+ *
+ * Pending magic links (GET /magic/generate, POST /magic/verify) live in the
+ * magic_links table so they survive restarts and work across server
+ * instances sharing the database:
+ * - only the SHA-256 hash of the random link token is stored
+ * - every link expires (config.magicLink.expiresMinutes) and can be consumed once
+ * - a user has at most config.magicLink.maxPerUser unused links, generating
+ *   another one replaces the oldest
+ * - used and expired links are removed by the hourly session cleanup
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { MagicLink } = require('../db/model');
+const writeQueue = require('../db/writeQueue');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Store a new magic link
+ * @param {string} token - Random link token (part of the magic key)
+ * @param {Object} entry - { email, uuid, expires } (expires in ms)
+ */
+async function create(token, { email, uuid, expires }) {
+  const maxPerUser = Math.max(1, config.magicLink.maxPerUser);
+
+  await writeQueue.enqueue(
+    async () => {
+      const outstanding = await MagicLink.findAll({
+        where: { user_id: uuid, used_at: null, expires_at: { [Op.gt]: new Date() } },
+        attributes: ['token_hash'],
+        order: [['created_at', 'DESC']]
+      });
+      const replaced = outstanding.slice(maxPerUser - 1).map(link => link.token_hash);
+      if (replaced.length > 0) {
+        await MagicLink.destroy({ where: { token_hash: replaced } });
+        logger.debug(`[MAGIC LINK] Replaced ${replaced.length} outstanding link(s)`);
+      }
+
+      await MagicLink.create({
+        token_hash: hashToken(token),
+        user_id: uuid,
+        email,
+        expires_at: new Date(expires),
+        created_at: new Date()
+      });
+    },
+    'createMagicLink'
+  );
+}
+
+/**
+ * Look up a magic link without consuming it
+ * @param {string} token - Random link token
+ * @returns {Promise<Object|null>} { email, uuid, expires, used } or null
+ */
+async function find(token) {
+  const link = await MagicLink.findByPk(hashToken(token));
+  if (!link) {
+    return null;
+  }
+  return {
+    email: link.email,
+    uuid: link.user_id,
+    expires: new Date(link.expires_at).getTime(),
+    used: !!link.used_at
+  };
+}
+
+/**
+ * Mark a magic link as used, only the first caller succeeds
+ * @param {string} token - Random link token
+ * @returns {Promise<boolean>} false if the link was used or expired meanwhile
+ */
+async function consume(token) {
+  const [updated] = await writeQueue.enqueue(
+    () => MagicLink.update(
+      { used_at: new Date() },
+      { where: { token_hash: hashToken(token), used_at: null, expires_at: { [Op.gt]: new Date() } } }
+    ),
+    'consumeMagicLink'
+  );
+  return updated > 0;
+}
+
+/**
+ * Remove a magic link
+ * @param {string} token - Random link token
+ */
+async function remove(token) {
+  await writeQueue.enqueue(
+    () => MagicLink.destroy({ where: { token_hash: hashToken(token) } }),
+    'deleteMagicLink'
+  );
+}
+
+/**
+ * Remove used and expired magic links
+ * @returns {Promise<number>} Number of removed links
+ */
+async function cleanup() {
+  return writeQueue.enqueue(
+    () => MagicLink.destroy({
+      where: {
+        [Op.or]: [
+          { expires_at: { [Op.lt]: new Date() } },
+          { used_at: { [Op.not]: null } }
+        ]
+      }
+    }),
+    'cleanupMagicLinks'
+  );
+}
+
+module.exports = {
+  create,
+  find,
+  consume,
+  remove,
+  cleanup
+};
@@ -15,7 +15,73 @@ function getDeviceSockets() {
   return deviceSockets;
 }
 
+/**
+ * Emit an event to a connected device (for services and routes outside the
+ * socket handlers). Does nothing if the device is offline - callers rely on
+ * stored rows / pending messages for offline delivery.
+ * @param {string} userId - Target user UUID
+ * @param {number} deviceId - Target device ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {boolean} True if emitted
+ */
+function emitToDevice(userId, deviceId, event, data) {
+  const socketId = deviceSockets.get(`${userId}:${deviceId}`);
+  if (!socketId || !global.io) {
+    return false;
+  }
+  global.io.to(socketId).emit(event, data);
+  return true;
+}
+
+/**
+ * Emit an event to all connected devices of a user
+ * @param {string} userId - Target user UUID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {number} Number of devices the event was emitted to
+ */
+function emitToUserDevices(userId, event, data) {
+  if (!global.io) {
+    return 0;
+  }
+  let emittedCount = 0;
+  deviceSockets.forEach((socketId, deviceKey) => {
+    if (deviceKey.startsWith(`${userId}:`)) {
+      global.io.to(socketId).emit(event, data);
+      emittedCount++;
+    }
+  });
+  return emittedCount;
+}
+
+/**
+ * Disconnect all connected devices of a user (e.g. after the account was
+ * deactivated), clients have to authenticate again to reconnect
+ * @param {string} userId - Target user UUID
+ * @returns {number} Number of devices disconnected
+ */
+function disconnectUserDevices(userId) {
+  if (!global.io) {
+    return 0;
+  }
+  let disconnectedCount = 0;
+  deviceSockets.forEach((socketId, deviceKey) => {
+    if (deviceKey.startsWith(`${userId}:`)) {
+      const socket = global.io.sockets.sockets.get(socketId);
+      if (socket) {
+        socket.disconnect(true);
+        disconnectedCount++;
+      }
+    }
+  });
+  return disconnectedCount;
+}
+
 module.exports = {
   deviceSockets,
-  getDeviceSockets
+  getDeviceSockets,
+  emitToDevice,
+  emitToUserDevices,
+  disconnectUserDevices
 };